@@ -0,0 +1,250 @@
+/**
+ * MagicMirror API Token Store
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Named, scoped and revocable tokens for the REST API. Tokens are only
+ * shown once when they are minted; at rest (config/.api_tokens.json) only
+ * their SHA-256 hash is kept, using the ecosystem-auth token helpers.
+ *
+ * Scopes:
+ *   read      GET endpoints (implied by every other scope)
+ *   display   display settings, alerts, screenshots
+ *   modules   show/hide/refresh/configure modules, custom commands
+ *   services  service configuration and connection tests
+ *   system    shutdown and restart
+ *   admin     everything, including token management
+ *
+ * A token set as api.token in config.js keeps working as an admin token.
+ */
+
+const fs = require("node:fs");
+const crypto = require("node:crypto");
+const Log = require("logger");
+const { generateSecureToken, hashToken, verifyTokenHash } = require("./ecosystem-auth/tokens");
+
+const SCOPES = ["read", "display", "modules", "services", "system", "admin"];
+
+// lastUsedAt is written back at most this often to keep requests off the disk
+const LAST_USED_INTERVAL = 60 * 1000;
+
+class ApiTokenStore {
+
+	/**
+	 * @param {object} [options] - Store options
+	 * @param {string} [options.file] - JSON file for the hashed tokens (in-memory if omitted)
+	 * @param {string} [options.configToken] - Token from config.js api.token
+	 */
+	constructor (options = {}) {
+		this.file = options.file || null;
+		this.configTokenHash = options.configToken ? hashToken(options.configToken) : null;
+		this.tokens = [];
+		this.mtime = 0;
+
+		this.load();
+	}
+
+	/**
+	 * (Re)load the token file if it changed since the last read, so tokens
+	 * minted or revoked by another process (e.g. the settings helper) apply.
+	 */
+	load () {
+		if (!this.file) {
+			return;
+		}
+
+		try {
+			const { mtimeMs } = fs.statSync(this.file);
+			if (mtimeMs === this.mtime) {
+				return;
+			}
+			this.tokens = JSON.parse(fs.readFileSync(this.file, "utf8")).tokens || [];
+			this.mtime = mtimeMs;
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				Log.error(`[API] Could not read ${this.file}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Write the token list.
+	 */
+	save () {
+		if (!this.file) {
+			return;
+		}
+
+		fs.writeFileSync(this.file, JSON.stringify({ tokens: this.tokens }, null, 2), { mode: 0o600 });
+		this.mtime = fs.statSync(this.file).mtimeMs;
+	}
+
+	/**
+	 * @returns {object[]} Token summaries without hashes
+	 */
+	list () {
+		this.load();
+		return this.tokens.map((record) => this.summarize(record));
+	}
+
+	/**
+	 * Mint a new token. The plain token is only returned here.
+	 * @param {object} options - Token options
+	 * @param {string} options.name - Display name
+	 * @param {string[]} options.scopes - Granted scopes
+	 * @param {string|null} [options.expiresAt] - ISO expiry date, null for no expiry
+	 * @param {boolean} [options.primary] - Marks the companion setup token
+	 * @returns {object} Token summary plus the plain `token`
+	 */
+	create ({ name, scopes, expiresAt = null, primary = false }) {
+		this.validate({ name, scopes, expiresAt });
+		this.load();
+
+		const token = generateSecureToken();
+		const record = {
+			id: crypto.randomUUID(),
+			name: name.trim(),
+			scopes: [...new Set(scopes)],
+			hash: hashToken(token),
+			preview: token.substring(0, 8),
+			createdAt: new Date().toISOString(),
+			expiresAt,
+			lastUsedAt: null,
+			primary
+		};
+
+		this.tokens.push(record);
+		this.save();
+
+		Log.info(`[API] Token "${record.name}" created with scopes ${record.scopes.join(", ")}`);
+		return { ...this.summarize(record), token };
+	}
+
+	/**
+	 * Revoke a token.
+	 * @param {string} id - Token id
+	 * @returns {boolean} True if a token was removed
+	 */
+	revoke (id) {
+		this.load();
+
+		const record = this.tokens.find((candidate) => candidate.id === id);
+		if (!record) {
+			return false;
+		}
+
+		this.tokens = this.tokens.filter((candidate) => candidate !== record);
+		this.save();
+
+		Log.info(`[API] Token "${record.name}" revoked`);
+		return true;
+	}
+
+	/**
+	 * Look up the token sent by a client.
+	 * @param {string} token - Plain token
+	 * @returns {object|null} Token summary (with `expired` flag) or null if unknown
+	 */
+	verify (token) {
+		if (typeof token !== "string" || token.length === 0) {
+			return null;
+		}
+
+		if (this.configTokenHash && verifyTokenHash(token, this.configTokenHash)) {
+			return { id: "config", name: "config.js", scopes: ["admin"], expired: false };
+		}
+
+		this.load();
+
+		const record = this.tokens.find((candidate) => verifyTokenHash(token, candidate.hash));
+		if (!record) {
+			return null;
+		}
+
+		if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt) > LAST_USED_INTERVAL) {
+			record.lastUsedAt = new Date().toISOString();
+			try {
+				this.save();
+			} catch (error) {
+				Log.warn(`[API] Could not update ${this.file}: ${error.message}`);
+			}
+		}
+
+		return this.summarize(record);
+	}
+
+	/**
+	 * @param {object} token - Verified token summary
+	 * @param {string} scope - Required scope
+	 * @returns {boolean} True if the token grants the scope
+	 */
+	hasScope (token, scope) {
+		if (!token || !Array.isArray(token.scopes)) {
+			return false;
+		}
+		if (token.scopes.includes("admin")) {
+			return true;
+		}
+		if (scope === "read") {
+			return token.scopes.length > 0;
+		}
+		return token.scopes.includes(scope);
+	}
+
+	/**
+	 * Mint the companion setup token on first start.
+	 * @returns {string|null} The new plain token, or null if tokens already exist
+	 */
+	ensurePrimaryToken () {
+		this.load();
+		if (this.configTokenHash || this.tokens.length > 0) {
+			return null;
+		}
+
+		return this.create({ name: "Primary", scopes: ["admin"], primary: true }).token;
+	}
+
+	/**
+	 * Validate token options.
+	 * @param {object} options - Token options
+	 * @param {string} options.name - Display name, 1-64 characters
+	 * @param {string[]} options.scopes - Granted scopes, see SCOPES
+	 * @param {string|null} options.expiresAt - ISO expiry date in the future, null for no expiry
+	 */
+	validate ({ name, scopes, expiresAt }) {
+		if (typeof name !== "string" || name.trim().length === 0 || name.length > 64) {
+			throw new Error("Token name is required (max 64 characters)");
+		}
+		if (!Array.isArray(scopes) || scopes.length === 0) {
+			throw new Error(`At least one scope is required: ${SCOPES.join(", ")}`);
+		}
+		const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+		if (unknown.length > 0) {
+			throw new Error(`Unknown scope(s): ${unknown.join(", ")}`);
+		}
+		if (expiresAt !== null && !(new Date(expiresAt) > new Date())) {
+			throw new Error("expiresAt must be a date in the future");
+		}
+	}
+
+	/**
+	 * @param {object} record - Stored token
+	 * @returns {object} Summary safe to hand out
+	 */
+	summarize (record) {
+		return {
+			id: record.id,
+			name: record.name,
+			scopes: record.scopes,
+			preview: record.preview,
+			createdAt: record.createdAt,
+			expiresAt: record.expiresAt,
+			lastUsedAt: record.lastUsedAt || null,
+			primary: record.primary === true,
+			expired: Boolean(record.expiresAt) && new Date(record.expiresAt) <= new Date()
+		};
+	}
+}
+
+module.exports = { ApiTokenStore, SCOPES };
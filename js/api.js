@@ -7,7 +7,7 @@
  * Provides RESTful API endpoints for mobile apps and external control.
  * Supports iOS, Android, and web-based remote control.
  *
- * Authentication: Bearer token (configured in config.js)
+ * Authentication: Bearer tokens with scopes (see js/api-tokens.js)
  *
  * @see https://github.com/M1K31/MagicMirror-Custom
  */
@@ -17,20 +17,30 @@ const crypto = require("crypto");
 const fs = require("fs").promises;
 const path = require("path");
 const Log = require("logger");
+const { ModuleStateRegistry } = require("./module-state");
+const { ApiTokenStore, SCOPES } = require("./api-tokens");
+const { PRIORITIES } = require("./notification-center");
 
 /**
  * API Router Factory
  * @param {object} config - MagicMirror configuration
  * @param {object} io - Socket.IO instance for real-time updates
+ * @param {object} [services] - Shared core services
+ * @param {object} [services.configStore] - Persistence for module config changes
+ * @param {object} [services.tokenStore] - Scoped API tokens
+ * @param {object} [services.screenshots] - Screenshot capture
+ * @param {object} [services.events] - Event stream for push clients
+ * @param {object} [services.rules] - Automation rules engine
+ * @param {object} [services.profiles] - Display profiles
+ * @param {object} [services.notifications] - Notification center
  * @returns {express.Router} Express router with API endpoints
  */
-function createApiRouter(config, io) {
+function createApiRouter (config, io, services = {}) {
 	const router = express.Router();
 
 	// API configuration
 	const apiConfig = config.api || {};
 	const apiEnabled = apiConfig.enabled !== false;
-	const apiToken = apiConfig.token || generateToken();
 	const apiPrefix = apiConfig.prefix || "/api/v1";
 
 	if (!apiEnabled) {
@@ -40,8 +50,27 @@ function createApiRouter(config, io) {
 
 	Log.info(`[API] REST API enabled at ${apiPrefix}`);
 
-	// Store for module states and settings
-	let moduleStates = new Map();
+	const configStore = services.configStore?.enabled ? services.configStore : null;
+	const tokenStore = services.tokenStore || new ApiTokenStore({ configToken: apiConfig.token });
+	const screenshots = services.screenshots || null;
+	const events = services.events || null;
+	const rules = services.rules || null;
+	const profiles = services.profiles || null;
+	const notifications = services.notifications || null;
+
+	// Module states as reported by the connected browsers
+	const moduleStates = new ModuleStateRegistry(io, {
+		ackTimeout: apiConfig.actionTimeout
+	});
+	moduleStates.on("change", (state, previous) => {
+		if (events && previous && previous.hidden !== state.hidden) {
+			events.publish(state.hidden ? "module.hidden" : "module.shown", {
+				identifier: state.identifier,
+				name: state.name,
+				position: state.position
+			});
+		}
+	});
 	let displaySettings = {
 		brightness: 100,
 		zoom: 100,
@@ -67,8 +96,8 @@ function createApiRouter(config, io) {
 			});
 		}
 
-		const token = authHeader.substring(7);
-		if (token !== apiToken) {
+		const token = tokenStore.verify(authHeader.substring(7));
+		if (!token) {
 			Log.warn(`[API] Invalid token attempt from ${req.ip}`);
 			return res.status(403).json({
 				success: false,
@@ -76,12 +105,37 @@ function createApiRouter(config, io) {
 			});
 		}
 
+		if (token.expired) {
+			return res.status(401).json({
+				success: false,
+				error: "API token expired"
+			});
+		}
+
+		req.apiToken = token;
 		next();
 	});
 
+	/**
+	 * Middleware factory: 403 unless the request token grants a scope
+	 * @param {string} scope - Required scope
+	 * @returns {Function} Express middleware
+	 */
+	function requireScope (scope) {
+		return (req, res, next) => {
+			if (!tokenStore.hasScope(req.apiToken, scope)) {
+				return res.status(403).json({
+					success: false,
+					error: `API token lacks the "${scope}" scope`
+				});
+			}
+			next();
+		};
+	}
+
 	// Middleware: Request logging
 	router.use((req, res, next) => {
-		Log.info(`[API] ${req.method} ${req.path} from ${req.ip}`);
+		Log.info(`[API] ${req.method} ${req.path} from ${req.ip} (${req.apiToken?.name || "anonymous"})`);
 		next();
 	});
 
@@ -101,7 +155,7 @@ function createApiRouter(config, io) {
 	/**
 	 * GET /info - System information
 	 */
-	router.get("/info", (req, res) => {
+	router.get("/info", requireScope("read"), (req, res) => {
 		res.json({
 			success: true,
 			data: {
@@ -117,18 +171,96 @@ function createApiRouter(config, io) {
 
 	// ==================== Modules ====================
 
+	/**
+	 * Find the reported state for a configured module
+	 * @param {object} mod - Module entry from config.modules
+	 * @param {number} index - Position in config.modules
+	 * @returns {object|undefined} Reported state
+	 */
+	function getModuleState (mod, index) {
+		return moduleStates.get(`module_${index}_${mod.module}`)
+			|| moduleStates.getByName(mod.module)[0];
+	}
+
+	/**
+	 * Check that a module is configured or reported by a display
+	 * @param {string} name - Module name
+	 * @returns {boolean} True if the module is known
+	 */
+	function isKnownModule (name) {
+		return config.modules.some((m) => m.module === name)
+			|| moduleStates.getByName(name).length > 0;
+	}
+
+	/**
+	 * Dispatch a module action and answer once the display acknowledged it
+	 * @param {express.Response} res - Express response
+	 * @param {string} action - Remote action name
+	 * @param {object} data - Action data
+	 * @param {string} message - Success message
+	 * @returns {Promise<void>} Resolves when the response is sent
+	 */
+	async function sendModuleAction (res, action, data, message) {
+		try {
+			const ack = await moduleStates.dispatch(action, data);
+
+			if (!ack.success) {
+				return res.status(409).json({
+					success: false,
+					error: ack.error || `${action} was rejected by the display`
+				});
+			}
+
+			res.json({
+				success: true,
+				message,
+				data: ack.modules
+			});
+		} catch (error) {
+			res.status(error.code === "NO_DISPLAY" ? 503 : 504).json({
+				success: false,
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Middleware: 404 for modules that are neither configured nor reported
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 * @param {Function} next - Next middleware
+	 * @returns {void}
+	 */
+	function requireKnownModule (req, res, next) {
+		if (!isKnownModule(req.params.name)) {
+			return res.status(404).json({
+				success: false,
+				error: "Module not found"
+			});
+		}
+		next();
+	}
+
 	/**
 	 * GET /modules - List all modules
 	 */
-	router.get("/modules", (req, res) => {
-		const modules = config.modules.map((mod, index) => ({
-			id: index,
-			name: mod.module,
-			position: mod.position,
-			header: mod.header,
-			hidden: moduleStates.get(mod.module)?.hidden || false,
-			config: mod.config ? Object.keys(mod.config) : []
-		}));
+	router.get("/modules", requireScope("read"), (req, res) => {
+		const modules = config.modules.map((mod, index) => {
+			const state = getModuleState(mod, index);
+			const moduleConfig = state ? state.config : mod.config;
+
+			return {
+				id: index,
+				identifier: state?.identifier,
+				name: mod.module,
+				position: state ? state.position : mod.position,
+				header: state ? state.header : mod.header,
+				hidden: state ? state.hidden : mod.hiddenOnStartup === true,
+				config: moduleConfig ? Object.keys(moduleConfig) : [],
+				lastUpdated: state?.lastUpdated || null,
+				reported: Boolean(state)
+			};
+		});
 
 		res.json({
 			success: true,
@@ -139,23 +271,24 @@ function createApiRouter(config, io) {
 	/**
 	 * GET /modules/:name - Get module details
 	 */
-	router.get("/modules/:name", (req, res) => {
-		const mod = config.modules.find((m) => m.module === req.params.name);
-		if (!mod) {
-			return res.status(404).json({
-				success: false,
-				error: "Module not found"
-			});
-		}
+	router.get("/modules/:name", requireScope("read"), requireKnownModule, (req, res) => {
+		const index = config.modules.findIndex((m) => m.module === req.params.name);
+		const mod = config.modules[index] || { module: req.params.name };
+		const state = index === -1
+			? moduleStates.getByName(req.params.name)[0]
+			: getModuleState(mod, index);
 
 		res.json({
 			success: true,
 			data: {
 				name: mod.module,
-				position: mod.position,
-				header: mod.header,
-				config: mod.config,
-				hidden: moduleStates.get(mod.module)?.hidden || false
+				identifier: state?.identifier,
+				position: state ? state.position : mod.position,
+				header: state ? state.header : mod.header,
+				config: state ? state.config : mod.config,
+				hidden: state ? state.hidden : mod.hiddenOnStartup === true,
+				lastUpdated: state?.lastUpdated || null,
+				reported: Boolean(state)
 			}
 		});
 	});
@@ -163,82 +296,180 @@ function createApiRouter(config, io) {
 	/**
 	 * POST /modules/:name/show - Show a module
 	 */
-	router.post("/modules/:name/show", (req, res) => {
+	router.post("/modules/:name/show", requireScope("modules"), requireKnownModule, (req, res) => {
 		const moduleName = req.params.name;
-		moduleStates.set(moduleName, { hidden: false });
 
-		// Broadcast to connected clients
-		io.emit("REMOTE_ACTION", {
-			action: "SHOW_MODULE",
-			module: moduleName
-		});
-
-		res.json({
-			success: true,
-			message: `Module ${moduleName} shown`
-		});
+		sendModuleAction(res, "SHOW_MODULE", { module: moduleName }, `Module ${moduleName} shown`);
 	});
 
 	/**
 	 * POST /modules/:name/hide - Hide a module
 	 */
-	router.post("/modules/:name/hide", (req, res) => {
+	router.post("/modules/:name/hide", requireScope("modules"), requireKnownModule, (req, res) => {
 		const moduleName = req.params.name;
-		moduleStates.set(moduleName, { hidden: true });
-
-		io.emit("REMOTE_ACTION", {
-			action: "HIDE_MODULE",
-			module: moduleName
-		});
 
-		res.json({
-			success: true,
-			message: `Module ${moduleName} hidden`
-		});
+		sendModuleAction(res, "HIDE_MODULE", { module: moduleName }, `Module ${moduleName} hidden`);
 	});
 
 	/**
 	 * POST /modules/:name/refresh - Refresh a module
 	 */
-	router.post("/modules/:name/refresh", (req, res) => {
+	router.post("/modules/:name/refresh", requireScope("modules"), requireKnownModule, (req, res) => {
 		const moduleName = req.params.name;
 
-		io.emit("REMOTE_ACTION", {
-			action: "REFRESH_MODULE",
-			module: moduleName
-		});
-
-		res.json({
-			success: true,
-			message: `Module ${moduleName} refreshed`
-		});
+		sendModuleAction(res, "REFRESH_MODULE", { module: moduleName }, `Module ${moduleName} refreshed`);
 	});
 
 	/**
 	 * PUT /modules/:name/config - Update module config
+	 * With api.persistConfig the change is validated and saved as a new
+	 * config revision before it is sent to the display.
 	 */
-	router.put("/modules/:name/config", async (req, res) => {
+	router.put("/modules/:name/config", requireScope("modules"), requireKnownModule, async (req, res) => {
 		const moduleName = req.params.name;
 		const newConfig = req.body;
 
-		if (!newConfig || typeof newConfig !== "object") {
+		if (!newConfig || typeof newConfig !== "object" || Array.isArray(newConfig)) {
 			return res.status(400).json({
 				success: false,
 				error: "Invalid configuration object"
 			});
 		}
 
-		// Broadcast config update
-		io.emit("REMOTE_ACTION", {
-			action: "UPDATE_CONFIG",
-			module: moduleName,
-			config: newConfig
-		});
+		if (!configStore) {
+			return sendModuleAction(
+				res,
+				"UPDATE_CONFIG",
+				{ module: moduleName, config: newConfig },
+				`Module ${moduleName} config updated`
+			);
+		}
 
-		res.json({
-			success: true,
-			message: `Module ${moduleName} config updated`
-		});
+		let revision;
+		try {
+			revision = await configStore.saveModuleConfig(moduleName, newConfig, {
+				source: "api",
+				client: req.ip
+			});
+		} catch (error) {
+			return res.status(error.code === "INVALID_CONFIG" ? 400 : 500).json({
+				success: false,
+				error: error.message
+			});
+		}
+
+		const message = revision.unchanged
+			? `Module ${moduleName} config unchanged at revision ${revision.id}`
+			: `Module ${moduleName} config saved as revision ${revision.id}`;
+
+		try {
+			const ack = await moduleStates.dispatch("UPDATE_CONFIG", { module: moduleName, config: newConfig });
+			res.status(ack.success ? 200 : 409).json({
+				success: ack.success,
+				message,
+				error: ack.error,
+				data: ack.modules,
+				revision
+			});
+		} catch (error) {
+			// Saved anyway: the display picks the overlay up on its next load
+			res.status(error.code === "NO_DISPLAY" ? 202 : 504).json({
+				success: error.code === "NO_DISPLAY",
+				message,
+				error: error.message,
+				revision
+			});
+		}
+	});
+
+	// ==================== Config Revisions ====================
+
+	/**
+	 * Middleware: 404 while config persistence is disabled
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 * @param {Function} next - Next middleware
+	 * @returns {void}
+	 */
+	function requireConfigStore (req, res, next) {
+		if (!configStore) {
+			return res.status(404).json({
+				success: false,
+				error: "Config persistence is disabled (set api.persistConfig: true)"
+			});
+		}
+		next();
+	}
+
+	/**
+	 * GET /config/revisions - List saved config revisions, newest first
+	 */
+	router.get("/config/revisions", requireScope("read"), requireConfigStore, async (req, res) => {
+		try {
+			res.json({
+				success: true,
+				data: await configStore.listRevisions()
+			});
+		} catch (error) {
+			res.status(500).json({
+				success: false,
+				error: error.message
+			});
+		}
+	});
+
+	/**
+	 * POST /config/revisions/:id/restore - Restore a config revision
+	 */
+	router.post("/config/revisions/:id/restore", requireScope("modules"), requireConfigStore, async (req, res) => {
+		const id = parseInt(req.params.id, 10);
+		if (!Number.isInteger(id)) {
+			return res.status(400).json({
+				success: false,
+				error: "Invalid revision id"
+			});
+		}
+
+		try {
+			const revision = await configStore.restoreRevision(id, {
+				source: "restore",
+				client: req.ip
+			});
+
+			// Reload so removed keys fall back to config.js and module defaults
+			io.emit("REMOTE_ACTION", {
+				action: "REFRESH_PAGE"
+			});
+
+			res.json({
+				success: true,
+				message: `Revision ${id} restored as revision ${revision.id}`,
+				data: revision
+			});
+		} catch (error) {
+			const status = { NOT_FOUND: 404, INVALID_CONFIG: 400 }[error.code] || 500;
+			res.status(status).json({
+				success: false,
+				error: error.message
+			});
+		}
+	});
+
+	// ==================== Events ====================
+
+	/**
+	 * GET /events - Server-Sent Events stream
+	 * Query: topics=module,alert (default: all events)
+	 */
+	router.get("/events", requireScope("read"), (req, res) => {
+		if (!events) {
+			return res.status(501).json({
+				success: false,
+				error: "Event stream is not available"
+			});
+		}
+
+		events.handleSse(req, res);
 	});
 
 	// ==================== Display ====================
@@ -246,7 +477,7 @@ function createApiRouter(config, io) {
 	/**
 	 * GET /display - Get display settings
 	 */
-	router.get("/display", (req, res) => {
+	router.get("/display", requireScope("read"), (req, res) => {
 		res.json({
 			success: true,
 			data: displaySettings
@@ -256,7 +487,7 @@ function createApiRouter(config, io) {
 	/**
 	 * PUT /display - Update display settings
 	 */
-	router.put("/display", (req, res) => {
+	router.put("/display", requireScope("display"), (req, res) => {
 		const { brightness, zoom, colorScheme, screenOn } = req.body;
 
 		if (brightness !== undefined) {
@@ -276,6 +507,7 @@ function createApiRouter(config, io) {
 			action: "UPDATE_DISPLAY",
 			settings: displaySettings
 		});
+		events?.publish("display.updated", displaySettings);
 
 		res.json({
 			success: true,
@@ -286,7 +518,7 @@ function createApiRouter(config, io) {
 	/**
 	 * POST /display/refresh - Refresh the entire display
 	 */
-	router.post("/display/refresh", (req, res) => {
+	router.post("/display/refresh", requireScope("display"), (req, res) => {
 		io.emit("REMOTE_ACTION", {
 			action: "REFRESH_PAGE"
 		});
@@ -298,26 +530,106 @@ function createApiRouter(config, io) {
 	});
 
 	/**
-	 * POST /display/screenshot - Capture screenshot (if supported)
+	 * POST /display/screenshot - Capture a screenshot
+	 * Body (optional): { region: "top_left" } or { module: "calendar" } to crop
 	 */
-	router.post("/display/screenshot", (req, res) => {
-		io.emit("REMOTE_ACTION", {
-			action: "SCREENSHOT"
+	router.post("/display/screenshot", requireScope("display"), async (req, res) => {
+		if (!screenshots) {
+			return res.status(501).json({
+				success: false,
+				error: "Screenshots are not supported"
+			});
+		}
+
+		const { region, module } = req.body || {};
+
+		try {
+			const screenshot = await screenshots.capture({ region, module });
+			const { image, ...info } = screenshot;
+
+			res.json({
+				success: true,
+				message: "Screenshot captured",
+				data: {
+					...info,
+					size: image.length,
+					url: `${apiPrefix}/display/screenshot/latest`
+				}
+			});
+		} catch (error) {
+			const status = { INVALID: 400, NOT_FOUND: 404, UNAVAILABLE: 503 }[error.code] || 500;
+			res.status(status).json({
+				success: false,
+				error: error.message
+			});
+		}
+	});
+
+	/**
+	 * GET /display/screenshot/latest - The latest screenshot as PNG
+	 */
+	router.get("/display/screenshot/latest", requireScope("read"), (req, res) => {
+		const screenshot = screenshots?.getLatest();
+		if (!screenshot) {
+			return res.status(404).json({
+				success: false,
+				error: "No screenshot captured yet (POST /display/screenshot)"
+			});
+		}
+
+		res.set({
+			"Content-Type": "image/png",
+			"Cache-Control": "no-store",
+			"X-Captured-At": screenshot.capturedAt
 		});
+		res.send(screenshot.image);
+	});
 
+	// ==================== Profiles ====================
+
+	/**
+	 * GET /profiles - List display profiles
+	 */
+	router.get("/profiles", requireScope("read"), (req, res) => {
 		res.json({
 			success: true,
-			message: "Screenshot request sent"
+			active: profiles?.active || null,
+			profiles: profiles ? profiles.list() : []
 		});
 	});
 
+	/**
+	 * POST /profiles/:name/activate - Switch all displays to a profile
+	 */
+	router.post("/profiles/:name/activate", requireScope("display"), (req, res) => {
+		if (!profiles) {
+			return res.status(404).json({
+				success: false,
+				error: `Profile ${req.params.name} not found`
+			});
+		}
+
+		try {
+			res.json({
+				success: true,
+				message: `Profile ${req.params.name} activated`,
+				data: profiles.activate(req.params.name, "api")
+			});
+		} catch (error) {
+			res.status(error.code === "NOT_FOUND" ? 404 : 500).json({
+				success: false,
+				error: error.message
+			});
+		}
+	});
+
 	// ==================== Alerts & Notifications ====================
 
 	/**
 	 * POST /alert - Show an alert on the display
 	 */
-	router.post("/alert", (req, res) => {
-		const { title, message, type = "notification", timer = 5000 } = req.body;
+	router.post("/alert", requireScope("display"), (req, res) => {
+		const { title, message, type = "notification", timer = 5000, priority } = req.body;
 
 		if (!message) {
 			return res.status(400).json({
@@ -325,10 +637,16 @@ function createApiRouter(config, io) {
 				error: "Message is required"
 			});
 		}
+		if (priority !== undefined && !PRIORITIES.includes(priority)) {
+			return res.status(400).json({
+				success: false,
+				error: `priority must be one of ${PRIORITIES.join(", ")}`
+			});
+		}
 
 		io.emit("REMOTE_ACTION", {
 			action: "SHOW_ALERT",
-			alert: { title, message, type, timer }
+			alert: { title, message, type, timer, priority, source: "api" }
 		});
 
 		res.json({
@@ -340,7 +658,7 @@ function createApiRouter(config, io) {
 	/**
 	 * DELETE /alert - Dismiss current alert
 	 */
-	router.delete("/alert", (req, res) => {
+	router.delete("/alert", requireScope("display"), (req, res) => {
 		io.emit("REMOTE_ACTION", {
 			action: "HIDE_ALERT"
 		});
@@ -351,44 +669,813 @@ function createApiRouter(config, io) {
 		});
 	});
 
-	// ==================== Services ====================
+	/**
+	 * Middleware: 501 without notification center
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 * @param {Function} next - Next middleware
+	 * @returns {void}
+	 */
+	function requireNotifications (req, res, next) {
+		if (!notifications) {
+			return res.status(501).json({
+				success: false,
+				error: "Notification center is not available"
+			});
+		}
+		next();
+	}
 
 	/**
-	 * GET /services - Get service connection status
+	 * GET /notifications - Notification history, newest first
+	 * Query: ?source=&priority= (minimum)&since=&until=&limit=
 	 */
-	router.get("/services", (req, res) => {
+	router.get("/notifications", requireScope("read"), requireNotifications, (req, res) => {
+		const { source, priority } = req.query;
+		const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+		const range = parseTimeRange(req.query);
+
+		if (!range) {
+			return res.status(400).json({
+				success: false,
+				error: "since and until must be ISO dates or timestamps in ms"
+			});
+		}
+		if (priority !== undefined && !PRIORITIES.includes(priority)) {
+			return res.status(400).json({
+				success: false,
+				error: `priority must be one of ${PRIORITIES.join(", ")}`
+			});
+		}
+		if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+			return res.status(400).json({
+				success: false,
+				error: "limit must be between 1 and 1000"
+			});
+		}
+
 		res.json({
 			success: true,
-			data: {
-				openeye: { connected: false },
-				homeassistant: { connected: false },
-				spotify: { connected: false },
-				googlecalendar: { connected: false },
-				openweathermap: { connected: false }
-			}
+			data: notifications.list({ source, priority, ...range, limit }),
+			policy: notifications.policy()
 		});
 	});
 
 	/**
-	 * PUT /services/:name - Update service configuration
+	 * DELETE /notifications - Clear the notification history
 	 */
-	router.put("/services/:name", async (req, res) => {
-		const serviceName = req.params.name;
-		const serviceConfig = req.body;
-
-		try {
-			// Save to secrets file
-			const secretsPath = path.join(global.root_path, "config", "secrets.json");
-			let secrets = {};
+	router.delete("/notifications", requireScope("display"), requireNotifications, (req, res) => {
+		res.json({
+			success: true,
+			deleted: notifications.clear()
+		});
+	});
 
-			try {
-				const data = await fs.readFile(secretsPath, "utf8");
-				secrets = JSON.parse(data);
-			} catch (e) {
-				// File doesn't exist yet
-			}
+	/**
+	 * DELETE /notifications/:id - Delete one notification
+	 */
+	router.delete("/notifications/:id", requireScope("display"), requireNotifications, (req, res) => {
+		if (notifications.clear(Number(req.params.id)) === 0) {
+			return res.status(404).json({
+				success: false,
+				error: `Notification ${req.params.id} not found`
+			});
+		}
 
-			secrets[serviceName] = {
+		res.json({
+			success: true,
+			deleted: 1
+		});
+	});
+
+	/**
+	 * PUT /notifications/dnd - Turn do-not-disturb on or off
+	 * Body: { enabled: true, duration: 3600000 } (duration in ms is optional)
+	 */
+	router.put("/notifications/dnd", requireScope("display"), requireNotifications, (req, res) => {
+		const { enabled, duration } = req.body || {};
+
+		if (typeof enabled !== "boolean") {
+			return res.status(400).json({
+				success: false,
+				error: "enabled must be true or false"
+			});
+		}
+
+		try {
+			res.json({
+				success: true,
+				data: notifications.setDoNotDisturb(enabled, duration)
+			});
+		} catch (error) {
+			res.status(400).json({
+				success: false,
+				error: error.message
+			});
+		}
+	});
+
+	// ==================== Cameras ====================
+
+	/**
+	 * Validate the optional duration (ms) of a fullscreen camera view
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 * @param {Function} next - Next middleware
+	 * @returns {void}
+	 */
+	function validateDuration (req, res, next) {
+		const { duration } = req.body || {};
+		if (duration !== undefined && (!Number.isFinite(duration) || duration < 0)) {
+			return res.status(400).json({
+				success: false,
+				error: "Duration must be a number of milliseconds (0 = until closed)"
+			});
+		}
+		next();
+	}
+
+	/**
+	 * POST /cameras/:id/fullscreen - Show a camera of the security module fullscreen
+	 */
+	router.post("/cameras/:id/fullscreen", requireScope("display"), validateDuration, (req, res) => {
+		io.emit("REMOTE_ACTION", {
+			action: "CUSTOM_COMMAND",
+			command: "SECURITY_SHOW_CAMERA",
+			payload: { camera: req.params.id, duration: req.body?.duration }
+		});
+
+		res.json({
+			success: true,
+			message: `Showing camera ${req.params.id}`
+		});
+	});
+
+	/**
+	 * POST /cameras/carousel - Rotate through all cameras fullscreen
+	 */
+	router.post("/cameras/carousel", requireScope("display"), validateDuration, (req, res) => {
+		io.emit("REMOTE_ACTION", {
+			action: "CUSTOM_COMMAND",
+			command: "SECURITY_SHOW_ALL_CAMERAS",
+			payload: { duration: req.body?.duration }
+		});
+
+		res.json({
+			success: true,
+			message: "Showing all cameras"
+		});
+	});
+
+	/**
+	 * DELETE /cameras/fullscreen - Close the fullscreen camera view
+	 */
+	router.delete("/cameras/fullscreen", requireScope("display"), (req, res) => {
+		io.emit("REMOTE_ACTION", {
+			action: "CUSTOM_COMMAND",
+			command: "SECURITY_CLOSE_CAMERA"
+		});
+
+		res.json({
+			success: true,
+			message: "Camera view closed"
+		});
+	});
+
+	// ==================== Security Events ====================
+
+	/**
+	 * Read the since and until query parameters
+	 * @param {object} query - Express query
+	 * @returns {object|null} { since, until } as Dates (undefined if not given), null if invalid
+	 */
+	function parseTimeRange (query) {
+		const parseTime = (value) => (value === undefined ? undefined : new Date(/^\d+$/.test(value) ? Number(value) : value));
+		const range = { since: parseTime(query.since), until: parseTime(query.until) };
+
+		return Object.values(range).some((time) => time && Number.isNaN(time.getTime())) ? null : range;
+	}
+
+	/**
+	 * Middleware: 503 unless the security module keeps an event log
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 * @param {Function} next - Next middleware
+	 * @returns {void}
+	 */
+	function requireSecurityEvents (req, res, next) {
+		req.securityEvents = req.app.get("securityEvents");
+		if (!req.securityEvents) {
+			return res.status(503).json({
+				success: false,
+				error: "Security module is not running"
+			});
+		}
+		next();
+	}
+
+	/**
+	 * GET /security/events - Query the local security event history
+	 * Query: camera, type (comma-separated), since, until (ISO date or ms), limit (max 1000)
+	 */
+	router.get("/security/events", requireScope("read"), requireSecurityEvents, (req, res) => {
+		const { camera, type } = req.query;
+		const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+		const range = parseTimeRange(req.query);
+
+		if (!range) {
+			return res.status(400).json({
+				success: false,
+				error: "since and until must be ISO dates or timestamps in ms"
+			});
+		}
+		if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+			return res.status(400).json({
+				success: false,
+				error: "limit must be between 1 and 1000"
+			});
+		}
+
+		const events = req.securityEvents.query({
+			camera,
+			type: type ? [].concat(type).join(",").split(",") : undefined,
+			...range,
+			limit
+		});
+
+		res.json({
+			success: true,
+			data: events
+		});
+	});
+
+	/**
+	 * GET /security/events/digest - Event summary of one day (?date=YYYY-MM-DD, yesterday by default)
+	 */
+	router.get("/security/events/digest", requireScope("read"), requireSecurityEvents, (req, res) => {
+		const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(req.query.date || "");
+		if (req.query.date && !match) {
+			return res.status(400).json({
+				success: false,
+				error: "date must be YYYY-MM-DD"
+			});
+		}
+
+		res.json({
+			success: true,
+			data: req.securityEvents.digest(match ? new Date(match[1], match[2] - 1, match[3]) : undefined)
+		});
+	});
+
+	// ==================== Presence ====================
+
+	/**
+	 * Middleware: 503 unless the network module tracks presence
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 * @param {Function} next - Next middleware
+	 * @returns {void}
+	 */
+	function requirePresence (req, res, next) {
+		req.presence = req.app.get("presence");
+		if (!req.presence) {
+			return res.status(503).json({
+				success: false,
+				error: "Network module is not running"
+			});
+		}
+		next();
+	}
+
+	/**
+	 * GET /presence - Who is home, from the devices of known owners
+	 */
+	router.get("/presence", requireScope("read"), requirePresence, (req, res) => {
+		const people = req.presence.whoIsHome();
+
+		res.json({
+			success: true,
+			data: {
+				home: people.filter((entry) => entry.home).map((entry) => entry.person),
+				people
+			}
+		});
+	});
+
+	/**
+	 * GET /presence/devices/:mac - First and last seen and the sessions of a device
+	 */
+	router.get("/presence/devices/:mac", requireScope("read"), requirePresence, (req, res) => {
+		const history = req.presence.history(req.params.mac.toLowerCase());
+		if (!history) {
+			return res.status(404).json({
+				success: false,
+				error: `Device ${req.params.mac} has not been seen`
+			});
+		}
+
+		res.json({
+			success: true,
+			data: history
+		});
+	});
+
+	// ==================== Network Devices ====================
+
+	/**
+	 * Middleware: 503 unless the network module is running
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 * @param {Function} next - Next middleware
+	 * @returns {void}
+	 */
+	function requireKnownDevices (req, res, next) {
+		req.knownDevices = req.app.get("knownDevices");
+		if (!req.knownDevices) {
+			return res.status(503).json({
+				success: false,
+				error: "Network module is not running"
+			});
+		}
+		next();
+	}
+
+	/**
+	 * GET /network/devices - Known and scanned devices, known devices first
+	 */
+	router.get("/network/devices", requireScope("read"), requireKnownDevices, (req, res) => {
+		res.json({
+			success: true,
+			data: req.knownDevices.list()
+		});
+	});
+
+	/**
+	 * GET /network/devices/:mac - A device with its name, type, owner, flags and scan data
+	 */
+	router.get("/network/devices/:mac", requireScope("read"), requireKnownDevices, (req, res) => {
+		const device = req.knownDevices.view(req.params.mac);
+		if (!device) {
+			return res.status(404).json({
+				success: false,
+				error: `Device ${req.params.mac} is not known and has not been seen`
+			});
+		}
+
+		res.json({
+			success: true,
+			data: device
+		});
+	});
+
+	/**
+	 * PUT /network/devices/:mac - Name, classify or flag a device
+	 * Body: any of name, type, owner (null to clear), alertOffline, blocked
+	 */
+	router.put("/network/devices/:mac", requireScope("modules"), requireKnownDevices, (req, res) => {
+		if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+			return res.status(400).json({
+				success: false,
+				error: "Request body must be a JSON object"
+			});
+		}
+
+		try {
+			const device = req.knownDevices.set(req.params.mac, req.body);
+			res.json({
+				success: true,
+				data: device
+			});
+		} catch (error) {
+			res.status(400).json({
+				success: false,
+				error: error.message,
+				types: req.knownDevices.types
+			});
+		}
+	});
+
+	/**
+	 * DELETE /network/devices/:mac - Forget a device saved on the mirror
+	 */
+	router.delete("/network/devices/:mac", requireScope("modules"), requireKnownDevices, (req, res) => {
+		if (req.knownDevices.remove(req.params.mac)) {
+			return res.json({
+				success: true,
+				data: req.knownDevices.view(req.params.mac)
+			});
+		}
+
+		const configured = req.knownDevices.get(req.params.mac);
+		res.status(configured ? 409 : 404).json({
+			success: false,
+			error: configured
+				? `Device ${req.params.mac} is configured in config.js`
+				: `Device ${req.params.mac} is not known`
+		});
+	});
+
+	// ==================== Speed Tests ====================
+
+	/**
+	 * Middleware: 503 unless the network module keeps a speed test history
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 * @param {Function} next - Next middleware
+	 * @returns {void}
+	 */
+	function requireSpeedTests (req, res, next) {
+		req.speedTests = req.app.get("speedTests");
+		if (!req.speedTests) {
+			return res.status(503).json({
+				success: false,
+				error: "Network module is not running"
+			});
+		}
+		next();
+	}
+
+	/**
+	 * GET /network/speedtests - Speed test results, oldest first
+	 * Query: since, until (ISO date or ms), format (json or csv)
+	 */
+	router.get("/network/speedtests", requireScope("read"), requireSpeedTests, (req, res) => {
+		const range = parseTimeRange(req.query);
+		const format = req.query.format || "json";
+
+		if (!range) {
+			return res.status(400).json({
+				success: false,
+				error: "since and until must be ISO dates or timestamps in ms"
+			});
+		}
+		if (!["json", "csv"].includes(format)) {
+			return res.status(400).json({
+				success: false,
+				error: "format must be json or csv"
+			});
+		}
+
+		const results = req.speedTests.list(range);
+		if (format === "csv") {
+			res.attachment("speedtests.csv");
+			res.type("text/csv");
+			return res.send(req.speedTests.toCSV(results));
+		}
+
+		res.json({
+			success: true,
+			data: results
+		});
+	});
+
+	/**
+	 * GET /network/speedtests/aggregates - Min, average and max speeds per day or week
+	 * Query: period (day or week), since, until (ISO date or ms)
+	 */
+	router.get("/network/speedtests/aggregates", requireScope("read"), requireSpeedTests, (req, res) => {
+		const range = parseTimeRange(req.query);
+		const period = req.query.period || "day";
+
+		if (!range) {
+			return res.status(400).json({
+				success: false,
+				error: "since and until must be ISO dates or timestamps in ms"
+			});
+		}
+		if (!["day", "week"].includes(period)) {
+			return res.status(400).json({
+				success: false,
+				error: "period must be day or week"
+			});
+		}
+
+		res.json({
+			success: true,
+			data: req.speedTests.aggregate(period, range)
+		});
+	});
+
+	// ==================== Network Threats ====================
+
+	/**
+	 * Middleware: 503 unless the network security module tracks threats
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 * @param {Function} next - Next middleware
+	 * @returns {void}
+	 */
+	function requireNetworkThreats (req, res, next) {
+		req.networkThreats = req.app.get("networkThreats");
+		if (!req.networkThreats) {
+			return res.status(503).json({
+				success: false,
+				error: "Network security module is not running"
+			});
+		}
+		next();
+	}
+
+	/**
+	 * GET /network/threats - Threats of the last 24 hours and the events per source IP
+	 * Query: acknowledged=false to leave out acknowledged threats, limit (max 500)
+	 */
+	router.get("/network/threats", requireScope("read"), requireNetworkThreats, (req, res) => {
+		const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+		if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+			return res.status(400).json({
+				success: false,
+				error: "limit must be between 1 and 500"
+			});
+		}
+
+		res.json({
+			success: true,
+			data: {
+				threats: req.networkThreats.list({ acknowledged: req.query.acknowledged !== "false", limit }),
+				sources: req.networkThreats.sources()
+			}
+		});
+	});
+
+	/**
+	 * POST /network/threats/:id/acknowledge - Acknowledge a threat
+	 */
+	router.post("/network/threats/:id/acknowledge", requireScope("modules"), requireNetworkThreats, (req, res) => {
+		const threat = req.networkThreats.acknowledge(req.params.id);
+		if (!threat) {
+			return res.status(404).json({
+				success: false,
+				error: `Threat ${req.params.id} not found`
+			});
+		}
+
+		res.json({
+			success: true,
+			data: threat
+		});
+	});
+
+	/**
+	 * POST /network/threats/mute - Mute a source IP
+	 * Body: { ip, duration } (duration in ms, the module's muteDuration by default)
+	 */
+	router.post("/network/threats/mute", requireScope("modules"), requireNetworkThreats, (req, res) => {
+		const { ip, duration } = req.body || {};
+
+		try {
+			res.json({
+				success: true,
+				data: req.networkThreats.mute(ip, duration ?? undefined)
+			});
+		} catch (error) {
+			res.status(400).json({
+				success: false,
+				error: error.message
+			});
+		}
+	});
+
+	/**
+	 * DELETE /network/threats/mute/:ip - Unmute a source IP
+	 */
+	router.delete("/network/threats/mute/:ip", requireScope("modules"), requireNetworkThreats, (req, res) => {
+		if (!req.networkThreats.unmute(req.params.ip)) {
+			return res.status(404).json({
+				success: false,
+				error: `${req.params.ip} is not muted`
+			});
+		}
+
+		res.json({
+			success: true,
+			data: { ip: req.params.ip }
+		});
+	});
+
+	// ==================== Calendar ====================
+
+	/**
+	 * Middleware: 503 unless the calendar module is running
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 * @param {Function} next - Next middleware
+	 * @returns {void}
+	 */
+	function requireCalendar (req, res, next) {
+		req.calendar = req.app.get("calendar");
+		if (!req.calendar) {
+			return res.status(503).json({
+				success: false,
+				error: "Calendar module is not running"
+			});
+		}
+		next();
+	}
+
+	/**
+	 * Answer a failed calendar write: 409 if the entry changed on the server,
+	 * 502 if the CalDAV server failed, 400 for invalid entries.
+	 * @param {object} res - Express response
+	 * @param {Error} error - The error
+	 * @returns {void}
+	 */
+	function calendarWriteFailed (res, error) {
+		let status = 400;
+		if (error.status === 412) {
+			status = 409;
+		} else if (error.status || error.cause) {
+			status = 502;
+		}
+
+		res.status(status).json({
+			success: false,
+			error: error.message
+		});
+	}
+
+	/**
+	 * Save an event or task to the writable CalDAV calendar
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 * @param {string} type - "event" or "task"
+	 * @returns {Promise<void>}
+	 */
+	async function saveCalendarItem (req, res, type) {
+		if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+			return res.status(400).json({
+				success: false,
+				error: "Request body must be a JSON object"
+			});
+		}
+
+		try {
+			const result = await req.calendar.saveItem({ ...req.body, type });
+			res.status(req.body.uid ? 200 : 201).json({
+				success: true,
+				data: result
+			});
+		} catch (error) {
+			calendarWriteFailed(res, error);
+		}
+	}
+
+	/**
+	 * GET /calendar/events - Events of all calendars by start, events on several calendars merged
+	 * Query: since, until (ISO date or ms), limit (max 1000)
+	 */
+	router.get("/calendar/events", requireScope("read"), requireCalendar, (req, res) => {
+		const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+		const range = parseTimeRange(req.query);
+
+		if (!range) {
+			return res.status(400).json({
+				success: false,
+				error: "since and until must be ISO dates or timestamps in ms"
+			});
+		}
+		if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+			return res.status(400).json({
+				success: false,
+				error: "limit must be between 1 and 1000"
+			});
+		}
+
+		const agenda = req.calendar.agenda(range);
+		res.json({
+			success: true,
+			data: {
+				events: agenda.events.slice(0, limit),
+				calendars: agenda.calendars
+			}
+		});
+	});
+
+	/**
+	 * POST /calendar/events - Add an event, or replace the event with the given uid
+	 * Body: { title, start, end, allDay, location, description, uid }
+	 */
+	router.post("/calendar/events", requireScope("modules"), requireCalendar, (req, res) => saveCalendarItem(req, res, "event"));
+
+	/**
+	 * POST /calendar/tasks - Add a task, or replace the task with the given uid
+	 * Body: { title, due, start, allDay, priority, completed, location, description, uid }
+	 */
+	router.post("/calendar/tasks", requireScope("modules"), requireCalendar, (req, res) => saveCalendarItem(req, res, "task"));
+
+	/**
+	 * DELETE /calendar/events/:uid - Delete an event or task
+	 */
+	router.delete("/calendar/events/:uid", requireScope("modules"), requireCalendar, async (req, res) => {
+		try {
+			if (!await req.calendar.deleteItem(req.params.uid)) {
+				return res.status(404).json({
+					success: false,
+					error: `No calendar entry with UID ${req.params.uid}`
+				});
+			}
+
+			res.json({
+				success: true,
+				data: { uid: req.params.uid }
+			});
+		} catch (error) {
+			calendarWriteFailed(res, error);
+		}
+	});
+
+	/**
+	 * GET /calendar/reminders - Reminders of events not over yet: active, snoozed and upcoming
+	 */
+	router.get("/calendar/reminders", requireScope("read"), requireCalendar, (req, res) => {
+		res.json({
+			success: true,
+			data: req.calendar.reminders.list()
+		});
+	});
+
+	/**
+	 * POST /calendar/reminders/:id/snooze - Fire a reminder again later
+	 * Body: { minutes } (default 5, max 1440)
+	 */
+	router.post("/calendar/reminders/:id/snooze", requireScope("modules"), requireCalendar, (req, res) => {
+		const minutes = req.body?.minutes === undefined ? 5 : req.body.minutes;
+		if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) {
+			return res.status(400).json({
+				success: false,
+				error: "minutes must be between 1 and 1440"
+			});
+		}
+
+		const reminder = req.calendar.reminders.snooze(req.params.id, minutes);
+		if (!reminder) {
+			return res.status(404).json({
+				success: false,
+				error: `No reminder with id ${req.params.id}`
+			});
+		}
+
+		res.json({
+			success: true,
+			data: reminder
+		});
+	});
+
+	/**
+	 * POST /calendar/reminders/:id/dismiss - Stop a reminder, before or after it fired
+	 */
+	router.post("/calendar/reminders/:id/dismiss", requireScope("modules"), requireCalendar, (req, res) => {
+		if (!req.calendar.reminders.dismiss(req.params.id)) {
+			return res.status(404).json({
+				success: false,
+				error: `No reminder with id ${req.params.id}`
+			});
+		}
+
+		res.json({
+			success: true,
+			data: { id: req.params.id }
+		});
+	});
+
+	// ==================== Services ====================
+
+	/**
+	 * GET /services - Get service connection status
+	 */
+	router.get("/services", requireScope("read"), (req, res) => {
+		res.json({
+			success: true,
+			data: {
+				openeye: { connected: false },
+				homeassistant: { connected: false },
+				spotify: { connected: false },
+				googlecalendar: { connected: false },
+				openweathermap: { connected: false }
+			}
+		});
+	});
+
+	/**
+	 * PUT /services/:name - Update service configuration
+	 */
+	router.put("/services/:name", requireScope("services"), async (req, res) => {
+		const serviceName = req.params.name;
+		const serviceConfig = req.body;
+
+		try {
+			// Save to secrets file
+			const secretsPath = path.join(global.root_path, "config", "secrets.json");
+			let secrets = {};
+
+			try {
+				const data = await fs.readFile(secretsPath, "utf8");
+				secrets = JSON.parse(data);
+			} catch (e) {
+				// File doesn't exist yet
+			}
+
+			secrets[serviceName] = {
 				...secrets[serviceName],
 				...serviceConfig,
 				updatedAt: new Date().toISOString()
@@ -418,7 +1505,7 @@ function createApiRouter(config, io) {
 	/**
 	 * POST /services/:name/test - Test service connection
 	 */
-	router.post("/services/:name/test", (req, res) => {
+	router.post("/services/:name/test", requireScope("services"), (req, res) => {
 		const serviceName = req.params.name;
 
 		io.emit("REMOTE_ACTION", {
@@ -433,12 +1520,145 @@ function createApiRouter(config, io) {
 		});
 	});
 
+	// ==================== API Tokens ====================
+
+	/**
+	 * GET /tokens - List API tokens (never includes the tokens themselves)
+	 */
+	router.get("/tokens", requireScope("admin"), (req, res) => {
+		res.json({
+			success: true,
+			data: tokenStore.list()
+		});
+	});
+
+	/**
+	 * POST /tokens - Mint a new token
+	 * Body: { name, scopes: [...], expiresInDays?, expiresAt? }
+	 * The token is only returned in this response.
+	 */
+	router.post("/tokens", requireScope("admin"), (req, res) => {
+		const { name, scopes, expiresInDays, expiresAt } = req.body || {};
+		let expiry = expiresAt || null;
+
+		if (expiresInDays !== undefined && expiresInDays !== null) {
+			const days = Number(expiresInDays);
+			if (!Number.isFinite(days) || days <= 0) {
+				return res.status(400).json({
+					success: false,
+					error: "expiresInDays must be a positive number"
+				});
+			}
+			expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+		}
+
+		try {
+			const token = tokenStore.create({ name, scopes, expiresAt: expiry });
+			res.status(201).json({
+				success: true,
+				message: "Token created - store it now, it will not be shown again",
+				data: token
+			});
+		} catch (error) {
+			res.status(400).json({
+				success: false,
+				error: error.message,
+				scopes: SCOPES
+			});
+		}
+	});
+
+	/**
+	 * DELETE /tokens/:id - Revoke a token
+	 */
+	router.delete("/tokens/:id", requireScope("admin"), (req, res) => {
+		if (req.params.id === "config") {
+			return res.status(409).json({
+				success: false,
+				error: "The api.token from config.js can only be removed in config.js"
+			});
+		}
+
+		if (!tokenStore.revoke(req.params.id)) {
+			return res.status(404).json({
+				success: false,
+				error: "Token not found"
+			});
+		}
+
+		res.json({
+			success: true,
+			message: "Token revoked"
+		});
+	});
+
+	// ==================== Automation ====================
+
+	/**
+	 * Middleware: 501 without rules engine
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 * @param {Function} next - Next middleware
+	 * @returns {void}
+	 */
+	function requireRules (req, res, next) {
+		if (!rules) {
+			return res.status(501).json({
+				success: false,
+				error: "Rules engine is not available"
+			});
+		}
+		next();
+	}
+
+	/**
+	 * GET /rules - List automation rules
+	 */
+	router.get("/rules", requireScope("read"), requireRules, (req, res) => {
+		res.json({
+			success: true,
+			rules: rules.list()
+		});
+	});
+
+	/**
+	 * POST /rules/:name/fire - Run the actions of a rule now
+	 * Body: { checkConditions: true } to only fire when the conditions are met
+	 */
+	router.post("/rules/:name/fire", requireScope("modules"), requireRules, (req, res) => {
+		try {
+			const result = rules.fire(req.params.name, { type: "manual" }, {
+				manual: true,
+				checkConditions: req.body?.checkConditions === true
+			});
+
+			if (!result.fired) {
+				return res.status(409).json({
+					success: false,
+					error: `Rule ${req.params.name} not fired: ${result.reason}`,
+					rule: result.rule
+				});
+			}
+
+			res.json({
+				success: true,
+				message: `Rule ${req.params.name} fired`,
+				rule: result.rule
+			});
+		} catch (error) {
+			res.status(error.code === "NOT_FOUND" ? 404 : 500).json({
+				success: false,
+				error: error.message
+			});
+		}
+	});
+
 	// ==================== Commands ====================
 
 	/**
 	 * POST /command - Send a custom command
 	 */
-	router.post("/command", (req, res) => {
+	router.post("/command", requireScope("modules"), (req, res) => {
 		const { command, payload } = req.body;
 
 		if (!command) {
@@ -463,7 +1683,7 @@ function createApiRouter(config, io) {
 	/**
 	 * POST /shutdown - Shutdown MagicMirror
 	 */
-	router.post("/shutdown", (req, res) => {
+	router.post("/shutdown", requireScope("system"), (req, res) => {
 		res.json({
 			success: true,
 			message: "Shutdown initiated"
@@ -477,7 +1697,7 @@ function createApiRouter(config, io) {
 	/**
 	 * POST /restart - Restart MagicMirror
 	 */
-	router.post("/restart", (req, res) => {
+	router.post("/restart", requireScope("system"), (req, res) => {
 		io.emit("REMOTE_ACTION", {
 			action: "RESTART"
 		});
@@ -8,6 +8,9 @@ const Log = require("logger");
 
 const Server = require(`${__dirname}/server`);
 const Utils = require(`${__dirname}/utils`);
+const { ConfigStore } = require(`${__dirname}/config-store`);
+const { ApiTokenStore } = require(`${__dirname}/api-tokens`);
+const { ScreenshotService } = require(`${__dirname}/screenshot`);
 const defaultModules = require(
 	`${__dirname}/../modules/default/defaultmodules`
 );
@@ -66,6 +69,7 @@ process.on("uncaughtException", function (err) {
 function App () {
 	let nodeHelpers = [];
 	let httpServer;
+	let screenshots;
 
 	/**
 	 * Loads the config file. Combines it with the defaults and returns the config
@@ -135,7 +139,7 @@ function App () {
 			}
 		}
 
-		require(`${global.root_path}/js/check_config.js`);
+		require(`${global.root_path}/js/check_config.js`).checkConfig();
 
 		try {
 			fs.accessSync(configFilename, fs.constants.F_OK);
@@ -329,6 +333,27 @@ function App () {
 
 		Log.setLogLevel(config.logLevel);
 
+		// merge REST API config changes persisted in the managed overlay
+		const configStore = new ConfigStore({
+			enabled: config.api?.persistConfig === true,
+			maxRevisions: config.api?.maxConfigRevisions
+		});
+		configStore.attach(config);
+
+		// scoped REST API tokens, shared by the API router and the settings module
+		const tokenStore = new ApiTokenStore({
+			file: path.join(global.root_path, "config", ".api_tokens.json"),
+			configToken: config.api?.token
+		});
+
+		// screenshots for the REST API; Electron registers its window capturer later
+		const address = ["", "0.0.0.0", "::", undefined].includes(config.address) ? "localhost" : config.address;
+		screenshots = new ScreenshotService({
+			url: `${config.useHttps ? "https" : "http"}://${address}:${global.mmPort || config.port}`,
+			viewport: config.api?.screenshot?.viewport,
+			renderDelay: config.api?.screenshot?.renderDelay
+		});
+
 		// get the used module positions
 		Utils.getModulePositions();
 
@@ -362,7 +387,7 @@ function App () {
 
 		await loadModules(modules);
 
-		httpServer = new Server(config);
+		httpServer = new Server(config, { configStore, tokenStore, screenshots });
 		const { app, io } = await httpServer.open();
 		Log.log("Server started ...");
 
@@ -395,6 +420,16 @@ function App () {
 		return config;
 	};
 
+	/**
+	 * Register the function that captures the Electron window for screenshots.
+	 * @param {Function} capturer async (selector) => PNG buffer
+	 */
+	this.setScreenshotCapturer = function (capturer) {
+		if (screenshots) {
+			screenshots.setCapturer(capturer);
+		}
+	};
+
 	/**
 	 * Stops the core app. This calls each node_helper's STOP() function, if it
 	 * exists.
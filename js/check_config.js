@@ -83,12 +83,12 @@ function checkConfigFile () {
 }
 
 /**
- *
- * @param {string} configFileName - The path and filename of the configuration file to validate.
+ * Validates the modules structure (module names and positions) of a
+ * configuration object.
+ * @param {object} data - The configuration object to validate.
+ * @returns {string|null} The error message, or null if the structure is valid.
  */
-function validateModulePositions (configFileName) {
-	Log.info("Checking modules structure configuration ...");
-
+function validateModulesStructure (data) {
 	const positionList = Utils.getModulePositions();
 
 	// Make Ajv schema configuration of modules config
@@ -117,10 +117,33 @@ function validateModulePositions (configFileName) {
 
 	// Scan all modules
 	const validate = ajv.compile(schema);
-	const data = require(configFileName);
 
-	const valid = validate(data);
-	if (valid) {
+	if (validate(data)) {
+		return null;
+	}
+
+	const module = validate.errors[0].instancePath.split("/")[2];
+	const position = validate.errors[0].instancePath.split("/")[3];
+	let errorMessage = "This module configuration contains errors:";
+	errorMessage += `\n${JSON.stringify(data.modules[module], null, 2)}`;
+	if (position) {
+		errorMessage += `\n${position}: ${validate.errors[0].message}`;
+		errorMessage += `\n${JSON.stringify(validate.errors[0].params.allowedValues, null, 2).slice(1, -1)}`;
+	} else {
+		errorMessage += validate.errors[0].message;
+	}
+	return errorMessage;
+}
+
+/**
+ *
+ * @param {string} configFileName - The path and filename of the configuration file to validate.
+ */
+function validateModulePositions (configFileName) {
+	Log.info("Checking modules structure configuration ...");
+
+	const errorMessage = validateModulesStructure(require(configFileName));
+	if (errorMessage === null) {
 		Log.info(
 			styleText(
 				"green",
@@ -128,23 +151,24 @@ function validateModulePositions (configFileName) {
 			)
 		);
 	} else {
-		const module = validate.errors[0].instancePath.split("/")[2];
-		const position = validate.errors[0].instancePath.split("/")[3];
-		let errorMessage = "This module configuration contains errors:";
-		errorMessage += `\n${JSON.stringify(data.modules[module], null, 2)}`;
-		if (position) {
-			errorMessage += `\n${position}: ${validate.errors[0].message}`;
-			errorMessage += `\n${JSON.stringify(validate.errors[0].params.allowedValues, null, 2).slice(1, -1)}`;
-		} else {
-			errorMessage += validate.errors[0].message;
-		}
 		Log.error(errorMessage);
 	}
 }
 
-try {
-	checkConfigFile();
-} catch (error) {
-	Log.error(error.message);
-	process.exit(1);
+/**
+ * Runs all config checks and exits the process if the config file is broken.
+ */
+function checkConfig () {
+	try {
+		checkConfigFile();
+	} catch (error) {
+		Log.error(error.message);
+		process.exit(1);
+	}
 }
+
+if (require.main === module) {
+	checkConfig();
+}
+
+module.exports = { checkConfig, checkConfigFile, validateModulesStructure };
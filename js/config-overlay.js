@@ -0,0 +1,60 @@
+/**
+ * MagicMirror Config Overlay
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Merges the managed overlay written by the config store (js/config-store.js)
+ * into a loaded config. Used by the server at startup and by the browser,
+ * where /config-overlay.js calls applyConfigOverlay() right after config.js.
+ *
+ * Overlay format:
+ * {
+ *   "revision": 3,
+ *   "modules": {
+ *     "module_2_calendar": { "module": "calendar", "index": 2, "config": { ... } }
+ *   }
+ * }
+ */
+
+/**
+ * Find the config entry an overlay entry belongs to.
+ * Prefers the same index, falls back to the first instance with that name
+ * so the overlay survives modules being added above it in config.js.
+ * @param {object[]} modules - config.modules
+ * @param {object} entry - Overlay entry
+ * @returns {object|undefined} The matching module entry
+ */
+function findOverlayTarget (modules, entry) {
+	const byIndex = modules[entry.index];
+	if (byIndex && byIndex.module === entry.module) {
+		return byIndex;
+	}
+	return modules.find((mod) => mod.module === entry.module);
+}
+
+/**
+ * Merge a config overlay into a config object.
+ * @param {object} config - The loaded MagicMirror config
+ * @param {object} overlay - The managed overlay
+ * @returns {object} The same config object
+ */
+function applyConfigOverlay (config, overlay) {
+	if (!config || !Array.isArray(config.modules) || !overlay || !overlay.modules) {
+		return config;
+	}
+
+	for (const entry of Object.values(overlay.modules)) {
+		const target = findOverlayTarget(config.modules, entry);
+		if (target) {
+			target.config = Object.assign({}, target.config, entry.config);
+		}
+	}
+
+	return config;
+}
+
+/*************** DO NOT EDIT THE LINE BELOW ***************/
+if (typeof module !== "undefined") {
+	module.exports = { applyConfigOverlay, findOverlayTarget };
+}
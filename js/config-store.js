@@ -0,0 +1,309 @@
+/**
+ * MagicMirror Config Store
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Opt-in persistence for module config changes made through the REST API.
+ * Changes never touch the hand-edited config.js: they are written to a
+ * managed overlay (config/config.overlay.json) that is merged on top of
+ * config.js at startup and in the browser. Every change is validated with
+ * the checks of js/check_config.js and recorded as a numbered revision
+ * under config/revisions/ so it can be restored later.
+ *
+ * Enable in config.js:
+ *   api: { persistConfig: true, maxConfigRevisions: 50 }
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { isDeepStrictEqual } = require("node:util");
+const Log = require("logger");
+const { applyConfigOverlay, findOverlayTarget } = require("./config-overlay");
+const { writeStateFile } = require("./file-writer");
+
+class ConfigStore {
+
+	/**
+	 * @param {object} [options] - Store options
+	 * @param {boolean} [options.enabled] - Persist changes (opt-in)
+	 * @param {string} [options.directory] - Directory holding overlay and revisions
+	 * @param {number} [options.maxRevisions] - Number of revisions to keep
+	 */
+	constructor (options = {}) {
+		this.enabled = options.enabled === true;
+		this.directory = options.directory || path.join(global.root_path, "config");
+		this.overlayFile = path.join(this.directory, "config.overlay.json");
+		this.revisionsDir = path.join(this.directory, "revisions");
+		this.maxRevisions = options.maxRevisions || 50;
+		this.overlay = { revision: 0, modules: {} };
+		this.baseConfigs = [];
+		this.config = null;
+		this.saving = Promise.resolve();
+	}
+
+	/**
+	 * Load the overlay and merge it into the loaded config.
+	 * @param {object} config - The MagicMirror config (modified in place)
+	 * @returns {object} The config
+	 */
+	attach (config) {
+		this.config = config;
+		this.baseConfigs = (config.modules || []).map((mod) => ({ ...mod.config }));
+
+		if (!this.enabled) {
+			return config;
+		}
+
+		try {
+			this.overlay = JSON.parse(fs.readFileSync(this.overlayFile, "utf8"));
+			applyConfigOverlay(config, this.overlay);
+			Log.info(`[Config] Applied config overlay revision ${this.overlay.revision}`);
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				Log.error(`[Config] Could not load ${this.overlayFile}: ${error.message}`);
+			}
+		}
+
+		return config;
+	}
+
+	/**
+	 * @returns {object} The current overlay
+	 */
+	getOverlay () {
+		return this.overlay;
+	}
+
+	/**
+	 * Persist config changes for every instance of a module.
+	 * @param {string} moduleName - Module name
+	 * @param {object} changes - Config values to merge
+	 * @param {object} [meta] - Revision metadata (source, client)
+	 * @returns {Promise<object>} The created revision summary, or the current
+	 * one flagged unchanged when the module already has these values
+	 */
+	saveModuleConfig (moduleName, changes, meta = {}) {
+		return this.queue(async () => {
+			const unchanged = this.config.modules
+				.filter((mod) => mod.module === moduleName)
+				.every((mod) => Object.entries(changes).every(([key, value]) => isDeepStrictEqual(mod.config?.[key], value)));
+			if (unchanged) {
+				const current = await this.getRevision(this.overlay.revision);
+				return {
+					...current ? this.summarize(current) : { id: this.overlay.revision, current: true },
+					unchanged: true
+				};
+			}
+
+			const overlay = JSON.parse(JSON.stringify(this.overlay));
+
+			this.config.modules.forEach((mod, index) => {
+				if (mod.module !== moduleName) {
+					return;
+				}
+
+				const key = `module_${index}_${moduleName}`;
+				const entry = overlay.modules[key] || { module: moduleName, index, config: {} };
+				entry.config = { ...entry.config, ...changes };
+				overlay.modules[key] = entry;
+			});
+
+			return this.commit(overlay, {
+				...meta,
+				module: moduleName,
+				changes
+			});
+		});
+	}
+
+	/**
+	 * Make an earlier revision the current overlay.
+	 * The restore itself is recorded as a new revision.
+	 * @param {number} id - Revision number
+	 * @param {object} [meta] - Revision metadata (source, client)
+	 * @returns {Promise<object>} The created revision summary
+	 */
+	restoreRevision (id, meta = {}) {
+		return this.queue(async () => {
+			const revision = await this.getRevision(id);
+			if (!revision) {
+				const error = new Error(`Revision ${id} not found`);
+				error.code = "NOT_FOUND";
+				throw error;
+			}
+
+			return this.commit(revision.overlay, {
+				...meta,
+				source: meta.source || "restore",
+				restoredFrom: revision.id
+			});
+		});
+	}
+
+	/**
+	 * Run a change after the pending ones. Changes are queued so a change
+	 * never starts from an overlay another change is about to replace.
+	 * @param {Function} task - Async function making the change
+	 * @returns {Promise<*>} The result of the task
+	 */
+	queue (task) {
+		const result = this.saving.then(task);
+		this.saving = result.catch(() => {});
+		return result;
+	}
+
+	/**
+	 * Validate, record and activate a new overlay.
+	 * @param {object} overlay - The new overlay
+	 * @param {object} meta - Revision metadata
+	 * @returns {Promise<object>} The created revision summary
+	 */
+	async commit (overlay, meta) {
+		const merged = this.buildModules(overlay);
+		const { validateModulesStructure } = require("./check_config");
+		const errorMessage = validateModulesStructure({ modules: merged });
+		if (errorMessage !== null) {
+			const error = new Error(errorMessage);
+			error.code = "INVALID_CONFIG";
+			throw error;
+		}
+
+		await fs.promises.mkdir(this.revisionsDir, { recursive: true });
+
+		const id = (await this.getLatestRevisionId()) + 1;
+		const newOverlay = { ...overlay, revision: id, updatedAt: new Date().toISOString() };
+		const revision = {
+			id,
+			createdAt: newOverlay.updatedAt,
+			source: meta.source || "api",
+			client: meta.client,
+			module: meta.module,
+			changes: meta.changes,
+			restoredFrom: meta.restoredFrom,
+			overlay: newOverlay
+		};
+
+		await this.writeJson(this.getRevisionFile(id), revision);
+		await this.writeJson(this.overlayFile, newOverlay);
+
+		this.overlay = newOverlay;
+		this.config.modules.forEach((mod, index) => {
+			mod.config = merged[index].config;
+		});
+
+		await this.pruneRevisions();
+
+		Log.info(`[Config] Saved config revision ${id} (${revision.source})`);
+		return this.summarize(revision);
+	}
+
+	/**
+	 * Merge an overlay on top of the config.js module configs.
+	 * @param {object} overlay - The overlay to apply
+	 * @returns {object[]} Copy of config.modules with merged configs
+	 */
+	buildModules (overlay) {
+		const modules = this.config.modules.map((mod, index) => ({
+			...mod,
+			config: { ...this.baseConfigs[index] }
+		}));
+
+		for (const entry of Object.values(overlay.modules || {})) {
+			if (!findOverlayTarget(modules, entry)) {
+				Log.warn(`[Config] Overlay entry for ${entry.module} has no matching module in config.js`);
+			}
+		}
+
+		return applyConfigOverlay({ modules }, overlay).modules;
+	}
+
+	/**
+	 * List all revisions, newest first.
+	 * @returns {Promise<object[]>} Revision summaries
+	 */
+	async listRevisions () {
+		const revisions = [];
+		for (const id of await this.getRevisionIds()) {
+			const revision = await this.getRevision(id);
+			if (revision) {
+				revisions.push(this.summarize(revision));
+			}
+		}
+		return revisions.sort((a, b) => b.id - a.id);
+	}
+
+	/**
+	 * @param {number} id - Revision number
+	 * @returns {Promise<object|null>} The full revision or null
+	 */
+	async getRevision (id) {
+		try {
+			return JSON.parse(await fs.promises.readFile(this.getRevisionFile(id), "utf8"));
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * @param {object} revision - Full revision
+	 * @returns {object} Revision without the overlay snapshot
+	 */
+	summarize (revision) {
+		const { overlay, ...summary } = revision;
+		summary.current = revision.id === this.overlay.revision;
+		return summary;
+	}
+
+	/**
+	 * @returns {Promise<number[]>} Ids of all stored revisions
+	 */
+	async getRevisionIds () {
+		try {
+			const files = await fs.promises.readdir(this.revisionsDir);
+			return files
+				.map((file) => (/^(\d+)\.json$/).exec(file))
+				.filter(Boolean)
+				.map((match) => parseInt(match[1], 10));
+		} catch {
+			return [];
+		}
+	}
+
+	/**
+	 * @returns {Promise<number>} Highest revision id, 0 if there is none
+	 */
+	async getLatestRevisionId () {
+		const ids = await this.getRevisionIds();
+		return Math.max(this.overlay.revision || 0, ...ids);
+	}
+
+	/**
+	 * Remove the oldest revisions beyond maxRevisions.
+	 */
+	async pruneRevisions () {
+		const ids = (await this.getRevisionIds()).sort((a, b) => a - b);
+		for (const id of ids.slice(0, Math.max(0, ids.length - this.maxRevisions))) {
+			await fs.promises.unlink(this.getRevisionFile(id));
+		}
+	}
+
+	/**
+	 * @param {number} id - Revision number
+	 * @returns {string} Path of the revision file
+	 */
+	getRevisionFile (id) {
+		return path.join(this.revisionsDir, `${String(id).padStart(6, "0")}.json`);
+	}
+
+	/**
+	 * @param {string} file - Target path
+	 * @param {object} data - Data to write
+	 * @returns {Promise<void>} Resolves when the file is written
+	 */
+	writeJson (file, data) {
+		return writeStateFile(file, JSON.stringify(data, null, 2));
+	}
+}
+
+module.exports = { ConfigStore };
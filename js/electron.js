@@ -144,6 +144,9 @@ function createWindow () {
 		mainWindow.webContents.sendInputEvent({ type: "mouseMove", x: 0, y: 0 });
 	});
 
+	// Let the REST API capture what the mirror currently shows
+	core.setScreenshotCapturer(captureWindow);
+
 	// Set responders for window events.
 	mainWindow.on("closed", function () {
 		mainWindow = null;
@@ -194,6 +197,44 @@ function createWindow () {
 	});
 }
 
+/**
+ * Capture the main window as PNG, optionally cropped to one element.
+ * @param {string|null} selector CSS selector of the element to crop to
+ * @returns {Promise<Buffer|null>} the PNG, null if the element is not visible
+ */
+async function captureWindow (selector) {
+	if (!mainWindow) {
+		const error = new Error("The mirror window is closed");
+		error.code = "UNAVAILABLE";
+		throw error;
+	}
+
+	let rect;
+	if (selector) {
+		rect = await mainWindow.webContents.executeJavaScript(`(() => {
+			const element = document.querySelector(${JSON.stringify(selector)});
+			if (!element) return null;
+			const { x, y, width, height } = element.getBoundingClientRect();
+			return { x, y, width, height };
+		})()`);
+		if (!rect || rect.width === 0 || rect.height === 0) {
+			return null;
+		}
+
+		// capturePage() expects device independent pixels, the DOM reports CSS pixels
+		const zoom = mainWindow.webContents.getZoomFactor();
+		rect = {
+			x: Math.round(rect.x * zoom),
+			y: Math.round(rect.y * zoom),
+			width: Math.round(rect.width * zoom),
+			height: Math.round(rect.height * zoom)
+		};
+	}
+
+	const image = await mainWindow.webContents.capturePage(rect);
+	return image.toPNG();
+}
+
 // Quit when all windows are closed.
 app.on("window-all-closed", function () {
 	if (process.env.JEST_WORKER_ID !== undefined) {
@@ -0,0 +1,230 @@
+/**
+ * MagicMirror Event Stream
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Pushes mirror events to API clients, either as Server-Sent Events
+ * (GET /api/v1/events) or over the "/api-events" Socket.IO namespace.
+ *
+ * Event types:
+ *   module.shown, module.hidden    module visibility changed on the display
+ *   notification                   notification broadcast on the display
+ *   alert.shown, alert.hidden      SHOW_ALERT / HIDE_ALERT
+ *   display.updated                display settings changed via the API
+ *   profile.activated              display profile switched
+ *   rule.fired                     automation rule ran its actions
+ *   ecosystem.<type>               ecosystem webhook event (e.g. ecosystem.security.motion)
+ *
+ * Clients choose topics: "module" matches every "module.*" event, "*" matches all.
+ *
+ * Socket.IO events (default namespace, browser <-> server):
+ *   EVENT_STREAM_STATE  server -> browser  { notifications } forward notifications?
+ *   MM_NOTIFICATION     browser -> server  { notification, payload, sender }
+ */
+
+const Log = require("logger");
+
+const NAMESPACE = "/api-events";
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * @param {string} type - Event type
+ * @param {string[]} topics - Topic filters
+ * @returns {boolean} True if one of the topics matches the event type
+ */
+function matchesTopics (type, topics) {
+	return topics.some((topic) => topic === "*" || type === topic || type.startsWith(`${topic}.`));
+}
+
+/**
+ * @param {string|string[]|undefined} value - Comma separated or list of topics
+ * @returns {string[]} Topic filters, ["*"] if none are given
+ */
+function parseTopics (value) {
+	const topics = (Array.isArray(value) ? value : String(value || "").split(","))
+		.map((topic) => String(topic).trim())
+		.filter(Boolean);
+	return topics.length > 0 ? topics : ["*"];
+}
+
+class EventStream {
+
+	/**
+	 * @param {object} io - Socket.IO server instance
+	 * @param {object} [options] - Stream options
+	 * @param {object} [options.tokenStore] - Token store authenticating namespace clients
+	 * @param {number} [options.historySize] - Events kept for Last-Event-ID replay
+	 */
+	constructor (io, options = {}) {
+		this.io = io;
+		this.tokenStore = options.tokenStore || null;
+		this.historySize = options.historySize || 100;
+		this.history = [];
+		this.nextId = 1;
+		this.clients = new Set();
+		this.forwardingNotifications = false;
+
+		if (io) {
+			io.on("connection", (socket) => this.attachDisplay(socket));
+			this.attachNamespace(io.of(NAMESPACE));
+		}
+	}
+
+	/**
+	 * Receive notifications from a display browser.
+	 * @param {object} socket - Socket.IO socket of the default namespace
+	 */
+	attachDisplay (socket) {
+		socket.emit("EVENT_STREAM_STATE", { notifications: this.forwardingNotifications });
+
+		socket.on("MM_NOTIFICATION", (data) => {
+			if (!data || typeof data.notification !== "string") {
+				return;
+			}
+
+			this.publish("notification", data);
+
+			if (data.notification === "SHOW_ALERT") {
+				this.publish("alert.shown", data.payload || {});
+			} else if (data.notification === "HIDE_ALERT") {
+				this.publish("alert.hidden", data.payload || {});
+			}
+		});
+	}
+
+	/**
+	 * Authenticate and serve Socket.IO clients.
+	 * Clients connect with io("/api-events", { auth: { token, topics } }) and
+	 * may change their topics by emitting "subscribe" with { topics }.
+	 * @param {object} namespace - Socket.IO namespace
+	 */
+	attachNamespace (namespace) {
+		namespace.use((socket, next) => {
+			const token = this.tokenStore?.verify(socket.handshake.auth?.token);
+			if (!token || token.expired || !this.tokenStore.hasScope(token, "read")) {
+				return next(new Error("Invalid API token"));
+			}
+			socket.data.apiToken = token;
+			next();
+		});
+
+		namespace.on("connection", (socket) => {
+			const client = this.addClient({
+				name: socket.data.apiToken.name,
+				topics: parseTopics(socket.handshake.auth?.topics),
+				send: (event) => socket.emit("event", event)
+			});
+
+			socket.on("subscribe", (data) => {
+				client.topics = parseTopics(data?.topics);
+				this.updateForwarding();
+			});
+
+			socket.on("disconnect", () => this.removeClient(client));
+		});
+	}
+
+	/**
+	 * Serve an SSE response until the client disconnects.
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 */
+	handleSse (req, res) {
+		res.set({
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+			"X-Accel-Buffering": "no"
+		});
+		res.flushHeaders();
+		res.write("retry: 5000\n\n");
+
+		const client = this.addClient({
+			name: req.apiToken?.name,
+			topics: parseTopics(req.query.topics),
+			send: (event) => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+		});
+
+		// Replay what a reconnecting client missed
+		const lastEventId = parseInt(req.get("Last-Event-ID"), 10);
+		if (Number.isInteger(lastEventId)) {
+			this.history
+				.filter((event) => event.id > lastEventId && matchesTopics(event.type, client.topics))
+				.forEach((event) => client.send(event));
+		}
+
+		const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL);
+
+		req.on("close", () => {
+			clearInterval(heartbeat);
+			this.removeClient(client);
+		});
+	}
+
+	/**
+	 * Send an event to every subscribed client.
+	 * @param {string} type - Event type
+	 * @param {object} data - Event data
+	 * @returns {object} The event
+	 */
+	publish (type, data) {
+		const event = {
+			id: this.nextId++,
+			type,
+			timestamp: new Date().toISOString(),
+			data
+		};
+
+		this.history.push(event);
+		if (this.history.length > this.historySize) {
+			this.history.shift();
+		}
+
+		for (const client of this.clients) {
+			if (matchesTopics(type, client.topics)) {
+				try {
+					client.send(event);
+				} catch (error) {
+					Log.warn(`[API] Could not send event to ${client.name}: ${error.message}`);
+				}
+			}
+		}
+
+		return event;
+	}
+
+	/**
+	 * @param {object} client - { name, topics, send }
+	 * @returns {object} The client
+	 */
+	addClient (client) {
+		this.clients.add(client);
+		Log.info(`[API] Event stream client connected (${client.name || "anonymous"}: ${client.topics.join(", ")})`);
+		this.updateForwarding();
+		return client;
+	}
+
+	/**
+	 * @param {object} client - Client added with addClient()
+	 */
+	removeClient (client) {
+		this.clients.delete(client);
+		this.updateForwarding();
+	}
+
+	/**
+	 * Displays only forward notifications while somebody listens for them.
+	 */
+	updateForwarding () {
+		const forward = [...this.clients].some((client) => matchesTopics("notification", client.topics)
+			|| matchesTopics("alert.shown", client.topics));
+
+		if (forward !== this.forwardingNotifications) {
+			this.forwardingNotifications = forward;
+			this.io?.emit("EVENT_STREAM_STATE", { notifications: forward });
+		}
+	}
+}
+
+module.exports = { EventStream, matchesTopics, parseTopics };
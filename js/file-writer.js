@@ -0,0 +1,52 @@
+/**
+ * MagicMirror File Writer
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Writes the state files of the server services and modules (config
+ * revisions, notification history, event logs, caches, ...). A file is
+ * written next to its destination and then renamed over it, so a crash never
+ * leaves a half written file behind. Writes to the same file run one after
+ * the other, in the order they were requested.
+ *
+ * State files are only readable by the user running MagicMirror: many of them
+ * hold personal data (chat histories, presence, calendar URLs with tokens).
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const FILE_MODE = 0o600;
+
+// File path -> last queued write
+const queues = new Map();
+
+/**
+ * Replace the contents of a state file.
+ * @param {string} file - Path of the file, missing directories are created
+ * @param {string|Buffer} data - New contents
+ * @returns {Promise<void>} Resolves when the file is written, rejects if it could not be written
+ */
+function writeStateFile (file, data) {
+	const tmpFile = `${file}.tmp`;
+
+	const written = (queues.get(file) || Promise.resolve()).then(async () => {
+		await fs.promises.mkdir(path.dirname(file), { recursive: true });
+		await fs.promises.writeFile(tmpFile, data, { mode: FILE_MODE });
+		await fs.promises.rename(tmpFile, file);
+	});
+
+	// Later writes still run after a failed one
+	const queued = written.catch(() => {});
+	queues.set(file, queued);
+	queued.then(() => {
+		if (queues.get(file) === queued) {
+			queues.delete(file);
+		}
+	});
+
+	return written;
+}
+
+module.exports = { writeStateFile, FILE_MODE };
@@ -10,10 +10,14 @@
  * 3. Glanceability - Key info readable at a distance
  * 4. No Truncation - Content adapts rather than clips
  *
+ * Also applies display profiles (see js/profile-manager.js): the modules a
+ * profile lists are shown, moved to the profile's position if it has one,
+ * and all other modules are hidden.
+ *
  * Copyright (c) 2025 Mikel Smart
  */
 
-/* global Log, MM */
+/* global Log, MM, Loader, TouchHandler, RemoteHandler */
 
 const LayoutManager = (function () {
 	// Layout modes from most to least information
@@ -44,6 +48,11 @@ const LayoutManager = (function () {
 	let resizeObserver = null;
 	let layoutCheckInterval = null;
 	let isInitialized = false;
+	let activeProfile = null;
+	let profileSwipeHandler = null;
+
+	// Positions from config.js, restored by profiles that keep a module in place
+	const configuredPositions = {};
 
 	/**
 	 * Initialize the layout manager
@@ -79,6 +88,9 @@ const LayoutManager = (function () {
 		// Listen for module updates
 		setupModuleListeners();
 
+		// Switch profiles by swiping, if enabled
+		setupProfileSwipe();
+
 		Log.info("[LayoutManager] Layout system ready");
 	}
 
@@ -292,12 +304,141 @@ const LayoutManager = (function () {
 		});
 	}
 
+	/**
+	 * Wait until MagicMirror has started the modules and created their DOM
+	 * @returns {Promise} Resolves when the modules are available
+	 */
+	function whenModulesReady () {
+		return new Promise((resolve) => {
+			const check = () => {
+				if (typeof MM !== "undefined" && MM.getModules().length > 0) {
+					resolve();
+				} else {
+					setTimeout(check, 500);
+				}
+			};
+			check();
+		});
+	}
+
+	/**
+	 * Apply a display profile
+	 * @param {object} profile - { name, modules: { name or identifier: position|null }, pinned }
+	 * @returns {Promise} Resolves when all modules are shown, hidden or moved
+	 */
+	function applyProfile (profile) {
+		return whenModulesReady().then(() => {
+			const pinned = profile.pinned || [];
+
+			const changes = MM.getModules()
+				.filter((module) => typeof module.data.position === "string" && !pinned.includes(module.name))
+				.map((module) => {
+					if (!(module.identifier in configuredPositions)) {
+						configuredPositions[module.identifier] = module.data.position;
+					}
+
+					// An identifier (module_2_calendar) wins over the module name
+					const key = [module.identifier, module.name]
+						.find((candidate) => Object.prototype.hasOwnProperty.call(profile.modules, candidate));
+
+					if (!key) {
+						return hideProfileModule(module);
+					}
+
+					const position = profile.modules[key] || configuredPositions[module.identifier];
+					if (position !== module.data.position) {
+						return moveModule(module, position).then(() => showProfileModule(module));
+					}
+					return module.hidden ? showProfileModule(module) : Promise.resolve();
+				});
+
+			activeProfile = profile.name;
+			document.body.setAttribute("data-profile", profile.name);
+			Log.info(`[LayoutManager] Profile: ${profile.name}`);
+
+			return Promise.all(changes);
+		});
+	}
+
+	/**
+	 * Move a module to another region
+	 * @param {object} module - Module instance
+	 * @param {string} position - Target position, e.g. "top_left"
+	 * @returns {Promise} Resolves when the module has moved
+	 */
+	function moveModule (module, position) {
+		const wrapper = document.getElementById(module.identifier);
+		const container = document.querySelector(`.region.${position.split("_").join(".")} .container`);
+		if (!wrapper || !container) {
+			Log.warn(`[LayoutManager] Cannot move ${module.name} to ${position}`);
+			return Promise.resolve();
+		}
+
+		// Fade out first so the module does not jump across the screen
+		return hideProfileModule(module).then(() => {
+			container.appendChild(wrapper);
+			module.data.position = position;
+		});
+	}
+
+	/**
+	 * @param {object} module - Module instance
+	 * @returns {Promise} Resolves when the module is visible (or locked by another module)
+	 */
+	function showProfileModule (module) {
+		return new Promise((resolve) => {
+			module.show(1000, resolve, {
+				onError: () => {
+					Log.info(`[LayoutManager] ${module.name} stays hidden: locked by another module`);
+					resolve();
+				}
+			});
+		});
+	}
+
+	/**
+	 * @param {object} module - Module instance
+	 * @returns {Promise} Resolves when the module is hidden
+	 */
+	function hideProfileModule (module) {
+		if (module.hidden) {
+			return Promise.resolve();
+		}
+		return new Promise((resolve) => module.hide(1000, resolve));
+	}
+
+	/**
+	 * Swipe left/right on the mirror for the next/previous profile
+	 */
+	function setupProfileSwipe () {
+		const layout = typeof config !== "undefined" ? config.layout : null;
+		if (!layout?.swipe || !layout.profiles?.length || profileSwipeHandler) {
+			return;
+		}
+
+		whenModulesReady()
+			.then(() => {
+				// Modules usually load the touch handler, load it ourselves otherwise
+				if (typeof TouchHandler === "undefined") {
+					return Loader.loadFileForModule("modules/shared/touch-handler.js");
+				}
+			})
+			.then(() => {
+				profileSwipeHandler = TouchHandler.init(document.body, {
+					swipeleft: () => RemoteHandler.requestProfile({ step: 1 }),
+					swiperight: () => RemoteHandler.requestProfile({ step: -1 })
+				}, { enabled: true });
+			})
+			.catch((error) => Log.error(`[LayoutManager] Profile swipe unavailable: ${error.message}`));
+	}
+
 	/**
 	 * Get current layout state
 	 */
 	function getLayoutState() {
 		return {
 			mode: currentMode,
+			profile: activeProfile,
 			viewport: {
 				width: window.innerWidth,
 				height: window.innerHeight
@@ -354,6 +495,11 @@ const LayoutManager = (function () {
 			clearInterval(layoutCheckInterval);
 		}
 
+		if (profileSwipeHandler) {
+			profileSwipeHandler.destroy();
+			profileSwipeHandler = null;
+		}
+
 		isInitialized = false;
 	}
 
@@ -378,6 +524,8 @@ const LayoutManager = (function () {
 		calculateLayout: calculateLayout,
 		getLayoutState: getLayoutState,
 		setLayoutMode: setLayoutMode,
+		applyProfile: applyProfile,
+		whenModulesReady: whenModulesReady,
 		destroy: destroy,
 		LAYOUT_MODES: LAYOUT_MODES
 	};
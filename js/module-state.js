@@ -0,0 +1,202 @@
+/**
+ * MagicMirror Module State Registry
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Server-side view of the modules running in the connected browsers.
+ * The RemoteHandler (js/remote-handler.js) reports visibility, position,
+ * current config and last DOM update over Socket.IO, and acknowledges
+ * every REMOTE_ACTION that carries a requestId.
+ *
+ * Socket.IO events (default namespace):
+ *   MODULE_STATES      browser -> server  full snapshot { modules: [] }
+ *   MODULE_STATE       browser -> server  single module state
+ *   REMOTE_ACTION_ACK  browser -> server  { requestId, success, error, modules }
+ *
+ * States are dropped when the last display reporting them disconnects.
+ * Emits "change" (state, previous) for every stored state.
+ */
+
+const crypto = require("node:crypto");
+const { EventEmitter } = require("node:events");
+const Log = require("logger");
+
+class ModuleStateRegistry extends EventEmitter {
+
+	/**
+	 * @param {object} io - Socket.IO server instance
+	 * @param {object} [options] - Registry options
+	 * @param {number} [options.ackTimeout] - Milliseconds to wait for an acknowledgement
+	 */
+	constructor (io, options = {}) {
+		super();
+		this.io = io;
+		this.ackTimeout = options.ackTimeout || 5000;
+		this.states = new Map();
+		this.pending = new Map();
+		// Socket id -> identifiers of the modules that display reported
+		this.displays = new Map();
+
+		if (io) {
+			io.on("connection", (socket) => this.attach(socket));
+		}
+	}
+
+	/**
+	 * Bind the state reporting events of a browser socket.
+	 * @param {object} socket - Socket.IO socket
+	 */
+	attach (socket) {
+		socket.on("MODULE_STATES", (payload) => {
+			for (const state of payload?.modules || []) {
+				this.update(state, socket.id);
+			}
+			if (!this.displays.has(socket.id)) {
+				this.displays.set(socket.id, new Set());
+			}
+		});
+
+		socket.on("MODULE_STATE", (state) => this.update(state, socket.id));
+
+		socket.on("REMOTE_ACTION_ACK", (ack) => this.acknowledge(ack, socket.id));
+
+		socket.on("disconnect", () => this.detach(socket.id));
+	}
+
+	/**
+	 * Forget a display and the states only it reported.
+	 * @param {string} socketId - Socket.IO socket id
+	 */
+	detach (socketId) {
+		const identifiers = this.displays.get(socketId) || [];
+		this.displays.delete(socketId);
+
+		for (const identifier of identifiers) {
+			const reported = [...this.displays.values()].some((other) => other.has(identifier));
+			if (!reported) {
+				this.states.delete(identifier);
+			}
+		}
+	}
+
+	/**
+	 * Store a state reported by a browser.
+	 * @param {object} state - Module state
+	 * @param {string} [socketId] - Socket.IO id of the reporting display
+	 */
+	update (state, socketId) {
+		if (!state || typeof state.identifier !== "string") {
+			return;
+		}
+
+		if (socketId) {
+			if (!this.displays.has(socketId)) {
+				this.displays.set(socketId, new Set());
+			}
+			this.displays.get(socketId).add(state.identifier);
+		}
+
+		const previous = this.states.get(state.identifier);
+		const stored = {
+			identifier: state.identifier,
+			name: state.name,
+			index: state.index,
+			position: state.position,
+			header: state.header,
+			hidden: state.hidden === true,
+			config: state.config || {},
+			lastUpdated: state.lastUpdated || null,
+			reportedAt: new Date().toISOString()
+		};
+
+		this.states.set(state.identifier, stored);
+		this.emit("change", stored, previous);
+	}
+
+	/**
+	 * Resolve the pending action an acknowledgement belongs to.
+	 * @param {object} ack - Acknowledgement payload
+	 * @param {string} [socketId] - Socket.IO id of the acknowledging display
+	 */
+	acknowledge (ack, socketId) {
+		const pending = ack && this.pending.get(ack.requestId);
+		if (!pending) {
+			return;
+		}
+
+		for (const state of ack.modules || []) {
+			this.update(state, socketId);
+		}
+
+		clearTimeout(pending.timer);
+		this.pending.delete(ack.requestId);
+		pending.resolve({
+			success: ack.success !== false,
+			error: ack.error,
+			modules: ack.modules || []
+		});
+	}
+
+	/**
+	 * @returns {object[]} All reported module states
+	 */
+	getAll () {
+		return [...this.states.values()];
+	}
+
+	/**
+	 * @param {string} identifier - Module identifier (e.g. module_2_clock)
+	 * @returns {object|undefined} The reported state
+	 */
+	get (identifier) {
+		return this.states.get(identifier);
+	}
+
+	/**
+	 * @param {string} name - Module name
+	 * @returns {object[]} States of every instance of the module
+	 */
+	getByName (name) {
+		return this.getAll().filter((state) => state.name === name);
+	}
+
+	/**
+	 * @returns {boolean} True if at least one browser is reporting
+	 */
+	hasDisplays () {
+		return this.displays.size > 0;
+	}
+
+	/**
+	 * Send a REMOTE_ACTION and wait for the first display to acknowledge it.
+	 * @param {string} action - Remote action name
+	 * @param {object} [data] - Additional action data
+	 * @param {number} [timeout] - Milliseconds to wait, defaults to ackTimeout
+	 * @returns {Promise<object>} Resolves with { success, error, modules }
+	 */
+	dispatch (action, data = {}, timeout = this.ackTimeout) {
+		if (!this.hasDisplays()) {
+			const error = new Error("No display connected");
+			error.code = "NO_DISPLAY";
+			return Promise.reject(error);
+		}
+
+		const requestId = crypto.randomUUID();
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this.pending.delete(requestId);
+				Log.warn(`[API] No acknowledgement for ${action} within ${timeout}ms`);
+				const error = new Error(`Display did not acknowledge ${action} within ${timeout}ms`);
+				error.code = "ACK_TIMEOUT";
+				reject(error);
+			}, timeout);
+
+			this.pending.set(requestId, { resolve, timer });
+			this.io.emit("REMOTE_ACTION", { ...data, action, requestId });
+		});
+	}
+}
+
+module.exports = { ModuleStateRegistry };
@@ -74,6 +74,16 @@ const Module = Class.extend({
 		return false;
 	},
 
+	/**
+	 * Returns the tools the module offers to the AI assistant.
+	 * Each tool is { name, description, parameters (JSON schema), handler (args) },
+	 * the value returned by the handler (or its promise) is sent back to the model.
+	 * @returns {object[]} An array with tool definitions.
+	 */
+	getAiTools () {
+		return [];
+	},
+
 	/**
 	 * Generates the dom which needs to be displayed. This method is called by the MagicMirror³ core.
 	 * This method can to be subclassed if the module wants to display info on the mirror.
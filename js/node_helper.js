@@ -1,3 +1,4 @@
+const { EventEmitter } = require("node:events");
 const express = require("express");
 const Log = require("logger");
 const Class = require("./class");
@@ -60,6 +61,7 @@ const NodeHelper = Class.extend({
    */
 	sendSocketNotification (notification, payload) {
 		this.io.of(this.name).emit(notification, payload);
+		NodeHelper.events.emit("socketNotification", { module: this.name, notification, payload });
 	},
 
 	/*
@@ -96,6 +98,13 @@ const NodeHelper = Class.extend({
 	}
 });
 
+/*
+ * Every socket notification sent by a node helper is also emitted here as
+ * "socketNotification" ({ module, notification, payload }), so core services
+ * such as the rules engine can react to module events.
+ */
+NodeHelper.events = new EventEmitter();
+
 NodeHelper.checkFetchStatus = function (response) {
 	// response.status >= 200 && response.status < 300
 	if (response.ok) {
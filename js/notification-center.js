@@ -0,0 +1,397 @@
+/**
+ * MagicMirror Notification Center
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Keeps the history of the alerts and notifications shown on the mirror and
+ * decides when they are held back:
+ *
+ *   notifications: {
+ *     quietHours: { start: "22:00", end: "07:00" },  // every day, may span midnight
+ *     bypassPriority: "critical",                     // shown even when quiet
+ *     historySize: 200,
+ *     panel: true                                     // swipe in from the right edge for the history
+ *   }
+ *
+ * Priorities: low, normal, high, critical. SHOW_ALERT payloads may set
+ * `priority`; alerts default to high, notifications to normal. While quiet
+ * hours or do-not-disturb are on, only notifications of at least
+ * bypassPriority are shown. Held back ones are still recorded.
+ *
+ * The displays apply the policy (js/notification-handler.js) and report every
+ * SHOW_ALERT; the history is kept in config/notifications.json.
+ *
+ * Socket.IO events (default namespace, browser <-> server):
+ *   NOTIFICATION_POLICY   server -> browser  { quiet, doNotDisturb, until, quietHours, bypassPriority }
+ *   NOTIFICATION_HISTORY  server -> browser  { items } (newest first)
+ *   NOTIFICATION_ADDED    server -> browser  item
+ *   NOTIFICATION_RECORD   browser -> server  { source, priority, type, title, message, suppressed }
+ *   NOTIFICATION_DND      browser -> server  { enabled, duration }
+ *   NOTIFICATION_CLEAR    browser -> server  clear the history
+ *
+ * NOTIFICATION_DND and NOTIFICATION_CLEAR are only accepted from the
+ * browser on the mirror itself.
+ */
+
+const fs = require("node:fs");
+const { Cron } = require("croner");
+const Log = require("logger");
+const { writeStateFile } = require("./file-writer");
+const Utils = require("./utils");
+
+const PRIORITIES = ["low", "normal", "high", "critical"];
+
+// Several displays report the same notification
+const DUPLICATE_WINDOW = 10000;
+
+// Changes are written together, notifications can come in bursts
+const SAVE_DELAY = 5000;
+
+/**
+ * @param {string} time - "HH:MM"
+ * @returns {number|null} Minutes since midnight, null if invalid
+ */
+function parseClock (time) {
+	const match = (/^(\d{1,2}):(\d{2})$/).exec(String(time));
+	if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+		return null;
+	}
+	return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * @param {*} value - Reported text
+ * @param {number} max - Maximum length
+ * @returns {string} Trimmed text without line breaks
+ */
+function cleanText (value, max) {
+	return typeof value === "string" ? value.replace(/\s+/g, " ").trim().slice(0, max) : "";
+}
+
+class NotificationCenter {
+
+	/**
+	 * @param {object} [config] - The notifications section of config.js
+	 * @param {object} [services] - Core services
+	 * @param {object} [services.io] - Socket.IO server instance
+	 * @param {string} [services.file] - JSON file for the history (in-memory if omitted)
+	 */
+	constructor (config = {}, services = {}) {
+		this.io = services.io || null;
+		this.file = services.file || null;
+		this.historySize = config.historySize || 200;
+		this.bypassPriority = PRIORITIES.includes(config.bypassPriority) ? config.bypassPriority : "critical";
+		this.quietHours = null;
+		this.doNotDisturb = { enabled: false, until: null };
+		this.items = [];
+		this.nextId = 1;
+		this.jobs = [];
+		this.dndTimer = null;
+		this.saving = Promise.resolve();
+		this.saveTimer = null;
+
+		if (config.quietHours) {
+			const start = parseClock(config.quietHours.start);
+			const end = parseClock(config.quietHours.end);
+			if (start === null || end === null || start === end) {
+				Log.warn("[Notifications] Ignoring quietHours, start and end must be different times as \"HH:MM\"");
+			} else {
+				this.quietHours = { start: config.quietHours.start, end: config.quietHours.end, from: start, to: end };
+			}
+		}
+
+		this.load();
+	}
+
+	/**
+	 * Serve the displays and announce the start and end of the quiet hours.
+	 */
+	start () {
+		if (this.io) {
+			this.io.on("connection", (socket) => {
+				socket.emit("NOTIFICATION_POLICY", this.policy());
+				socket.emit("NOTIFICATION_HISTORY", { items: this.list({ limit: 50 }) });
+				socket.on("NOTIFICATION_RECORD", (data) => this.record(data));
+				socket.on("NOTIFICATION_DND", (data) => {
+					if (!this.isLocal(socket, "NOTIFICATION_DND")) {
+						return;
+					}
+					try {
+						this.setDoNotDisturb(data?.enabled === true, data?.duration);
+					} catch (error) {
+						Log.warn(`[Notifications] ${error.message}`);
+					}
+				});
+				socket.on("NOTIFICATION_CLEAR", () => {
+					if (this.isLocal(socket, "NOTIFICATION_CLEAR")) {
+						this.clear();
+					}
+				});
+			});
+		}
+
+		if (this.quietHours) {
+			for (const minutes of [this.quietHours.from, this.quietHours.to]) {
+				this.jobs.push(new Cron(`${minutes % 60} ${Math.floor(minutes / 60)} * * *`, () => this.announcePolicy()));
+			}
+		}
+		if (this.doNotDisturb.until) {
+			this.scheduleDndEnd();
+		}
+	}
+
+	/**
+	 * Settings can only be changed on the mirror itself, other clients use the REST API.
+	 * @param {object} socket - Socket.IO socket
+	 * @param {string} event - Event the socket sent
+	 * @returns {boolean} True if the socket connects from the mirror itself
+	 */
+	isLocal (socket, event) {
+		if (Utils.isLocalSocket(socket)) {
+			return true;
+		}
+		Log.warn(`[Notifications] Refused ${event} from ${socket.handshake?.address}`);
+		return false;
+	}
+
+	/**
+	 * Stop the schedules and write pending changes.
+	 * @returns {Promise<void>} Resolves when the history is written
+	 */
+	stop () {
+		this.jobs.forEach((job) => job.stop());
+		this.jobs = [];
+		clearTimeout(this.dndTimer);
+		return this.saveTimer ? this.save() : this.saving;
+	}
+
+	/**
+	 * Read the history and the do-not-disturb state from disk.
+	 */
+	load () {
+		if (!this.file) {
+			return;
+		}
+
+		try {
+			const data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+			this.items = (data.items || []).slice(-this.historySize);
+			this.nextId = this.items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+			if (data.doNotDisturb?.enabled && (!data.doNotDisturb.until || data.doNotDisturb.until > Date.now())) {
+				this.doNotDisturb = data.doNotDisturb;
+			}
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				Log.error(`[Notifications] Could not read ${this.file}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Write the changes after a short delay.
+	 */
+	scheduleSave () {
+		if (!this.file || this.saveTimer) {
+			return;
+		}
+
+		this.saveTimer = setTimeout(() => {
+			this.saveTimer = null;
+			this.save();
+		}, SAVE_DELAY);
+	}
+
+	/**
+	 * Write history and do-not-disturb state.
+	 * @returns {Promise<void>} Resolves when the file is written
+	 */
+	save () {
+		if (!this.file) {
+			return Promise.resolve();
+		}
+
+		clearTimeout(this.saveTimer);
+		this.saveTimer = null;
+
+		const data = JSON.stringify({ items: this.items, doNotDisturb: this.doNotDisturb });
+		this.saving = writeStateFile(this.file, data)
+			.catch((error) => Log.error(`[Notifications] Could not write ${this.file}: ${error.message}`));
+
+		return this.saving;
+	}
+
+	/**
+	 * @param {Date} [now] - Time to check
+	 * @returns {boolean} True while do-not-disturb or the quiet hours are on
+	 */
+	isQuiet (now = new Date()) {
+		if (this.doNotDisturb.enabled && (!this.doNotDisturb.until || this.doNotDisturb.until > now.getTime())) {
+			return true;
+		}
+		if (!this.quietHours) {
+			return false;
+		}
+
+		const minutes = now.getHours() * 60 + now.getMinutes();
+		const { from, to } = this.quietHours;
+		return from < to
+			? minutes >= from && minutes < to
+			: minutes >= from || minutes < to; // Quiet hours span midnight
+	}
+
+	/**
+	 * @returns {object} { quiet, doNotDisturb, until, quietHours, bypassPriority }
+	 */
+	policy () {
+		const dnd = this.doNotDisturb.enabled && (!this.doNotDisturb.until || this.doNotDisturb.until > Date.now());
+		return {
+			quiet: this.isQuiet(),
+			doNotDisturb: dnd,
+			until: dnd && this.doNotDisturb.until ? new Date(this.doNotDisturb.until).toISOString() : null,
+			quietHours: this.quietHours ? { start: this.quietHours.start, end: this.quietHours.end } : null,
+			bypassPriority: this.bypassPriority
+		};
+	}
+
+	/**
+	 * Send the policy to all displays.
+	 */
+	announcePolicy () {
+		this.io?.emit("NOTIFICATION_POLICY", this.policy());
+	}
+
+	/**
+	 * @param {string} priority - Priority of a notification
+	 * @returns {boolean} True if it would be held back now
+	 */
+	isSuppressed (priority) {
+		return this.isQuiet() && PRIORITIES.indexOf(priority) < PRIORITIES.indexOf(this.bypassPriority);
+	}
+
+	/**
+	 * Turn do-not-disturb on or off.
+	 * @param {boolean} enabled - On or off
+	 * @param {number} [duration] - Time in ms until it turns off by itself
+	 * @returns {object} The new policy
+	 */
+	setDoNotDisturb (enabled, duration) {
+		if (duration !== undefined && duration !== null && (!Number.isInteger(duration) || duration < 60000 || duration > 7 * 24 * 60 * 60 * 1000)) {
+			throw new Error("duration must be between 60000 ms (1 minute) and 7 days");
+		}
+
+		this.doNotDisturb = {
+			enabled,
+			until: enabled && duration ? Date.now() + duration : null
+		};
+		this.scheduleDndEnd();
+		this.scheduleSave();
+		this.announcePolicy();
+		Log.info(`[Notifications] Do not disturb ${enabled ? "on" : "off"}${this.doNotDisturb.until ? ` until ${new Date(this.doNotDisturb.until).toLocaleTimeString()}` : ""}`);
+		return this.policy();
+	}
+
+	/**
+	 * Announce the end of a timed do-not-disturb.
+	 */
+	scheduleDndEnd () {
+		clearTimeout(this.dndTimer);
+		this.dndTimer = null;
+		if (this.doNotDisturb.until) {
+			this.dndTimer = setTimeout(() => {
+				this.doNotDisturb = { enabled: false, until: null };
+				this.scheduleSave();
+				this.announcePolicy();
+			}, Math.max(0, this.doNotDisturb.until - Date.now()));
+		}
+	}
+
+	/**
+	 * Add a notification reported by a display.
+	 * @param {object} data - { source, priority, type, title, message, suppressed }
+	 * @returns {object|null} The stored item, null if invalid or already reported by another display
+	 */
+	record (data) {
+		const title = cleanText(data?.title, 200);
+		const message = cleanText(data?.message, 500);
+		if (!title && !message) {
+			return null;
+		}
+
+		const item = {
+			id: this.nextId,
+			timestamp: new Date().toISOString(),
+			source: cleanText(data.source, 64) || "unknown",
+			priority: PRIORITIES.includes(data.priority) ? data.priority : "normal",
+			type: data.type === "alert" ? "alert" : "notification",
+			title,
+			message,
+			suppressed: data.suppressed === true
+		};
+
+		const since = Date.now() - DUPLICATE_WINDOW;
+		const duplicate = this.items.some((other) => new Date(other.timestamp).getTime() >= since
+			&& other.source === item.source && other.title === item.title && other.message === item.message);
+		if (duplicate) {
+			return null;
+		}
+
+		this.nextId++;
+		this.items.push(item);
+		if (this.items.length > this.historySize) {
+			this.items.splice(0, this.items.length - this.historySize);
+		}
+		this.scheduleSave();
+		this.io?.emit("NOTIFICATION_ADDED", item);
+		return item;
+	}
+
+	/**
+	 * Find notifications, newest first.
+	 * @param {object} [filter] - Query
+	 * @param {string} [filter.source] - Sending module
+	 * @param {string} [filter.priority] - Minimum priority
+	 * @param {Date|string|number} [filter.since] - Start of the time range
+	 * @param {Date|string|number} [filter.until] - End of the time range
+	 * @param {number} [filter.limit] - Maximum number of items, 100 by default
+	 * @returns {object[]} Matching notifications
+	 */
+	list (filter = {}) {
+		const minPriority = filter.priority ? PRIORITIES.indexOf(filter.priority) : 0;
+		const since = filter.since ? new Date(filter.since).toISOString() : null;
+		const until = filter.until ? new Date(filter.until).toISOString() : null;
+		const limit = filter.limit ?? 100;
+		const result = [];
+
+		for (let i = this.items.length - 1; i >= 0 && result.length < limit; i--) {
+			const item = this.items[i];
+			if ((filter.source && item.source !== filter.source)
+				|| PRIORITIES.indexOf(item.priority) < minPriority
+				|| (since && item.timestamp < since)
+				|| (until && item.timestamp > until)) {
+				continue;
+			}
+			result.push(item);
+		}
+		return result;
+	}
+
+	/**
+	 * Delete notifications from the history.
+	 * @param {number} [id] - Only this notification
+	 * @returns {number} Number of deleted notifications
+	 */
+	clear (id) {
+		const before = this.items.length;
+		this.items = id === undefined ? [] : this.items.filter((item) => item.id !== id);
+		const deleted = before - this.items.length;
+
+		if (deleted > 0) {
+			this.scheduleSave();
+			this.io?.emit("NOTIFICATION_HISTORY", { items: this.list({ limit: 50 }) });
+		}
+		return deleted;
+	}
+}
+
+module.exports = { NotificationCenter, PRIORITIES };
@@ -0,0 +1,249 @@
+/**
+ * Notification Center for MagicMirror displays
+ *
+ * Applies the do-not-disturb and quiet hours policy of the server
+ * (js/notification-center.js) to SHOW_ALERT and reports every alert, shown or
+ * held back, for the history. The history panel slides in when swiping left
+ * from the right edge of the screen or on a NOTIFICATION_CENTER_TOGGLE
+ * notification, and closes with a swipe right or Escape.
+ *
+ * Copyright (c) 2025 Mikel Smart
+ */
+
+/* global Loader, TouchHandler, LayoutManager */
+
+const NotificationHandler = {
+	PRIORITIES: ["low", "normal", "high", "critical"],
+
+	// Number of notifications kept for the panel
+	PANEL_SIZE: 50,
+
+	/**
+	 * Initialize the notification center.
+	 * @param {object} socket - Socket.IO connection of the remote handler
+	 */
+	init (socket) {
+		this.socket = socket || null;
+		this.policy = { quiet: false, doNotDisturb: false, until: null, quietHours: null, bypassPriority: "critical" };
+		this.items = [];
+		this.panel = null;
+		this.open = false;
+
+		if (this.socket) {
+			this.socket.on("NOTIFICATION_POLICY", (policy) => {
+				this.policy = policy;
+				this.renderPanel();
+			});
+			this.socket.on("NOTIFICATION_HISTORY", (data) => {
+				this.items = (data?.items || []).slice(0, this.PANEL_SIZE);
+				this.renderPanel();
+			});
+			this.socket.on("NOTIFICATION_ADDED", (item) => {
+				this.items = [item, ...this.items.filter((other) => other.id !== item.id)].slice(0, this.PANEL_SIZE);
+				this.renderPanel();
+			});
+		}
+
+		if (typeof config === "undefined" || config.notifications?.panel !== false) {
+			this.createPanel();
+		}
+	},
+
+	/**
+	 * Decide whether a notification is delivered, and report alerts.
+	 * @param {string} notification - Notification name
+	 * @param {*} payload - Notification payload
+	 * @param {string} [source] - Name of the sending module, "api" or "remote"
+	 * @returns {boolean} False if the notification is held back
+	 */
+	admit (notification, payload, source) {
+		if (notification === "NOTIFICATION_CENTER_TOGGLE") {
+			this.togglePanel();
+			return true;
+		}
+		if (notification !== "SHOW_ALERT" || !payload) {
+			return true;
+		}
+
+		const priority = this.PRIORITIES.includes(payload.priority)
+			? payload.priority
+			: payload.type === "alert" ? "high" : "normal";
+		const suppressed = this.policy.quiet
+			&& this.PRIORITIES.indexOf(priority) < this.PRIORITIES.indexOf(this.policy.bypassPriority);
+
+		this.socket?.emit("NOTIFICATION_RECORD", {
+			source: source || "unknown",
+			priority,
+			type: payload.type === "alert" ? "alert" : "notification",
+			title: this.toText(payload.title),
+			message: this.toText(payload.message),
+			suppressed
+		});
+
+		if (suppressed) {
+			Log.info(`[NotificationHandler] Held back ${priority} alert of ${source || "unknown"} (do not disturb)`);
+		}
+		return !suppressed;
+	},
+
+	/**
+	 * @param {*} value - Alert title or message, may contain HTML
+	 * @returns {string} Plain text
+	 */
+	toText (value) {
+		if (typeof value !== "string") {
+			return "";
+		}
+		// DOMParser documents run no scripts and load no images
+		return new DOMParser().parseFromString(value, "text/html").body.textContent || "";
+	},
+
+	/**
+	 * Add the panel and the edge it is swiped in from.
+	 */
+	createPanel () {
+		this.panel = document.createElement("aside");
+		this.panel.className = "notification-center";
+		this.panel.setAttribute("aria-hidden", "true");
+		document.body.appendChild(this.panel);
+
+		const edge = document.createElement("div");
+		edge.className = "notification-center-edge";
+		document.body.appendChild(edge);
+
+		// Keep swipes on the edge and the panel from switching profiles (js/layout-manager.js)
+		for (const element of [edge, this.panel]) {
+			element.addEventListener("touchstart", (event) => event.stopPropagation(), { passive: true });
+		}
+
+		document.addEventListener("keydown", (event) => {
+			if (event.key === "Escape" && this.open) {
+				this.togglePanel(false);
+			}
+		});
+
+		LayoutManager.whenModulesReady()
+			.then(() => {
+				// Modules usually load the touch handler, load it ourselves otherwise
+				if (typeof TouchHandler === "undefined") {
+					return Loader.loadFileForModule("modules/shared/touch-handler.js");
+				}
+			})
+			.then(() => {
+				TouchHandler.init(edge, { swipeleft: () => this.togglePanel(true) }, { enabled: true });
+				TouchHandler.init(this.panel, { swiperight: () => this.togglePanel(false) }, { enabled: true });
+			})
+			.catch((error) => Log.error(`[NotificationHandler] Panel swipe unavailable: ${error.message}`));
+
+		this.renderPanel();
+	},
+
+	/**
+	 * Open or close the panel.
+	 * @param {boolean} [open] - Open or close, toggles if omitted
+	 */
+	togglePanel (open = !this.open) {
+		if (!this.panel) {
+			return;
+		}
+
+		this.open = open;
+		this.panel.classList.toggle("open", open);
+		this.panel.setAttribute("aria-hidden", String(!open));
+	},
+
+	/**
+	 * Show policy and history in the panel.
+	 */
+	renderPanel () {
+		if (!this.panel) {
+			return;
+		}
+
+		this.panel.innerHTML = "";
+
+		const header = document.createElement("div");
+		header.className = "notification-center-header";
+
+		const title = document.createElement("span");
+		title.className = "notification-center-title";
+		title.textContent = "Notifications";
+		header.appendChild(title);
+
+		const dnd = document.createElement("button");
+		dnd.className = `notification-center-dnd${this.policy.doNotDisturb ? " active" : ""}`;
+		dnd.innerHTML = "<i class=\"fas fa-moon\"></i>";
+		dnd.title = this.policy.doNotDisturb ? "Turn off do not disturb" : "Do not disturb";
+		dnd.addEventListener("click", () => this.socket?.emit("NOTIFICATION_DND", { enabled: !this.policy.doNotDisturb }));
+		header.appendChild(dnd);
+
+		const clear = document.createElement("button");
+		clear.className = "notification-center-clear";
+		clear.innerHTML = "<i class=\"fas fa-trash\"></i>";
+		clear.title = "Clear";
+		clear.disabled = this.items.length === 0;
+		clear.addEventListener("click", () => this.socket?.emit("NOTIFICATION_CLEAR"));
+		header.appendChild(clear);
+
+		this.panel.appendChild(header);
+
+		if (this.policy.quiet) {
+			const status = document.createElement("div");
+			status.className = "notification-center-status dimmed";
+			const until = this.policy.until ? new Date(this.policy.until) : null;
+			status.textContent = this.policy.doNotDisturb
+				? `Do not disturb${until ? ` until ${until.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}` : ""}`
+				: `Quiet hours until ${this.policy.quietHours?.end}`;
+			this.panel.appendChild(status);
+		}
+
+		const list = document.createElement("ul");
+		list.className = "notification-center-list";
+
+		for (const item of this.items) {
+			const entry = document.createElement("li");
+			entry.className = `notification-center-item priority-${item.priority}${item.suppressed ? " suppressed" : ""}`;
+
+			const meta = document.createElement("div");
+			meta.className = "notification-center-meta xsmall dimmed";
+			meta.textContent = `${this.formatTime(item.timestamp)} · ${item.source}${item.suppressed ? " · held back" : ""}`;
+			entry.appendChild(meta);
+
+			if (item.title) {
+				const itemTitle = document.createElement("div");
+				itemTitle.className = "notification-center-item-title small bright";
+				itemTitle.textContent = item.title;
+				entry.appendChild(itemTitle);
+			}
+			if (item.message) {
+				const message = document.createElement("div");
+				message.className = "notification-center-message xsmall";
+				message.textContent = item.message;
+				entry.appendChild(message);
+			}
+
+			list.appendChild(entry);
+		}
+
+		if (this.items.length === 0) {
+			const empty = document.createElement("li");
+			empty.className = "notification-center-empty dimmed small";
+			empty.textContent = "No notifications";
+			list.appendChild(empty);
+		}
+
+		this.panel.appendChild(list);
+	},
+
+	/**
+	 * @param {string} timestamp - ISO date
+	 * @returns {string} Time for today, date and time before
+	 */
+	formatTime (timestamp) {
+		const date = new Date(timestamp);
+		const time = date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+		return date.toDateString() === new Date().toDateString()
+			? time
+			: `${date.toLocaleDateString([], { month: "short", day: "numeric" })} ${time}`;
+	}
+};
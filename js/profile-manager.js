@@ -0,0 +1,264 @@
+/**
+ * MagicMirror Display Profiles
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Named profiles ("pages") declare which modules are visible and where:
+ *
+ *   layout: {
+ *     defaultProfile: "morning",
+ *     swipe: true,                 // swipe left/right on the mirror to switch
+ *     pinned: ["alert", "ai"],     // never hidden or moved by a profile
+ *     profiles: [
+ *       { name: "morning", schedule: "06:30", modules: { clock: "top_left", weather: true, calendar: "top_right" } },
+ *       { name: "night", schedule: { at: "22:30", days: ["sun", "mon", "tue", "wed", "thu"] }, modules: ["clock"] }
+ *     ]
+ *   }
+ *
+ * Modules not listed in a profile are hidden; `true` keeps the position
+ * from config.js. The active profile lives on the server so every display
+ * shows the same page. Displays apply it through the LayoutManager
+ * (js/layout-manager.js).
+ *
+ * Socket.IO events (default namespace, browser <-> server):
+ *   REMOTE_ACTION    server -> browser  { action: "ACTIVATE_PROFILE", profile }
+ *   PROFILE_REQUEST  browser -> server  { name } or { step: 1 | -1 }
+ */
+
+const { Cron } = require("croner");
+const Log = require("logger");
+const Utils = require("./utils");
+const { timeToCron } = require("./rules-engine");
+
+class ProfileManager {
+
+	/**
+	 * @param {object} [config] - The layout section of config.js
+	 * @param {object} [services] - Core services
+	 * @param {object} [services.io] - Socket.IO server instance
+	 * @param {object} [services.events] - Event stream
+	 * @param {object[]} [services.modules] - Configured modules, used to warn about typos
+	 */
+	constructor (config = {}, services = {}) {
+		this.config = config;
+		this.io = services.io || null;
+		this.events = services.events || null;
+		this.modules = services.modules || [];
+		this.profiles = [];
+		this.jobs = [];
+		this.active = null;
+		this.activatedAt = null;
+	}
+
+	/**
+	 * Validate the profiles, activate the default one and start the schedules.
+	 */
+	start () {
+		// Add the profiles one by one, normalizeProfile() checks names against the accepted ones
+		this.profiles = [];
+		(this.config.profiles || []).forEach((profile) => {
+			const normalized = this.normalizeProfile(profile);
+			if (normalized) {
+				this.profiles.push(normalized);
+			}
+		});
+
+		if (this.profiles.length === 0) {
+			return;
+		}
+
+		if (this.io) {
+			this.io.on("connection", (socket) => {
+				if (this.active) {
+					socket.emit("REMOTE_ACTION", { action: "ACTIVATE_PROFILE", profile: this.getActive() });
+				}
+				socket.on("PROFILE_REQUEST", (data) => this.handleRequest(data));
+			});
+		}
+
+		for (const profile of this.profiles) {
+			for (const pattern of profile.schedule) {
+				const job = new Cron(pattern, () => this.activate(profile.name, "schedule"));
+				job.profileName = profile.name;
+				this.jobs.push(job);
+			}
+		}
+
+		const initial = this.config.defaultProfile || this.profiles[0].name;
+		if (this.find(initial)) {
+			this.activate(initial, "startup");
+		} else {
+			Log.warn(`[Profiles] Default profile ${initial} does not exist`);
+		}
+
+		Log.info(`[Profiles] ${this.profiles.length} profile(s), active: ${this.active}`);
+	}
+
+	/**
+	 * Stop all schedules.
+	 */
+	stop () {
+		this.jobs.forEach((job) => job.stop());
+		this.jobs = [];
+	}
+
+	/**
+	 * Check a profile from config.js and bring it into a common shape.
+	 * @param {object} profile - Profile from config.js
+	 * @returns {object|null} The profile, null if it is invalid
+	 */
+	normalizeProfile (profile) {
+		const name = profile.name;
+		const problems = [];
+
+		if (typeof name !== "string" || !(/^[\w-]+$/).test(name)) {
+			Log.warn(`[Profiles] Ignoring profile with invalid name: ${name}`);
+			return null;
+		}
+		if (this.find(name)) {
+			Log.warn(`[Profiles] Ignoring duplicate profile ${name}`);
+			return null;
+		}
+
+		// ["clock", "weather"] is short for { clock: true, weather: true }
+		const entries = Array.isArray(profile.modules)
+			? profile.modules.map((module) => [module, true])
+			: Object.entries(profile.modules || {});
+
+		const modules = {};
+		for (const [module, position] of entries) {
+			if (typeof position === "string" && !Utils.moduleHasValidPosition(position)) {
+				problems.push(`invalid position ${position} for ${module}`);
+			} else if (position !== false) {
+				modules[module] = typeof position === "string" ? position : null;
+			}
+
+			const configured = this.modules.some((entry, index) => entry.module === module || `module_${index}_${entry.module}` === module);
+			if (this.modules.length > 0 && !configured) {
+				Log.warn(`[Profiles] Profile ${name} lists ${module}, which is not configured`);
+			}
+		}
+
+		let schedule = [];
+		try {
+			schedule = [].concat(profile.schedule || []).map((entry) => {
+				if (typeof entry === "string") {
+					return timeToCron(entry);
+				}
+				return entry.cron || timeToCron(entry.at, entry.days);
+			});
+		} catch (error) {
+			problems.push(error.message);
+		}
+
+		if (problems.length > 0) {
+			Log.warn(`[Profiles] Ignoring profile ${name}: ${problems.join(", ")}`);
+			return null;
+		}
+
+		return { name, description: profile.description || "", modules, schedule };
+	}
+
+	/**
+	 * @param {string} name - Profile name
+	 * @returns {object|undefined} The profile
+	 */
+	find (name) {
+		return this.profiles.find((profile) => profile.name === name);
+	}
+
+	/**
+	 * Switch all displays to a profile.
+	 * @param {string} name - Profile name
+	 * @param {string} [source] - What switched the profile (api, schedule, rule, display, ...)
+	 * @returns {object} The active profile
+	 */
+	activate (name, source = "api") {
+		const profile = this.find(name);
+		if (!profile) {
+			const error = new Error(`Profile ${name} not found`);
+			error.code = "NOT_FOUND";
+			throw error;
+		}
+
+		const previous = this.active;
+		this.active = profile.name;
+		this.activatedAt = new Date().toISOString();
+
+		Log.info(`[Profiles] Activating ${profile.name} (${source})`);
+		this.io?.emit("REMOTE_ACTION", { action: "ACTIVATE_PROFILE", profile: this.getActive() });
+		this.events?.publish("profile.activated", { name: profile.name, previous, source });
+
+		return this.getActive();
+	}
+
+	/**
+	 * Activate the next or previous profile in config order.
+	 * @param {number} step - 1 for the next, -1 for the previous profile
+	 * @param {string} [source] - What switched the profile
+	 * @returns {object} The active profile
+	 */
+	step (step, source) {
+		const index = this.profiles.findIndex((profile) => profile.name === this.active);
+		const next = (index + step + this.profiles.length) % this.profiles.length;
+		return this.activate(this.profiles[next].name, source);
+	}
+
+	/**
+	 * Handle a switch requested by a display (notification, voice or swipe).
+	 * @param {object} data - { name } or { step }
+	 */
+	handleRequest (data = {}) {
+		try {
+			if (data.name) {
+				this.activate(data.name, "display");
+			} else if (data.step === 1 || data.step === -1) {
+				this.step(data.step, "display");
+			}
+		} catch (error) {
+			Log.warn(`[Profiles] ${error.message}`);
+		}
+	}
+
+	/**
+	 * @returns {object|null} The active profile with the pinned modules
+	 */
+	getActive () {
+		const profile = this.find(this.active);
+		if (!profile) {
+			return null;
+		}
+
+		return {
+			name: profile.name,
+			modules: profile.modules,
+			pinned: this.config.pinned || [],
+			activatedAt: this.activatedAt
+		};
+	}
+
+	/**
+	 * @returns {object[]} Summaries of all profiles
+	 */
+	list () {
+		return this.profiles.map((profile) => {
+			const nextRun = this.jobs
+				.filter((job) => job.profileName === profile.name)
+				.map((job) => job.nextRun())
+				.filter(Boolean)
+				.sort((a, b) => a - b)[0];
+
+			return {
+				name: profile.name,
+				description: profile.description,
+				active: profile.name === this.active,
+				modules: profile.modules,
+				schedule: profile.schedule,
+				nextRun: nextRun ? nextRun.toISOString() : null
+			};
+		});
+	}
+}
+
+module.exports = { ProfileManager };
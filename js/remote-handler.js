@@ -3,9 +3,16 @@
  *
  * Handles remote actions from mobile apps and API calls.
  * Listens for REMOTE_ACTION events via Socket.IO and executes them.
+ * Reports module visibility, position, config and DOM updates back to
+ * the server so the REST API can serve the actual state, and forwards
+ * notifications while API event stream clients listen for them.
+ * Display profiles are applied here and profile switches requested by
+ * modules (PROFILE_ACTIVATE, PROFILE_NEXT, PROFILE_PREVIOUS) are passed on
+ * to the server. Alerts pass the notification center (js/notification-handler.js)
+ * before they are delivered.
  */
 
-/* global Log, MM, io */
+/* global Log, MM, io, LayoutManager, NotificationHandler */
 
 const RemoteHandler = {
 	/**
@@ -14,13 +21,30 @@ const RemoteHandler = {
 	init () {
 		Log.info("[RemoteHandler] Initializing remote control handler");
 
+		this.socket = null;
+		this.snapshotSent = false;
+		this.lastUpdated = {};
+		this.reportedStates = {};
+		this.dirtyModules = new Set();
+		this.reportTimer = null;
+		this.forwardNotifications = false;
+
 		// Listen for remote actions from Socket.IO
 		if (typeof io !== "undefined") {
-			const socket = io();
-			socket.on("REMOTE_ACTION", (data) => this.handleAction(data));
+			this.socket = io();
+			this.socket.on("REMOTE_ACTION", (data) => this.handleAction(data));
+			this.socket.on("connect", () => this.reportAllModuleStates());
+			this.socket.on("EVENT_STREAM_STATE", (state) => {
+				this.forwardNotifications = state?.notifications === true;
+			});
 			Log.info("[RemoteHandler] Socket.IO connection established");
 		}
 
+		// Report module changes back to the server
+		this.initStateObserver();
+		this.initNotificationForwarding();
+		NotificationHandler.init(this.socket);
+
 		// Also listen for keyboard shortcuts
 		this.initKeyboardShortcuts();
 	},
@@ -29,25 +53,36 @@ const RemoteHandler = {
 	 * Handle remote action
 	 * @param {object} data - Action data
 	 */
-	handleAction(data) {
+	async handleAction (data) {
 		Log.info(`[RemoteHandler] Received action: ${data.action}`);
 
+		try {
+			await this.executeAction(data);
+			this.acknowledge(data, true);
+		} catch (error) {
+			Log.error(`[RemoteHandler] Action ${data.action} failed: ${error.message}`);
+			this.acknowledge(data, false, error.message);
+		}
+	},
+
+	/**
+	 * Execute a remote action
+	 * @param {object} data - Action data
+	 * @returns {Promise|void} Resolves when the action has completed
+	 */
+	executeAction (data) {
 		switch (data.action) {
 			case "SHOW_MODULE":
-				this.showModule(data.module);
-				break;
+				return this.showModule(data.module);
 
 			case "HIDE_MODULE":
-				this.hideModule(data.module);
-				break;
+				return this.hideModule(data.module);
 
 			case "REFRESH_MODULE":
-				this.refreshModule(data.module);
-				break;
+				return this.refreshModule(data.module);
 
 			case "UPDATE_CONFIG":
-				this.updateModuleConfig(data.module, data.config);
-				break;
+				return this.updateModuleConfig(data.module, data.config);
 
 			case "UPDATE_DISPLAY":
 				this.updateDisplay(data.settings);
@@ -57,10 +92,6 @@ const RemoteHandler = {
 				this.refreshPage();
 				break;
 
-			case "SCREENSHOT":
-				this.captureScreenshot();
-				break;
-
 			case "SHOW_ALERT":
 				this.showAlert(data.alert);
 				break;
@@ -85,58 +116,243 @@ const RemoteHandler = {
 				this.restart();
 				break;
 
+			case "ACTIVATE_PROFILE":
+				return this.activateProfile(data.profile);
+
 			default:
 				Log.warn(`[RemoteHandler] Unknown action: ${data.action}`);
 		}
 	},
 
+	/**
+	 * Send the acknowledgement for an action that carries a requestId
+	 * @param {object} data - Action data
+	 * @param {boolean} success - Whether the action completed
+	 * @param {string} [error] - Error message on failure
+	 */
+	acknowledge (data, success, error) {
+		if (!this.socket || !data.requestId) {
+			return;
+		}
+
+		const modules = data.module
+			? this.findModules(data.module).map((module) => this.getModuleState(module))
+			: [];
+
+		this.socket.emit("REMOTE_ACTION_ACK", {
+			requestId: data.requestId,
+			action: data.action,
+			success,
+			error,
+			modules
+		});
+	},
+
+	/**
+	 * Find all instances of a module
+	 * @param {string} moduleName - Module name
+	 * @returns {Module[]} Matching module instances
+	 */
+	findModules (moduleName) {
+		return MM.getModules().filter((module) => module.name === moduleName);
+	},
+
+	/**
+	 * Find all instances of a module or fail
+	 * @param {string} moduleName - Module name
+	 * @returns {Module[]} Matching module instances
+	 */
+	requireModules (moduleName) {
+		const modules = this.findModules(moduleName);
+		if (modules.length === 0) {
+			throw new Error(`Module ${moduleName} is not loaded`);
+		}
+		return modules;
+	},
+
 	/**
 	 * Show a module
+	 * @param {string} moduleName - Module name
+	 * @returns {Promise} Resolves when every instance is shown
 	 */
 	showModule(moduleName) {
-		MM.getModules().enumerate((module) => {
-			if (module.name === moduleName) {
-				module.show(1000);
-				Log.info(`[RemoteHandler] Showing module: ${moduleName}`);
-			}
-		});
+		const modules = this.requireModules(moduleName);
+		Log.info(`[RemoteHandler] Showing module: ${moduleName}`);
+
+		return Promise.all(modules.map((module) => new Promise((resolve, reject) => {
+			module.show(1000, resolve, { onError: reject });
+		})));
 	},
 
 	/**
 	 * Hide a module
+	 * @param {string} moduleName - Module name
+	 * @returns {Promise} Resolves when every instance is hidden
 	 */
 	hideModule(moduleName) {
-		MM.getModules().enumerate((module) => {
-			if (module.name === moduleName) {
-				module.hide(1000);
-				Log.info(`[RemoteHandler] Hiding module: ${moduleName}`);
-			}
-		});
+		const modules = this.requireModules(moduleName);
+		Log.info(`[RemoteHandler] Hiding module: ${moduleName}`);
+
+		return Promise.all(modules.map((module) => new Promise((resolve) => {
+			module.hide(1000, resolve);
+		})));
 	},
 
 	/**
 	 * Refresh a module
+	 * @param {string} moduleName - Module name
 	 */
 	refreshModule(moduleName) {
-		MM.getModules().enumerate((module) => {
-			if (module.name === moduleName) {
-				module.updateDom();
-				Log.info(`[RemoteHandler] Refreshed module: ${moduleName}`);
-			}
-		});
+		for (const module of this.requireModules(moduleName)) {
+			module.updateDom();
+		}
+		Log.info(`[RemoteHandler] Refreshed module: ${moduleName}`);
 	},
 
 	/**
 	 * Update module configuration
+	 * @param {string} moduleName - Module name
+	 * @param {object} newConfig - Config values to merge
 	 */
 	updateModuleConfig(moduleName, newConfig) {
-		MM.getModules().enumerate((module) => {
-			if (module.name === moduleName) {
-				Object.assign(module.config, newConfig);
-				module.updateDom();
-				Log.info(`[RemoteHandler] Updated config for: ${moduleName}`);
+		for (const module of this.requireModules(moduleName)) {
+			Object.assign(module.config, newConfig);
+			module.updateDom();
+		}
+		Log.info(`[RemoteHandler] Updated config for: ${moduleName}`);
+	},
+
+	/**
+	 * Build the state report for a module
+	 * @param {Module} module - Module instance
+	 * @returns {object} Serializable module state
+	 */
+	getModuleState (module) {
+		let moduleConfig = {};
+		try {
+			moduleConfig = JSON.parse(JSON.stringify(module.config));
+		} catch {
+			Log.warn(`[RemoteHandler] Config of ${module.identifier} is not serializable`);
+		}
+
+		return {
+			identifier: module.identifier,
+			name: module.name,
+			index: module.data.index,
+			position: module.data.position,
+			header: module.data.header,
+			hidden: module.hidden === true,
+			config: moduleConfig,
+			lastUpdated: this.lastUpdated[module.identifier] || null
+		};
+	},
+
+	/**
+	 * Send a snapshot of all module states
+	 */
+	reportAllModuleStates () {
+		const modules = MM.getModules();
+		if (!this.socket || modules.length === 0) {
+			return;
+		}
+
+		const states = modules.map((module) => this.getModuleState(module));
+		states.forEach((state) => this.rememberReported(state));
+		this.socket.emit("MODULE_STATES", { modules: states });
+		this.snapshotSent = true;
+		this.dirtyModules.clear();
+	},
+
+	/**
+	 * Queue a state report for a changed module
+	 * @param {string} identifier - Module identifier
+	 */
+	markModuleDirty (identifier) {
+		this.dirtyModules.add(identifier);
+
+		clearTimeout(this.reportTimer);
+		this.reportTimer = setTimeout(() => this.flushModuleStates(), 250);
+	},
+
+	/**
+	 * Report all modules changed since the last flush
+	 */
+	flushModuleStates () {
+		if (!this.socket) {
+			return;
+		}
+
+		// Modules without a position never change the DOM, so the first
+		// report after startup has to include all of them.
+		if (!this.snapshotSent) {
+			this.reportAllModuleStates();
+			return;
+		}
+
+		for (const module of MM.getModules()) {
+			if (this.dirtyModules.has(module.identifier)) {
+				const state = this.getModuleState(module);
+				if (this.rememberReported(state)) {
+					this.socket.emit("MODULE_STATE", state);
+				}
+			}
+		}
+		this.dirtyModules.clear();
+	},
+
+	/**
+	 * Remember the last reported state of a module
+	 * @param {object} state - Module state
+	 * @returns {boolean} True if the state differs from the last report
+	 */
+	rememberReported (state) {
+		// A new DOM update alone is not worth a report, it is sent along with the next one
+		const { lastUpdated, ...reported } = state;
+		const key = JSON.stringify(reported);
+		if (this.reportedStates[state.identifier] === key) {
+			return false;
+		}
+		this.reportedStates[state.identifier] = key;
+		return true;
+	},
+
+	/**
+	 * Observe module wrappers for visibility changes and modules for DOM updates
+	 */
+	initStateObserver () {
+		const wrapperObserver = new MutationObserver((mutations) => {
+			for (const mutation of mutations) {
+				this.markModuleDirty(mutation.target.id);
+			}
+		});
+
+		// Wrappers are created after the modules have started, or moved by the layout manager
+		const containerObserver = new MutationObserver((mutations) => {
+			for (const mutation of mutations) {
+				for (const node of mutation.addedNodes) {
+					if (node.nodeType === Node.ELEMENT_NODE && node.classList.contains("module")) {
+						wrapperObserver.observe(node, {
+							attributes: true,
+							attributeFilter: ["class", "style"]
+						});
+						this.markModuleDirty(node.id);
+					}
+				}
 			}
 		});
+
+		document.querySelectorAll(".region .container").forEach((container) => {
+			containerObserver.observe(container, { childList: true });
+		});
+
+		if (typeof MM !== "undefined") {
+			const updateDom = MM.updateDom;
+
+			MM.updateDom = (module, updateOptions) => {
+				this.lastUpdated[module.identifier] = new Date().toISOString();
+				updateDom.call(MM, module, updateOptions);
+			};
+		}
 	},
 
 	/**
@@ -166,52 +382,85 @@ const RemoteHandler = {
 	},
 
 	/**
-	 * Refresh the entire page
+	 * Apply a display profile
+	 * @param {object} profile - Profile sent by the server
+	 * @returns {Promise} Resolves when the profile is applied
 	 */
-	refreshPage() {
-		Log.info("[RemoteHandler] Refreshing page");
-		window.location.reload();
+	async activateProfile (profile) {
+		if (typeof LayoutManager === "undefined") {
+			throw new Error("Layout manager is not loaded");
+		}
+
+		await LayoutManager.applyProfile(profile);
+		this.broadcast("PROFILE_CHANGED", { name: profile.name });
 	},
 
 	/**
-	 * Capture screenshot (if supported)
+	 * Ask the server to switch profiles; it switches all displays
+	 * @param {object} request - { name } or { step: 1 | -1 }
 	 */
-	captureScreenshot() {
-		// This would require html2canvas or similar library
-		Log.info("[RemoteHandler] Screenshot requested (not implemented)");
+	requestProfile (request) {
+		if (!this.socket) {
+			Log.warn("[RemoteHandler] Cannot switch profiles without a server connection");
+			return;
+		}
+		this.socket.emit("PROFILE_REQUEST", request);
+	},
 
-		// Notify that screenshot was attempted
-		this.showAlert({
-			title: "Screenshot",
-			message: "Screenshot capture not yet implemented",
-			timer: 3000
-		});
+	/**
+	 * Pass profile notifications on to the server
+	 * @param {string} notification - Notification name
+	 * @param {*} payload - Profile name or { name }
+	 */
+	handleProfileNotification (notification, payload) {
+		switch (notification) {
+			case "PROFILE_ACTIVATE":
+				this.requestProfile({ name: typeof payload === "string" ? payload : payload?.name });
+				break;
+
+			case "PROFILE_NEXT":
+				this.requestProfile({ step: 1 });
+				break;
+
+			case "PROFILE_PREVIOUS":
+				this.requestProfile({ step: -1 });
+				break;
+		}
+	},
+
+	/**
+	 * Refresh the entire page
+	 */
+	refreshPage() {
+		Log.info("[RemoteHandler] Refreshing page");
+		window.location.reload();
 	},
 
 	/**
 	 * Show alert notification
 	 */
 	showAlert(alert) {
-		MM.sendNotification("SHOW_ALERT", {
+		this.broadcast("SHOW_ALERT", {
 			type: alert.type || "notification",
 			title: alert.title,
 			message: alert.message,
-			timer: alert.timer || 5000
-		});
+			timer: alert.timer || 5000,
+			priority: alert.priority
+		}, alert.source || "api");
 	},
 
 	/**
 	 * Hide current alert
 	 */
 	hideAlert() {
-		MM.sendNotification("HIDE_ALERT");
+		this.broadcast("HIDE_ALERT");
 	},
 
 	/**
 	 * Handle service configuration update
 	 */
 	serviceUpdated(service, config) {
-		MM.sendNotification("SERVICE_UPDATED", { service, config });
+		this.broadcast("SERVICE_UPDATED", { service, config });
 		Log.info(`[RemoteHandler] Service updated: ${service}`);
 	},
 
@@ -219,7 +468,7 @@ const RemoteHandler = {
 	 * Test service connection
 	 */
 	testService(service, config) {
-		MM.sendNotification("TEST_SERVICE", { service, config });
+		this.broadcast("TEST_SERVICE", { service, config });
 		Log.info(`[RemoteHandler] Testing service: ${service}`);
 	},
 
@@ -227,7 +476,7 @@ const RemoteHandler = {
 	 * Execute custom command
 	 */
 	customCommand(command, payload) {
-		MM.sendNotification(command, payload);
+		this.broadcast(command, payload);
 		Log.info(`[RemoteHandler] Custom command: ${command}`);
 	},
 
@@ -247,6 +496,71 @@ const RemoteHandler = {
 		}, 2000);
 	},
 
+	/**
+	 * Send a notification to all modules on behalf of the remote control.
+	 * MM.sendNotification() only accepts notifications sent by a module.
+	 * @param {string} notification - Notification name
+	 * @param {*} [payload] - Notification payload
+	 * @param {string} [source] - Origin of the notification for the notification center
+	 */
+	broadcast (notification, payload, source = "remote") {
+		if (!NotificationHandler.admit(notification, payload, source)) {
+			return;
+		}
+		for (const module of MM.getModules()) {
+			module.notificationReceived(notification, payload);
+		}
+		this.handleProfileNotification(notification, payload);
+		this.forwardNotification(notification, payload, "remote");
+	},
+
+	/**
+	 * Pass notifications sent by modules on to the server
+	 */
+	initNotificationForwarding () {
+		if (typeof MM === "undefined") {
+			return;
+		}
+
+		const sendNotification = MM.sendNotification;
+
+		MM.sendNotification = (...args) => {
+			const [notification, payload, sender] = args;
+			if (args.length >= 3 && typeof notification === "string" && !NotificationHandler.admit(notification, payload, sender?.name)) {
+				return;
+			}
+
+			sendNotification.apply(MM, args);
+
+			if (args.length >= 3 && typeof notification === "string") {
+				this.handleProfileNotification(notification, payload);
+				this.forwardNotification(notification, payload, sender?.name);
+			}
+		};
+	},
+
+	/**
+	 * Send a notification to the event stream, if anybody listens
+	 * @param {string} notification - Notification name
+	 * @param {*} payload - Notification payload
+	 * @param {string} [sender] - Name of the sending module
+	 */
+	forwardNotification (notification, payload, sender) {
+		if (!this.forwardNotifications || !this.socket) {
+			return;
+		}
+
+		let data = null;
+		try {
+			// Drop DOM nodes, functions and circular references
+			data = payload === undefined ? null : JSON.parse(JSON.stringify(payload));
+		} catch {
+			data = null;
+		}
+
+		this.socket.emit("MM_NOTIFICATION", { notification, payload: data, sender });
+	},
+
 	/**
 	 * Initialize keyboard shortcuts
 	 */
@@ -259,7 +573,7 @@ const RemoteHandler = {
 
 			// Escape - Close any open modals/settings
 			if (e.key === "Escape") {
-				MM.sendNotification("KEYPRESS_ESCAPE");
+				this.broadcast("KEYPRESS_ESCAPE");
 			}
 
 			// F5 - Refresh
@@ -271,26 +585,26 @@ const RemoteHandler = {
 			// Ctrl+S - Open settings
 			if (e.ctrlKey && e.key === "s") {
 				e.preventDefault();
-				MM.sendNotification("TOGGLE_SETTINGS");
+				this.broadcast("TOGGLE_SETTINGS");
 			}
 
 			// Arrow keys for navigation
 			if (e.key === "ArrowLeft") {
-				MM.sendNotification("KEYPRESS_LEFT");
+				this.broadcast("KEYPRESS_LEFT");
 			}
 			if (e.key === "ArrowRight") {
-				MM.sendNotification("KEYPRESS_RIGHT");
+				this.broadcast("KEYPRESS_RIGHT");
 			}
 			if (e.key === "ArrowUp") {
-				MM.sendNotification("KEYPRESS_UP");
+				this.broadcast("KEYPRESS_UP");
 			}
 			if (e.key === "ArrowDown") {
-				MM.sendNotification("KEYPRESS_DOWN");
+				this.broadcast("KEYPRESS_DOWN");
 			}
 
 			// Enter/Space for selection
 			if (e.key === "Enter" || e.key === " ") {
-				MM.sendNotification("KEYPRESS_SELECT");
+				this.broadcast("KEYPRESS_SELECT");
 			}
 		});
 
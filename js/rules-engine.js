@@ -0,0 +1,637 @@
+/**
+ * MagicMirror Rules Engine
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Declarative automations configured in config.js:
+ *
+ *   automation: {
+ *     latitude: 52.52, longitude: 13.40,   // for sun triggers and conditions
+ *     rules: [{
+ *       name: "night",
+ *       trigger: { type: "time", at: "22:30" },
+ *       conditions: [{ type: "presence", home: true }],
+ *       actions: [
+ *         { type: "brightness", value: 30 },
+ *         { type: "hide", modules: ["newsfeed", "calendar"] },
+ *         { type: "smarthome", service: "light.turn_off", data: { entity_id: "all" } },
+ *         { type: "speak", text: "Good night!" }
+ *       ]
+ *     }]
+ *   }
+ *
+ * Triggers: time, cron, sun, notification, security, device, presence
+ * Conditions: time, weekday, sun, device, presence
+ * Actions: show, hide, notification, brightness, smarthome, speak, profile
+ *
+ * Rules run on the server. Notifications come from the displays (forwarded
+ * through the event stream), security, device and presence events from the
+ * node helpers. Actions are sent to the displays as REMOTE_ACTIONs; actions
+ * with side effects (notification, smarthome, speak) go to one display only.
+ */
+
+const { Cron } = require("croner");
+const SunCalc = require("suncalc");
+const Log = require("logger");
+const NodeHelper = require("./node_helper");
+
+const TRIGGER_TYPES = ["time", "cron", "sun", "notification", "security", "device", "presence"];
+const CONDITION_TYPES = ["time", "weekday", "sun", "device", "presence"];
+const ACTION_TYPES = ["show", "hide", "notification", "brightness", "smarthome", "speak", "profile"];
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+class RulesEngine {
+
+	/**
+	 * @param {object} [config] - The automation section of config.js
+	 * @param {object} [services] - Core services
+	 * @param {object} [services.io] - Socket.IO server instance
+	 * @param {object} [services.events] - Event stream
+	 * @param {object} [services.profiles] - Display profiles
+	 */
+	constructor (config = {}, services = {}) {
+		this.config = config;
+		this.io = services.io || null;
+		this.events = services.events || null;
+		this.profiles = services.profiles || null;
+		this.rules = [];
+		this.jobs = [];
+		this.timers = new Map();
+		this.displays = new Set();
+		this.devices = new Map();
+		this.present = new Set();
+		this.eventClient = null;
+		this.onSocketNotification = ({ module, notification, payload }) => this.handleHelperNotification(module, notification, payload);
+	}
+
+	/**
+	 * Validate the configured rules and start listening and scheduling.
+	 */
+	start () {
+		// Add the rules one by one, normalizeRule() checks names against the accepted ones
+		this.rules = [];
+		(this.config.rules || []).forEach((rule, index) => {
+			const normalized = this.normalizeRule(rule, index);
+			if (normalized) {
+				this.rules.push(normalized);
+			}
+		});
+
+		if (this.rules.length === 0) {
+			return;
+		}
+
+		if (this.io) {
+			this.io.on("connection", (socket) => {
+				this.displays.add(socket);
+				socket.on("disconnect", () => this.displays.delete(socket));
+			});
+		}
+
+		NodeHelper.events.on("socketNotification", this.onSocketNotification);
+
+		// Only ask the displays to forward notifications when a rule needs them
+		if (this.events && this.rules.some((rule) => rule.triggers.some((trigger) => trigger.type === "notification"))) {
+			this.eventClient = this.events.addClient({
+				name: "rules",
+				topics: ["notification"],
+				send: (event) => this.handleEvent({
+					type: "notification",
+					notification: event.data.notification,
+					payload: event.data.payload
+				})
+			});
+		}
+
+		for (const rule of this.rules) {
+			for (const trigger of rule.triggers) {
+				this.schedule(rule, trigger);
+			}
+		}
+
+		Log.info(`[Rules] ${this.rules.length} rule(s) active`);
+	}
+
+	/**
+	 * Stop all schedules and listeners.
+	 */
+	stop () {
+		this.jobs.forEach((job) => job.stop());
+		this.jobs = [];
+		this.timers.forEach((timer) => clearTimeout(timer.handle));
+		this.timers.clear();
+		NodeHelper.events.off("socketNotification", this.onSocketNotification);
+		if (this.eventClient) {
+			this.events.removeClient(this.eventClient);
+			this.eventClient = null;
+		}
+	}
+
+	/**
+	 * Check a rule from config.js and bring it into a common shape.
+	 * @param {object} rule - Rule from config.js
+	 * @param {number} index - Position in the rules list
+	 * @returns {object|null} The rule, null if it is invalid
+	 */
+	normalizeRule (rule, index) {
+		const name = rule.name || `rule_${index}`;
+		const triggers = [].concat(rule.triggers || rule.trigger || []);
+		const conditions = [].concat(rule.conditions || []);
+		const actions = [].concat(rule.actions || []);
+
+		const problems = [
+			...triggers.filter((trigger) => !TRIGGER_TYPES.includes(trigger.type)).map((trigger) => `unknown trigger "${trigger.type}"`),
+			...conditions.filter((condition) => !CONDITION_TYPES.includes(condition.type)).map((condition) => `unknown condition "${condition.type}"`),
+			...actions.filter((action) => !ACTION_TYPES.includes(action.type)).map((action) => `unknown action "${action.type}"`)
+		];
+		const times = [
+			...triggers.filter((trigger) => trigger.type === "time").map((trigger) => trigger.at),
+			...conditions.filter((condition) => condition.type === "time").flatMap((condition) => [condition.after, condition.before].filter(Boolean))
+		];
+		problems.push(...times.filter((time) => !isValidTime(time)).map((time) => `invalid time "${time}"`));
+		if (actions.length === 0) {
+			problems.push("no actions");
+		}
+		if (this.rules.some((other) => other.name === name)) {
+			problems.push("duplicate name");
+		}
+
+		if (problems.length > 0) {
+			Log.warn(`[Rules] Ignoring rule "${name}": ${problems.join(", ")}`);
+			return null;
+		}
+
+		return {
+			name,
+			description: rule.description || "",
+			enabled: rule.enabled !== false,
+			cooldown: (rule.cooldown || 0) * 1000,
+			triggers,
+			conditions,
+			actions,
+			lastFired: null,
+			fireCount: 0
+		};
+	}
+
+	/**
+	 * Start the schedule of a time based trigger.
+	 * @param {object} rule - Normalized rule
+	 * @param {object} trigger - Trigger of the rule
+	 */
+	schedule (rule, trigger) {
+		try {
+			if (trigger.type === "time" || trigger.type === "cron") {
+				const pattern = trigger.type === "cron" ? trigger.pattern : timeToCron(trigger.at, trigger.days);
+				const job = new Cron(pattern, { timezone: trigger.timezone }, () => {
+					this.fire(rule.name, { type: trigger.type, trigger });
+				});
+				job.ruleName = rule.name;
+				this.jobs.push(job);
+			} else if (trigger.type === "sun") {
+				this.scheduleSun(rule, trigger);
+			}
+		} catch (error) {
+			Log.error(`[Rules] Could not schedule rule "${rule.name}": ${error.message}`);
+		}
+	}
+
+	/**
+	 * Schedule the next sunrise/sunset (plus offset) of a sun trigger.
+	 * @param {object} rule - Normalized rule
+	 * @param {object} trigger - { type: "sun", event: "sunrise"|"sunset", offset: minutes }
+	 */
+	scheduleSun (rule, trigger) {
+		const next = this.getNextSunEvent(trigger.event || "sunrise", trigger.offset || 0);
+		const key = `${rule.name}:${trigger.event}:${trigger.offset || 0}`;
+
+		const handle = setTimeout(() => {
+			this.fire(rule.name, { type: "sun", trigger });
+			this.scheduleSun(rule, trigger);
+		}, next.getTime() - Date.now());
+
+		this.timers.set(key, { rule: rule.name, next, handle });
+	}
+
+	/**
+	 * @param {string} event - A SunCalc time name, e.g. "sunrise" or "sunset"
+	 * @param {number} offset - Offset in minutes
+	 * @param {Date} [now] - Reference time
+	 * @returns {Date} The next occurrence
+	 */
+	getNextSunEvent (event, offset, now = new Date()) {
+		const { latitude, longitude } = this.config;
+		if (typeof latitude !== "number" || typeof longitude !== "number") {
+			throw new Error("sun triggers need automation.latitude and automation.longitude");
+		}
+
+		for (let days = 0; days < 3; days++) {
+			const date = new Date(now.getTime() + days * 86400000);
+			const time = SunCalc.getTimes(date, latitude, longitude)[event];
+			if (!time || isNaN(time)) {
+				throw new Error(`unknown sun event "${event}"`);
+			}
+			const at = new Date(time.getTime() + offset * 60000);
+			if (at > now) {
+				return at;
+			}
+		}
+		throw new Error(`no ${event} in the next days`);
+	}
+
+	/**
+	 * Translate node helper socket notifications into rule events.
+	 * @param {string} module - Node helper name
+	 * @param {string} notification - Notification name
+	 * @param {*} payload - Notification payload
+	 */
+	handleHelperNotification (module, notification, payload = {}) {
+		switch (notification) {
+			case "SECURITY_MOTION_EVENT":
+				this.handleEvent({ type: "security", event: "motion", camera: payload.camera_id, payload });
+				break;
+
+			case "SECURITY_FACE_EVENT": {
+				const known = payload.person_name && payload.person_name !== "Unknown";
+				this.handleEvent({
+					type: "security",
+					event: known ? "face" : "unknown_face",
+					camera: payload.camera_id,
+					person: known ? payload.person_name : null,
+					payload
+				});
+				break;
+			}
+
+			case "SMARTHOME_DEVICES":
+				// Initial states only seed the device map
+				for (const device of payload.devices || []) {
+					const id = device.id || device.entity_id || device.deviceId;
+					if (id) {
+						this.devices.set(id, { state: String(device.state), name: device.name || device.attributes?.friendly_name });
+					}
+				}
+				break;
+
+			case "SMARTHOME_DEVICE_UPDATE": {
+				if (!payload.id || payload.state === undefined) {
+					break;
+				}
+				const previous = this.devices.get(payload.id);
+				const state = String(payload.state);
+				this.devices.set(payload.id, { ...previous, state });
+				if (previous?.state !== state) {
+					this.handleEvent({ type: "device", device: payload.id, name: previous?.name, state, previous: previous?.state, payload });
+				}
+				break;
+			}
+
+			case "PRESENCE_ARRIVED":
+			case "PRESENCE_DEPARTED": {
+				const person = payload.person;
+				const event = notification === "PRESENCE_ARRIVED" ? "arrived" : "departed";
+				if (person) {
+					if (event === "arrived") {
+						this.present.add(person);
+					} else {
+						this.present.delete(person);
+					}
+				}
+				this.handleEvent({ type: "presence", event, person, payload });
+				break;
+			}
+
+			case "PRESENCE_STATE":
+				// Who is home after a restart; only seeds presence conditions
+				this.present = new Set((payload.people || []).filter((entry) => entry.home).map((entry) => entry.person));
+				break;
+		}
+	}
+
+	/**
+	 * Fire every enabled rule with a trigger matching the event.
+	 * @param {object} event - Rule event ({ type, ... })
+	 */
+	handleEvent (event) {
+		for (const rule of this.rules) {
+			const trigger = rule.enabled && rule.triggers.find((candidate) => this.matchesTrigger(candidate, event));
+			if (trigger) {
+				this.fire(rule.name, { ...event, trigger });
+			}
+		}
+	}
+
+	/**
+	 * @param {object} trigger - Rule trigger
+	 * @param {object} event - Rule event
+	 * @returns {boolean} True if the event fires the trigger
+	 */
+	matchesTrigger (trigger, event) {
+		if (trigger.type !== event.type) {
+			return false;
+		}
+
+		switch (trigger.type) {
+			case "notification":
+				return trigger.notification === event.notification
+					&& (trigger.payload === undefined || matchesPayload(event.payload, trigger.payload));
+
+			case "security":
+				return (!trigger.event || trigger.event === event.event)
+					&& (!trigger.camera || trigger.camera === event.camera)
+					&& (!trigger.person || trigger.person === event.person);
+
+			case "device":
+				return (trigger.device === event.device || trigger.device === event.name)
+					&& (trigger.state === undefined || String(trigger.state) === event.state)
+					&& (trigger.from === undefined || String(trigger.from) === event.previous);
+
+			case "presence":
+				return (!trigger.event || trigger.event === event.event)
+					&& (!trigger.person || trigger.person === event.person);
+
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * @param {object} rule - Normalized rule
+	 * @param {Date} [now] - Reference time
+	 * @returns {object|undefined} The first condition that is not met
+	 */
+	findFailedCondition (rule, now = new Date()) {
+		return rule.conditions.find((condition) => !this.checkCondition(condition, now));
+	}
+
+	/**
+	 * @param {object} condition - Rule condition
+	 * @param {Date} now - Reference time
+	 * @returns {boolean} True if the condition is met
+	 */
+	checkCondition (condition, now) {
+		switch (condition.type) {
+			case "time": {
+				const minutes = now.getHours() * 60 + now.getMinutes();
+				const after = condition.after ? parseTime(condition.after) : 0;
+				const before = condition.before ? parseTime(condition.before) : 24 * 60;
+				// Ranges like 22:00-06:00 wrap around midnight
+				return after <= before
+					? minutes >= after && minutes < before
+					: minutes >= after || minutes < before;
+			}
+
+			case "weekday":
+				return [].concat(condition.days || []).some((day) => (typeof day === "number" ? day : WEEKDAYS.indexOf(String(day).toLowerCase().substring(0, 3))) === now.getDay());
+
+			case "sun": {
+				const { latitude, longitude } = this.config;
+				const times = SunCalc.getTimes(now, latitude, longitude);
+				const isDay = now >= times.sunrise && now < times.sunset;
+				return condition.state === "night" ? !isDay : isDay;
+			}
+
+			case "device": {
+				const device = this.devices.get(condition.device)
+					|| [...this.devices.values()].find((candidate) => candidate.name === condition.device);
+				return Boolean(device) && device.state === String(condition.state);
+			}
+
+			case "presence": {
+				const home = condition.person ? this.present.has(condition.person) : this.present.size > 0;
+				return home === (condition.home !== false);
+			}
+
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Run the actions of a rule.
+	 * @param {string} name - Rule name
+	 * @param {object} [context] - What fired the rule
+	 * @param {object} [options] - Fire options
+	 * @param {boolean} [options.manual] - Fired through the API
+	 * @param {boolean} [options.checkConditions] - Evaluate conditions (always for automatic triggers)
+	 * @returns {object} { fired, reason, rule }
+	 */
+	fire (name, context = {}, options = {}) {
+		const rule = this.rules.find((candidate) => candidate.name === name);
+		if (!rule) {
+			const error = new Error(`Rule ${name} not found`);
+			error.code = "NOT_FOUND";
+			throw error;
+		}
+
+		if (!options.manual) {
+			if (!rule.enabled) {
+				return { fired: false, reason: "disabled", rule: this.summarize(rule) };
+			}
+			if (rule.cooldown && rule.lastFired && Date.now() - new Date(rule.lastFired) < rule.cooldown) {
+				return { fired: false, reason: "cooldown", rule: this.summarize(rule) };
+			}
+		}
+
+		if (!options.manual || options.checkConditions) {
+			let failed;
+			try {
+				failed = this.findFailedCondition(rule);
+			} catch (error) {
+				Log.error(`[Rules] Conditions of "${rule.name}" failed: ${error.message}`);
+				return { fired: false, reason: `conditions failed: ${error.message}`, rule: this.summarize(rule) };
+			}
+			if (failed) {
+				Log.debug(`[Rules] "${rule.name}" skipped: ${failed.type} condition not met`);
+				return { fired: false, reason: `${failed.type} condition not met`, rule: this.summarize(rule) };
+			}
+		}
+
+		Log.info(`[Rules] Firing "${rule.name}" (${options.manual ? "manual" : context.type})`);
+		rule.lastFired = new Date().toISOString();
+		rule.fireCount++;
+
+		for (const action of rule.actions) {
+			try {
+				this.runAction(action, context);
+			} catch (error) {
+				Log.error(`[Rules] Action ${action.type} of "${rule.name}" failed: ${error.message}`);
+			}
+		}
+
+		this.events?.publish("rule.fired", {
+			name: rule.name,
+			trigger: options.manual ? "manual" : context.type
+		});
+
+		return { fired: true, rule: this.summarize(rule) };
+	}
+
+	/**
+	 * Send one action to the displays.
+	 * @param {object} action - Rule action
+	 * @param {object} context - What fired the rule, used for {placeholders}
+	 */
+	runAction (action, context) {
+		switch (action.type) {
+			case "show":
+			case "hide":
+				for (const module of [].concat(action.modules || action.module || [])) {
+					this.emitToDisplays({ action: action.type === "show" ? "SHOW_MODULE" : "HIDE_MODULE", module });
+				}
+				break;
+
+			case "brightness":
+				this.emitToDisplays({ action: "UPDATE_DISPLAY", settings: { brightness: Math.max(0, Math.min(100, action.value)) } });
+				break;
+
+			case "notification":
+				this.emitToOneDisplay({ action: "CUSTOM_COMMAND", command: action.notification, payload: action.payload });
+				break;
+
+			case "smarthome": {
+				const [domain, service] = String(action.service).split(".");
+				this.emitToOneDisplay({
+					action: "CUSTOM_COMMAND",
+					command: "SMARTHOME_CALL_SERVICE",
+					payload: { domain, service, data: action.data || {} }
+				});
+				break;
+			}
+
+			case "speak":
+				this.emitToOneDisplay({
+					action: "CUSTOM_COMMAND",
+					command: "AI_SPEAK",
+					payload: { text: interpolate(action.text, context) }
+				});
+				break;
+
+			case "profile":
+				if (!this.profiles) {
+					throw new Error("display profiles are not available");
+				}
+				this.profiles.activate(action.name, "rule");
+				break;
+		}
+	}
+
+	/**
+	 * @param {object} data - REMOTE_ACTION payload
+	 */
+	emitToDisplays (data) {
+		this.io?.emit("REMOTE_ACTION", data);
+	}
+
+	/**
+	 * Actions with side effects must only run once, whatever the number of displays.
+	 * @param {object} data - REMOTE_ACTION payload
+	 */
+	emitToOneDisplay (data) {
+		const [display] = this.displays;
+		if (!display) {
+			Log.warn(`[Rules] No display connected for ${data.command}`);
+			return;
+		}
+		display.emit("REMOTE_ACTION", data);
+	}
+
+	/**
+	 * @returns {object[]} Summaries of all rules
+	 */
+	list () {
+		return this.rules.map((rule) => this.summarize(rule));
+	}
+
+	/**
+	 * @param {object} rule - Normalized rule
+	 * @returns {object} Rule summary with the next scheduled run
+	 */
+	summarize (rule) {
+		const nextRuns = [
+			...this.jobs.filter((job) => job.ruleName === rule.name).map((job) => job.nextRun()),
+			...[...this.timers.values()].filter((timer) => timer.rule === rule.name).map((timer) => timer.next)
+		].filter(Boolean).sort((a, b) => a - b);
+
+		return {
+			name: rule.name,
+			description: rule.description,
+			enabled: rule.enabled,
+			triggers: rule.triggers,
+			conditions: rule.conditions,
+			actions: rule.actions.map((action) => action.type),
+			lastFired: rule.lastFired,
+			fireCount: rule.fireCount,
+			nextRun: nextRuns[0] ? nextRuns[0].toISOString() : null
+		};
+	}
+}
+
+/**
+ * @param {string} time - "HH:MM"
+ * @returns {number} Minutes since midnight
+ */
+function parseTime (time) {
+	const match = (/^(\d{1,2}):(\d{2})$/).exec(String(time).trim());
+	const [hours, minutes] = match ? [Number(match[1]), Number(match[2])] : [];
+	if (!match || hours > 23 || minutes > 59) {
+		throw new Error(`invalid time "${time}"`);
+	}
+	return hours * 60 + minutes;
+}
+
+/**
+ * @param {string} time - "HH:MM"
+ * @returns {boolean} True if parseTime() accepts the time
+ */
+function isValidTime (time) {
+	try {
+		parseTime(time);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * @param {string} at - "HH:MM"
+ * @param {Array} [days] - Weekdays (0-6 or "mon".."sun")
+ * @returns {string} Cron pattern
+ */
+function timeToCron (at, days) {
+	const minutes = parseTime(at);
+	const dayList = days
+		? [].concat(days).map((day) => (typeof day === "number" ? day : WEEKDAYS.indexOf(String(day).toLowerCase().substring(0, 3)))).join(",")
+		: "*";
+	return `${minutes % 60} ${Math.floor(minutes / 60)} * * ${dayList}`;
+}
+
+/**
+ * Partial, recursive payload comparison. RegExp values test the string value.
+ * @param {*} actual - Notification payload
+ * @param {*} expected - Payload from the trigger
+ * @returns {boolean} True if every expected value matches
+ */
+function matchesPayload (actual, expected) {
+	if (expected instanceof RegExp) {
+		return expected.test(String(actual));
+	}
+	if (expected !== null && typeof expected === "object" && !Array.isArray(expected)) {
+		return actual !== null && typeof actual === "object"
+			&& Object.entries(expected).every(([key, value]) => matchesPayload(actual[key], value));
+	}
+	return actual === expected;
+}
+
+/**
+ * Replace {placeholders} with values of the fire context.
+ * @param {string} text - Text with placeholders, e.g. "Welcome home {person}"
+ * @param {object} context - Fire context
+ * @returns {string} The text
+ */
+function interpolate (text, context) {
+	return String(text || "").replace(/\{(\w+)\}/g, (match, key) => (context[key] !== undefined && context[key] !== null ? context[key] : match));
+}
+
+module.exports = { RulesEngine, matchesPayload, timeToCron };
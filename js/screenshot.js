@@ -0,0 +1,182 @@
+/**
+ * MagicMirror Screenshot Service
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Captures what the mirror currently shows as a PNG. Under Electron the main
+ * window registers a capturer based on webContents.capturePage(); in
+ * server-only mode the mirror page is rendered in headless Chromium through
+ * Playwright, if it is installed. Captures can be cropped to a region
+ * (e.g. "top_left") or a module (name or identifier).
+ */
+
+const Log = require("logger");
+const Utils = require("./utils");
+
+class ScreenshotService {
+
+	/**
+	 * @param {object} [options] - Service options
+	 * @param {string} [options.url] - Mirror URL for the headless fallback
+	 * @param {object} [options.viewport] - Headless viewport ({ width, height })
+	 * @param {number} [options.renderDelay] - Time modules get to render in headless mode (ms)
+	 */
+	constructor (options = {}) {
+		this.url = options.url || "http://localhost:8080";
+		this.viewport = options.viewport || { width: 1920, height: 1080 };
+		this.renderDelay = options.renderDelay ?? 3000;
+		this.capturer = null;
+		this.latest = null;
+		this.queue = Promise.resolve();
+	}
+
+	/**
+	 * Register the capturer of the Electron window.
+	 * @param {Function|null} capturer - async (selector) => PNG buffer, null if the selector matches nothing
+	 */
+	setCapturer (capturer) {
+		this.capturer = capturer;
+	}
+
+	/**
+	 * Capture a screenshot and keep it as the latest one.
+	 * Captures run one at a time.
+	 * @param {object} [options] - Crop options
+	 * @param {string} [options.region] - Region position, e.g. "top_left"
+	 * @param {string} [options.module] - Module name or identifier
+	 * @returns {Promise<object>} The screenshot ({ image, capturedAt, source, width, height, region, module })
+	 */
+	capture (options = {}) {
+		const selector = this.getSelector(options);
+		const run = this.queue.then(() => this.runCapture(selector, options));
+		this.queue = run.catch(() => {});
+		return run;
+	}
+
+	/**
+	 * @param {string|null} selector - Element to crop to
+	 * @param {object} options - Crop options
+	 * @returns {Promise<object>} The screenshot
+	 */
+	async runCapture (selector, options) {
+		const source = this.capturer ? "electron" : "headless";
+		const image = this.capturer
+			? await this.capturer(selector)
+			: await this.captureHeadless(selector);
+
+		if (!image) {
+			throw createError("NOT_FOUND", `Nothing visible to capture for ${options.module ? `module ${options.module}` : `region ${options.region}`}`);
+		}
+
+		const { width, height } = getPngSize(image);
+		this.latest = {
+			image,
+			capturedAt: new Date().toISOString(),
+			source,
+			width,
+			height,
+			region: options.region || null,
+			module: options.module || null
+		};
+
+		Log.info(`[Screenshot] Captured ${width}x${height} (${source})`);
+		return this.latest;
+	}
+
+	/**
+	 * @returns {object|null} The latest screenshot
+	 */
+	getLatest () {
+		return this.latest;
+	}
+
+	/**
+	 * Translate crop options into a CSS selector.
+	 * @param {object} options - Crop options
+	 * @param {string} [options.region] - Region to crop to, e.g. "top_left"
+	 * @param {string} [options.module] - Module to crop to, by name or identifier (module_2_clock)
+	 * @returns {string|null} Selector, null for the whole screen
+	 */
+	getSelector ({ region, module } = {}) {
+		if (module) {
+			if (!(/^[\w-]+$/).test(module)) {
+				throw createError("INVALID", `Invalid module name: ${module}`);
+			}
+			return (/^module_\d+_/).test(module) ? `#${module}` : `.module.${module}`;
+		}
+
+		if (region) {
+			if (!Utils.moduleHasValidPosition(region)) {
+				throw createError("INVALID", `Invalid region: ${region}`);
+			}
+			return `.region.${region.split("_").join(".")}`;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Render the mirror in headless Chromium (server-only mode).
+	 * @param {string|null} selector - Element to crop to
+	 * @returns {Promise<Buffer|null>} PNG image, null if the selector matches nothing
+	 */
+	async captureHeadless (selector) {
+		let chromium;
+		try {
+			({ chromium } = require("playwright"));
+		} catch {
+			throw createError("UNAVAILABLE", "No screenshot backend: run under Electron or install Playwright (npm install playwright && npx playwright install chromium)");
+		}
+
+		let browser;
+		try {
+			browser = await chromium.launch();
+		} catch (error) {
+			throw createError("UNAVAILABLE", `Could not start headless Chromium: ${error.message}`);
+		}
+
+		try {
+			const page = await browser.newPage({ viewport: this.viewport });
+			await page.goto(this.url, { waitUntil: "load" });
+			await page.waitForTimeout(this.renderDelay);
+
+			if (!selector) {
+				return await page.screenshot({ type: "png" });
+			}
+
+			const element = page.locator(selector).first();
+			if (await element.count() === 0 || !(await element.isVisible())) {
+				return null;
+			}
+			return await element.screenshot({ type: "png" });
+		} finally {
+			await browser.close();
+		}
+	}
+}
+
+/**
+ * Read width and height from a PNG header.
+ * @param {Buffer} image - PNG image
+ * @returns {object} { width, height }
+ */
+function getPngSize (image) {
+	if (image.length < 24) {
+		return { width: 0, height: 0 };
+	}
+	return { width: image.readUInt32BE(16), height: image.readUInt32BE(20) };
+}
+
+/**
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ */
+function createError (code, message) {
+	const error = new Error(message);
+	error.code = code;
+	return error;
+}
+
+module.exports = { ScreenshotService };
@@ -15,16 +15,21 @@ const {
 	getStartup,
 	getEnvVars
 } = require("./server_functions");
-const { createApiRouter, logApiToken, generateToken } = require("./api");
+const { createApiRouter, logApiToken } = require("./api");
+const { EventStream } = require("./event-stream");
+const { RulesEngine } = require("./rules-engine");
+const { ProfileManager } = require("./profile-manager");
+const { NotificationCenter } = require("./notification-center");
 
 const vendor = require(`${__dirname}/vendor`);
 
 /**
  * Server
  * @param {object} config The MM config
+ * @param {object} [services] Shared core services (e.g. configStore, tokenStore)
  * @class
  */
-function Server (config) {
+function Server (config, services = {}) {
 	const app = express();
 	const port = process.env.MM_PORT || config.port;
 	const serverSockets = new Set();
@@ -188,24 +193,50 @@ function Server (config) {
 
 			app.get("/", (req, res) => getHtml(req, res));
 
+			// Managed config overlay, applied by the browser right after config.js
+			app.get("/config-overlay.js", (req, res) => {
+				const configStore = services.configStore;
+				res.type("application/javascript");
+				res.send(configStore?.enabled
+					? `applyConfigOverlay(config, ${JSON.stringify(configStore.getOverlay())});`
+					: "");
+			});
+
 			// REST API for mobile apps and remote control
 			const apiPrefix = config.api?.prefix || "/api/v1";
-			const apiToken = config.api?.token || generateToken();
-			app.use(apiPrefix, createApiRouter(config, io));
-			
-			// Log API token on first startup for setup and save to file for Settings module
+			const events = new EventStream(io, { tokenStore: services.tokenStore });
+			const profiles = new ProfileManager(config.layout, { io, events, modules: config.modules });
+			profiles.start();
+			app.set("profiles", profiles);
+			const rules = new RulesEngine(config.automation, { io, events, profiles });
+			rules.start();
+			app.set("rules", rules);
+			const notifications = new NotificationCenter(config.notifications, {
+				io,
+				file: path.join(global.root_path, "config", "notifications.json")
+			});
+			notifications.start();
+			app.set("notifications", notifications);
+			app.set("tokenStore", services.tokenStore);
+			app.use(apiPrefix, createApiRouter(config, io, { ...services, events, rules, profiles, notifications }));
+
+			// Log the setup token when it is first minted. Only its hash is kept in the
+			// token store, so it is printed once and never written to disk.
+			const setupToken = config.api?.enabled !== false
+				&& (config.api?.token || services.tokenStore?.ensurePrimaryToken());
+			if (setupToken) {
+				logApiToken(setupToken);
+			}
+
+			// Save the API address so the Settings module can show the companion app setup
 			if (config.api?.enabled !== false) {
-				logApiToken(apiToken);
-				// Save token to file so Settings module can display it
 				const tokenFilePath = path.join(__dirname, "..", "config", ".api_token");
 				const tokenData = JSON.stringify({
-					token: apiToken,
 					host: `${config.address || "localhost"}:${port}`,
 					prefix: apiPrefix,
 					createdAt: new Date().toISOString()
 				});
 				fs.writeFileSync(tokenFilePath, tokenData);
-				Log.info("[API] Token saved for companion app setup");
 			}
 
 			// Ecosystem integration (standalone no-op when registry unavailable)
@@ -216,6 +247,15 @@ function Server (config) {
 					servicePort: parseInt(port) || 8080,
 					healthEndpoint: "/api/v1/health",
 				});
+				// Forward verified webhook events to event stream clients
+				eco.on("*", (envelope) => {
+					events.publish(`ecosystem.${envelope.type}`, {
+						id: envelope.id,
+						source: envelope.source,
+						timestamp: envelope.timestamp,
+						data: envelope.data
+					});
+				});
 				eco.start().catch((e) => Log.debug("Ecosystem client start: " + e.message));
 
 				app.post("/ecosystem/events", express.json(), async (req, res) => {
@@ -250,6 +290,10 @@ function Server (config) {
 				if (eco) await eco.stop();
 			} catch { /* ignore */ }
 
+			app.get("rules")?.stop();
+			app.get("profiles")?.stop();
+			await app.get("notifications")?.stop();
+
 			for (const socket of serverSockets.values()) {
 				socket.destroy();
 			}
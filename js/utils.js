@@ -11,6 +11,7 @@ const modulePositions = []; // will get list from index.html
 const regionRegEx = /"region ([^"]*)/i;
 const indexFileName = "index.html";
 const discoveredPositionsJSFilename = "js/positions.js";
+const localAddresses = ["127.0.0.1", "::ffff:127.0.0.1", "::1"];
 
 module.exports = {
 	async logSystemInformation () {
@@ -41,6 +42,11 @@ module.exports = {
 		}
 	},
 
+	// return if a Socket.IO client connects from the mirror itself (true/false)
+	isLocalSocket (socket) {
+		return localAddresses.includes(socket.handshake?.address);
+	},
+
 	// return all available module positions
 	getAvailableModulePositions () {
 		return modulePositions;
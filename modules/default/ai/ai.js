@@ -12,7 +12,7 @@
  * @see https://github.com/M1K31/MagicMirror-Custom
  */
 
-/* global Log, Module, MM */
+/* global Log, Module, MM, AITools */
 
 Module.register("ai", {
 	/**
@@ -55,6 +55,17 @@ Module.register("ai", {
 		// Response Settings
 		maxTokens: 500,
 		temperature: 0.7,
+
+		// Let the model call tools offered by modules (openai, anthropic and ollama)
+		enableTools: true,
+
+		// Show and speak the response while it is generated
+		streamResponses: true,
+
+		// Keep conversations on the server (config/ai_memory.json), one per recognized person
+		rememberConversations: true,
+		memoryTokenBudget: 1500, // Older messages are summarized beyond this
+		speakerTimeout: 10 * 60 * 1000, // How long a recognized face counts as the speaker
 		systemPrompt: `You are a helpful AI assistant integrated into a MagicMirror smart display.
 You can help the user with:
 - Controlling mirror modules (show/hide modules, adjust settings)
@@ -62,7 +73,8 @@ You can help the user with:
 - Smart home control (if integrated)
 - General knowledge questions
 
-When the user asks to control the mirror, respond with a JSON action block like this:
+Use the tools you are given to look up data and control the mirror and the home.
+If no tools are available and the user asks to control the mirror, respond with a JSON action block like this:
 \`\`\`action
 {"action": "show_module", "module": "weather"}
 \`\`\`
@@ -77,6 +89,16 @@ Available actions:
 Keep responses concise and helpful for a smart mirror display.`
 	},
 
+	// "Forget our conversation", "forget everything", ... in chat and voice
+	forgetPattern: /^(?:please )?(?:forget|clear|delete) (?:everything|(?:our|the|my) (?:conversation|chat|history))\W*$/i,
+
+	/**
+	 * Required scripts
+	 */
+	getScripts: function () {
+		return [this.file("aitools.js")];
+	},
+
 	/**
 	 * Required styles
 	 */
@@ -95,6 +117,13 @@ Keep responses concise and helpful for a smart mirror display.`
 		this.isListening = false;
 		this.isProcessing = false;
 		this.recognition = null;
+		this.tools = null;
+		this.activeRequest = null;
+		this.requestCount = 0;
+		this.person = null;
+
+		// Tool calls are answered only by the display that sent the message
+		this.clientId = `${this.identifier}-${Math.random().toString(36).slice(2, 10)}`;
 
 		// Initialize speech recognition if available
 		if (this.config.enableVoice) {
@@ -105,6 +134,11 @@ Keep responses concise and helpful for a smart mirror display.`
 		this.sendSocketNotification("AI_CHECK_CONFIG", {
 			provider: this.config.provider
 		});
+
+		// Restore the conversation after a reload
+		if (this.config.rememberConversations) {
+			this.sendSocketNotification("AI_GET_HISTORY", this.getMemorySettings());
+		}
 	},
 
 	/**
@@ -144,8 +178,10 @@ Keep responses concise and helpful for a smart mirror display.`
 			const transcript = event.results[last][0].transcript.trim();
 
 			if (event.results[last].isFinal) {
-				// Check for wake word if not in chat mode
-				if (!this.chatVisible && this.config.wakeWord) {
+				// "Stop" interrupts a response that is still coming in
+				if (this.activeRequest && (/^(stop|cancel|never mind)$/i).test(transcript)) {
+					this.cancelResponse();
+				} else if (!this.chatVisible && this.config.wakeWord) {
 					if (transcript.toLowerCase().includes(this.config.wakeWord.toLowerCase())) {
 						const command = transcript.toLowerCase().replace(this.config.wakeWord.toLowerCase(), "").trim();
 						
@@ -189,6 +225,47 @@ Keep responses concise and helpful for a smart mirror display.`
 		
 		// Define built-in command patterns organized by category
 		const commands = [
+			// ============================================
+			// MEMORY
+			// ============================================
+			{
+				patterns: [this.forgetPattern],
+				handler: () => {
+					this.forgetConversation();
+					return true;
+				}
+			},
+
+			// ============================================
+			// DISPLAY PROFILES - before MODULE CONTROL, which would take "show night page"
+			// ============================================
+			{
+				patterns: [/(?:next|another) (?:profile|page|layout)/i],
+				handler: () => {
+					this.sendNotification("PROFILE_NEXT");
+					return true;
+				}
+			},
+			{
+				patterns: [/(?:previous|last) (?:profile|page|layout)/i],
+				handler: () => {
+					this.sendNotification("PROFILE_PREVIOUS");
+					return true;
+				}
+			},
+			{
+				patterns: [
+					/(?:switch|change|go) to (?:the )?(.+?) (?:profile|page|layout)/i,
+					/(?:show|activate|open) (?:the )?(.+?) (?:profile|page|layout)/i
+				],
+				handler: (match) => {
+					const name = match[1].trim().toLowerCase().replace(/\s+/g, "-");
+					this.sendNotification("PROFILE_ACTIVATE", { name });
+					this.speak(`Switching to ${match[1].trim()}`);
+					return true;
+				}
+			},
+
 			// ============================================
 			// MODULE CONTROL - Turn on/off any module
 			// ============================================
@@ -1113,7 +1190,7 @@ Keep responses concise and helpful for a smart mirror display.`
 	/**
 	 * Text-to-speech output
 	 */
-	speak: function (text) {
+	speak: function (text, showInChat = true) {
 		if (!("speechSynthesis" in window)) {
 			Log.warn(`[${this.name}] Speech synthesis not supported`);
 			return;
@@ -1126,7 +1203,7 @@ Keep responses concise and helpful for a smart mirror display.`
 		speechSynthesis.speak(utterance);
 		
 		// Also show in chat if visible
-		if (this.chatVisible) {
+		if (showInChat && this.chatVisible) {
 			this.addMessage("assistant", text);
 		}
 	},
@@ -1203,10 +1280,10 @@ Keep responses concise and helpful for a smart mirror display.`
 	// ============================================
 
 	/**
-	 * Add calendar event
+	 * Add calendar event. The calendar module with a writable CalDAV calendar saves it.
 	 */
 	addCalendarEvent: function (dateStr, title) {
-		this.sendSocketNotification("AI_ADD_CALENDAR_EVENT", { date: dateStr, title });
+		this.sendNotification("CALENDAR_ADD_EVENT", { title, when: dateStr });
 		this.speak(`Adding ${title} to your calendar`);
 	},
 
@@ -1926,6 +2003,8 @@ Keep responses concise and helpful for a smart mirror display.`
 	listCommands: function () {
 		const categories = {
 			"Module Control": ["Turn on/off [module]", "Show/hide [module]"],
+			"Profiles": ["Switch to [name] profile", "Next page", "Previous page"],
+			"Memory": ["Forget our conversation", "Forget everything"],
 			"Calendar": ["Add event on [date] for [title]", "What's on my calendar", "Events on [date]"],
 			"Security": ["Show [camera] camera", "Show all cameras", "Arm/disarm security"],
 			"OpenEye": ["Search for cameras", "Add [name] camera", "Take photo from [camera]", "Train face for [name]", "Who's at the door"],
@@ -1973,10 +2052,32 @@ Keep responses concise and helpful for a smart mirror display.`
 				this.handleAIResponse(payload);
 				break;
 
+			case "AI_HISTORY":
+				this.handleHistory(payload);
+				break;
+
+			case "AI_RESPONSE_CHUNK":
+				if (this.activeRequest && payload.requestId === this.activeRequest.id) {
+					this.handleResponseChunk(payload.text);
+				}
+				break;
+
+			case "AI_CANCELLED":
+				if (this.activeRequest && payload.requestId === this.activeRequest.id) {
+					this.handleAICancelled();
+				}
+				break;
+
 			case "AI_ERROR":
 				this.handleAIError(payload);
 				break;
 
+			case "AI_TOOL_CALL":
+				if (payload.clientId === this.clientId) {
+					this.runToolCall(payload);
+				}
+				break;
+
 			case "AI_ACTION_RESULT":
 				if (payload.success) {
 					this.addMessage("system", `✓ ${payload.message}`);
@@ -2176,6 +2277,14 @@ Keep responses concise and helpful for a smart mirror display.`
 				}
 				break;
 
+			case "AI_CANCEL":
+				this.cancelResponse();
+				break;
+
+			case "AI_FORGET":
+				this.forgetConversation();
+				break;
+
 			case "AI_START_VOICE":
 				this.startVoiceRecognition();
 				break;
@@ -2183,6 +2292,14 @@ Keep responses concise and helpful for a smart mirror display.`
 			case "AI_STOP_VOICE":
 				this.stopVoiceRecognition();
 				break;
+
+			case "AI_SPEAK": {
+				const text = typeof payload === "string" ? payload : payload?.text;
+				if (text) {
+					this.speak(text);
+				}
+				break;
+			}
 		}
 	},
 
@@ -2239,6 +2356,7 @@ Keep responses concise and helpful for a smart mirror display.`
 				<i class="fas fa-robot"></i>
 				<span>AI Assistant</span>
 				<span class="provider-badge">${this.config.provider}</span>
+				${this.person ? `<span class="provider-badge person-badge"><i class="fas fa-user"></i> ${this.person}</span>` : ""}
 			</div>
 			<div class="ai-chat-controls">
 				${this.config.enableVoice ? `
@@ -2290,9 +2408,15 @@ Keep responses concise and helpful for a smart mirror display.`
 				   class="ai-text-input" 
 				   placeholder="Type a message or tap the mic..."
 				   autocomplete="off">
-			<button class="send-btn" id="ai-send-btn">
-				<i class="fas fa-paper-plane"></i>
-			</button>
+			${this.activeRequest ? `
+				<button class="send-btn stop" id="ai-stop-btn" title="Stop">
+					<i class="fas fa-stop"></i>
+				</button>
+			` : `
+				<button class="send-btn" id="ai-send-btn">
+					<i class="fas fa-paper-plane"></i>
+				</button>
+			`}
 		`;
 		panel.appendChild(inputArea);
 
@@ -2307,7 +2431,10 @@ Keep responses concise and helpful for a smart mirror display.`
 	 */
 	createMessageBubble: function (msg) {
 		const bubble = document.createElement("div");
-		bubble.className = `ai-message ${msg.role}`;
+		bubble.className = `ai-message ${msg.role}${msg.streaming ? " streaming" : ""}${msg.cancelled ? " cancelled" : ""}`;
+		if (msg.streaming) {
+			bubble.id = "ai-streaming-message";
+		}
 
 		const icon = msg.role === "user" ? "fa-user" : msg.role === "assistant" ? "fa-robot" : "fa-cog";
 		const time = new Date(msg.timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
@@ -2334,8 +2461,8 @@ Keep responses concise and helpful for a smart mirror display.`
 			.replace(/`([^`]+)`/g, "<code>$1</code>")
 			.replace(/\n/g, "<br>");
 
-		// Hide action blocks from display
-		formatted = formatted.replace(/```action[\s\S]*?```/g, "");
+		// Hide action blocks from display, including one that is still streaming
+		formatted = formatted.replace(/```action[\s\S]*?(```|$)/g, "");
 
 		return formatted;
 	},
@@ -2368,6 +2495,12 @@ Keep responses concise and helpful for a smart mirror display.`
 			sendBtn.addEventListener("click", () => this.sendInputMessage());
 		}
 
+		// Stop button while a response is coming in
+		const stopBtn = document.getElementById("ai-stop-btn");
+		if (stopBtn) {
+			stopBtn.addEventListener("click", () => this.cancelResponse());
+		}
+
 		// Text input
 		const input = document.getElementById("ai-input");
 		if (input) {
@@ -2451,11 +2584,21 @@ Keep responses concise and helpful for a smart mirror display.`
 	sendMessage: function (message) {
 		if (!message || this.isProcessing) return;
 
+		if (this.forgetPattern.test(message.trim())) {
+			this.forgetConversation();
+			return;
+		}
+
 		// Add user message
 		this.addMessage("user", message);
 
-		// Set processing state
+		// Set processing state, chunks, the response and cancellation are matched by the request id
 		this.isProcessing = true;
+		this.activeRequest = {
+			id: `${this.clientId}-${++this.requestCount}`,
+			message: null,
+			spoken: 0
+		};
 		this.updateDom();
 
 		// Build conversation history for context
@@ -2472,10 +2615,265 @@ Keep responses concise and helpful for a smart mirror display.`
 			message: message,
 			history: conversationHistory.slice(-10), // Last 10 messages for context
 			maxTokens: this.config.maxTokens,
-			temperature: this.config.temperature
+			temperature: this.config.temperature,
+			clientId: this.clientId,
+			tools: this.getToolDefinitions(),
+			requestId: this.activeRequest.id,
+			stream: this.config.streamResponses,
+			...this.getMemorySettings()
 		});
 	},
 
+	/**
+	 * Memory settings for the node helper
+	 */
+	getMemorySettings: function () {
+		return {
+			remember: this.config.rememberConversations,
+			memoryTokenBudget: this.config.memoryTokenBudget,
+			speakerTimeout: this.config.speakerTimeout
+		};
+	},
+
+	/**
+	 * Delete the stored conversation of the current speaker
+	 */
+	forgetConversation: function () {
+		this.messages = [];
+		if (this.config.rememberConversations) {
+			this.sendSocketNotification("AI_FORGET", this.getMemorySettings());
+		}
+		this.updateDom();
+		this.speak("Okay, I forgot our conversation.");
+	},
+
+	/**
+	 * Stored conversation from the node helper: after a reload, when
+	 * someone else was recognized, or after forgetting
+	 */
+	handleHistory: function (payload) {
+		// Never replace a conversation that is still going on
+		if (this.activeRequest) return;
+
+		if (payload.forgotten || payload.person !== this.person || this.messages.length === 0) {
+			this.person = payload.person;
+			this.messages = payload.messages.map(({ role, content, timestamp }) => ({ role, content, timestamp }));
+			this.updateDom();
+		}
+	},
+
+	/**
+	 * Stop the response that is coming in
+	 */
+	cancelResponse: function () {
+		if (!this.activeRequest) return;
+
+		this.sendSocketNotification("AI_CANCEL", { requestId: this.activeRequest.id });
+		if ("speechSynthesis" in window) {
+			speechSynthesis.cancel();
+		}
+	},
+
+	/**
+	 * Append streamed text to the response bubble
+	 */
+	handleResponseChunk: function (text) {
+		const request = this.activeRequest;
+
+		if (!request.message) {
+			// First chunk: add the bubble with a full render
+			request.message = { role: "assistant", content: text, streaming: true, timestamp: Date.now() };
+			this.messages.push(request.message);
+			this.updateDom();
+		} else {
+			// Later chunks only touch the bubble, a full render per chunk is too slow
+			request.message.content += text;
+			this.updateStreamingBubble();
+		}
+
+		this.speakStreamedText(request, false);
+	},
+
+	/**
+	 * Show the current text of the streaming message
+	 */
+	updateStreamingBubble: function () {
+		const bubble = document.getElementById("ai-streaming-message");
+		if (!bubble) return;
+
+		bubble.querySelector(".message-text").innerHTML = this.formatMessage(this.activeRequest.message.content);
+		const messagesEl = document.getElementById("ai-messages");
+		if (messagesEl) {
+			messagesEl.scrollTop = messagesEl.scrollHeight;
+		}
+	},
+
+	/**
+	 * Speak the complete sentences of the streaming message that were not spoken yet
+	 * @param {object} request - The request of the message
+	 * @param {boolean} final - Speak the rest, the response is complete
+	 */
+	speakStreamedText: function (request, final) {
+		if (!this.config.enableVoice || !("speechSynthesis" in window) || !request.message) return;
+
+		// Code blocks are not read out, an unfinished one is cut off until it is complete
+		const speakable = request.message.content.replace(/```[\s\S]*?(```|$)/g, " ");
+		const pending = speakable.slice(request.spoken);
+
+		let end = pending.length;
+		if (!final) {
+			// Sentence ends: punctuation followed by whitespace, or a line break
+			const boundaries = [...pending.matchAll(/[.!?:;](?=\s)|\n/g)];
+			end = boundaries.length > 0 ? boundaries[boundaries.length - 1].index + 1 : 0;
+		}
+
+		const sentence = pending.slice(0, end).trim();
+		request.spoken += end;
+		if (sentence) {
+			this.speak(sentence, false);
+		}
+	},
+
+	/**
+	 * Finish the message of a cancelled request
+	 */
+	handleAICancelled: function () {
+		const request = this.activeRequest;
+		this.activeRequest = null;
+		this.isProcessing = false;
+
+		if (request.message) {
+			request.message.streaming = false;
+			request.message.cancelled = true;
+			this.updateDom();
+		} else {
+			this.addMessage("system", "Cancelled");
+		}
+	},
+
+	/**
+	 * Tool definitions offered to the model, collected from all modules
+	 * once they are started
+	 */
+	getToolDefinitions: function () {
+		if (!this.config.enableTools || !["openai", "anthropic", "ollama"].includes(this.config.provider)) {
+			return [];
+		}
+
+		if (!this.tools) {
+			this.tools = AITools.collect(MM.getModules());
+			Log.info(`[${this.name}] ${this.tools.size} tool(s) available: ${Array.from(this.tools.keys()).join(", ")}`);
+		}
+		return AITools.describe(this.tools);
+	},
+
+	/**
+	 * Run a tool call requested by the model and send the result back
+	 */
+	runToolCall: async function (payload) {
+		const tool = this.tools && this.tools.get(payload.name);
+
+		try {
+			if (!tool) {
+				throw new Error(`Unknown tool: ${payload.name}`);
+			}
+			const result = await AITools.run(tool, payload.arguments);
+			this.sendSocketNotification("AI_TOOL_RESULT", { id: payload.id, result });
+		} catch (error) {
+			Log.warn(`[${this.name}] Tool ${payload.name} failed:`, error.message);
+			this.sendSocketNotification("AI_TOOL_RESULT", { id: payload.id, error: error.message });
+		}
+	},
+
+	/**
+	 * Show or hide every instance of a module for a tool call
+	 * @param {string} module Module name or spoken name, e.g. "news"
+	 * @param {boolean} visible Show (true) or hide (false)
+	 * @returns {object} The shown or hidden modules
+	 */
+	setModuleVisibility: function (module, visible) {
+		const name = this.getModuleNameMap()[module.toLowerCase()] || module;
+		const modules = MM.getModules().withClass(name);
+		if (modules.length === 0) {
+			throw new Error(`No module named ${module} on the mirror`);
+		}
+
+		modules.enumerate((instance) => (visible ? instance.show(1000) : instance.hide(1000)));
+		return { modules: modules.map((instance) => instance.identifier), visible };
+	},
+
+	/**
+	 * Tools of the assistant itself
+	 */
+	getAiTools: function () {
+		return [
+			{
+				name: "list_modules",
+				description: "List the modules on the mirror and whether they are visible",
+				handler: () => ({
+					modules: MM.getModules().map((module) => ({
+						name: module.name,
+						identifier: module.identifier,
+						position: module.data.position || null,
+						visible: !module.hidden
+					}))
+				})
+			},
+			{
+				name: "show_module",
+				description: "Show a hidden module on the mirror",
+				parameters: {
+					type: "object",
+					properties: { module: { type: "string", description: "Module name, e.g. weather or calendar" } },
+					required: ["module"]
+				},
+				handler: ({ module }) => this.setModuleVisibility(module, true)
+			},
+			{
+				name: "hide_module",
+				description: "Hide a module on the mirror",
+				parameters: {
+					type: "object",
+					properties: { module: { type: "string", description: "Module name, e.g. weather or calendar" } },
+					required: ["module"]
+				},
+				handler: ({ module }) => this.setModuleVisibility(module, false)
+			},
+			{
+				name: "set_brightness",
+				description: "Set the brightness of the display in percent",
+				parameters: {
+					type: "object",
+					properties: { value: { type: "integer", minimum: 20, maximum: 100 } },
+					required: ["value"]
+				},
+				handler: ({ value }) => {
+					const clamped = Math.max(20, Math.min(100, value));
+					document.body.style.filter = `brightness(${clamped / 100})`;
+					this.sendNotification("BRIGHTNESS_SET", { value: clamped });
+					return { brightness: clamped };
+				}
+			},
+			{
+				name: "show_alert",
+				description: "Show a message on the mirror for a few seconds",
+				parameters: {
+					type: "object",
+					properties: {
+						title: { type: "string" },
+						message: { type: "string" }
+					},
+					required: ["message"]
+				},
+				handler: ({ title, message }) => this.sendNotification("SHOW_ALERT", {
+					title: title || "AI Assistant",
+					message,
+					timer: 5000
+				})
+			}
+		];
+	},
+
 	/**
 	 * Add message to chat
 	 */
@@ -2502,20 +2900,20 @@ Keep responses concise and helpful for a smart mirror display.`
 	handleAIResponse: function (payload) {
 		this.isProcessing = false;
 
-		// Add assistant message
-		this.addMessage("assistant", payload.response);
+		const request = this.activeRequest;
+		if (request && payload.requestId === request.id) {
+			this.activeRequest = null;
 
-		// Check for action blocks in response
-		const actionMatch = payload.response.match(/```action\s*([\s\S]*?)\s*```/);
-		if (actionMatch) {
-			try {
-				const action = JSON.parse(actionMatch[1]);
-				this.executeAction(action);
-			} catch (e) {
-				Log.error(`[${this.name}] Failed to parse action:`, e);
+			if (request.message) {
+				this.finishStreamedResponse(request);
+				return;
 			}
 		}
 
+		// Add assistant message
+		this.addMessage("assistant", payload.response);
+		this.runResponseActions(payload.response);
+
 		// Speak response if voice is enabled
 		if (this.config.enableVoice && "speechSynthesis" in window) {
 			// Clean response for speech (remove action blocks)
@@ -2528,11 +2926,46 @@ Keep responses concise and helpful for a smart mirror display.`
 		}
 	},
 
+	/**
+	 * Complete a streamed message: it keeps the streamed text, which
+	 * includes the text written between tool calls
+	 */
+	finishStreamedResponse: function (request) {
+		this.speakStreamedText(request, true);
+
+		request.message.streaming = false;
+		this.updateDom();
+		this.runResponseActions(request.message.content);
+	},
+
+	/**
+	 * Execute the ```action block of a response, if any
+	 */
+	runResponseActions: function (response) {
+		const actionMatch = response.match(/```action\s*([\s\S]*?)\s*```/);
+		if (actionMatch) {
+			try {
+				const action = JSON.parse(actionMatch[1]);
+				this.executeAction(action);
+			} catch (e) {
+				Log.error(`[${this.name}] Failed to parse action:`, e);
+			}
+		}
+	},
+
 	/**
 	 * Handle AI error
 	 */
 	handleAIError: function (payload) {
 		this.isProcessing = false;
+
+		const request = this.activeRequest;
+		if (request && payload.requestId === request.id) {
+			this.activeRequest = null;
+			if (request.message) {
+				request.message.streaming = false;
+			}
+		}
 		this.addMessage("system", `Error: ${payload.error}`);
 		this.updateDom();
 	},
@@ -0,0 +1,176 @@
+/**
+ * AI Assistant - Tool Registry
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Modules offer tools to the assistant by implementing getAiTools():
+ *
+ *   getAiTools () {
+ *     return [{
+ *       name: "get_calendar_events",
+ *       description: "List upcoming calendar events",
+ *       parameters: { type: "object", properties: { days: { type: "integer" } } },
+ *       handler: (args) => ...   // result is sent back to the model, may be a promise
+ *     }];
+ *   }
+ *
+ * The browser collects the tools and runs their handlers. The node helper
+ * passes the definitions to the function calling API of the provider and
+ * feeds the results back into the conversation.
+ */
+
+const AITools = {
+
+	/**
+	 * Collect the tools offered by modules
+	 * @param {object[]} modules Module instances
+	 * @returns {Map<string, object>} Tools by name ({ name, description, parameters, handler, module })
+	 */
+	collect (modules) {
+		const tools = new Map();
+
+		for (const module of modules) {
+			if (typeof module.getAiTools !== "function") {
+				continue;
+			}
+
+			for (const tool of module.getAiTools() || []) {
+				if (!(/^[a-zA-Z0-9_-]{1,64}$/).test(tool.name || "") || typeof tool.handler !== "function") {
+					Log.warn(`[AITools] ${module.name} offers an invalid tool: ${tool.name}`);
+				} else if (tools.has(tool.name)) {
+					Log.warn(`[AITools] ${module.name} and ${tools.get(tool.name).module} both offer ${tool.name}`);
+				} else {
+					tools.set(tool.name, {
+						...tool,
+						parameters: tool.parameters || { type: "object", properties: {} },
+						module: module.name
+					});
+				}
+			}
+		}
+
+		return tools;
+	},
+
+	/**
+	 * Tool definitions for the provider, without handlers
+	 * @param {Map<string, object>} tools Collected tools
+	 * @returns {object[]} Definitions ({ name, description, parameters })
+	 */
+	describe (tools) {
+		return Array.from(tools.values(), ({ name, description, parameters }) => ({ name, description: description || "", parameters }));
+	},
+
+	/**
+	 * Check arguments against a tool's JSON schema (required properties, types and enums)
+	 * @param {object} schema JSON schema of the parameters
+	 * @param {object} args Arguments from the model
+	 * @returns {string|null} What is wrong, null if the arguments are valid
+	 */
+	validate (schema, args) {
+		if (args === null || typeof args !== "object" || Array.isArray(args)) {
+			return "arguments must be an object";
+		}
+
+		for (const name of schema.required || []) {
+			if (args[name] === undefined) {
+				return `${name} is required`;
+			}
+		}
+
+		for (const [name, value] of Object.entries(args)) {
+			const property = schema.properties?.[name];
+			if (!property) {
+				continue;
+			}
+			if (property.type && !this.hasType(value, property.type)) {
+				return `${name} must be of type ${property.type}`;
+			}
+			if (property.enum && !property.enum.includes(value)) {
+				return `${name} must be one of ${property.enum.join(", ")}`;
+			}
+		}
+
+		return null;
+	},
+
+	/**
+	 * @param {*} value Argument value
+	 * @param {string} type JSON schema type
+	 * @returns {boolean} True if the value has the type
+	 */
+	hasType (value, type) {
+		switch (type) {
+			case "integer":
+				return Number.isInteger(value);
+			case "number":
+				return typeof value === "number" && !isNaN(value);
+			case "array":
+				return Array.isArray(value);
+			case "object":
+				return value !== null && typeof value === "object" && !Array.isArray(value);
+			default:
+				return typeof value === type;
+		}
+	},
+
+	/**
+	 * Validate the arguments and run a tool
+	 * @param {object} tool Collected tool
+	 * @param {object} args Arguments from the model
+	 * @returns {Promise<*>} The result of the handler
+	 */
+	async run (tool, args) {
+		const problem = this.validate(tool.parameters, args);
+		if (problem) {
+			throw new Error(`Invalid arguments for ${tool.name}: ${problem}`);
+		}
+		const result = await tool.handler(args);
+		return result === undefined ? { success: true } : result;
+	},
+
+	/**
+	 * @param {object[]} definitions Tool definitions
+	 * @returns {object[]} Tools in the OpenAI (and Ollama) format
+	 */
+	toOpenAI (definitions) {
+		return definitions.map(({ name, description, parameters }) => ({
+			type: "function",
+			function: { name, description, parameters }
+		}));
+	},
+
+	/**
+	 * @param {object[]} definitions Tool definitions
+	 * @returns {object[]} Tools in the Anthropic format
+	 */
+	toAnthropic (definitions) {
+		return definitions.map(({ name, description, parameters }) => ({
+			name,
+			description,
+			input_schema: parameters
+		}));
+	},
+
+	/**
+	 * OpenAI sends arguments as a JSON string, Ollama as an object
+	 * @param {string|object} raw Arguments of a tool call
+	 * @returns {object} The arguments, empty if they cannot be parsed
+	 */
+	parseArguments (raw) {
+		if (raw && typeof raw === "object") {
+			return raw;
+		}
+		try {
+			const args = JSON.parse(raw || "{}");
+			return args && typeof args === "object" ? args : {};
+		} catch {
+			return {};
+		}
+	}
+};
+
+if (typeof module !== "undefined") {
+	module.exports = AITools;
+}
@@ -0,0 +1,155 @@
+/**
+ * AI Assistant - Conversation Memory
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Keeps the conversations of the assistant on the server
+ * (config/ai_memory.json), one history per person. People are told apart
+ * by the face recognition of the security module; everyone else shares
+ * the "guest" history.
+ *
+ * When a history grows beyond its token budget, the older messages are
+ * replaced by a summary written by the model, so the assistant remembers
+ * what was said without sending the whole conversation every time.
+ */
+
+const fs = require("node:fs");
+const Log = require("logger");
+const { writeStateFile } = require("../../../js/file-writer");
+
+const GUEST = "guest";
+
+class ConversationMemory {
+
+	/**
+	 * @param {object} [options] - Memory options
+	 * @param {string} [options.file] - JSON file for the histories (in-memory if omitted)
+	 */
+	constructor (options = {}) {
+		this.file = options.file || null;
+		this.people = {};
+
+		this.load();
+	}
+
+	/**
+	 * Read the histories from disk.
+	 */
+	load () {
+		if (!this.file) {
+			return;
+		}
+
+		try {
+			this.people = JSON.parse(fs.readFileSync(this.file, "utf8")).people || {};
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				Log.error(`[AI] Could not read ${this.file}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Write the histories.
+	 * @returns {Promise<void>} Resolves when the file is written
+	 */
+	save () {
+		if (!this.file) {
+			return Promise.resolve();
+		}
+
+		const data = JSON.stringify({ people: this.people }, null, 2);
+		return writeStateFile(this.file, data)
+			.catch((error) => Log.error(`[AI] Could not write ${this.file}: ${error.message}`));
+	}
+
+	/**
+	 * @param {string|null} person - Recognized person, null if unknown
+	 * @returns {object} The history of the person ({ summary, messages, updatedAt }), empty if there is none
+	 */
+	get (person) {
+		return this.people[person || GUEST] || { summary: "", messages: [], updatedAt: null };
+	}
+
+	/**
+	 * Add a question and the answer to a history.
+	 * @param {string|null} person - Recognized person
+	 * @param {string} question - Message of the user
+	 * @param {string} answer - Response of the assistant
+	 */
+	append (person, question, answer) {
+		const key = person || GUEST;
+		const history = this.people[key] || (this.people[key] = { summary: "", messages: [], updatedAt: null });
+		const timestamp = Date.now();
+
+		history.messages.push(
+			{ role: "user", content: question, timestamp },
+			{ role: "assistant", content: answer, timestamp }
+		);
+		history.updatedAt = new Date(timestamp).toISOString();
+	}
+
+	/**
+	 * Delete the history of a person.
+	 * @param {string|null} person - Recognized person
+	 */
+	forget (person) {
+		delete this.people[person || GUEST];
+	}
+
+	/**
+	 * @param {string|null} person - Recognized person
+	 * @param {number} limit - Maximum number of messages
+	 * @returns {object[]} The latest messages as { role, content } for the provider
+	 */
+	context (person, limit) {
+		return this.get(person).messages
+			.slice(-limit)
+			.map(({ role, content }) => ({ role, content }));
+	}
+
+	/**
+	 * @param {string|null} person - Recognized person
+	 * @param {number} budget - Token budget of the history
+	 * @returns {boolean} True if the history should be summarized
+	 */
+	needsSummary (person, budget) {
+		const history = this.get(person);
+		return estimateTokens(history.summary) + history.messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0) > budget;
+	}
+
+	/**
+	 * Messages that go into the next summary: all but the latest ones.
+	 * @param {string|null} person - Recognized person
+	 * @param {number} keep - Number of messages to keep as they are
+	 * @returns {object[]} The messages to summarize
+	 */
+	summaryCandidates (person, keep) {
+		const messages = this.get(person).messages;
+		return messages.slice(0, Math.max(0, messages.length - keep));
+	}
+
+	/**
+	 * Replace summarized messages by their summary.
+	 * @param {string|null} person - Recognized person
+	 * @param {string} summary - The new summary, including the previous one
+	 * @param {number} count - Number of messages the summary covers
+	 */
+	compact (person, summary, count) {
+		const history = this.get(person);
+		history.summary = summary.trim();
+		history.messages = history.messages.slice(count);
+	}
+}
+
+/**
+ * Rough token count, about four characters per token for English text.
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens (text) {
+	return Math.ceil((text || "").length / 4);
+}
+
+module.exports = { ConversationMemory, estimateTokens };
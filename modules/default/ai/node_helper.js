@@ -6,6 +6,9 @@
  *
  * Handles backend operations for the AI module:
  * - API calls to OpenAI, Anthropic, and local LLMs
+ * - Tool calling: tools offered by modules (see aitools.js) run on the display
+ * - Streaming responses (AI_RESPONSE_CHUNK) and cancellation (AI_CANCEL)
+ * - Conversation memory per recognized person (see memory.js)
  * - API key management
  * - Action execution
  */
@@ -16,6 +19,18 @@ const http = require("http");
 const fs = require("fs").promises;
 const path = require("path");
 const Log = require("logger");
+const AITools = require("./aitools");
+const { ConversationMemory } = require("./memory");
+
+// Tool call rounds before the model has to answer
+const MAX_TOOL_ROUNDS = 5;
+const TOOL_TIMEOUT = 15000;
+
+// Stored messages sent with every request, older ones only reach the model as summary
+const HISTORY_LIMIT = 10;
+const SUMMARY_KEEP = 6;
+const DEFAULT_MEMORY_BUDGET = 1500;
+const DEFAULT_SPEAKER_TIMEOUT = 10 * 60 * 1000;
 
 let EcosystemClient;
 try {
@@ -35,11 +50,36 @@ module.exports = NodeHelper.create({
 		this.secrets = {};
 		this._ecoClient = null;
 		this._aiSurvivalUrl = null;
+		this.pendingToolCalls = new Map();
+		this.toolCallCount = 0;
+		this.activeRequests = new Map();
+		this.requestCount = 0;
+
+		// Conversation memory, settings come from the displays
+		this.memory = new ConversationMemory({ file: path.join(__dirname, "..", "..", "..", "config", "ai_memory.json") });
+		this.memorySettings = { remember: false, speakerTimeout: DEFAULT_SPEAKER_TIMEOUT };
+		this.speaker = null;
+		this.summarizing = new Set();
+
+		// The person in front of the mirror, as recognized by the security module
+		this.onHelperNotification = ({ notification, payload }) => {
+			if (notification === "SECURITY_FACE_EVENT") {
+				this.handleFaceEvent(payload);
+			}
+		};
+		NodeHelper.events.on("socketNotification", this.onHelperNotification);
 
 		// Load secrets
 		this.loadSecrets();
 	},
 
+	/**
+	 * Stop the node helper
+	 */
+	stop: function () {
+		NodeHelper.events.off("socketNotification", this.onHelperNotification);
+	},
+
 	/**
 	 * Load secrets from file
 	 */
@@ -84,6 +124,24 @@ module.exports = NodeHelper.create({
 				this.executeAction(payload);
 				break;
 
+			case "AI_TOOL_RESULT":
+				this.handleToolResult(payload);
+				break;
+
+			case "AI_CANCEL":
+				this.cancelRequest(payload.requestId);
+				break;
+
+			case "AI_GET_HISTORY":
+				this.updateMemorySettings(payload);
+				this.sendHistory();
+				break;
+
+			case "AI_FORGET":
+				this.updateMemorySettings(payload);
+				this.forgetConversation();
+				break;
+
 			case "AI_SAVE_API_KEY":
 				this.saveApiKey(payload.provider, payload.apiKey);
 				break;
@@ -527,87 +585,284 @@ module.exports = NodeHelper.create({
 	 * Send message to AI provider
 	 */
 	sendToAI: async function (payload) {
-		const { provider, providerConfig, systemPrompt, message, history, maxTokens, temperature } = payload;
+		const { provider, providerConfig, message, maxTokens, temperature } = payload;
+		const request = this.beginRequest(payload);
+		let { systemPrompt, history } = payload;
+
+		// With memory the stored history of the speaker replaces the history of the display
+		this.updateMemorySettings(payload);
+		const person = this.currentSpeaker();
+		if (this.memorySettings.remember) {
+			systemPrompt = this.memoryPrompt(systemPrompt, person);
+			history = this.memory.context(person, HISTORY_LIMIT);
+		}
 
 		try {
-			let response;
-
-			switch (provider) {
-				case "openai":
-					response = await this.callOpenAI(providerConfig, systemPrompt, message, history, maxTokens, temperature);
-					break;
-
-				case "anthropic":
-					response = await this.callAnthropic(providerConfig, systemPrompt, message, history, maxTokens, temperature);
-					break;
-
-				case "ollama":
-					response = await this.callOllama(providerConfig, systemPrompt, message, history);
-					break;
-
-				case "local":
-					response = await this.callLocalLLM(providerConfig, systemPrompt, message, history, maxTokens, temperature);
-					break;
-
-				case "ecosystem":
-					response = await this.callEcosystemAI(providerConfig, systemPrompt, message, history, maxTokens, temperature);
-					break;
-
-				default:
-					throw new Error(`Unknown AI provider: ${provider}`);
-			}
+			const response = await this.callProvider(provider, providerConfig, systemPrompt, message, history, maxTokens, temperature, request);
 
 			this.sendSocketNotification("AI_RESPONSE", {
 				response,
-				provider
+				provider,
+				requestId: request.id
 			});
+
+			if (this.memorySettings.remember) {
+				this.memory.append(person, message, response);
+				await this.memory.save();
+				this.summarizeHistory(person, payload);
+			}
 		} catch (error) {
+			if (request.signal.aborted) {
+				Log.info(`[${this.name}] AI request ${request.id} cancelled`);
+				this.sendSocketNotification("AI_CANCELLED", {
+					provider,
+					requestId: request.id
+				});
+				return;
+			}
+
 			Log.error(`[${this.name}] AI request failed:`, error.message);
 			this.sendSocketNotification("AI_ERROR", {
 				error: error.message,
-				provider
+				provider,
+				requestId: request.id
 			});
+		} finally {
+			this.activeRequests.delete(request.id);
 		}
 	},
 
 	/**
-	 * Call OpenAI API
+	 * Call the configured provider
+	 * @returns {Promise<string>} The response text
 	 */
-	callOpenAI: function (config, systemPrompt, message, history, maxTokens, temperature) {
-		return new Promise((resolve, reject) => {
-			const apiKey = this.secrets.openai_api_key;
-			if (!apiKey) {
-				return reject(new Error("OpenAI API key not configured"));
+	callProvider: function (provider, providerConfig, systemPrompt, message, history, maxTokens, temperature, request = {}) {
+		switch (provider) {
+			case "openai":
+				return this.callOpenAI(providerConfig, systemPrompt, message, history, maxTokens, temperature, request);
+
+			case "anthropic":
+				return this.callAnthropic(providerConfig, systemPrompt, message, history, maxTokens, temperature, request);
+
+			case "ollama":
+				return this.callOllama(providerConfig, systemPrompt, message, history, request);
+
+			case "local":
+				return this.callLocalLLM(providerConfig, systemPrompt, message, history, maxTokens, temperature, request);
+
+			case "ecosystem":
+				return this.callEcosystemAI(providerConfig, systemPrompt, message, history, maxTokens, temperature, request);
+
+			default:
+				return Promise.reject(new Error(`Unknown AI provider: ${provider}`));
+		}
+	},
+
+	/**
+	 * Take over the memory settings of the display
+	 * @param {object} payload - { remember, speakerTimeout }
+	 */
+	updateMemorySettings: function (payload) {
+		this.memorySettings = {
+			remember: payload.remember === true,
+			speakerTimeout: payload.speakerTimeout || DEFAULT_SPEAKER_TIMEOUT
+		};
+	},
+
+	/**
+	 * @returns {string|null} The person recognized recently, null for guests
+	 */
+	currentSpeaker: function () {
+		if (this.speaker && Date.now() - this.speaker.seenAt < this.memorySettings.speakerTimeout) {
+			return this.speaker.name;
+		}
+		return null;
+	},
+
+	/**
+	 * A face was recognized, switch the displays to the history of the person
+	 * @param {object} event - SECURITY_FACE_EVENT payload
+	 */
+	handleFaceEvent: function (event) {
+		if (!event.person_name || event.person_name === "Unknown") {
+			return;
+		}
+
+		const previous = this.currentSpeaker();
+		this.speaker = { name: event.person_name, seenAt: Date.now() };
+
+		if (previous !== event.person_name && this.memorySettings.remember) {
+			Log.info(`[${this.name}] Now talking to ${event.person_name}`);
+			this.sendHistory();
+		}
+	},
+
+	/**
+	 * Tell the model who it talks to and what was said before
+	 * @param {string} systemPrompt - Configured system prompt
+	 * @param {string|null} person - Recognized person
+	 * @returns {string} The system prompt with the memory
+	 */
+	memoryPrompt: function (systemPrompt, person) {
+		const { summary } = this.memory.get(person);
+		let prompt = systemPrompt;
+
+		if (person) {
+			prompt += `\n\nYou are talking to ${person}.`;
+		}
+		if (summary) {
+			prompt += `\n\nSummary of your earlier conversations${person ? ` with ${person}` : ""}:\n${summary}`;
+		}
+		return prompt;
+	},
+
+	/**
+	 * Send the stored history of the current speaker to the displays
+	 * @param {boolean} [forgotten] - The history was just deleted
+	 */
+	sendHistory: function (forgotten = false) {
+		const person = this.currentSpeaker();
+		const history = this.memory.get(person);
+
+		this.sendSocketNotification("AI_HISTORY", {
+			person,
+			messages: history.messages,
+			summarized: history.summary !== "",
+			forgotten
+		});
+	},
+
+	/**
+	 * Delete the history of the current speaker
+	 */
+	forgetConversation: async function () {
+		const person = this.currentSpeaker();
+		Log.info(`[${this.name}] Forgetting the conversation with ${person || "guests"}`);
+
+		this.memory.forget(person);
+		await this.memory.save();
+		this.sendHistory(true);
+	},
+
+	/**
+	 * Replace older messages by a summary when the history is over its token budget
+	 * @param {string|null} person - Recognized person
+	 * @param {object} payload - AI_SEND_MESSAGE payload with the provider settings
+	 */
+	summarizeHistory: async function (person, payload) {
+		const key = person || "";
+		const budget = payload.memoryTokenBudget || DEFAULT_MEMORY_BUDGET;
+		if (this.summarizing.has(key) || !this.memory.needsSummary(person, budget)) {
+			return;
+		}
+
+		const history = this.memory.get(person);
+		const messages = this.memory.summaryCandidates(person, SUMMARY_KEEP);
+		if (messages.length === 0) {
+			return;
+		}
+
+		const transcript = messages
+			.map((msg) => `${msg.role === "user" ? person || "User" : "Assistant"}: ${msg.content}`)
+			.join("\n");
+		const systemPrompt = "Summarize the conversation between a user and the assistant of a smart mirror. "
+			+ "Keep what matters later: facts about the user, preferences, plans and open requests. "
+			+ "Merge it with the earlier summary if there is one. Write at most 150 words.";
+		const message = history.summary
+			? `Earlier summary:\n${history.summary}\n\nConversation:\n${transcript}`
+			: transcript;
+
+		this.summarizing.add(key);
+		try {
+			const summary = await this.callProvider(payload.provider, payload.providerConfig, systemPrompt, message, [], 400, 0.3);
+
+			// Skip if the history was forgotten in the meantime
+			if (summary && this.memory.get(person) === history) {
+				this.memory.compact(person, summary, messages.length);
+				await this.memory.save();
+				Log.info(`[${this.name}] Summarized ${messages.length} messages of ${person || "guests"}`);
 			}
+		} catch (error) {
+			Log.warn(`[${this.name}] Could not summarize the conversation: ${error.message}`);
+		} finally {
+			this.summarizing.delete(key);
+		}
+	},
+
+	/**
+	 * Register a request so it can be cancelled
+	 * @param {object} payload - AI_SEND_MESSAGE payload
+	 * @returns {object} { id, signal, toolbox, onText } for the provider calls
+	 */
+	beginRequest: function (payload) {
+		const controller = new AbortController();
+		const id = payload.requestId || `request-${++this.requestCount}`;
+		this.activeRequests.set(id, controller);
+
+		return {
+			id,
+			signal: controller.signal,
+			// Tools offered by the modules of the display that sent the message
+			toolbox: payload.tools?.length > 0
+				? { clientId: payload.clientId, tools: payload.tools }
+				: null,
+			// Streamed text goes to the displays as it arrives
+			onText: payload.stream
+				? (text) => this.sendSocketNotification("AI_RESPONSE_CHUNK", { requestId: id, text })
+				: null
+		};
+	},
 
-			const messages = [
-				{ role: "system", content: systemPrompt },
-				...history,
-				{ role: "user", content: message }
-			];
+	/**
+	 * Abort a running request, the display gets AI_CANCELLED
+	 * @param {string} requestId - Request to cancel
+	 */
+	cancelRequest: function (requestId) {
+		const controller = this.activeRequests.get(requestId);
+		if (controller) {
+			controller.abort();
+		}
+	},
 
-			const requestBody = JSON.stringify({
-				model: config.model || "gpt-4",
-				messages,
-				max_tokens: maxTokens || 500,
-				temperature: temperature || 0.7
-			});
+	/**
+	 * Build the options of an HTTP request to a provider
+	 * @param {URL} url - Endpoint
+	 * @param {string} requestBody - Serialized body
+	 * @param {object} options - { headers, defaultPort, signal }
+	 * @returns {object} Options for http(s).request
+	 */
+	requestOptions: function (url, requestBody, options) {
+		const isHttps = url.protocol === "https:";
 
-			const url = new URL(config.apiEndpoint || "https://api.openai.com/v1/chat/completions");
-
-			const options = {
-				hostname: url.hostname,
-				port: url.port || 443,
-				path: url.pathname,
-				method: "POST",
-				headers: {
-					"Content-Type": "application/json",
-					"Authorization": `Bearer ${apiKey}`,
-					"Content-Length": Buffer.byteLength(requestBody)
-				}
-			};
+		return {
+			hostname: url.hostname,
+			port: url.port || options.defaultPort || (isHttps ? 443 : 80),
+			path: url.pathname,
+			method: "POST",
+			signal: options.signal,
+			headers: {
+				"Content-Type": "application/json",
+				...options.headers,
+				"Content-Length": Buffer.byteLength(requestBody)
+			}
+		};
+	},
+
+	/**
+	 * POST a JSON request and parse the JSON response
+	 * @param {URL} url - Endpoint
+	 * @param {object} body - Request body
+	 * @param {object} options - { label, headers, timeout, defaultPort, hint, signal }
+	 * @returns {Promise<object>} Parsed response
+	 */
+	postJson: function (url, body, options) {
+		const { label, timeout = 30000, hint } = options;
+
+		return new Promise((resolve, reject) => {
+			const requestBody = JSON.stringify(body);
+			const protocol = url.protocol === "https:" ? https : http;
 
-			const req = https.request(options, (res) => {
+			const req = protocol.request(this.requestOptions(url, requestBody, options), (res) => {
 				let data = "";
 
 				res.on("data", (chunk) => {
@@ -616,27 +871,20 @@ module.exports = NodeHelper.create({
 
 				res.on("end", () => {
 					try {
-						const parsed = JSON.parse(data);
-						if (parsed.error) {
-							reject(new Error(parsed.error.message));
-						} else if (parsed.choices && parsed.choices[0]) {
-							resolve(parsed.choices[0].message.content);
-						} else {
-							reject(new Error("Invalid response from OpenAI"));
-						}
+						resolve(JSON.parse(data));
 					} catch (e) {
-						reject(new Error(`Failed to parse OpenAI response: ${e.message}`));
+						reject(new Error(`Failed to parse ${label} response: ${e.message}`));
 					}
 				});
 			});
 
 			req.on("error", (e) => {
-				reject(new Error(`OpenAI request failed: ${e.message}`));
+				reject(new Error(`${label} request failed: ${e.message}${hint ? `. ${hint}` : ""}`));
 			});
 
-			req.setTimeout(30000, () => {
+			req.setTimeout(timeout, () => {
 				req.destroy();
-				reject(new Error("OpenAI request timed out"));
+				reject(new Error(`${label} request timed out`));
 			});
 
 			req.write(requestBody);
@@ -645,76 +893,94 @@ module.exports = NodeHelper.create({
 	},
 
 	/**
-	 * Call Anthropic Claude API
+	 * POST a JSON request and read a streamed response. Handles Server-Sent
+	 * Events (OpenAI, Anthropic) and newline delimited JSON (Ollama).
+	 * @param {URL} url - Endpoint
+	 * @param {object} body - Request body
+	 * @param {object} options - { label, headers, timeout, defaultPort, hint, signal }
+	 * @param {Function} onEvent - Called with every parsed event, may throw to abort
+	 * @returns {Promise<void>} Resolves when the stream ends
 	 */
-	callAnthropic: function (config, systemPrompt, message, history, maxTokens, temperature) {
-		return new Promise((resolve, reject) => {
-			const apiKey = this.secrets.anthropic_api_key;
-			if (!apiKey) {
-				return reject(new Error("Anthropic API key not configured"));
-			}
+	postStream: function (url, body, options, onEvent) {
+		const { label, timeout = 30000, hint } = options;
 
-			// Convert history to Anthropic format
-			const messages = [
-				...history.map((msg) => ({
-					role: msg.role === "assistant" ? "assistant" : "user",
-					content: msg.content
-				})),
-				{ role: "user", content: message }
-			];
-
-			const requestBody = JSON.stringify({
-				model: config.model || "claude-3-5-sonnet-20241022",
-				max_tokens: maxTokens || 500,
-				system: systemPrompt,
-				messages
-			});
+		return new Promise((resolve, reject) => {
+			const requestBody = JSON.stringify(body);
+			const protocol = url.protocol === "https:" ? https : http;
+			let failed = false;
+
+			const fail = (error) => {
+				if (!failed) {
+					failed = true;
+					req.destroy();
+					reject(error instanceof SyntaxError ? new Error(`Failed to parse ${label} stream: ${error.message}`) : error);
+				}
+			};
 
-			const url = new URL(config.apiEndpoint || "https://api.anthropic.com/v1/messages");
-
-			const options = {
-				hostname: url.hostname,
-				port: url.port || 443,
-				path: url.pathname,
-				method: "POST",
-				headers: {
-					"Content-Type": "application/json",
-					"x-api-key": apiKey,
-					"anthropic-version": "2023-06-01",
-					"Content-Length": Buffer.byteLength(requestBody)
+			const parseLine = (line) => {
+				// "data: {...}" for SSE, "{...}" for NDJSON; skips event names, comments and [DONE]
+				const data = line.startsWith("data:") ? line.slice(5).trim() : line.trim();
+				if (data.startsWith("{")) {
+					onEvent(JSON.parse(data));
 				}
 			};
 
-			const req = https.request(options, (res) => {
-				let data = "";
+			const req = protocol.request(this.requestOptions(url, requestBody, options), (res) => {
+				let buffer = "";
+				res.setEncoding("utf8");
+
+				// Errors come as a plain JSON body
+				if (res.statusCode >= 400) {
+					res.on("data", (chunk) => {
+						buffer += chunk;
+					});
+					res.on("end", () => {
+						let message = `${label} returned ${res.statusCode}`;
+						try {
+							const error = JSON.parse(buffer).error;
+							message = error?.message || (typeof error === "string" ? error : message);
+						} catch {
+							// Keep the status code
+						}
+						fail(new Error(message));
+					});
+					return;
+				}
 
 				res.on("data", (chunk) => {
-					data += chunk;
+					buffer += chunk;
+					const lines = buffer.split("\n");
+					buffer = lines.pop();
+					try {
+						for (const line of lines) {
+							if (!failed) {
+								parseLine(line);
+							}
+						}
+					} catch (error) {
+						fail(error);
+					}
 				});
 
 				res.on("end", () => {
 					try {
-						const parsed = JSON.parse(data);
-						if (parsed.error) {
-							reject(new Error(parsed.error.message));
-						} else if (parsed.content && parsed.content[0]) {
-							resolve(parsed.content[0].text);
-						} else {
-							reject(new Error("Invalid response from Anthropic"));
+						parseLine(buffer);
+						if (!failed) {
+							resolve();
 						}
-					} catch (e) {
-						reject(new Error(`Failed to parse Anthropic response: ${e.message}`));
+					} catch (error) {
+						fail(error);
 					}
 				});
 			});
 
 			req.on("error", (e) => {
-				reject(new Error(`Anthropic request failed: ${e.message}`));
+				fail(new Error(`${label} request failed: ${e.message}${hint ? `. ${hint}` : ""}`));
 			});
 
-			req.setTimeout(30000, () => {
-				req.destroy();
-				reject(new Error("Anthropic request timed out"));
+			// Time without data, a stream may take longer in total
+			req.setTimeout(timeout, () => {
+				fail(new Error(`${label} request timed out`));
 			});
 
 			req.write(requestBody);
@@ -723,149 +989,434 @@ module.exports = NodeHelper.create({
 	},
 
 	/**
-	 * Call Ollama (local LLM)
+	 * @param {object} parsed - Chat completion response
+	 * @param {string} label - Provider name for errors
+	 * @returns {object} The assistant message
 	 */
-	callOllama: function (config, systemPrompt, message, history) {
-		return new Promise((resolve, reject) => {
-			const messages = [
-				{ role: "system", content: systemPrompt },
-				...history,
-				{ role: "user", content: message }
-			];
+	readChatCompletion: function (parsed, label) {
+		if (parsed.error) {
+			throw new Error(parsed.error.message || parsed.error);
+		}
 
-			const requestBody = JSON.stringify({
-				model: config.model || "llama3.2",
-				messages,
-				stream: false
-			});
+		const reply = parsed.choices && parsed.choices[0] && parsed.choices[0].message;
+		if (!reply) {
+			throw new Error(`Invalid response from ${label}`);
+		}
+		return reply;
+	},
 
-			const url = new URL(config.apiEndpoint || "http://localhost:11434/api/chat");
-			const isHttps = url.protocol === "https:";
-
-			const options = {
-				hostname: url.hostname,
-				port: url.port || (isHttps ? 443 : 11434),
-				path: url.pathname,
-				method: "POST",
-				headers: {
-					"Content-Type": "application/json",
-					"Content-Length": Buffer.byteLength(requestBody)
+	/**
+	 * Stream a chat completion (OpenAI and compatible servers)
+	 * @param {URL} url - Endpoint
+	 * @param {object} body - Request body
+	 * @param {object} options - Request options
+	 * @param {Function} onText - Called with every text delta
+	 * @returns {Promise<object>} The assistant message with the collected text and tool calls
+	 */
+	streamChatCompletion: async function (url, body, options, onText) {
+		const reply = { role: "assistant", content: "" };
+		const toolCalls = [];
+
+		await this.postStream(url, { ...body, stream: true }, options, (event) => {
+			if (event.error) {
+				throw new Error(event.error.message || event.error);
+			}
+
+			const delta = event.choices && event.choices[0] && event.choices[0].delta;
+			if (!delta) {
+				return;
+			}
+			if (delta.content) {
+				reply.content += delta.content;
+				onText(delta.content);
+			}
+
+			// Tool calls arrive in pieces, the index says which call a piece belongs to
+			for (const part of delta.tool_calls || []) {
+				if (!toolCalls[part.index]) {
+					toolCalls[part.index] = { id: "", type: "function", function: { name: "", arguments: "" } };
 				}
+				const call = toolCalls[part.index];
+				call.id = part.id || call.id;
+				call.function.name += part.function?.name || "";
+				call.function.arguments += part.function?.arguments || "";
+			}
+		});
+
+		if (toolCalls.length > 0) {
+			reply.tool_calls = toolCalls.filter(Boolean);
+		}
+		return reply;
+	},
+
+	/**
+	 * Call OpenAI API
+	 */
+	callOpenAI: async function (config, systemPrompt, message, history, maxTokens, temperature, request = {}) {
+		const apiKey = this.secrets.openai_api_key;
+		if (!apiKey) {
+			throw new Error("OpenAI API key not configured");
+		}
+
+		const { toolbox, onText } = request;
+		const messages = [
+			{ role: "system", content: systemPrompt },
+			...history,
+			{ role: "user", content: message }
+		];
+
+		const url = new URL(config.apiEndpoint || "https://api.openai.com/v1/chat/completions");
+		const options = {
+			label: "OpenAI",
+			headers: { Authorization: `Bearer ${apiKey}` },
+			signal: request.signal
+		};
+
+		for (let round = 0; ; round++) {
+			const body = {
+				model: config.model || "gpt-4",
+				messages,
+				max_tokens: maxTokens || 500,
+				temperature: temperature || 0.7,
+				...(toolbox && {
+					tools: AITools.toOpenAI(toolbox.tools),
+					// Make the model answer once it has used enough tools
+					tool_choice: round < MAX_TOOL_ROUNDS ? "auto" : "none"
+				})
 			};
 
-			const protocol = isHttps ? https : http;
-			const req = protocol.request(options, (res) => {
-				let data = "";
+			const reply = onText
+				? await this.streamChatCompletion(url, body, options, onText)
+				: this.readChatCompletion(await this.postJson(url, body, options), "OpenAI");
 
-				res.on("data", (chunk) => {
-					data += chunk;
-				});
+			if (!reply.tool_calls || reply.tool_calls.length === 0) {
+				return reply.content;
+			}
 
-				res.on("end", () => {
-					try {
-						const parsed = JSON.parse(data);
-						if (parsed.error) {
-							reject(new Error(parsed.error));
-						} else if (parsed.message && parsed.message.content) {
-							resolve(parsed.message.content);
-						} else {
-							reject(new Error("Invalid response from Ollama"));
-						}
-					} catch (e) {
-						reject(new Error(`Failed to parse Ollama response: ${e.message}`));
+			messages.push(reply);
+			for (const call of reply.tool_calls) {
+				const result = await this.runTool(toolbox, call.function.name, AITools.parseArguments(call.function.arguments));
+				messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(result) });
+			}
+			if (onText && reply.content) {
+				onText("\n\n");
+			}
+		}
+	},
+
+	/**
+	 * Stream a message from the Anthropic API
+	 * @param {URL} url - Endpoint
+	 * @param {object} body - Request body
+	 * @param {object} options - Request options
+	 * @param {Function} onText - Called with every text delta
+	 * @returns {Promise<object>} The message with its content blocks and stop reason
+	 */
+	streamAnthropic: async function (url, body, options, onText) {
+		const message = { content: [], stop_reason: null };
+		const inputs = [];
+
+		await this.postStream(url, { ...body, stream: true }, options, (event) => {
+			switch (event.type) {
+				case "content_block_start":
+					message.content[event.index] = { ...event.content_block };
+					inputs[event.index] = "";
+					break;
+
+				case "content_block_delta":
+					if (event.delta.type === "text_delta") {
+						message.content[event.index].text += event.delta.text;
+						onText(event.delta.text);
+					} else if (event.delta.type === "input_json_delta") {
+						inputs[event.index] += event.delta.partial_json;
 					}
+					break;
+
+				case "message_delta":
+					message.stop_reason = event.delta.stop_reason;
+					break;
+
+				case "error":
+					throw new Error(event.error.message);
+			}
+		});
+
+		// Tool input is streamed as partial JSON
+		message.content.forEach((block, index) => {
+			if (block.type === "tool_use") {
+				block.input = AITools.parseArguments(inputs[index]);
+			}
+		});
+		return message;
+	},
+
+	/**
+	 * Call Anthropic Claude API
+	 */
+	callAnthropic: async function (config, systemPrompt, message, history, maxTokens, temperature, request = {}) {
+		const apiKey = this.secrets.anthropic_api_key;
+		if (!apiKey) {
+			throw new Error("Anthropic API key not configured");
+		}
+
+		const { toolbox, onText } = request;
+
+		// Convert history to Anthropic format
+		const messages = [
+			...history.map((msg) => ({
+				role: msg.role === "assistant" ? "assistant" : "user",
+				content: msg.content
+			})),
+			{ role: "user", content: message }
+		];
+
+		const url = new URL(config.apiEndpoint || "https://api.anthropic.com/v1/messages");
+		const options = {
+			label: "Anthropic",
+			headers: {
+				"x-api-key": apiKey,
+				"anthropic-version": "2023-06-01"
+			},
+			signal: request.signal
+		};
+
+		for (let round = 0; ; round++) {
+			const body = {
+				model: config.model || "claude-3-5-sonnet-20241022",
+				max_tokens: maxTokens || 500,
+				system: systemPrompt,
+				messages,
+				...(toolbox && {
+					tools: AITools.toAnthropic(toolbox.tools),
+					tool_choice: { type: round < MAX_TOOL_ROUNDS ? "auto" : "none" }
+				})
+			};
+
+			const parsed = onText
+				? await this.streamAnthropic(url, body, options, onText)
+				: await this.postJson(url, body, options);
+
+			if (parsed.error) {
+				throw new Error(parsed.error.message);
+			}
+			if (!Array.isArray(parsed.content)) {
+				throw new Error("Invalid response from Anthropic");
+			}
+
+			const text = parsed.content
+				.filter((block) => block.type === "text")
+				.map((block) => block.text)
+				.join("\n");
+			const toolUses = parsed.content.filter((block) => block.type === "tool_use");
+			if (parsed.stop_reason !== "tool_use" || toolUses.length === 0) {
+				return text;
+			}
+
+			// Empty text blocks are rejected when sent back
+			messages.push({ role: "assistant", content: parsed.content.filter((block) => block.type !== "text" || block.text) });
+			const results = [];
+			for (const use of toolUses) {
+				const result = await this.runTool(toolbox, use.name, use.input || {});
+				results.push({
+					type: "tool_result",
+					tool_use_id: use.id,
+					content: JSON.stringify(result),
+					is_error: result.error !== undefined
 				});
-			});
+			}
+			messages.push({ role: "user", content: results });
+			if (onText && text) {
+				onText("\n\n");
+			}
+		}
+	},
 
-			req.on("error", (e) => {
-				reject(new Error(`Ollama request failed: ${e.message}. Is Ollama running?`));
-			});
+	/**
+	 * Stream a chat response from Ollama
+	 * @param {URL} url - Endpoint
+	 * @param {object} body - Request body
+	 * @param {object} options - Request options
+	 * @param {Function} onText - Called with every text delta
+	 * @returns {Promise<object>} The assistant message with the collected text and tool calls
+	 */
+	streamOllama: async function (url, body, options, onText) {
+		const reply = { role: "assistant", content: "" };
 
-			req.setTimeout(60000, () => {
-				req.destroy();
-				reject(new Error("Ollama request timed out"));
-			});
+		await this.postStream(url, { ...body, stream: true }, options, (event) => {
+			if (event.error) {
+				throw new Error(event.error);
+			}
 
-			req.write(requestBody);
-			req.end();
+			const part = event.message || {};
+			if (part.content) {
+				reply.content += part.content;
+				onText(part.content);
+			}
+			if (part.tool_calls) {
+				reply.tool_calls = (reply.tool_calls || []).concat(part.tool_calls);
+			}
 		});
+
+		return reply;
 	},
 
 	/**
-	 * Call local LLM with OpenAI-compatible API
+	 * Call Ollama (local LLM)
 	 */
-	callLocalLLM: function (config, systemPrompt, message, history, maxTokens, temperature) {
-		return new Promise((resolve, reject) => {
-			const messages = [
-				{ role: "system", content: systemPrompt },
-				...history,
-				{ role: "user", content: message }
-			];
-
-			const requestBody = JSON.stringify({
-				model: config.model || "default",
+	callOllama: async function (config, systemPrompt, message, history, request = {}) {
+		const { toolbox, onText } = request;
+		const messages = [
+			{ role: "system", content: systemPrompt },
+			...history,
+			{ role: "user", content: message }
+		];
+
+		const url = new URL(config.apiEndpoint || "http://localhost:11434/api/chat");
+		const options = {
+			label: "Ollama",
+			timeout: 60000,
+			defaultPort: 11434,
+			hint: "Is Ollama running?",
+			signal: request.signal
+		};
+
+		for (let round = 0; ; round++) {
+			const body = {
+				model: config.model || "llama3.2",
 				messages,
-				max_tokens: maxTokens || 500,
-				temperature: temperature || 0.7
-			});
+				stream: false,
+				// Ollama has no tool_choice, the last round goes without tools
+				...(toolbox && round < MAX_TOOL_ROUNDS && { tools: AITools.toOpenAI(toolbox.tools) })
+			};
 
-			const url = new URL(config.apiEndpoint || "http://localhost:8000/v1/chat/completions");
-			const isHttps = url.protocol === "https:";
-
-			const options = {
-				hostname: url.hostname,
-				port: url.port || (isHttps ? 443 : 8000),
-				path: url.pathname,
-				method: "POST",
-				headers: {
-					"Content-Type": "application/json",
-					"Content-Length": Buffer.byteLength(requestBody)
+			let reply;
+			if (onText) {
+				reply = await this.streamOllama(url, body, options, onText);
+			} else {
+				const parsed = await this.postJson(url, body, options);
+				if (parsed.error) {
+					throw new Error(parsed.error);
 				}
-			};
+				reply = parsed.message;
+			}
 
-			// Add API key if configured
-			if (this.secrets.local_llm_api_key) {
-				options.headers["Authorization"] = `Bearer ${this.secrets.local_llm_api_key}`;
+			if (reply && reply.tool_calls && reply.tool_calls.length > 0) {
+				messages.push(reply);
+				for (const call of reply.tool_calls) {
+					const result = await this.runTool(toolbox, call.function.name, AITools.parseArguments(call.function.arguments));
+					messages.push({ role: "tool", tool_name: call.function.name, content: JSON.stringify(result) });
+				}
+				if (onText && reply.content) {
+					onText("\n\n");
+				}
+			} else if (reply && reply.content) {
+				return reply.content;
+			} else {
+				throw new Error("Invalid response from Ollama");
 			}
+		}
+	},
 
-			const protocol = isHttps ? https : http;
-			const req = protocol.request(options, (res) => {
-				let data = "";
+	/**
+	 * Call local LLM with OpenAI-compatible API
+	 */
+	callLocalLLM: async function (config, systemPrompt, message, history, maxTokens, temperature, request = {}) {
+		const messages = [
+			{ role: "system", content: systemPrompt },
+			...history,
+			{ role: "user", content: message }
+		];
+
+		const headers = {};
+		// Add API key if configured
+		if (this.secrets.local_llm_api_key) {
+			headers.Authorization = `Bearer ${this.secrets.local_llm_api_key}`;
+		}
 
-				res.on("data", (chunk) => {
-					data += chunk;
-				});
+		const url = new URL(config.apiEndpoint || "http://localhost:8000/v1/chat/completions");
+		const body = {
+			model: config.model || "default",
+			messages,
+			max_tokens: maxTokens || 500,
+			temperature: temperature || 0.7
+		};
+		const options = {
+			label: "Local LLM",
+			headers,
+			timeout: 60000,
+			defaultPort: 8000,
+			hint: "Is the server running?",
+			signal: request.signal
+		};
 
-				res.on("end", () => {
-					try {
-						const parsed = JSON.parse(data);
-						if (parsed.error) {
-							reject(new Error(parsed.error.message || parsed.error));
-						} else if (parsed.choices && parsed.choices[0]) {
-							resolve(parsed.choices[0].message.content);
-						} else {
-							reject(new Error("Invalid response from local LLM"));
-						}
-					} catch (e) {
-						reject(new Error(`Failed to parse local LLM response: ${e.message}`));
-					}
-				});
-			});
+		const reply = request.onText
+			? await this.streamChatCompletion(url, body, options, request.onText)
+			: this.readChatCompletion(await this.postJson(url, body, options), "local LLM");
+		return reply.content;
+	},
 
-			req.on("error", (e) => {
-				reject(new Error(`Local LLM request failed: ${e.message}. Is the server running?`));
-			});
+	/**
+	 * Run a tool on the display that offered it
+	 * @param {object} toolbox - { clientId, tools } of the conversation
+	 * @param {string} name - Tool name
+	 * @param {object} args - Arguments from the model
+	 * @returns {Promise<object>} Result for the model, { error } if the tool failed
+	 */
+	runTool: async function (toolbox, name, args) {
+		if (!toolbox || !toolbox.tools.some((tool) => tool.name === name)) {
+			return { error: `Unknown tool: ${name}` };
+		}
 
-			req.setTimeout(60000, () => {
-				req.destroy();
-				reject(new Error("Local LLM request timed out"));
-			});
+		Log.info(`[${this.name}] Tool call: ${name}`, args);
+		try {
+			const result = await this.requestToolCall(toolbox.clientId, name, args);
+			return result !== null && typeof result === "object" && !Array.isArray(result) ? result : { result };
+		} catch (error) {
+			Log.warn(`[${this.name}] Tool ${name} failed: ${error.message}`);
+			return { error: error.message };
+		}
+	},
 
-			req.write(requestBody);
-			req.end();
+	/**
+	 * Ask the display to run a tool handler
+	 * @param {string} clientId - Display that offered the tool
+	 * @param {string} name - Tool name
+	 * @param {object} args - Tool arguments
+	 * @returns {Promise<*>} Resolves with the AI_TOOL_RESULT of the display
+	 */
+	requestToolCall: function (clientId, name, args) {
+		return new Promise((resolve, reject) => {
+			const id = `${Date.now()}-${++this.toolCallCount}`;
+			const timer = setTimeout(() => {
+				this.pendingToolCalls.delete(id);
+				reject(new Error(`Tool ${name} did not answer`));
+			}, TOOL_TIMEOUT);
+
+			this.pendingToolCalls.set(id, { resolve, reject, timer });
+			this.sendSocketNotification("AI_TOOL_CALL", { id, clientId, name, arguments: args });
 		});
 	},
 
+	/**
+	 * Result of a tool handler from the display
+	 * @param {object} payload - { id, result, error }
+	 */
+	handleToolResult: function (payload) {
+		const pending = this.pendingToolCalls.get(payload.id);
+		if (!pending) {
+			return;
+		}
+
+		clearTimeout(pending.timer);
+		this.pendingToolCalls.delete(payload.id);
+
+		if (payload.error) {
+			pending.reject(new Error(payload.error));
+		} else {
+			pending.resolve(payload.result === undefined ? null : payload.result);
+		}
+	},
+
 	/**
 	 * Discover AI-for-Survival via ecosystem client
 	 */
@@ -892,7 +1443,7 @@ module.exports = NodeHelper.create({
 	/**
 	 * Call AI-for-Survival via ecosystem-discovered URL
 	 */
-	callEcosystemAI: async function (config, systemPrompt, message, history, maxTokens, temperature) {
+	callEcosystemAI: async function (config, systemPrompt, message, history, maxTokens, temperature, request = {}) {
 		if (!this._aiSurvivalUrl) {
 			await this.discoverAISurvival();
 		}
@@ -918,6 +1469,7 @@ module.exports = NodeHelper.create({
 				temperature: temperature || 0.7,
 				stream: false,
 			}),
+			signal: request.signal
 		});
 
 		if (!response.ok) {
@@ -0,0 +1,713 @@
+/**
+ * Calendar Module - CalDAV Client
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Reads and writes the calendars of a CalDAV account (Nextcloud, iCloud,
+ * Fastmail, Radicale, ...). The configured URL may be the calendar itself, the
+ * calendar home or just the server: calendars are found through the
+ * current-user-principal and calendar-home-set properties (RFC 4791).
+ *
+ * Changes are fetched with sync-collection reports (RFC 6578), so after the
+ * first sync only changed and deleted objects are transferred. Servers without
+ * sync tokens are asked for all objects with a calendar-query report.
+ *
+ * Events (VEVENT) and tasks (VTODO) are saved with PUT and removed with
+ * DELETE, guarded by their ETags so changes made elsewhere are not overwritten.
+ */
+
+const crypto = require("node:crypto");
+const { Agent, fetch } = require("undici");
+
+const NS_DAV = "DAV:";
+const NS_CALDAV = "urn:ietf:params:xml:ns:caldav";
+const XMLNS = `xmlns:d="${NS_DAV}" xmlns:c="${NS_CALDAV}"`;
+
+const PROPS = `<d:prop>
+	<d:resourcetype/>
+	<d:displayname/>
+	<d:current-user-principal/>
+	<c:calendar-home-set/>
+	<c:supported-calendar-component-set/>
+	<d:sync-token/>
+</d:prop>`;
+
+class CalDavClient {
+
+	/**
+	 * @param {object} options - Client options
+	 * @param {string} options.url - Server, calendar home or calendar URL
+	 * @param {object} [options.auth] - { user, pass } or { method: "bearer", pass }
+	 * @param {string} [options.calendarName] - Only use the calendar with this display name
+	 * @param {boolean} [options.selfSignedCert] - Accept self-signed server certificates
+	 * @param {object} [options.headers] - Extra request headers
+	 */
+	constructor (options) {
+		this.url = options.url;
+		this.auth = options.auth || null;
+		this.calendarName = options.calendarName || null;
+		this.headers = options.headers || {};
+		this.dispatcher = options.selfSignedCert ? new Agent({ connect: { rejectUnauthorized: false } }) : undefined;
+		this.calendars = null; // [{ href, name, components, syncToken, supportsSync, objects: Map href -> { etag, data, uid } }]
+	}
+
+	/**
+	 * Send a request to the server.
+	 * @param {string} method - HTTP method
+	 * @param {string} url - Absolute URL
+	 * @param {object} [options] - { body, headers, depth }
+	 * @returns {Promise<Response>} The response, whatever its status
+	 */
+	request (method, url, options = {}) {
+		const headers = { ...this.headers, ...options.headers };
+		if (this.auth) {
+			headers.Authorization = this.auth.method === "bearer"
+				? `Bearer ${this.auth.pass}`
+				: `Basic ${Buffer.from(`${this.auth.user}:${this.auth.pass}`).toString("base64")}`;
+		}
+		if (options.depth !== undefined) {
+			headers.Depth = String(options.depth);
+		}
+		if (options.body && !headers["Content-Type"]) {
+			headers["Content-Type"] = "application/xml; charset=utf-8";
+		}
+
+		return fetch(url, { method, headers, body: options.body, dispatcher: this.dispatcher, redirect: "follow" });
+	}
+
+	/**
+	 * Send a PROPFIND or REPORT and parse the multistatus answer.
+	 * @param {string} method - PROPFIND or REPORT
+	 * @param {string} url - Absolute URL
+	 * @param {string} body - XML request body
+	 * @param {number} depth - Depth header
+	 * @returns {Promise<object>} { responses, syncToken }
+	 */
+	async multistatus (method, url, body, depth) {
+		const response = await this.request(method, url, { body: xmlRequest(body), depth });
+		if (response.status !== 207) {
+			throw serverError(response, `${method} ${url} failed`);
+		}
+		return parseMultistatus(await response.text(), url);
+	}
+
+	/**
+	 * Find the calendars of the account.
+	 * @returns {Promise<object[]>} The calendars
+	 */
+	async discover () {
+		const [self] = (await this.multistatus("PROPFIND", this.url, `<d:propfind ${XMLNS}>${PROPS}</d:propfind>`, 0)).responses;
+		let candidates = self?.props.calendar ? [self] : [];
+
+		if (candidates.length === 0) {
+			let home = self?.props.calendarHomeSet;
+			if (!home && self?.props.principal) {
+				const [principal] = (await this.multistatus("PROPFIND", self.props.principal, `<d:propfind ${XMLNS}>${PROPS}</d:propfind>`, 0)).responses;
+				home = principal?.props.calendarHomeSet;
+			}
+
+			const { responses } = await this.multistatus("PROPFIND", home || this.url, `<d:propfind ${XMLNS}>${PROPS}</d:propfind>`, 1);
+			candidates = responses.filter((response) => response.props.calendar);
+		}
+
+		if (this.calendarName) {
+			const name = this.calendarName.toLowerCase();
+			candidates = candidates.filter((response) => (response.props.displayname || "").toLowerCase() === name);
+		}
+		if (candidates.length === 0) {
+			throw new Error(`No calendar${this.calendarName ? ` named ${this.calendarName}` : ""} found at ${this.url}`);
+		}
+
+		const known = new Map((this.calendars || []).map((calendar) => [calendar.href, calendar]));
+		this.calendars = candidates.map((response) => known.get(response.href) || {
+			href: response.href,
+			name: response.props.displayname || decodeURIComponent(response.href.split("/").filter(Boolean).pop()),
+			components: response.props.components || ["VEVENT", "VTODO"],
+			supportsSync: response.props.syncToken !== undefined,
+			syncToken: null,
+			objects: new Map()
+		});
+		return this.calendars;
+	}
+
+	/**
+	 * Fetch the changes of all calendars.
+	 * @returns {Promise<boolean>} True if anything changed
+	 */
+	async sync () {
+		if (!this.calendars) {
+			await this.discover();
+		}
+
+		let changed = false;
+		for (const calendar of this.calendars) {
+			changed = (calendar.supportsSync ? await this.syncCollection(calendar) : await this.queryAll(calendar)) || changed;
+		}
+		return changed;
+	}
+
+	/**
+	 * Fetch the changes since the last sync token.
+	 * @param {object} calendar - Calendar to sync
+	 * @returns {Promise<boolean>} True if anything changed
+	 */
+	async syncCollection (calendar) {
+		const body = `<d:sync-collection ${XMLNS}>
+	<d:sync-token>${escapeXml(calendar.syncToken || "")}</d:sync-token>
+	<d:sync-level>1</d:sync-level>
+	<d:prop><d:getetag/><c:calendar-data/></d:prop>
+</d:sync-collection>`;
+
+		let result;
+		try {
+			result = await this.multistatus("REPORT", calendar.href, body, 1);
+		} catch (error) {
+			if (calendar.syncToken && [403, 409].includes(error.status)) {
+				// The token expired (valid-sync-token precondition), start over
+				calendar.syncToken = null;
+				calendar.objects.clear();
+				return this.syncCollection(calendar);
+			}
+			if (!calendar.syncToken && [400, 403, 405, 501].includes(error.status)) {
+				calendar.supportsSync = false;
+				return this.queryAll(calendar);
+			}
+			throw error;
+		}
+
+		let changed = false;
+		for (const response of result.responses) {
+			if (response.href === calendar.href) {
+				continue;
+			}
+			if (response.status === 404) {
+				changed = calendar.objects.delete(response.href) || changed;
+				continue;
+			}
+
+			const known = calendar.objects.get(response.href);
+			if (known && known.etag === response.props.etag && known.etag) {
+				continue;
+			}
+			const data = response.props.calendarData ?? await this.getObject(response.href);
+			if (data !== null) {
+				calendar.objects.set(response.href, { etag: response.props.etag || null, data, uid: uidOf(data) });
+				changed = true;
+			}
+		}
+
+		calendar.syncToken = result.syncToken || calendar.syncToken;
+		return changed;
+	}
+
+	/**
+	 * Fetch all objects of a calendar without sync token.
+	 * @param {object} calendar - Calendar to fetch
+	 * @returns {Promise<boolean>} True if anything changed
+	 */
+	async queryAll (calendar) {
+		const body = `<c:calendar-query ${XMLNS}>
+	<d:prop><d:getetag/><c:calendar-data/></d:prop>
+	<c:filter><c:comp-filter name="VCALENDAR"/></c:filter>
+</c:calendar-query>`;
+
+		const { responses } = await this.multistatus("REPORT", calendar.href, body, 1);
+		const objects = new Map();
+		for (const response of responses) {
+			const data = response.props.calendarData;
+			if (response.status !== 404 && typeof data === "string") {
+				objects.set(response.href, { etag: response.props.etag || null, data, uid: uidOf(data) });
+			}
+		}
+
+		const changed = objects.size !== calendar.objects.size
+			|| Array.from(objects).some(([href, object]) => calendar.objects.get(href)?.data !== object.data);
+		calendar.objects = objects;
+		return changed;
+	}
+
+	/**
+	 * @param {string} href - Object URL
+	 * @returns {Promise<string|null>} The iCalendar data, null if it is gone
+	 */
+	async getObject (href) {
+		const response = await this.request("GET", href);
+		if (response.status === 404) {
+			return null;
+		}
+		if (!response.ok) {
+			throw serverError(response, `GET ${href} failed`);
+		}
+		return response.text();
+	}
+
+	/**
+	 * @returns {string[]} iCalendar data of all objects of all calendars
+	 */
+	objects () {
+		return (this.calendars || []).flatMap((calendar) => Array.from(calendar.objects.values(), (object) => object.data));
+	}
+
+	/**
+	 * @param {string} uid - UID of an event or task
+	 * @returns {object|null} { calendar, href, object }
+	 */
+	find (uid) {
+		for (const calendar of this.calendars || []) {
+			for (const [href, object] of calendar.objects) {
+				if (object.uid === uid) {
+					return { calendar, href, object };
+				}
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Save an event or task. Items with the UID of an existing object replace it.
+	 * @param {object} item - See toICalendar()
+	 * @returns {Promise<object>} { uid, href, calendar }
+	 */
+	async save (item) {
+		if (!this.calendars) {
+			await this.discover();
+		}
+
+		const uid = item.uid || crypto.randomUUID();
+		const component = item.type === "task" ? "VTODO" : "VEVENT";
+		const existing = this.find(uid);
+		const calendar = existing?.calendar || this.calendars.find((entry) => entry.components.includes(component));
+		if (!calendar) {
+			throw new Error(`No calendar at ${this.url} accepts ${item.type === "task" ? "tasks" : "events"}`);
+		}
+
+		const href = existing?.href || new URL(`${encodeURIComponent(uid)}.ics`, calendar.href.endsWith("/") ? calendar.href : `${calendar.href}/`).href;
+		return this.put(calendar, href, toICalendar({ ...item, uid }), existing?.object.etag);
+	}
+
+	/**
+	 * Mark a task as completed, keeping all its other properties. Of a recurring
+	 * task only one occurrence is completed, with an override component
+	 * (RECURRENCE-ID) added to the object.
+	 * @param {string} uid - UID of the task
+	 * @param {string} [recurrenceId] - Occurrence as iCalendar date (YYYYMMDD) or UTC date-time
+	 * @returns {Promise<boolean>} False if no object has the UID
+	 */
+	async complete (uid, recurrenceId) {
+		if (recurrenceId && !(/^\d{8}(T\d{6}Z)?$/).test(recurrenceId)) {
+			throw new Error(`Invalid recurrence ID: ${recurrenceId}`);
+		}
+		if (!this.calendars) {
+			await this.sync();
+		}
+
+		const found = this.find(uid);
+		if (!found) {
+			return false;
+		}
+
+		const lines = found.object.data.replace(/\r?\n[ \t]/g, "").split(/\r?\n/).filter((line) => line !== "");
+		const tasks = [];
+		lines.forEach((line, index) => {
+			if (line === "BEGIN:VTODO") {
+				tasks.push({ begin: index });
+			} else if (line === "END:VTODO") {
+				tasks[tasks.length - 1].end = index;
+			}
+		});
+		if (tasks.length === 0) {
+			throw new Error(`${uid} is not a task`);
+		}
+
+		const property = (task, name) => lines.slice(task.begin + 1, task.end).find((line) => (/^[^:;]+/).exec(line)[0].toUpperCase() === name);
+		const done = [`COMPLETED:${formatDate(new Date())}`, "PERCENT-COMPLETE:100", "STATUS:COMPLETED"];
+		const target = tasks.find((task) => (property(task, "RECURRENCE-ID")?.split(":").pop() || null) === (recurrenceId || null));
+
+		if (target) {
+			const kept = lines.slice(target.begin, target.end).filter((line) => !(/^(STATUS|COMPLETED|PERCENT-COMPLETE)[;:]/i).test(line));
+			lines.splice(target.begin, target.end - target.begin, ...kept, ...done);
+		} else if (recurrenceId) {
+			const master = tasks.find((task) => !property(task, "RECURRENCE-ID")) || tasks[0];
+			const summary = property(master, "SUMMARY");
+			const todo = [
+				"BEGIN:VTODO",
+				`UID:${uid}`,
+				`DTSTAMP:${formatDate(new Date())}`,
+				recurrenceId.length === 8 ? `RECURRENCE-ID;VALUE=DATE:${recurrenceId}` : `RECURRENCE-ID:${recurrenceId}`,
+				...summary ? [summary] : [],
+				...done,
+				"END:VTODO"
+			];
+			lines.splice(lines.lastIndexOf("END:VCALENDAR"), 0, ...todo);
+		} else {
+			throw new Error(`${uid} is not a task`);
+		}
+
+		await this.put(found.calendar, found.href, `${lines.map(fold).join("\r\n")}\r\n`, found.object.etag);
+		return true;
+	}
+
+	/**
+	 * Write iCalendar data.
+	 * @param {object} calendar - Calendar the object belongs to
+	 * @param {string} href - Object URL
+	 * @param {string} data - iCalendar data
+	 * @param {string|null} [etag] - ETag of the version that is replaced, undefined for a new object
+	 * @returns {Promise<object>} { uid, href, calendar }
+	 */
+	async put (calendar, href, data, etag) {
+		const headers = { "Content-Type": "text/calendar; charset=utf-8" };
+		if (etag) {
+			headers["If-Match"] = etag;
+		} else if (etag === undefined) {
+			headers["If-None-Match"] = "*";
+		}
+
+		const response = await this.request("PUT", href, { body: data, headers });
+		if (!response.ok) {
+			throw serverError(response, `Saving to ${calendar.name} failed`);
+		}
+
+		const uid = uidOf(data);
+		calendar.objects.set(href, { etag: response.headers.get("etag"), data, uid });
+		return { uid, href, calendar: calendar.name };
+	}
+
+	/**
+	 * Delete an event or task.
+	 * @param {string} uid - UID of the event or task
+	 * @returns {Promise<boolean>} False if no object has the UID
+	 */
+	async remove (uid) {
+		if (!this.calendars) {
+			await this.sync();
+		}
+
+		const found = this.find(uid);
+		if (!found) {
+			return false;
+		}
+
+		const response = await this.request("DELETE", found.href, { headers: found.object.etag ? { "If-Match": found.object.etag } : {} });
+		if (!response.ok && response.status !== 404) {
+			throw serverError(response, `Deleting from ${found.calendar.name} failed`);
+		}
+
+		found.calendar.objects.delete(found.href);
+		return true;
+	}
+}
+
+/**
+ * @param {Response} response - Failed response
+ * @param {string} message - What failed
+ * @returns {Error} Error with the response status as `status`
+ */
+function serverError (response, message) {
+	const error = new Error(response.status === 412
+		? "The calendar entry was changed on the server, try again after the next sync"
+		: `${message}: ${response.status} ${response.statusText}`);
+	error.status = response.status;
+	return error;
+}
+
+/**
+ * @param {string} body - Request element
+ * @returns {string} XML document
+ */
+function xmlRequest (body) {
+	return `<?xml version="1.0" encoding="utf-8"?>\n${body}`;
+}
+
+/**
+ * @param {string} text - Text
+ * @returns {string} Text safe for XML
+ */
+function escapeXml (text) {
+	return String(text)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+/**
+ * @param {string} text - Escaped XML text
+ * @returns {string} Plain text
+ */
+function decodeXml (text) {
+	return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+		switch (entity.toLowerCase()) {
+			case "lt": return "<";
+			case "gt": return ">";
+			case "amp": return "&";
+			case "quot": return "\"";
+			case "apos": return "'";
+			default: return String.fromCodePoint(entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+		}
+	});
+}
+
+/**
+ * Parse XML into elements named without their namespace prefix. Enough for
+ * WebDAV answers: no DTDs, attributes are kept as written.
+ * @param {string} xml - XML document
+ * @returns {object} Root element { name, attributes, children, text }
+ */
+function parseXml (xml) {
+	const root = { name: "#document", attributes: {}, children: [], text: "" };
+	const stack = [root];
+	const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+	let match;
+
+	while ((match = pattern.exec(xml)) !== null) {
+		const current = stack[stack.length - 1];
+		if (match[1] !== undefined) {
+			current.text += match[1];
+		} else if (match[2] !== undefined) {
+			if (stack.length > 1) {
+				stack.pop();
+			}
+		} else if (match[3] !== undefined) {
+			const attributes = {};
+			for (const [, name, value] of match[4].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+				attributes[name] = decodeXml(value ?? "");
+			}
+			const element = { name: match[3].replace(/^[^:]*:/, "").toLowerCase(), attributes, children: [], text: "" };
+			current.children.push(element);
+			if (!match[5]) {
+				stack.push(element);
+			}
+		} else if (match[6] !== undefined) {
+			current.text += decodeXml(match[6]);
+		}
+	}
+	return root;
+}
+
+/**
+ * @param {object} element - Parsed element
+ * @param {string} name - Local name of a child
+ * @returns {object|undefined} The first child with the name
+ */
+function child (element, name) {
+	return element?.children.find((entry) => entry.name === name);
+}
+
+/**
+ * @param {string} status - Status line, e.g. "HTTP/1.1 404 Not Found"
+ * @returns {number} The status code
+ */
+function statusCode (status) {
+	return Number((/\s(\d{3})\s?/).exec(status || "")?.[1] || 200);
+}
+
+/**
+ * Parse a WebDAV multistatus answer.
+ * @param {string} xml - Response body
+ * @param {string} base - Request URL, hrefs are resolved against it
+ * @returns {object} { responses: [{ href, status, props }], syncToken }
+ */
+function parseMultistatus (xml, base) {
+	const multistatus = child(parseXml(xml), "multistatus");
+	if (!multistatus) {
+		throw new Error("Not a WebDAV multistatus answer");
+	}
+
+	const hrefOf = (element) => {
+		const href = child(element, "href")?.text.trim();
+		return href ? new URL(href, base).href : null;
+	};
+
+	const responses = multistatus.children.filter((element) => element.name === "response").map((response) => {
+		const props = {};
+		for (const propstat of response.children.filter((element) => element.name === "propstat")) {
+			if (statusCode(child(propstat, "status")?.text) !== 200) {
+				continue;
+			}
+			for (const prop of child(propstat, "prop")?.children || []) {
+				switch (prop.name) {
+					case "resourcetype":
+						props.calendar = Boolean(child(prop, "calendar"));
+						break;
+					case "displayname":
+						props.displayname = prop.text.trim();
+						break;
+					case "current-user-principal":
+						props.principal = hrefOf(prop);
+						break;
+					case "calendar-home-set":
+						props.calendarHomeSet = hrefOf(prop);
+						break;
+					case "supported-calendar-component-set":
+						props.components = prop.children.filter((comp) => comp.name === "comp").map((comp) => String(comp.attributes.name).toUpperCase());
+						break;
+					case "sync-token":
+						props.syncToken = prop.text.trim();
+						break;
+					case "getetag":
+						props.etag = prop.text.trim();
+						break;
+					case "calendar-data":
+						props.calendarData = prop.text;
+						break;
+				}
+			}
+		}
+
+		return { href: hrefOf(response), status: statusCode(child(response, "status")?.text), props };
+	});
+
+	return { responses, syncToken: child(multistatus, "sync-token")?.text.trim() || null };
+}
+
+/**
+ * @param {string} data - iCalendar data
+ * @returns {string|null} UID of its first component
+ */
+function uidOf (data) {
+	return (/^UID[^:\r\n]*:(.+(?:\r?\n[ \t].*)*)/m).exec(data)?.[1].replace(/\r?\n[ \t]/g, "").trim() || null;
+}
+
+/**
+ * @param {string} text - Text value
+ * @returns {string} Text escaped for iCalendar
+ */
+function escapeText (text) {
+	return String(text)
+		.replace(/\\/g, "\\\\")
+		.replace(/;/g, "\\;")
+		.replace(/,/g, "\\,")
+		.replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line after 75 octets (RFC 5545 3.1).
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function fold (line) {
+	const parts = [];
+	let current = "";
+	for (const character of line) {
+		if (Buffer.byteLength(current + character) > (parts.length === 0 ? 75 : 74)) {
+			parts.push(current);
+			current = "";
+		}
+		current += character;
+	}
+	parts.push(current);
+	return parts.join("\r\n ");
+}
+
+/**
+ * @param {Date|string|number} value - Date
+ * @param {boolean} [allDay] - Date without time
+ * @returns {string} iCalendar date (local date) or UTC date-time
+ */
+function formatDate (value, allDay) {
+	if (allDay && typeof value === "string" && (/^\d{4}-\d{2}-\d{2}$/).test(value)) {
+		return value.replace(/-/g, "");
+	}
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) {
+		throw new Error(`Invalid date: ${value}`);
+	}
+	if (allDay) {
+		return `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, "0")}${String(date.getDate()).padStart(2, "0")}`;
+	}
+	return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * @param {string} date - iCalendar date YYYYMMDD
+ * @returns {string} The next day
+ */
+function nextDay (date) {
+	const day = new Date(Date.UTC(Number(date.slice(0, 4)), Number(date.slice(4, 6)) - 1, Number(date.slice(6, 8)) + 1));
+	return day.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+/**
+ * Build the iCalendar object of an event or task.
+ * @param {object} item - The item
+ * @param {string} item.uid - UID
+ * @param {string} item.title - Summary
+ * @param {string} [item.type] - "event" (default) or "task"
+ * @param {Date|string|number} [item.start] - Start, required for events
+ * @param {Date|string|number} [item.end] - End, one hour (or day) after the start by default
+ * @param {boolean} [item.allDay] - Dates without time ("YYYY-MM-DD" is taken as is)
+ * @param {Date|string|number} [item.due] - Due date of a task
+ * @param {number} [item.priority] - Priority of a task, 1 (highest) to 9
+ * @param {boolean} [item.completed] - Task is done
+ * @param {string} [item.location] - Location
+ * @param {string} [item.description] - Description
+ * @returns {string} iCalendar data
+ */
+function toICalendar (item) {
+	if (typeof item.title !== "string" || item.title.trim() === "") {
+		throw new Error("title is required");
+	}
+
+	const task = item.type === "task";
+	const lines = [
+		"BEGIN:VCALENDAR",
+		"VERSION:2.0",
+		"PRODID:-//MagicMirror//Calendar//EN",
+		task ? "BEGIN:VTODO" : "BEGIN:VEVENT",
+		`UID:${item.uid}`,
+		`DTSTAMP:${formatDate(new Date())}`,
+		`SUMMARY:${escapeText(item.title.trim())}`
+	];
+	const dateLine = (name, value) => (item.allDay ? `${name};VALUE=DATE:${formatDate(value, true)}` : `${name}:${formatDate(value)}`);
+
+	if (task) {
+		if (item.start) {
+			lines.push(dateLine("DTSTART", item.start));
+		}
+		if (item.due) {
+			lines.push(dateLine("DUE", item.due));
+		}
+		if (item.priority !== undefined) {
+			if (!Number.isInteger(item.priority) || item.priority < 0 || item.priority > 9) {
+				throw new Error("priority must be between 0 and 9");
+			}
+			lines.push(`PRIORITY:${item.priority}`);
+		}
+		lines.push(item.completed ? "STATUS:COMPLETED" : "STATUS:NEEDS-ACTION");
+		if (item.completed) {
+			lines.push(`COMPLETED:${formatDate(new Date())}`, "PERCENT-COMPLETE:100");
+		}
+	} else {
+		if (item.start === undefined || item.start === null) {
+			throw new Error("start is required");
+		}
+		const start = formatDate(item.start, item.allDay);
+		let end;
+		if (item.end) {
+			end = formatDate(item.end, item.allDay);
+		} else {
+			end = item.allDay ? nextDay(start) : formatDate(new Date(item.start).getTime() + 60 * 60 * 1000);
+		}
+		if (end <= start) {
+			throw new Error("end must be after start");
+		}
+		lines.push(
+			item.allDay ? `DTSTART;VALUE=DATE:${start}` : `DTSTART:${start}`,
+			item.allDay ? `DTEND;VALUE=DATE:${end}` : `DTEND:${end}`
+		);
+	}
+
+	if (item.location) {
+		lines.push(`LOCATION:${escapeText(item.location)}`);
+	}
+	if (item.description) {
+		lines.push(`DESCRIPTION:${escapeText(item.description)}`);
+	}
+	lines.push(task ? "END:VTODO" : "END:VEVENT", "END:VCALENDAR");
+
+	return `${lines.map(fold).join("\r\n")}\r\n`;
+}
+
+module.exports = { CalDavClient, parseMultistatus, toICalendar };
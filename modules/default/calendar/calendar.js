@@ -68,7 +68,18 @@ Module.register("calendar", {
 		coloredBackground: false,
 		limitDaysNeverSkip: false,
 		flipDateHeaderTitle: false,
-		updateOnFetch: true
+		updateOnFetch: true,
+		displayMode: "list", // "tasks" for the open tasks (VTODO), "week", "month" or "timeline" for a grid of the events
+		gridStartHour: 7, // First hour of the "week" and "timeline" views
+		gridEndHour: 22, // Last hour of the "week" and "timeline" views
+		minimumGap: 15, // Shortest free time in minutes shown in the "timeline" view
+		mode: "display", // "touch" to complete tasks of writable CalDAV calendars by tapping them, and to snooze or dismiss reminders
+		broadcastTasks: true,
+		reminders: [], // Minutes before the start of each event to remind of it, e.g. [10, 60]
+		alarmReminders: false, // Also remind at the alarms (VALARM) of the events
+		reminderSpeech: false, // Speak reminders with the ai module
+		reminderTimer: 60 * 1000, // Time in ms a reminder alert is shown
+		reminderSnooze: 5 // Minutes a reminder is snoozed for
 	},
 
 	requiresVersion: "2.1.0",
@@ -128,6 +139,20 @@ Module.register("calendar", {
 		// data holder of calendar url. Avoid fade out/in on updateDom (one for each calendar update)
 		this.calendarDisplayer = {};
 
+		// open tasks by calendar url, and tasks being marked as completed
+		this.taskData = {};
+		this.completingTasks = new Set();
+
+		// time of the shown download by calendar url, for calendars that could not be fetched
+		this.staleSince = {};
+
+		// reminder shown by the alert module
+		this.alertedReminder = null;
+
+		// calendar writes waiting for the node helper, by request id
+		this.pendingWrites = new Map();
+		this.nextRequestId = 1;
+
 		this.config.calendars.forEach((calendar) => {
 			calendar.url = calendar.url.replace("webcal://", "http://");
 
@@ -138,7 +163,13 @@ Module.register("calendar", {
 				broadcastPastEvents: calendar.broadcastPastEvents,
 				selfSignedCert: calendar.selfSignedCert,
 				excludedEvents: calendar.excludedEvents,
-				fetchInterval: calendar.fetchInterval
+				fetchInterval: calendar.fetchInterval,
+				name: calendar.name,
+				reminders: calendar.reminders,
+				alarmReminders: calendar.alarmReminders,
+				caldav: calendar.caldav
+					? { calendarName: calendar.calendarName, writable: calendar.writable === true }
+					: undefined
 			};
 
 			if (
@@ -196,6 +227,20 @@ Module.register("calendar", {
 			}
 		}
 
+		if (this.config.mode === "touch") {
+			// The buttons of reminder alerts, shown by the alert module
+			document.addEventListener("click", (event) => {
+				const button = event.target.closest?.("[data-calendar-reminder]");
+				if (button?.dataset.module === this.identifier) {
+					this.sendSocketNotification(button.dataset.action === "snooze" ? "CALENDAR_SNOOZE_REMINDER" : "CALENDAR_DISMISS_REMINDER", {
+						id: this.identifier,
+						reminderId: button.dataset.calendarReminder,
+						minutes: this.config.reminderSnooze
+					});
+				}
+			});
+		}
+
 		this.selfUpdate();
 	},
 	notificationReceived (notification, payload, sender) {
@@ -206,6 +251,16 @@ Module.register("calendar", {
 					id: this.identifier
 				});
 			}
+		} else if (notification === "CALENDAR_ADD_EVENT" && this.hasWritableCalendar()) {
+			this.addEvent(payload).catch((error) => {
+				this.sendNotification("SHOW_ALERT", {
+					type: "notification",
+					title: "Calendar",
+					message: error.message,
+					messageType: "text",
+					timer: 8000
+				});
+			});
 		}
 	},
 
@@ -215,15 +270,53 @@ Module.register("calendar", {
 			return;
 		}
 
+		if (notification === "CALENDAR_SAVED" || notification === "CALENDAR_SAVE_FAILED") {
+			const pending = this.pendingWrites.get(payload.requestId);
+			if (pending) {
+				this.pendingWrites.delete(payload.requestId);
+				if (notification === "CALENDAR_SAVED") {
+					pending.resolve(payload);
+				} else {
+					pending.reject(new Error(payload.error));
+				}
+			}
+			return;
+		}
+
+		if (notification === "CALENDAR_REMINDER") {
+			this.remind(payload.reminder);
+			return;
+		}
+		if (notification === "CALENDAR_REMINDER_CLEARED") {
+			if (this.alertedReminder === payload.reminderId) {
+				this.alertedReminder = null;
+				this.sendNotification("HIDE_ALERT");
+			}
+			return;
+		}
+
 		if (notification === "CALENDAR_EVENTS") {
 			if (this.hasCalendarURL(payload.url)) {
 				this.calendarData[payload.url] = payload.events;
+				this.taskData[payload.url] = payload.tasks || [];
+				this.staleSince[payload.url] = payload.stale ? payload.fetchedAt : null;
 				this.error = null;
 				this.loaded = true;
 
+				// Completed tasks are gone from the new data
+				const tasks = this.createTaskList();
+				for (const key of this.completingTasks) {
+					if (!tasks.some((task) => this.taskKey(task) === key)) {
+						this.completingTasks.delete(key);
+					}
+				}
+
 				if (this.config.broadcastEvents) {
 					this.broadcastEvents();
 				}
+				if (this.config.broadcastTasks) {
+					this.broadcastTasks();
+				}
 
 				if (!this.config.updateOnFetch) {
 					if (this.calendarDisplayer[payload.url] === undefined) {
@@ -251,6 +344,26 @@ Module.register("calendar", {
 
 	// Override dom generator.
 	getDom () {
+		const dom = this.getCalendarDom();
+		const staleSince = Math.min(...Object.values(this.staleSince).filter(Boolean));
+		if (this.error || !Number.isFinite(staleSince)) {
+			return dom;
+		}
+
+		// Shows that some calendars could not be fetched, below their last download
+		const wrapper = document.createElement("div");
+		const note = document.createElement("div");
+		note.className = "calendar-stale xsmall dimmed";
+		note.textContent = this.translate("CALENDAR_STALE", { TIME: moment(staleSince).calendar() });
+		wrapper.append(dom, note);
+		return wrapper;
+	},
+
+	/**
+	 * Creates the events, tasks or grid of the display mode.
+	 * @returns {HTMLElement} The calendar
+	 */
+	getCalendarDom () {
 		const ONE_SECOND = 1000; // 1,000 milliseconds
 		const events = this.createEventList(true);
 		const wrapper = document.createElement("table");
@@ -262,6 +375,19 @@ Module.register("calendar", {
 			return wrapper;
 		}
 
+		if (this.config.displayMode === "tasks") {
+			return this.getTasksDom(wrapper);
+		}
+		if (this.config.displayMode === "week") {
+			return this.getWeekDom();
+		}
+		if (this.config.displayMode === "month") {
+			return this.getMonthDom();
+		}
+		if (this.config.displayMode === "timeline") {
+			return this.getTimelineDom();
+		}
+
 		if (events.length === 0) {
 			wrapper.innerHTML = this.loaded
 				? this.translate("EMPTY")
@@ -379,41 +505,8 @@ Module.register("calendar", {
 				}
 			}
 
-			var transformedTitle = event.title;
-
 			// Color events if custom color or eventClass are specified, transform title if required
-			if (this.config.customEvents.length > 0) {
-				for (let ev in this.config.customEvents) {
-					let needle = new RegExp(this.config.customEvents[ev].keyword, "gi");
-					if (needle.test(event.title)) {
-						if (typeof this.config.customEvents[ev].transform === "object") {
-							transformedTitle = CalendarUtils.titleTransform(
-								transformedTitle,
-								[this.config.customEvents[ev].transform]
-							);
-						}
-						if (
-							typeof this.config.customEvents[ev].color !== "undefined"
-							&& this.config.customEvents[ev].color !== ""
-						) {
-							// Respect parameter ColoredSymbolOnly also for custom events
-							if (this.config.coloredText) {
-								eventWrapper.style.cssText = `color:${this.config.customEvents[ev].color}`;
-								titleWrapper.style.cssText = `color:${this.config.customEvents[ev].color}`;
-							}
-							if (this.config.displaySymbol && this.config.coloredSymbol) {
-								symbolWrapper.style.cssText = `color:${this.config.customEvents[ev].color}`;
-							}
-						}
-						if (
-							typeof this.config.customEvents[ev].eventClass !== "undefined"
-							&& this.config.customEvents[ev].eventClass !== ""
-						) {
-							eventWrapper.className += ` ${this.config.customEvents[ev].eventClass}`;
-						}
-					}
-				}
-			}
+			const transformedTitle = this.applyCustomEvents(event.title, eventWrapper, titleWrapper, symbolWrapper);
 
 			titleWrapper.innerHTML
         = CalendarUtils.shorten(
@@ -698,6 +791,446 @@ Module.register("calendar", {
 		return wrapper;
 	},
 
+	/**
+	 * Applies the matching customEvents to an entry: transforms its title, and sets its color and class.
+	 * @param {string} title The title of the event or task
+	 * @param {HTMLElement} eventWrapper The row of the entry
+	 * @param {HTMLElement} titleWrapper The title cell
+	 * @param {HTMLElement} symbolWrapper The symbol cell
+	 * @returns {string} The transformed title
+	 */
+	applyCustomEvents (title, eventWrapper, titleWrapper, symbolWrapper) {
+		let transformedTitle = title;
+
+		for (const customEvent of this.config.customEvents) {
+			const needle = new RegExp(customEvent.keyword, "gi");
+			if (needle.test(title)) {
+				if (typeof customEvent.transform === "object") {
+					transformedTitle = CalendarUtils.titleTransform(
+						transformedTitle,
+						[customEvent.transform]
+					);
+				}
+				if (
+					typeof customEvent.color !== "undefined"
+					&& customEvent.color !== ""
+				) {
+					// Respect parameter ColoredSymbolOnly also for custom events
+					if (this.config.coloredText) {
+						eventWrapper.style.cssText = `color:${customEvent.color}`;
+						titleWrapper.style.cssText = `color:${customEvent.color}`;
+					}
+					if (this.config.displaySymbol && this.config.coloredSymbol) {
+						symbolWrapper.style.cssText = `color:${customEvent.color}`;
+					}
+				}
+				if (
+					typeof customEvent.eventClass !== "undefined"
+					&& customEvent.eventClass !== ""
+				) {
+					eventWrapper.className += ` ${customEvent.eventClass}`;
+				}
+			}
+		}
+
+		return transformedTitle;
+	},
+
+	/**
+	 * Creates the table rows of the open tasks, overdue tasks first.
+	 * @param {HTMLElement} wrapper The table of the module
+	 * @returns {HTMLElement} The table
+	 */
+	getTasksDom (wrapper) {
+		const tasks = this.createTaskList().slice(0, this.config.maximumEntries);
+
+		if (tasks.length === 0) {
+			wrapper.innerHTML = this.loaded
+				? this.translate("EMPTY")
+				: this.translate("LOADING");
+			wrapper.className = `${this.config.tableClass} dimmed`;
+			return wrapper;
+		}
+
+		const now = moment();
+		const startFade = this.config.fade && this.config.fadePoint < 1
+			? tasks.length * Math.max(this.config.fadePoint, 0)
+			: tasks.length;
+		const fadeSteps = tasks.length - startFade;
+
+		tasks.forEach((task, index) => {
+			const due = task.dueDate ? this.timestampToMoment(task.dueDate) : null;
+			const overdue = due !== null && (task.fullDayEvent ? due.isBefore(now, "day") : due.isBefore(now));
+			const completing = this.completingTasks.has(this.taskKey(task));
+
+			const taskWrapper = document.createElement("tr");
+			taskWrapper.className = "event-wrapper normal task";
+			if (overdue) taskWrapper.className += " overdue";
+			else if (due && due.isSame(now, "d")) taskWrapper.className += " today";
+			// Priority 1 to 4 is high (RFC 5545)
+			if (task.priority >= 1 && task.priority <= 4) taskWrapper.className += " high-priority";
+			if (completing) taskWrapper.className += " completing";
+
+			if (this.config.coloredText) {
+				taskWrapper.style.cssText = `color:${this.colorForUrl(task.url, false)}`;
+			}
+			if (this.config.coloredBackground) {
+				taskWrapper.style.backgroundColor = this.colorForUrl(task.url, true);
+			}
+			if (this.config.coloredBorder) {
+				taskWrapper.style.borderColor = this.colorForUrl(task.url, false);
+			}
+
+			const symbolWrapper = document.createElement("td");
+			if (this.config.displaySymbol) {
+				if (this.config.coloredSymbol) {
+					symbolWrapper.style.cssText = `color:${this.colorForUrl(task.url, false)}`;
+				}
+				symbolWrapper.className = `symbol align-right ${this.symbolClassForUrl(task.url)}`;
+				const symbol = document.createElement("span");
+				symbol.className = completing ? "far fa-fw fa-check-square" : "far fa-fw fa-square";
+				symbolWrapper.appendChild(symbol);
+				taskWrapper.appendChild(symbolWrapper);
+			}
+
+			const titleWrapper = document.createElement("td");
+			const transformedTitle = this.applyCustomEvents(task.title, taskWrapper, titleWrapper, symbolWrapper);
+			titleWrapper.innerHTML = CalendarUtils.shorten(
+				transformedTitle,
+				this.config.maxTitleLength,
+				this.config.wrapEvents,
+				this.config.maxTitleLines
+			);
+			if (task.priority >= 1 && task.priority <= 4) {
+				titleWrapper.innerHTML += " <span class=\"fas fa-exclamation priority\"></span>";
+			}
+			titleWrapper.className = `title ${this.config.coloredText ? "" : "bright "}${this.titleClassForUrl(task.url)}`;
+			taskWrapper.appendChild(titleWrapper);
+
+			const timeWrapper = document.createElement("td");
+			timeWrapper.className = `time light ${this.timeClassForUrl(task.url)}`;
+			if (overdue) {
+				timeWrapper.innerHTML = CalendarUtils.capFirst(task.fullDayEvent && due.isSame(now.clone().subtract(1, "days"), "d")
+					? this.translate("YESTERDAY")
+					: due.fromNow());
+			} else if (due) {
+				timeWrapper.innerHTML = CalendarUtils.capFirst(due.calendar(null, task.fullDayEvent
+					? {
+						sameDay: `[${this.translate("TODAY")}]`,
+						nextDay: `[${this.translate("TOMORROW")}]`,
+						nextWeek: "dddd",
+						sameElse: this.config.fullDayEventDateFormat
+					}
+					: { sameElse: this.config.dateFormat }));
+			}
+			taskWrapper.appendChild(timeWrapper);
+
+			if (this.config.mode === "touch" && this.isWritableUrl(task.url) && !completing) {
+				taskWrapper.addEventListener("click", () => this.completeTask(task));
+				taskWrapper.style.cursor = "pointer";
+			}
+
+			if (index >= startFade) {
+				taskWrapper.style.opacity = 1 - (1 / fadeSteps) * (index - startFade);
+			}
+			wrapper.appendChild(taskWrapper);
+		});
+
+		return wrapper;
+	},
+
+	/**
+	 * Creates a 7-day grid from today: all-day events on top, other events as
+	 * blocks between gridStartHour and gridEndHour, side by side when they overlap.
+	 * @returns {HTMLElement} The grid
+	 */
+	getWeekDom () {
+		const events = this.createEventList(false);
+		const now = moment();
+		const days = Array.from({ length: 7 }, (value, index) => now.clone().startOf("day").add(index, "days"));
+		const hours = Math.max(this.config.gridEndHour - this.config.gridStartHour, 1);
+
+		const wrapper = document.createElement("div");
+		wrapper.className = `calendar-week ${this.config.tableClass}`;
+
+		const header = document.createElement("div");
+		header.className = "calendar-week-row calendar-week-header";
+		header.appendChild(document.createElement("div"));
+
+		const allDay = document.createElement("div");
+		allDay.className = "calendar-week-row calendar-week-allday";
+		allDay.appendChild(document.createElement("div"));
+
+		const body = document.createElement("div");
+		body.className = "calendar-week-row calendar-week-body";
+		body.style.setProperty("--calendar-hours", hours);
+
+		const labels = document.createElement("div");
+		labels.className = "calendar-week-hours xsmall dimmed";
+		for (let hour = 0; hour < hours; hour++) {
+			const label = document.createElement("div");
+			label.textContent = now.clone().startOf("day").hour(this.config.gridStartHour + hour).format("LT");
+			labels.appendChild(label);
+		}
+		body.appendChild(labels);
+
+		for (const day of days) {
+			const dayStart = day.clone().hour(this.config.gridStartHour);
+			const dayEnd = day.clone().hour(this.config.gridStartHour + hours);
+			const dayEvents = events.filter((event) => this.timestampToMoment(event.startDate).isBefore(day.clone().add(1, "day"))
+				&& this.timestampToMoment(event.endDate).isAfter(day));
+
+			const title = document.createElement("div");
+			title.className = `calendar-week-day${day.isSame(now, "d") ? " today bright" : ""}`;
+			title.textContent = day.format("ddd D");
+			header.appendChild(title);
+
+			const allDayCell = document.createElement("div");
+			for (const event of dayEvents.filter((entry) => entry.fullDayEvent)) {
+				allDayCell.appendChild(this.createEventBlock(event, "calendar-chip"));
+			}
+			allDay.appendChild(allDayCell);
+
+			const column = document.createElement("div");
+			column.className = `calendar-week-column${day.isSame(now, "d") ? " today" : ""}`;
+			const timed = dayEvents
+				.filter((event) => !event.fullDayEvent)
+				.map((event) => ({
+					event,
+					start: moment.max(this.timestampToMoment(event.startDate), dayStart),
+					end: moment.min(this.timestampToMoment(event.endDate), dayEnd)
+				}))
+				.filter((entry) => entry.end.isAfter(entry.start));
+
+			for (const entry of this.layoutColumns(timed)) {
+				const block = this.createEventBlock(entry.event, "calendar-block", this.timestampToMoment(entry.event.startDate).format("LT"));
+				block.style.top = `${(entry.start.diff(dayStart, "minutes", true) / (hours * 60)) * 100}%`;
+				block.style.height = `${(entry.end.diff(entry.start, "minutes", true) / (hours * 60)) * 100}%`;
+				block.style.left = `${(entry.column / entry.columns) * 100}%`;
+				block.style.width = `${100 / entry.columns}%`;
+				column.appendChild(block);
+			}
+
+			if (day.isSame(now, "d") && now.isBetween(dayStart, dayEnd)) {
+				const line = document.createElement("div");
+				line.className = "calendar-now";
+				line.style.top = `${(now.diff(dayStart, "minutes", true) / (hours * 60)) * 100}%`;
+				column.appendChild(line);
+			}
+			body.appendChild(column);
+		}
+
+		wrapper.appendChild(header);
+		if (allDay.querySelector(".calendar-chip")) {
+			wrapper.appendChild(allDay);
+		}
+		wrapper.appendChild(body);
+		return wrapper;
+	},
+
+	/**
+	 * Creates the month of today with a dot per event on each day.
+	 * @returns {HTMLElement} The table
+	 */
+	getMonthDom () {
+		const events = this.createEventList(false);
+		const now = moment();
+		const first = now.clone().startOf("month").startOf("week");
+		const last = now.clone().endOf("month").endOf("week");
+
+		const wrapper = document.createElement("table");
+		wrapper.className = `calendar-month ${this.config.tableClass}`;
+
+		const caption = document.createElement("caption");
+		caption.className = "bright";
+		caption.textContent = now.format("MMMM YYYY");
+		wrapper.appendChild(caption);
+
+		const header = document.createElement("tr");
+		header.className = "xsmall dimmed";
+		for (const name of moment.weekdaysMin(true)) {
+			const cell = document.createElement("th");
+			cell.textContent = name;
+			header.appendChild(cell);
+		}
+		wrapper.appendChild(header);
+
+		let row;
+		for (const day = first.clone(); day.isBefore(last); day.add(1, "day")) {
+			if (!row || day.isSame(day.clone().startOf("week"), "d")) {
+				row = document.createElement("tr");
+				wrapper.appendChild(row);
+			}
+
+			const cell = document.createElement("td");
+			cell.className = "calendar-month-day";
+			if (day.isSame(now, "d")) cell.className += " today bright";
+			if (!day.isSame(now, "month")) cell.className += " dimmed";
+
+			const number = document.createElement("div");
+			number.textContent = day.date();
+			cell.appendChild(number);
+
+			const dayEvents = events.filter((event) => this.timestampToMoment(event.startDate).isBefore(day.clone().add(1, "day"))
+				&& this.timestampToMoment(event.endDate).isAfter(day));
+			const dots = document.createElement("div");
+			dots.className = "calendar-dots";
+			for (const event of dayEvents.slice(0, 3)) {
+				const dot = document.createElement("span");
+				dot.className = "calendar-dot";
+				dot.style.backgroundColor = this.colorForEvent(event);
+				dot.title = event.title;
+				dots.appendChild(dot);
+			}
+			if (dayEvents.length > 3) {
+				const more = document.createElement("span");
+				more.className = "xsmall";
+				more.textContent = `+${dayEvents.length - 3}`;
+				dots.appendChild(more);
+			}
+			cell.appendChild(dots);
+			row.appendChild(cell);
+		}
+
+		return wrapper;
+	},
+
+	/**
+	 * Creates the agenda of today with the free time between the events.
+	 * @returns {HTMLElement} The timeline
+	 */
+	getTimelineDom () {
+		const now = moment();
+		const dayEnd = now.clone().startOf("day").hour(this.config.gridEndHour);
+		const events = this.createEventList(false).filter((event) => this.timestampToMoment(event.startDate).isBefore(now.clone().endOf("day"))
+			&& this.timestampToMoment(event.endDate).isAfter(now.clone().startOf("day")));
+
+		const wrapper = document.createElement("div");
+		wrapper.className = `calendar-timeline ${this.config.tableClass}`;
+
+		for (const event of events.filter((entry) => entry.fullDayEvent)) {
+			wrapper.appendChild(this.createEventBlock(event, "calendar-chip"));
+		}
+
+		const addGap = (start, end) => {
+			if (end.diff(start, "minutes") < this.config.minimumGap) {
+				return;
+			}
+			const gap = document.createElement("div");
+			gap.className = "calendar-timeline-gap dimmed";
+			gap.textContent = `${start.format("LT")} – ${end.format("LT")} · ${this.translate("CALENDAR_FREE")} ${moment.duration(end.diff(start)).humanize()}`;
+			wrapper.appendChild(gap);
+		};
+
+		let free = moment.max(now, now.clone().startOf("day").hour(this.config.gridStartHour));
+		for (const event of events.filter((entry) => !entry.fullDayEvent)) {
+			const start = this.timestampToMoment(event.startDate);
+			const end = this.timestampToMoment(event.endDate);
+			if (end.isAfter(free)) {
+				addGap(free, start);
+				free = moment.max(free, end);
+			}
+
+			let className = "calendar-timeline-event";
+			if (end.isSameOrBefore(now)) className += " past dimmed";
+			else if (start.isSameOrBefore(now)) className += " now";
+			wrapper.appendChild(this.createEventBlock(event, className, `${start.format("LT")} – ${end.format("LT")}`));
+		}
+		addGap(free, dayEnd);
+
+		if (!wrapper.hasChildNodes()) {
+			wrapper.textContent = this.translate("EMPTY");
+			wrapper.classList.add("dimmed");
+		}
+		return wrapper;
+	},
+
+	/**
+	 * Places overlapping events side by side.
+	 * @param {object[]} entries The events of a day as { event, start, end } with start and end moments
+	 * @returns {object[]} The entries with their column and the number of columns of their group
+	 */
+	layoutColumns (entries) {
+		const sorted = [...entries].sort((a, b) => a.start - b.start || b.end - a.end);
+		let group = [];
+		let columnEnds = [];
+
+		const closeGroup = () => {
+			for (const entry of group) {
+				entry.columns = columnEnds.length;
+			}
+			group = [];
+			columnEnds = [];
+		};
+
+		for (const entry of sorted) {
+			if (group.length > 0 && columnEnds.every((end) => end.isSameOrBefore(entry.start))) {
+				closeGroup();
+			}
+			entry.column = columnEnds.findIndex((end) => end.isSameOrBefore(entry.start));
+			if (entry.column === -1) {
+				entry.column = columnEnds.length;
+			}
+			columnEnds[entry.column] = entry.end;
+			group.push(entry);
+		}
+		closeGroup();
+
+		return sorted;
+	},
+
+	/**
+	 * Creates an event of the grid views with the symbol and color of its calendar and its customEvents.
+	 * @param {object} event The event
+	 * @param {string} className Class of the element
+	 * @param {string} [time] Time shown before the title
+	 * @returns {HTMLElement} The event
+	 */
+	createEventBlock (event, className, time) {
+		const block = document.createElement("div");
+		const symbolWrapper = document.createElement("span");
+		const titleWrapper = document.createElement("span");
+		const transformedTitle = this.applyCustomEvents(event.title, block, titleWrapper, symbolWrapper);
+		block.className = `${className}${block.className}`;
+		block.style.borderColor = this.colorForEvent(event);
+
+		if (this.config.displaySymbol) {
+			symbolWrapper.className = `symbol ${this.symbolClassForUrl(event.url)}`;
+			if (this.config.coloredSymbol && !symbolWrapper.style.color) {
+				symbolWrapper.style.color = this.colorForUrl(event.url, false);
+			}
+			const symbol = document.createElement("span");
+			symbol.className = this.symbolsForEvent(event)[0];
+			symbolWrapper.appendChild(symbol);
+			block.appendChild(symbolWrapper);
+		}
+
+		if (time) {
+			const timeWrapper = document.createElement("span");
+			timeWrapper.className = `time light xsmall ${this.timeClassForUrl(event.url)}`;
+			timeWrapper.textContent = time;
+			block.appendChild(timeWrapper);
+		}
+
+		titleWrapper.className = `title ${this.config.coloredText ? "" : "bright "}${this.titleClassForUrl(event.url)}`;
+		titleWrapper.innerHTML = CalendarUtils.shorten(transformedTitle, this.config.maxTitleLength, this.config.wrapEvents, this.config.maxTitleLines);
+		block.appendChild(titleWrapper);
+		block.title = event.title;
+		return block;
+	},
+
+	/**
+	 * Retrieves the color of an event: the color of the last matching customEvents entry, or the color of its calendar.
+	 * @param {object} event The event
+	 * @returns {string} The color
+	 */
+	colorForEvent (event) {
+		const custom = this.config.customEvents
+			.filter((customEvent) => customEvent.color && new RegExp(customEvent.keyword, "gi").test(event.title))
+			.pop();
+		return custom ? custom.color : this.colorForUrl(event.url, false);
+	},
+
 	/**
 	 * Checks if this config contains the calendar url.
 	 * @param {string} url The calendar url
@@ -903,8 +1436,52 @@ Module.register("calendar", {
 		return events.slice(0, this.config.maximumEntries);
 	},
 
+	/**
+	 * Creates the list of open tasks of all calendars, by due date.
+	 * @returns {object[]} Array with tasks.
+	 */
+	createTaskList () {
+		const tasks = [];
+
+		for (const calendarUrl in this.taskData) {
+			for (const task of this.taskData[calendarUrl]) {
+				if (this.config.hidePrivate && task.class === "PRIVATE") {
+					continue;
+				}
+				// The same task list may be in several calendars
+				if (tasks.some((other) => this.taskKey(other) === this.taskKey(task))) {
+					continue;
+				}
+				tasks.push({ ...task, url: calendarUrl });
+			}
+		}
+
+		// Priority 1 is the highest, 0 means undefined
+		tasks.sort(function (a, b) {
+			return (a.dueDate === null) - (b.dueDate === null)
+				|| (a.dueDate || 0) - (b.dueDate || 0)
+				|| (a.priority || 10) - (b.priority || 10);
+		});
+
+		return tasks;
+	},
+
+	/**
+	 * @param {object} task A task
+	 * @returns {string} Key of the task, or of the occurrence of a recurring task
+	 */
+	taskKey (task) {
+		return `${task.uid}/${task.recurrenceId || ""}`;
+	},
+
 	listContainsEvent (eventList, event) {
 		for (const evt of eventList) {
+			if (
+				evt.uid && evt.uid === event.uid
+				&& parseInt(evt.startDate) === parseInt(event.startDate)
+			) {
+				return true;
+			}
 			if (
 				evt.title === event.title
 				&& parseInt(evt.startDate) === parseInt(event.startDate)
@@ -941,8 +1518,148 @@ Module.register("calendar", {
 			broadcastPastEvents:
         calendarConfig.broadcastPastEvents || this.config.broadcastPastEvents,
 			selfSignedCert:
-        calendarConfig.selfSignedCert || this.config.selfSignedCert
+        calendarConfig.selfSignedCert || this.config.selfSignedCert,
+			caldav: calendarConfig.caldav,
+			name: calendarConfig.name,
+			reminders: calendarConfig.reminders || this.config.reminders,
+			alarmReminders: calendarConfig.alarmReminders ?? this.config.alarmReminders
+		});
+	},
+
+	/**
+	 * Checks if this module takes new events. With several calendar modules only
+	 * the first one with a writable calendar does, so events are added once.
+	 * @returns {boolean} True if a CalDAV calendar has `writable: true`
+	 */
+	hasWritableCalendar () {
+		const writable = (module) => module.config.calendars.some((calendar) => calendar.caldav && calendar.writable === true);
+		return writable(this) && MM.getModules().find((module) => module.name === this.name && writable(module)) === this;
+	},
+
+	/**
+	 * Checks if a calendar takes changes.
+	 * @param {string} url The calendar url
+	 * @returns {boolean} True for CalDAV calendars with `writable: true`
+	 */
+	isWritableUrl (url) {
+		return Boolean(this.getCalendarProperty(url, "caldav", false)) && this.getCalendarProperty(url, "writable", false) === true;
+	},
+
+	/**
+	 * Sends a calendar change to the node helper.
+	 * @param {string} notification The socket notification
+	 * @param {object} payload Its payload, without id and requestId
+	 * @returns {Promise<object>} Resolves with the result when the change is saved
+	 */
+	requestWrite (notification, payload) {
+		return new Promise((resolve, reject) => {
+			const requestId = this.nextRequestId++;
+			this.pendingWrites.set(requestId, { resolve, reject });
+			this.sendSocketNotification(notification, { id: this.identifier, requestId, ...payload });
+		});
+	},
+
+	/**
+	 * Marks a task as completed in its CalDAV calendar. It is checked until the
+	 * calendar is fetched again without it.
+	 * @param {object} task The task, from createTaskList()
+	 * @returns {Promise<void>} Resolves when the task is saved or the change failed
+	 */
+	completeTask (task) {
+		const key = this.taskKey(task);
+		this.completingTasks.add(key);
+		this.updateDom();
+
+		return this.requestWrite("CALENDAR_COMPLETE_TASK", { uid: task.uid, recurrenceId: task.recurrenceId })
+			.catch((error) => {
+				this.completingTasks.delete(key);
+				this.updateDom();
+				this.sendNotification("SHOW_ALERT", {
+					type: "notification",
+					title: "Calendar",
+					message: error.message,
+					messageType: "text",
+					timer: 8000
+				});
+			});
+	},
+
+	/**
+	 * Adds an event to the writable CalDAV calendar.
+	 * @param {object} event The event: { title, start, end, allDay, location, description } or { title, when } with a spoken date
+	 * @returns {Promise<object>} Resolves with { uid, href, calendar } when the event is saved
+	 */
+	addEvent (event) {
+		const item = { ...event, type: "event" };
+		if (typeof event.when === "string") {
+			const date = CalendarUtils.parseSpokenDate(event.when);
+			if (!date) {
+				return Promise.reject(new Error(`Could not understand the date "${event.when}"`));
+			}
+			delete item.when;
+			item.start = date.allDay ? date.start.format("YYYY-MM-DD") : date.start.toISOString();
+			item.allDay = date.allDay;
+		}
+
+		return this.requestWrite("CALENDAR_ADD_EVENT", { item });
+	},
+
+	/**
+	 * Shows a reminder of the node helper with the alert module, optionally
+	 * speaks it and tells other modules the event is about to start.
+	 * @param {object} reminder The reminder, see CalendarReminders in reminders.js
+	 */
+	remind (reminder) {
+		const start = moment(reminder.startDate);
+
+		this.sendNotification("CALENDAR_EVENT_STARTING", {
+			id: reminder.id,
+			uid: reminder.uid,
+			title: reminder.title,
+			startDate: reminder.startDate,
+			endDate: reminder.endDate,
+			fullDayEvent: reminder.fullDayEvent,
+			location: reminder.location,
+			minutes: reminder.minutes,
+			calendarName: reminder.calendar
+		});
+
+		const message = document.createElement("div");
+		const time = document.createElement("div");
+		time.textContent = [start.fromNow(), reminder.fullDayEvent ? start.format(this.config.fullDayEventDateFormat) : start.format("LT"), reminder.location]
+			.filter(Boolean)
+			.join(" · ");
+		message.appendChild(time);
+
+		if (this.config.mode === "touch") {
+			const actions = document.createElement("div");
+			actions.className = "calendar-reminder-actions";
+			for (const [action, label] of [["snooze", "CALENDAR_SNOOZE"], ["dismiss", "CALENDAR_DISMISS"]]) {
+				const button = document.createElement("button");
+				button.dataset.calendarReminder = reminder.id;
+				button.dataset.module = this.identifier;
+				button.dataset.action = action;
+				// Labels come from the stylesheet, so they stay out of the notification history
+				button.dataset.label = this.translate(label);
+				actions.appendChild(button);
+			}
+			message.appendChild(actions);
+		}
+
+		this.alertedReminder = reminder.id;
+		this.sendNotification("SHOW_ALERT", {
+			type: "alert",
+			priority: "high",
+			title: reminder.title,
+			titleType: "text",
+			message: message.innerHTML,
+			imageFA: "calendar-alt",
+			timer: this.config.reminderTimer
 		});
+
+		if (this.config.reminderSpeech) {
+			this.sendNotification("AI_SPEAK", { text: this.translate("CALENDAR_REMINDER", { TITLE: reminder.title, TIME: start.fromNow() }) });
+		}
 	},
 
 	/**
@@ -1159,6 +1876,71 @@ Module.register("calendar", {
 		this.sendNotification("CALENDAR_EVENTS", eventList);
 	},
 
+	/**
+	 * Broadcasts the open tasks to all other modules, sorted on due date.
+	 */
+	broadcastTasks () {
+		const taskList = this.createTaskList();
+		for (const task of taskList) {
+			task.calendarName = this.calendarNameForUrl(task.url);
+			task.color = this.colorForUrl(task.url, false);
+			task.overdue = task.dueDate !== null && (task.fullDayEvent
+				? this.timestampToMoment(task.dueDate).isBefore(moment(), "day")
+				: this.timestampToMoment(task.dueDate).isBefore(moment()));
+			delete task.url;
+		}
+
+		this.sendNotification("CALENDAR_TASKS", taskList);
+	},
+
+	/**
+	 * Tools for the AI assistant.
+	 * @returns {object[]} Tool definitions
+	 */
+	getAiTools () {
+		return [{
+			name: "get_calendar_events",
+			description: "List the upcoming calendar events of the user",
+			parameters: {
+				type: "object",
+				properties: {
+					days: { type: "integer", description: "Number of days to look ahead, default 7" }
+				}
+			},
+			handler: ({ days = 7 }) => {
+				const until = moment().add(Math.max(1, days), "days");
+				const events = this.createEventList(false)
+					.filter((event) => this.timestampToMoment(event.startDate).isBefore(until))
+					.map((event) => ({
+						title: event.title,
+						start: this.timestampToMoment(event.startDate).format(),
+						end: this.timestampToMoment(event.endDate).format(),
+						fullDay: Boolean(event.fullDayEvent),
+						location: event.location || undefined,
+						calendar: this.calendarNameForUrl(event.url) || undefined
+					}));
+				return { events };
+			}
+		}, ...this.hasWritableCalendar()
+			? [{
+				name: "add_calendar_event",
+				description: "Add an event to the calendar of the user",
+				parameters: {
+					type: "object",
+					properties: {
+						title: { type: "string" },
+						start: { type: "string", description: "Start as ISO 8601 date-time with offset, or YYYY-MM-DD for an all-day event" },
+						end: { type: "string", description: "End in the same format, one hour (or day) after the start by default" },
+						location: { type: "string" }
+					},
+					required: ["title", "start"]
+				},
+				handler: ({ title, start, end, location }) => this.addEvent({ title, start, end, location, allDay: (/^\d{4}-\d{2}-\d{2}$/).test(start) })
+					.then(({ uid, calendar }) => ({ saved: true, uid, calendar }))
+			}]
+			: []];
+	},
+
 	/**
 	 * Refresh the DOM every minute if needed: When using relative date format for events that start
 	 * or end in less than an hour, the date shows minute granularity and we want to keep that accurate.
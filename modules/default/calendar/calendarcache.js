@@ -0,0 +1,115 @@
+/**
+ * Calendar Module - Calendar Cache
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Keeps the last successful download of each calendar URL in
+ * config/calendar_cache.json, so calendars show up right after a restart and
+ * stay visible while their server is unreachable. The raw iCalendar text is
+ * kept rather than the events, recurring events are expanded again from it.
+ */
+
+const fs = require("node:fs");
+const Log = require("logger");
+const { writeStateFile } = require("../../../js/file-writer");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Unchanged calendars are written at most once an hour, only to keep their date
+const REFRESH_INTERVAL = 60 * 60 * 1000;
+
+class CalendarCache {
+
+	/**
+	 * @param {object} [options] - Cache options
+	 * @param {string} [options.file] - JSON file for the calendars (in-memory if omitted)
+	 * @param {number} [options.maxAge] - Time in ms a calendar is kept after its last download
+	 */
+	constructor (options = {}) {
+		this.file = options.file || null;
+		this.maxAge = options.maxAge || 30 * DAY;
+		this.calendars = {};
+		this.saved = {};
+
+		this.load();
+	}
+
+	/**
+	 * Read the calendars from disk.
+	 */
+	load () {
+		if (!this.file) {
+			return;
+		}
+
+		try {
+			this.calendars = JSON.parse(fs.readFileSync(this.file, "utf8")).calendars || {};
+			this.saved = Object.fromEntries(Object.entries(this.calendars).map(([url, entry]) => [url, entry.fetchedAt]));
+			this.prune();
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				Log.error(`[Calendar] Could not read ${this.file}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Write the calendars.
+	 * @returns {Promise<void>} Resolves when the file is written
+	 */
+	save () {
+		if (!this.file) {
+			return Promise.resolve();
+		}
+
+		const data = JSON.stringify({ calendars: this.calendars });
+		this.saved = Object.fromEntries(Object.entries(this.calendars).map(([url, entry]) => [url, entry.fetchedAt]));
+
+		return writeStateFile(this.file, data)
+			.catch((error) => Log.error(`[Calendar] Could not write ${this.file}: ${error.message}`));
+	}
+
+	/**
+	 * @param {string} url - Calendar URL
+	 * @returns {object|null} { data, fetchedAt } of the last download, data as iCalendar texts
+	 */
+	get (url) {
+		const entry = this.calendars[url];
+		return entry ? { data: entry.data, fetchedAt: new Date(entry.fetchedAt) } : null;
+	}
+
+	/**
+	 * Keep a download. The file is written if the calendar changed.
+	 * @param {string} url - Calendar URL
+	 * @param {string[]} data - iCalendar texts, one per CalDAV object
+	 * @param {Date} fetchedAt - Time of the download
+	 * @returns {Promise<void>} Resolves when the file is written
+	 */
+	set (url, data, fetchedAt) {
+		const entry = this.calendars[url];
+		const changed = !entry || entry.data.length !== data.length || entry.data.some((text, index) => text !== data[index]);
+
+		this.calendars[url] = { data, fetchedAt: fetchedAt.toISOString() };
+		if (!changed && this.saved[url] && fetchedAt - new Date(this.saved[url]) < REFRESH_INTERVAL) {
+			return Promise.resolve();
+		}
+
+		this.prune();
+		return this.save();
+	}
+
+	/**
+	 * Drop calendars not downloaded within the maximum age, e.g. removed from the config.
+	 */
+	prune () {
+		const since = new Date(Date.now() - this.maxAge).toISOString();
+		for (const [url, entry] of Object.entries(this.calendars)) {
+			if (entry.fetchedAt < since) {
+				delete this.calendars[url];
+			}
+		}
+	}
+}
+
+module.exports = { CalendarCache };
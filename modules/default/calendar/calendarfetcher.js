@@ -3,6 +3,7 @@ const ical = require("node-ical");
 const Log = require("logger");
 const NodeHelper = require("node_helper");
 const CalendarFetcherUtils = require("./calendarfetcherutils");
+const { CalDavClient } = require("./caldav");
 
 /**
  *
@@ -14,6 +15,7 @@ const CalendarFetcherUtils = require("./calendarfetcherutils");
  * @param {object} auth The object containing options for authentication against the calendar.
  * @param {boolean} includePastEvents If true events from the past maximumNumberOfDays will be fetched too
  * @param {boolean} selfSignedCert If true, the server certificate is not verified against the list of supplied CAs.
+ * @param {object} [caldav] Read the calendars of a CalDAV account instead of downloading an .ics file: { calendarName, writable }
  * @class
  */
 const CalendarFetcher = function (
@@ -24,14 +26,42 @@ const CalendarFetcher = function (
 	maximumNumberOfDays,
 	auth,
 	includePastEvents,
-	selfSignedCert
+	selfSignedCert,
+	caldav
 ) {
 	let reloadTimer = null;
 	let events = [];
+	let tasks = [];
+	let calendarData = null;
+	let fetchedAt = null;
+	let stale = false;
+	const client = caldav
+		? new CalDavClient({ url, auth, calendarName: caldav.calendarName, selfSignedCert, headers: { "User-Agent": `Mozilla/5.0 (Node.js ${process.versions.node}) MagicMirror/${global.version}` } })
+		: null;
 
 	let fetchFailedCallback = function () {};
 	let eventsReceivedCallback = function () {};
 
+	/**
+	 * Parses the downloaded calendar into events and tasks.
+	 * @param {string[]} texts The iCalendar texts, one per CalDAV object
+	 */
+	const parseCalendar = (texts) => {
+		// One iCalendar object per CalDAV entry, keyed by UID
+		const data = Object.assign({}, ...texts.map((text) => ical.parseICS(text)));
+		Log.debug(`parsed data=${JSON.stringify(data, null, 2)}`);
+		events = CalendarFetcherUtils.filterEvents(data, {
+			excludedEvents,
+			includePastEvents,
+			maximumEntries,
+			maximumNumberOfDays
+		});
+		tasks = CalendarFetcherUtils.filterTasks(data, {
+			excludedEvents,
+			maximumNumberOfDays
+		});
+	};
+
 	/**
 	 * Initiates calendar fetch.
 	 */
@@ -57,30 +87,34 @@ const CalendarFetcher = function (
 			}
 		}
 
-		fetch(url, { headers: headers, agent: httpsAgent })
-			.then(NodeHelper.checkFetchStatus)
-			.then((response) => response.text())
-			.then((responseData) => {
-				let data = [];
+		let download;
+		if (client) {
+			download = client.sync().then(() => client.objects());
+		} else {
+			download = fetch(url, { headers: headers, agent: httpsAgent })
+				.then(NodeHelper.checkFetchStatus)
+				.then((response) => response.text())
+				.then((responseData) => [responseData]);
+		}
 
+		download
+			.then((texts) => {
 				try {
-					data = ical.parseICS(responseData);
-					Log.debug(`parsed data=${JSON.stringify(data, null, 2)}`);
-					events = CalendarFetcherUtils.filterEvents(data, {
-						excludedEvents,
-						includePastEvents,
-						maximumEntries,
-						maximumNumberOfDays
-					});
+					parseCalendar(texts);
 				} catch (error) {
+					stale = fetchedAt !== null;
 					fetchFailedCallback(this, error);
 					scheduleTimer();
 					return;
 				}
+				calendarData = texts;
+				fetchedAt = new Date();
+				stale = false;
 				this.broadcastEvents();
 				scheduleTimer();
 			})
 			.catch((error) => {
+				stale = fetchedAt !== null;
 				fetchFailedCallback(this, error);
 				scheduleTimer();
 			});
@@ -108,12 +142,30 @@ const CalendarFetcher = function (
 		fetchCalendar();
 	};
 
+	/**
+	 * Shows an earlier download until the calendar is fetched, marked as stale.
+	 * @param {string[]} texts The iCalendar texts of the download
+	 * @param {Date} date Time of the download
+	 */
+	this.restore = function (texts, date) {
+		try {
+			parseCalendar(texts);
+		} catch (error) {
+			Log.warn(`Calendar-Fetcher: Could not restore ${url}: ${error.message}`);
+			return;
+		}
+		calendarData = texts;
+		fetchedAt = date;
+		stale = true;
+		this.broadcastEvents();
+	};
+
 	/**
 	 * Broadcast the existing events.
 	 */
 	this.broadcastEvents = function () {
 		Log.info(
-			`Calendar-Fetcher: Broadcasting ${events.length} events from ${url}.`
+			`Calendar-Fetcher: Broadcasting ${events.length} events and ${tasks.length} tasks from ${url}${stale ? " (stale)" : ""}.`
 		);
 		eventsReceivedCallback(this);
 	};
@@ -142,6 +194,14 @@ const CalendarFetcher = function (
 		return url;
 	};
 
+	/**
+	 * Returns the CalDAV client of this fetcher.
+	 * @returns {CalDavClient|null} The client, null for .ics calendars.
+	 */
+	this.caldav = function () {
+		return client;
+	};
+
 	/**
 	 * Returns current available events for this fetcher.
 	 * @returns {object[]} The current available events for this fetcher.
@@ -149,6 +209,39 @@ const CalendarFetcher = function (
 	this.events = function () {
 		return events;
 	};
+
+	/**
+	 * Returns the iCalendar texts of the current events.
+	 * @returns {string[]|null} The texts, null before the first download.
+	 */
+	this.data = function () {
+		return calendarData;
+	};
+
+	/**
+	 * Returns the time of the download of the current events.
+	 * @returns {Date|null} The time, null before the first download.
+	 */
+	this.fetchedAt = function () {
+		return fetchedAt;
+	};
+
+	/**
+	 * Returns if the current events are from an earlier download, because the
+	 * calendar was not fetched yet or the last fetch failed.
+	 * @returns {boolean} True if the events are stale.
+	 */
+	this.isStale = function () {
+		return stale;
+	};
+
+	/**
+	 * Returns current available open tasks for this fetcher.
+	 * @returns {object[]} The current available tasks for this fetcher.
+	 */
+	this.tasks = function () {
+		return tasks;
+	};
 };
 
 module.exports = CalendarFetcher;
@@ -356,10 +356,12 @@ const CalendarFetcherUtils = {
 						if (showRecurrence === true) {
 							Log.debug(`saving event: ${recurrenceTitle}`);
 							newEvents.push({
+								uid: event.uid,
 								title: recurrenceTitle,
 								startDate: recurringEventStartMoment.format("x"),
 								endDate: recurringEventEndMoment.format("x"),
 								fullDayEvent: CalendarFetcherUtils.isFullDayEvent(event),
+								alarms: CalendarFetcherUtils.getAlarms(curEvent, recurringEventStartMoment, recurringEventEndMoment),
 								recurringEvent: true,
 								class: event.class,
 								firstYear: event.start.getFullYear(),
@@ -422,10 +424,12 @@ const CalendarFetcherUtils = {
 
 					// Every thing is good. Add it to the list.
 					newEvents.push({
+						uid: event.uid,
 						title: title,
 						startDate: eventStartMoment.format("x"),
 						endDate: eventEndMoment.format("x"),
 						fullDayEvent: fullDayEvent,
+						alarms: CalendarFetcherUtils.getAlarms(event, eventStartMoment, eventEndMoment),
 						recurringEvent: false,
 						class: event.class,
 						firstYear: event.start.getFullYear(),
@@ -444,6 +448,199 @@ const CalendarFetcherUtils = {
 		return newEvents;
 	},
 
+	/**
+	 * Filter the tasks (VTODO) from ical according to the given config.
+	 * Completed and cancelled tasks are left out. Of a recurring task only the first
+	 * occurrence that is not done yet is returned, so a missed chore stays overdue.
+	 * @param {object} data the calendar data from ical
+	 * @param {object} config The configuration object
+	 * @returns {object[]} the open tasks, by due date, tasks without due date last
+	 */
+	filterTasks (data, config) {
+		const newTasks = [];
+		const now = moment();
+		const pastLocalMoment = now.clone().startOf("day").subtract(config.maximumNumberOfDays, "days");
+		const futureLocalMoment = now
+			.clone()
+			.startOf("day")
+			.add(config.maximumNumberOfDays, "days")
+			.subtract(1, "seconds");
+
+		const isDone = (task) => task.status === "COMPLETED" || task.status === "CANCELLED";
+
+		Object.values(data).forEach((task) => {
+			if (task.type !== "VTODO" || isDone(task)) {
+				return;
+			}
+
+			const title = CalendarFetcherUtils.getTitleFromEvent(task);
+			if (this.shouldEventBeExcluded(config, title).excluded) {
+				return;
+			}
+
+			const due = CalendarFetcherUtils.getTaskDue(task);
+			const fullDayEvent = task.start ? CalendarFetcherUtils.isFullDayEvent(task) : Boolean(due && due.dateOnly);
+			let startMoment = null;
+			if (task.start) {
+				startMoment = fullDayEvent ? moment(task.start).startOf("day") : moment(task.start);
+			}
+			let dueMoment = due ? due.moment : null;
+			let occurrence = task;
+			let recurrenceId = null;
+
+			if (task.rrule && startMoment) {
+				// Occurrences are anchored at DTSTART, the due date keeps its distance
+				const dueOffset = dueMoment ? dueMoment.diff(startMoment) : 0;
+				const doneUntil = task.completed ? moment(task.completed) : null;
+				const next = CalendarFetcherUtils.getMomentsFromRecurringEvent(task, pastLocalMoment, futureLocalMoment, dueOffset)
+					.map((m) => m.clone().tz(CalendarFetcherUtils.getLocalTimezone()))
+					.find((m) => {
+						const dateKey = m.clone().tz("UTC").format("YYYY-MM-DD");
+						return !(task.exdate && task.exdate[dateKey])
+							&& !(task.recurrences && task.recurrences[dateKey] && isDone(task.recurrences[dateKey]))
+							&& !(doneUntil && m.isSameOrBefore(doneUntil))
+							&& m.clone().add(dueOffset, "ms").isSameOrAfter(pastLocalMoment);
+					});
+				if (!next) {
+					return;
+				}
+
+				occurrence = task.recurrences?.[next.clone().tz("UTC").format("YYYY-MM-DD")] || task;
+				startMoment = fullDayEvent ? next.clone().startOf("day") : next;
+				dueMoment = dueMoment ? startMoment.clone().add(dueOffset, "ms") : null;
+				recurrenceId = fullDayEvent ? startMoment.format("YYYYMMDD") : startMoment.clone().tz("UTC").format("YYYYMMDD[T]HHmmss[Z]");
+				if (occurrence !== task) {
+					dueMoment = CalendarFetcherUtils.getTaskDue(occurrence)?.moment || dueMoment;
+				}
+			} else if (task.completed) {
+				return;
+			}
+
+			if ((dueMoment || startMoment) && (dueMoment || startMoment).isAfter(futureLocalMoment)) {
+				return;
+			}
+
+			newTasks.push({
+				uid: task.uid,
+				title: CalendarFetcherUtils.getTitleFromEvent(occurrence),
+				startDate: startMoment ? startMoment.format("x") : null,
+				dueDate: dueMoment ? dueMoment.format("x") : null,
+				fullDayEvent: fullDayEvent,
+				priority: parseInt(occurrence.priority || task.priority) || 0,
+				status: occurrence.status || "NEEDS-ACTION",
+				recurringTask: recurrenceId !== null,
+				recurrenceId: recurrenceId,
+				class: task.class,
+				location: occurrence.location || false,
+				description: occurrence.description || false
+			});
+		});
+
+		// Priority 1 is the highest, 0 means undefined
+		newTasks.sort(function (a, b) {
+			return (a.dueDate === null) - (b.dueDate === null)
+				|| (a.dueDate || 0) - (b.dueDate || 0)
+				|| (a.priority || 10) - (b.priority || 10);
+		});
+
+		return newTasks;
+	},
+
+	/**
+	 * Gets the due date of a task. node-ical keeps DUE as text.
+	 * @param {object} task The task object
+	 * @returns {object|null} { moment, dateOnly }, null if the task has no valid due date
+	 */
+	getTaskDue (task) {
+		if (!task.due) {
+			return null;
+		}
+		if (task.due instanceof Date) {
+			return { moment: moment(task.due), dateOnly: Boolean(task.due.dateOnly) };
+		}
+
+		const value = String(typeof task.due.val !== "undefined" ? task.due.val : task.due).trim();
+		const tzid = task.due.params && task.due.params.TZID;
+		const timezone = tzid && moment.tz.zone(tzid) ? tzid : CalendarFetcherUtils.getLocalTimezone();
+		let due = null;
+		if ((/^\d{8}$/).test(value)) {
+			due = { moment: moment.tz(value, "YYYYMMDD", CalendarFetcherUtils.getLocalTimezone()), dateOnly: true };
+		} else if ((/^\d{8}T\d{6}Z$/).test(value)) {
+			due = { moment: moment.utc(value, "YYYYMMDD[T]HHmmss[Z]"), dateOnly: false };
+		} else if ((/^\d{8}T\d{6}$/).test(value)) {
+			due = { moment: moment.tz(value, "YYYYMMDD[T]HHmmss", timezone), dateOnly: false };
+		}
+
+		return due && due.moment.isValid() ? due : null;
+	},
+
+	/**
+	 * Gets the reminders of an event from its alarms (VALARM). Alarms at a fixed
+	 * time are left out for recurring events, they belong to one occurrence only.
+	 * @param {object} event The event object from ical
+	 * @param {moment.Moment} startMoment The start of the event or occurrence
+	 * @param {moment.Moment} endMoment The end of the event or occurrence
+	 * @returns {number[]} minutes before the start, sorted
+	 */
+	getAlarms (event, startMoment, endMoment) {
+		const alarms = new Set();
+
+		for (const alarm of event.alarms || []) {
+			const trigger = typeof alarm.trigger === "object" ? alarm.trigger : { params: {}, val: alarm.trigger };
+			if (alarm.action === "EMAIL" || typeof trigger?.val !== "string") {
+				continue;
+			}
+
+			if (trigger.params?.VALUE === "DATE-TIME") {
+				const time = moment.utc(trigger.val, "YYYYMMDD[T]HHmmss[Z]", true);
+				if (!event.rrule && time.isValid()) {
+					alarms.add(startMoment.diff(time, "minutes"));
+				}
+			} else if ((/^[+-]?P/).test(trigger.val)) {
+				// Durations count from the start, or the end with RELATED=END, negative before it
+				const offset = moment.duration(trigger.val).asMinutes()
+					+ (trigger.params?.RELATED === "END" ? endMoment.diff(startMoment, "minutes") : 0);
+				alarms.add(Math.round(-offset) || 0);
+			}
+		}
+
+		return [...alarms].sort((a, b) => a - b);
+	},
+
+	/**
+	 * Merges the events of several calendars. An event on more than one calendar,
+	 * with the same UID and start or the same title, start and end, is kept once.
+	 * @param {object[]} calendars The calendars as { name, events }
+	 * @returns {object[]} the events by start date, with the names of their `calendars`
+	 */
+	mergeEvents (calendars) {
+		const merged = [];
+		const seen = new Map();
+
+		for (const calendar of calendars) {
+			for (const event of calendar.events) {
+				const keys = [`${event.title.trim().toLowerCase()}|${event.startDate}|${event.endDate}`];
+				if (event.uid) {
+					keys.push(`${event.uid}|${event.startDate}`);
+				}
+
+				let entry = keys.map((key) => seen.get(key)).find(Boolean);
+				if (!entry) {
+					entry = { ...event, calendars: [] };
+					merged.push(entry);
+				}
+				if (!entry.calendars.includes(calendar.name)) {
+					entry.calendars.push(calendar.name);
+				}
+				for (const key of keys) {
+					seen.set(key, entry);
+				}
+			}
+		}
+
+		return merged.sort((a, b) => a.startDate - b.startDate);
+	},
+
 	/**
 	 * Gets the title from the event.
 	 * @param {object} event The event object to check.
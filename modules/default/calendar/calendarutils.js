@@ -141,6 +141,79 @@ const CalendarUtils = {
 			}
 		}
 		return transformedTitle;
+	},
+
+	/**
+	 * Parses the date of an event as said to the voice assistant, e.g. "tomorrow at 3pm",
+	 * "next friday", "March 5th at 14:30" or "2025-03-05". Dates without a year lie ahead.
+	 * @param {string} text The spoken date, in English
+	 * @param {moment.Moment} [now] The current time
+	 * @returns {object|null} { start: moment.Moment, allDay: boolean }, null if the text is no date
+	 */
+	parseSpokenDate (text, now = moment()) {
+		let rest = String(text)
+			.toLowerCase()
+			.replace(/,/g, " ")
+			.replace(/\s+/g, " ")
+			.trim();
+		let time = null;
+
+		const timeMatch = (/(?:^|\s)at\s+(.+)$/).exec(rest) || (/(?:^|\s)(\d{1,2}(?::\d{2})?\s*[ap]\.?m\.?|\d{1,2}:\d{2}|noon|midnight)$/).exec(rest);
+		if (timeMatch) {
+			const spoken = timeMatch[1].replace(/\./g, "").trim();
+			const parts = (/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/).exec(spoken);
+			if (spoken === "noon" || spoken === "midnight") {
+				time = { hour: spoken === "noon" ? 12 : 0, minute: 0 };
+			} else if (parts && (parts[3] ? Number(parts[1]) >= 1 && Number(parts[1]) <= 12 : Number(parts[1]) <= 23) && Number(parts[2] || 0) <= 59) {
+				const hour = Number(parts[1]) % (parts[3] ? 12 : 24) + (parts[3] === "pm" ? 12 : 0);
+				time = { hour, minute: Number(parts[2] || 0) };
+			} else {
+				return null;
+			}
+			rest = rest.slice(0, timeMatch.index).trim();
+		}
+
+		rest = rest.replace(/^on\s+/, "").replace(/^the\s+/, "").replace(/(\d)(st|nd|rd|th)\b/g, "$1");
+		const today = moment(now).startOf("day");
+		const weekdays = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+		const weekday = (/^(next\s+|this\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/).exec(rest);
+		let day;
+
+		if (rest === "" || rest === "today" || rest === "tonight") {
+			day = today;
+		} else if (rest === "tomorrow") {
+			day = today.clone().add(1, "day");
+		} else if (rest === "day after tomorrow" || rest === "the day after tomorrow") {
+			day = today.clone().add(2, "days");
+		} else if (weekday) {
+			const ahead = (weekdays.indexOf(weekday[2]) - today.day() + 7) % 7;
+			day = today.clone().add(ahead === 0 && weekday[1]?.trim() === "next" ? 7 : ahead, "days");
+		} else {
+			day = moment(rest, ["YYYY-MM-DD", "MMMM D YYYY", "MMM D YYYY", "D MMMM YYYY", "D MMM YYYY", "M/D/YYYY"], "en", true);
+			if (!day.isValid()) {
+				day = moment(rest, ["MMMM D", "MMM D", "D MMMM", "D MMM", "D [of] MMMM", "D [of] MMM", "M/D"], "en", true);
+				if (!day.isValid()) {
+					return null;
+				}
+				day.year(today.year());
+				if (day.isBefore(today)) {
+					day.add(1, "year");
+				}
+			}
+		}
+
+		if (rest === "" && !time) {
+			return null;
+		}
+		if (!time) {
+			return { start: day.startOf("day"), allDay: true };
+		}
+		const start = day.clone()
+			.hour(time.hour)
+			.minute(time.minute)
+			.second(0)
+			.millisecond(0);
+		return { start, allDay: false };
 	}
 };
 
@@ -1,12 +1,29 @@
+const path = require("node:path");
 const NodeHelper = require("node_helper");
 const Log = require("logger");
 const CalendarFetcher = require("./calendarfetcher");
+const CalendarFetcherUtils = require("./calendarfetcherutils");
+const { CalendarCache } = require("./calendarcache");
+const { CalendarReminders } = require("./reminders");
 
 module.exports = NodeHelper.create({
 	// Override start method.
 	start () {
 		Log.log(`Starting node helper for: ${this.name}`);
 		this.fetchers = [];
+		this.cache = new CalendarCache({ file: path.join(__dirname, "..", "..", "..", "config", "calendar_cache.json") });
+		this.reminders = new CalendarReminders({
+			onDue: (reminder) => this.sendSocketNotification("CALENDAR_REMINDER", { id: reminder.module, reminder }),
+			onCleared: (reminder) => this.sendSocketNotification("CALENDAR_REMINDER_CLEARED", { id: reminder.module, reminderId: reminder.id })
+		});
+
+		// Lets the REST API read the agenda and reminders and add and delete events of CalDAV calendars
+		this.expressApp.set("calendar", {
+			agenda: (range) => this.agenda(range),
+			reminders: this.reminders,
+			saveItem: (item) => this.saveItem(item),
+			deleteItem: (uid) => this.deleteItem(uid)
+		});
 	},
 
 	// Override socketNotificationReceived method.
@@ -21,8 +38,37 @@ module.exports = NodeHelper.create({
 				payload.auth,
 				payload.broadcastPastEvents,
 				payload.selfSignedCert,
-				payload.id
+				payload.id,
+				payload.caldav,
+				payload.name,
+				{ minutes: payload.reminders, alarms: payload.alarmReminders }
 			);
+		} else if (notification === "CALENDAR_SNOOZE_REMINDER") {
+			this.reminders.snooze(payload.reminderId, payload.minutes);
+		} else if (notification === "CALENDAR_DISMISS_REMINDER") {
+			this.reminders.dismiss(payload.reminderId);
+		} else if (["CALENDAR_ADD_EVENT", "CALENDAR_DELETE_EVENT", "CALENDAR_COMPLETE_TASK"].includes(notification)) {
+			let write;
+			if (notification === "CALENDAR_ADD_EVENT") {
+				write = this.saveItem(payload.item);
+			} else {
+				const change = notification === "CALENDAR_DELETE_EVENT"
+					? this.deleteItem(payload.uid)
+					: this.completeTask(payload.uid, payload.recurrenceId);
+				write = change.then((changed) => {
+					if (!changed) {
+						throw new Error(`No calendar entry with UID ${payload.uid}`);
+					}
+					return { uid: payload.uid };
+				});
+			}
+
+			write
+				.then((result) => this.sendSocketNotification("CALENDAR_SAVED", { id: payload.id, requestId: payload.requestId, ...result }))
+				.catch((error) => {
+					Log.error(`Calendar Error. Could not write to the calendar: ${error.message}`);
+					this.sendSocketNotification("CALENDAR_SAVE_FAILED", { id: payload.id, requestId: payload.requestId, error: error.message });
+				});
 		} else if (notification === "FETCH_CALENDAR") {
 			const key = payload.id + payload.url;
 			if (typeof this.fetchers[key] === "undefined") {
@@ -48,6 +94,9 @@ module.exports = NodeHelper.create({
 	 * @param {boolean} broadcastPastEvents If true events from the past maximumNumberOfDays will be included in event broadcasts
 	 * @param {boolean} selfSignedCert If true, the server certificate is not verified against the list of supplied CAs.
 	 * @param {string} identifier ID of the module
+	 * @param {object} [caldav] CalDAV options of the calendar: { calendarName, writable }
+	 * @param {string} [name] Name of the calendar in the merged agenda, the host of the url by default
+	 * @param {object} [reminders] Reminders of the events: { minutes, alarms }, see CalendarReminders.update()
 	 */
 	createFetcher (
 		url,
@@ -58,7 +107,10 @@ module.exports = NodeHelper.create({
 		auth,
 		broadcastPastEvents,
 		selfSignedCert,
-		identifier
+		identifier,
+		caldav,
+		name,
+		reminders
 	) {
 		try {
 			new URL(url);
@@ -88,10 +140,17 @@ module.exports = NodeHelper.create({
 				maximumNumberOfDays,
 				auth,
 				broadcastPastEvents,
-				selfSignedCert
+				selfSignedCert,
+				caldav
 			);
+			fetcher.writable = Boolean(caldav?.writable);
+			fetcher.name = name || new URL(url).hostname;
+			fetcher.reminders = reminders || {};
 
 			fetcher.onReceive((fetcher) => {
+				if (!fetcher.isStale()) {
+					this.cache.set(url, fetcher.data(), fetcher.fetchedAt());
+				}
 				this.broadcastEvents(fetcher, identifier);
 			});
 
@@ -101,6 +160,11 @@ module.exports = NodeHelper.create({
 					fetcher.url(),
 					error
 				);
+				if (fetcher.isStale()) {
+					// Keep showing the last download instead of the error
+					this.broadcastEvents(fetcher, identifier);
+					return;
+				}
 				let error_type = NodeHelper.checkFetchError(error);
 				this.sendSocketNotification("CALENDAR_ERROR", {
 					id: identifier,
@@ -109,6 +173,12 @@ module.exports = NodeHelper.create({
 			});
 
 			this.fetchers[identifier + url] = fetcher;
+
+			const cached = this.cache.get(url);
+			if (cached) {
+				Log.log(`Show cached calendar of ${cached.fetchedAt.toISOString()} for url: ${url}`);
+				fetcher.restore(cached.data, cached.fetchedAt);
+			}
 		} else {
 			Log.log(`Use existing calendarfetcher for url: ${url}`);
 			fetcher = this.fetchers[identifier + url];
@@ -118,16 +188,116 @@ module.exports = NodeHelper.create({
 		fetcher.startFetch();
 	},
 
+	/**
+	 * The events of all calendars, events on several calendars merged.
+	 * @param {object} [range] Time range
+	 * @param {Date} [range.since] Leave out events ended before
+	 * @param {Date} [range.until] Leave out events starting after
+	 * @returns {object} { events, calendars }, calendars as { name, fetchedAt, stale }
+	 */
+	agenda (range = {}) {
+		const calendars = new Map();
+		for (const fetcher of Object.values(this.fetchers)) {
+			if (fetcher.fetchedAt()) {
+				calendars.set(fetcher.url(), fetcher);
+			}
+		}
+
+		const events = CalendarFetcherUtils.mergeEvents(Object.values(this.fetchers).map((fetcher) => ({ name: fetcher.name, events: fetcher.events() })))
+			.map((event) => ({ ...event, startDate: Number(event.startDate), endDate: Number(event.endDate) }))
+			.filter((event) => (!range.since || event.endDate >= range.since.getTime()) && (!range.until || event.startDate <= range.until.getTime()));
+
+		return {
+			events,
+			calendars: Array.from(calendars.values(), (fetcher) => ({
+				name: fetcher.name,
+				fetchedAt: fetcher.fetchedAt().toISOString(),
+				stale: fetcher.isStale()
+			}))
+		};
+	},
+
+	/**
+	 * Save an event or task to the first CalDAV calendar with `writable: true`.
+	 * @param {object} item The event or task, see toICalendar() in caldav.js
+	 * @returns {Promise<object>} { uid, href, calendar }
+	 */
+	async saveItem (item) {
+		const fetcher = Object.values(this.fetchers).find((entry) => entry.writable);
+		if (!fetcher) {
+			throw new Error("No writable CalDAV calendar configured");
+		}
+
+		const result = await fetcher.caldav().save(item || {});
+		Log.info(`Calendar: saved ${item.type === "task" ? "task" : "event"} "${item.title}" to ${result.calendar}`);
+		this.refetch(fetcher.url());
+		return result;
+	},
+
+	/**
+	 * Delete an event or task from the writable CalDAV calendars.
+	 * @param {string} uid UID of the event or task
+	 * @returns {Promise<boolean>} False if no writable calendar has the UID
+	 */
+	async deleteItem (uid) {
+		for (const fetcher of Object.values(this.fetchers).filter((entry) => entry.writable)) {
+			if (await fetcher.caldav().remove(uid)) {
+				Log.info(`Calendar: deleted ${uid} from ${fetcher.url()}`);
+				this.refetch(fetcher.url());
+				return true;
+			}
+		}
+		return false;
+	},
+
+	/**
+	 * Mark a task of the writable CalDAV calendars as completed.
+	 * @param {string} uid UID of the task
+	 * @param {string} [recurrenceId] Occurrence of a recurring task, see CalendarFetcherUtils.filterTasks()
+	 * @returns {Promise<boolean>} False if no writable calendar has the UID
+	 */
+	async completeTask (uid, recurrenceId) {
+		for (const fetcher of Object.values(this.fetchers).filter((entry) => entry.writable)) {
+			if (await fetcher.caldav().complete(uid, recurrenceId)) {
+				Log.info(`Calendar: completed ${uid}${recurrenceId ? ` (${recurrenceId})` : ""} in ${fetcher.url()}`);
+				this.refetch(fetcher.url());
+				return true;
+			}
+		}
+		return false;
+	},
+
+	/**
+	 * Fetch a calendar again for all modules showing it.
+	 * @param {string} url The url of the calendar
+	 */
+	refetch (url) {
+		for (const fetcher of Object.values(this.fetchers)) {
+			if (fetcher.url() === url) {
+				fetcher.startFetch();
+			}
+		}
+	},
+
 	/**
 	 *
 	 * @param {object} fetcher the fetcher associated with the calendar
 	 * @param {string} identifier the identifier of the calendar
 	 */
 	broadcastEvents (fetcher, identifier) {
+		this.reminders.update(identifier + fetcher.url(), {
+			module: identifier,
+			name: fetcher.name,
+			events: fetcher.events(),
+			...fetcher.reminders
+		});
 		this.sendSocketNotification("CALENDAR_EVENTS", {
 			id: identifier,
 			url: fetcher.url(),
-			events: fetcher.events()
+			events: fetcher.events(),
+			tasks: fetcher.tasks(),
+			stale: fetcher.isStale(),
+			fetchedAt: fetcher.fetchedAt()?.getTime() ?? null
 		});
 	}
 });
@@ -0,0 +1,223 @@
+/**
+ * Calendar Module - Reminders
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Fires reminders before calendar events start, at the configured minutes of
+ * each calendar and at the alarms (VALARM) of the events. A reminder fires
+ * once, even if several calendar modules show its calendar, and stays active
+ * until it is dismissed, snoozed or its event is over.
+ *
+ * Reminders due while the mirror was off are fired late only within a few
+ * minutes, so a restart does not bring up old reminders.
+ */
+
+const crypto = require("node:crypto");
+const Log = require("logger");
+
+const MINUTE = 60 * 1000;
+
+// Reminders this late are still fired, e.g. after a restart or a slow fetch
+const GRACE_PERIOD = 5 * MINUTE;
+
+// Longest timer, reminders are checked again at least this often
+const MAX_DELAY = 60 * MINUTE;
+
+class CalendarReminders {
+
+	/**
+	 * @param {object} [options] - Reminder options
+	 * @param {Function} [options.onDue] - Called with a reminder when it fires
+	 * @param {Function} [options.onCleared] - Called with a fired reminder when it is dismissed or snoozed
+	 */
+	constructor (options = {}) {
+		this.onDue = options.onDue || (() => {});
+		this.onCleared = options.onCleared || (() => {});
+		this.sources = new Map();
+		this.fired = new Map();
+		this.snoozed = new Map();
+		this.dismissed = new Set();
+		this.timer = null;
+	}
+
+	/**
+	 * Set the events of a calendar.
+	 * @param {string} source - Key of the calendar, unique per module and url
+	 * @param {object} calendar - Calendar
+	 * @param {string} calendar.module - Identifier of the calendar module showing the reminders
+	 * @param {string} calendar.name - Name of the calendar
+	 * @param {object[]} calendar.events - Events, see CalendarFetcherUtils.filterEvents()
+	 * @param {number[]} [calendar.minutes] - Minutes before the start of every event
+	 * @param {boolean} [calendar.alarms] - Also remind at the alarms of the events
+	 */
+	update (source, calendar) {
+		const reminders = [];
+
+		for (const event of calendar.events) {
+			const startDate = Number(event.startDate);
+			const minutes = new Set([...calendar.minutes || [], ...calendar.alarms ? event.alarms || [] : []]);
+
+			for (const before of minutes) {
+				if (!Number.isFinite(before)) {
+					continue;
+				}
+				reminders.push({
+					id: crypto.createHash("sha1").update(`${event.uid || event.title}|${startDate}|${before}`).digest("hex").slice(0, 12),
+					module: calendar.module,
+					calendar: calendar.name,
+					uid: event.uid || null,
+					title: event.title,
+					location: event.location || null,
+					startDate,
+					endDate: Number(event.endDate),
+					fullDayEvent: Boolean(event.fullDayEvent),
+					minutes: before,
+					due: startDate - before * MINUTE
+				});
+			}
+		}
+
+		this.sources.set(source, reminders);
+		this.schedule();
+	}
+
+	/**
+	 * @returns {Map<string, object>} The reminders of all calendars by id, the first calendar of a reminder wins
+	 */
+	reminders () {
+		const reminders = new Map();
+		for (const list of this.sources.values()) {
+			for (const reminder of list) {
+				if (!reminders.has(reminder.id)) {
+					reminders.set(reminder.id, reminder);
+				}
+			}
+		}
+		return reminders;
+	}
+
+	/**
+	 * Fire the due reminders and wait for the next one.
+	 */
+	schedule () {
+		clearTimeout(this.timer);
+		this.timer = null;
+
+		const now = Date.now();
+		const reminders = this.reminders();
+		let next = null;
+
+		for (const ids of [this.dismissed, this.snoozed.keys(), this.fired.keys()]) {
+			for (const id of [...ids]) {
+				const reminder = reminders.get(id) || this.fired.get(id);
+				// Forget reminders of events that are over or gone
+				if (!reminders.has(id) || reminder.endDate <= now) {
+					this.dismissed.delete(id);
+					this.snoozed.delete(id);
+					this.fired.delete(id);
+				}
+			}
+		}
+
+		for (const reminder of reminders.values()) {
+			if (this.dismissed.has(reminder.id) || this.fired.has(reminder.id)) {
+				continue;
+			}
+
+			const snoozedUntil = this.snoozed.get(reminder.id);
+			const due = snoozedUntil ?? reminder.due;
+			if (due > now) {
+				next = Math.min(next ?? due, due);
+			} else if (snoozedUntil !== undefined ? reminder.endDate > now : now - due <= GRACE_PERIOD) {
+				this.fire(reminder);
+			}
+		}
+
+		// No timer without reminders, most calendars have none
+		if (next !== null) {
+			this.timer = setTimeout(() => this.schedule(), Math.min(next - now, MAX_DELAY));
+		}
+	}
+
+	/**
+	 * @param {object} reminder - The due reminder
+	 */
+	fire (reminder) {
+		Log.info(`Calendar: reminder for "${reminder.title}" ${reminder.minutes} minutes before the start`);
+		this.snoozed.delete(reminder.id);
+		this.fired.set(reminder.id, reminder);
+		this.onDue(reminder);
+	}
+
+	/**
+	 * @returns {object[]} Reminders of events not over yet and not dismissed, by the time they fire,
+	 *   with their state: "active" (fired), "snoozed" or "upcoming" and the time they fire (ms)
+	 */
+	list () {
+		const now = Date.now();
+		return Array.from(this.reminders().values())
+			.filter((reminder) => !this.dismissed.has(reminder.id) && reminder.endDate > now)
+			.filter((reminder) => this.fired.has(reminder.id) || this.snoozed.has(reminder.id) || reminder.due > now)
+			.map((reminder) => {
+				let state = "upcoming";
+				if (this.fired.has(reminder.id)) {
+					state = "active";
+				} else if (this.snoozed.has(reminder.id)) {
+					state = "snoozed";
+				}
+				return { ...reminder, state, due: this.snoozed.get(reminder.id) ?? reminder.due };
+			})
+			.sort((a, b) => a.due - b.due);
+	}
+
+	/**
+	 * Fire a reminder again later.
+	 * @param {string} id - Reminder id
+	 * @param {number} minutes - Minutes from now
+	 * @returns {object|null} The reminder, null if unknown
+	 */
+	snooze (id, minutes) {
+		const reminder = this.reminders().get(id);
+		if (!reminder || this.dismissed.has(id)) {
+			return null;
+		}
+
+		this.snoozed.set(id, Date.now() + minutes * MINUTE);
+		if (this.fired.delete(id)) {
+			this.onCleared(reminder);
+		}
+		this.schedule();
+		return this.list().find((entry) => entry.id === id) || null;
+	}
+
+	/**
+	 * Stop a reminder, before or after it fired.
+	 * @param {string} id - Reminder id
+	 * @returns {boolean} False if unknown
+	 */
+	dismiss (id) {
+		const reminder = this.reminders().get(id);
+		if (!reminder || this.dismissed.has(id)) {
+			return false;
+		}
+
+		this.dismissed.add(id);
+		this.snoozed.delete(id);
+		if (this.fired.delete(id)) {
+			this.onCleared(reminder);
+		}
+		this.schedule();
+		return true;
+	}
+
+	/**
+	 * Stop the timer.
+	 */
+	stop () {
+		clearTimeout(this.timer);
+		this.timer = null;
+	}
+}
+
+module.exports = { CalendarReminders };
@@ -64,13 +64,7 @@ Module.register("ecosystem", {
 				calendar: false
 			},
 			// Deduplication window (ms)
-			dedupeWindow: 30000,
-			// Quiet hours
-			quietHours: {
-				enabled: false,
-				start: "22:00",
-				end: "07:00"
-			}
+			dedupeWindow: 30000
 		},
 
 		// Sync settings
@@ -221,12 +215,6 @@ Module.register("ecosystem", {
 			return;
 		}
 
-		// Check quiet hours
-		if (this.isQuietHours()) {
-			Log.info(`[${this.name}] Notification suppressed (quiet hours)`);
-			return;
-		}
-
 		// Check for duplicates
 		const isDuplicate = this.notificationHistory.some((n) =>
 			n.type === payload.type &&
@@ -255,31 +243,8 @@ Module.register("ecosystem", {
 	},
 
 	/**
-	 * Check if currently in quiet hours
-	 */
-	isQuietHours: function () {
-		if (!this.config.notifications.quietHours.enabled) {
-			return false;
-		}
-
-		const now = new Date();
-		const [startH, startM] = this.config.notifications.quietHours.start.split(":").map(Number);
-		const [endH, endM] = this.config.notifications.quietHours.end.split(":").map(Number);
-
-		const currentMinutes = now.getHours() * 60 + now.getMinutes();
-		const startMinutes = startH * 60 + startM;
-		const endMinutes = endH * 60 + endM;
-
-		if (startMinutes < endMinutes) {
-			return currentMinutes >= startMinutes && currentMinutes < endMinutes;
-		} else {
-			// Quiet hours span midnight
-			return currentMinutes >= startMinutes || currentMinutes < endMinutes;
-		}
-	},
-
-	/**
-	 * Display notification on MagicMirror
+	 * Display notification on MagicMirror. Quiet hours are applied by the
+	 * notification center (config.notifications), urgent ones get through.
 	 */
 	displayNotification: function (payload) {
 		const icons = {
@@ -295,7 +260,8 @@ Module.register("ecosystem", {
 			title: payload.title || `${payload.type} Alert`,
 			message: payload.message,
 			imageUrl: payload.imageUrl,
-			timer: payload.urgent ? 0 : 8000
+			timer: payload.urgent ? 0 : 8000,
+			priority: payload.urgent ? "critical" : "normal"
 		});
 	},
 
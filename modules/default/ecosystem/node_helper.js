@@ -333,7 +333,8 @@ module.exports = NodeHelper.create({
 	 */
 	exchangeTokens: async function (host, apiPrefix) {
 		try {
-			// Read our API token
+			// Read our API address. Our API tokens are never stored in plain text,
+			// companion apps pair with a token created in the Settings module.
 			const tokenPath = path.join(this.configPath, ".api_token");
 			const tokenData = JSON.parse(await fs.readFile(tokenPath, "utf8"));
 
@@ -347,7 +348,6 @@ module.exports = NodeHelper.create({
 					app: "magicmirror",
 					version: "3.0.0",
 					host: tokenData.host,
-					token: tokenData.token,
 					capabilities: ["notifications", "users", "integrations"]
 				})
 			});
@@ -3,11 +3,18 @@
 Module.register("network-security", {
 	defaults: {
 		loganalysisHost: "http://localhost:8088",
+		mode: "display", // "touch" to acknowledge threats and mute their source by tapping them
 		maxEvents: 5,
 		updateInterval: 30000,
 		compactMode: false,
 		notifyOnThreat: true,
 		notifyOnBlock: true,
+		escalateSeverities: ["CRITICAL", "HIGH"], // New threats of these severities raise an alert instead of a notification
+		groupWindow: 3600000, // Events of the same source, type and kind within an hour are one threat
+		muteDuration: 3600000, // Time a source IP is muted from the mirror
+		showAcknowledged: true,
+		showSources: true, // Top source IPs of the last 24 hours
+		maxSources: 3,
 		threatIcons: {
 			threat_blocked: "fa-ban",
 			network_anomaly: "fa-wifi",
@@ -31,14 +38,18 @@ Module.register("network-security", {
 
 	start: function () {
 		Log.info(`[${this.name}] Starting network security module`);
-		this.events = [];
+		this.threats = [];
+		this.sources = [];
+		this.selectedThreat = null;
 		this.status = null;
 		this.connected = false;
 		this.error = null;
 
 		this.sendSocketNotification("NETSEC_INIT", {
 			loganalysisHost: this.config.loganalysisHost,
-			updateInterval: this.config.updateInterval
+			updateInterval: this.config.updateInterval,
+			groupWindow: this.config.groupWindow,
+			muteDuration: this.config.muteDuration
 		});
 	},
 
@@ -55,8 +66,9 @@ Module.register("network-security", {
 				this.updateDom(300);
 				break;
 
-			case "NETSEC_EVENTS":
-				this.processEvents(payload.events || []);
+			case "NETSEC_THREATS":
+				this.threats = payload.threats || [];
+				this.sources = payload.sources || [];
 				this.updateDom(300);
 				break;
 
@@ -72,16 +84,18 @@ Module.register("network-security", {
 		}
 	},
 
-	processEvents: function (events) {
-		this.events = events.slice(0, this.config.maxEvents);
-	},
-
 	handleThreatEvent: function (event) {
-		this.events.unshift(event);
-		this.events = this.events.slice(0, this.config.maxEvents);
-		this.updateDom(300);
-
-		if (event.type === "threat_blocked" && this.config.notifyOnBlock) {
+		if (this.config.escalateSeverities.includes(event.severity)) {
+			this.sendNotification("SHOW_ALERT", {
+				type: "alert",
+				title: `${event.severity === "CRITICAL" ? "Critical" : "High"} Network Threat`,
+				message: `${this.formatEventType(event)}${event.ip ? ` from ${event.ip}` : ""}`,
+				messageType: "text",
+				imageFA: "shield-alt",
+				timer: 15000,
+				priority: event.severity === "CRITICAL" ? "critical" : "high"
+			});
+		} else if (event.type === "threat_blocked" && this.config.notifyOnBlock) {
 			this.sendNotification("SHOW_ALERT", {
 				type: "notification",
 				title: "Threat Blocked",
@@ -133,8 +147,12 @@ Module.register("network-security", {
 			wrapper.appendChild(this.renderStatus());
 		}
 
-		// Events timeline
-		wrapper.appendChild(this.renderEvents());
+		// Threats timeline
+		wrapper.appendChild(this.renderThreats());
+
+		if (this.config.showSources && this.sources.length > 0) {
+			wrapper.appendChild(this.renderSources());
+		}
 
 		return wrapper;
 	},
@@ -172,7 +190,7 @@ Module.register("network-security", {
 		return section;
 	},
 
-	renderEvents: function () {
+	renderThreats: function () {
 		const section = document.createElement("div");
 		section.className = "netsec-events";
 
@@ -181,7 +199,11 @@ Module.register("network-security", {
 		header.textContent = "Network Security";
 		section.appendChild(header);
 
-		if (this.events.length === 0) {
+		const threats = this.threats
+			.filter((threat) => this.config.showAcknowledged || !threat.acknowledged)
+			.slice(0, this.config.maxEvents);
+
+		if (threats.length === 0) {
 			const emptyDiv = document.createElement("div");
 			emptyDiv.className = "netsec-empty dimmed";
 			emptyDiv.textContent = "No recent events";
@@ -192,9 +214,11 @@ Module.register("network-security", {
 		const list = document.createElement("div");
 		list.className = "netsec-events-list";
 
-		this.events.forEach((event) => {
+		threats.forEach((event) => {
 			const el = document.createElement("div");
 			el.className = `netsec-event ${event.severity || ""}`.trim().toLowerCase();
+			if (event.acknowledged) el.classList.add("acknowledged");
+			if (event.muted) el.classList.add("muted");
 
 			const iconClass = this.config.threatIcons[event.type]
 				|| this.config.threatIcons[event.threat_type]
@@ -212,17 +236,38 @@ Module.register("network-security", {
 			const typeDiv = document.createElement("div");
 			typeDiv.className = "netsec-event-type";
 			typeDiv.textContent = this.formatEventType(event);
+			if (event.count > 1) {
+				const count = document.createElement("span");
+				count.className = "netsec-event-count";
+				count.textContent = `×${event.count}`;
+				typeDiv.appendChild(count);
+			}
 			info.appendChild(typeDiv);
 
 			const detailDiv = document.createElement("div");
 			detailDiv.className = "netsec-event-detail dimmed xsmall";
 			const detailParts = [];
 			if (event.ip) detailParts.push(event.ip);
-			if (event.timestamp) detailParts.push(this.formatTime(event.timestamp));
+			if (event.lastSeen) detailParts.push(this.formatTime(event.lastSeen));
+			if (event.acknowledged) detailParts.push("Acknowledged");
+			if (event.muted) detailParts.push("Muted");
 			detailDiv.textContent = detailParts.join(" • ");
 			info.appendChild(detailDiv);
 
+			if (this.selectedThreat === event.id) {
+				info.appendChild(this.renderThreatActions(event));
+			}
+
 			el.appendChild(info);
+
+			if (this.config.mode === "touch") {
+				el.addEventListener("click", () => {
+					this.selectedThreat = this.selectedThreat === event.id ? null : event.id;
+					this.updateDom();
+				});
+				el.style.cursor = "pointer";
+			}
+
 			list.appendChild(el);
 		});
 
@@ -230,6 +275,74 @@ Module.register("network-security", {
 		return section;
 	},
 
+	renderThreatActions: function (threat) {
+		const actions = document.createElement("div");
+		actions.className = "netsec-event-actions";
+
+		const buttons = [];
+		if (!threat.acknowledged) {
+			buttons.push({ icon: "fa-check", label: "Acknowledge", notification: "NETSEC_ACKNOWLEDGE", payload: { id: threat.id } });
+		}
+		if (threat.ip && !threat.muted) {
+			buttons.push({ icon: "fa-bell-slash", label: `Mute ${Math.round(this.config.muteDuration / 60000)} min`, notification: "NETSEC_MUTE", payload: { ip: threat.ip } });
+		}
+
+		buttons.forEach((action) => {
+			const button = document.createElement("button");
+			button.className = "netsec-action";
+			const icon = document.createElement("i");
+			icon.className = `fa ${action.icon}`;
+			button.appendChild(icon);
+			button.appendChild(document.createTextNode(` ${action.label}`));
+			button.addEventListener("click", (event) => {
+				event.stopPropagation();
+				this.selectedThreat = null;
+				this.sendSocketNotification(action.notification, action.payload);
+			});
+			actions.appendChild(button);
+		});
+
+		return actions;
+	},
+
+	renderSources: function () {
+		const section = document.createElement("div");
+		section.className = "netsec-sources";
+
+		const header = document.createElement("div");
+		header.className = "section-header";
+		header.textContent = "Top Sources";
+		section.appendChild(header);
+
+		this.sources.slice(0, this.config.maxSources).forEach((source) => {
+			const el = document.createElement("div");
+			el.className = `netsec-source ${source.severity.toLowerCase()}${source.muted ? " muted" : ""}`;
+
+			const ip = document.createElement("span");
+			ip.className = "netsec-source-ip";
+			ip.textContent = source.ip;
+			el.appendChild(ip);
+
+			const detail = document.createElement("span");
+			detail.className = "netsec-source-detail dimmed xsmall";
+			const parts = [`${source.events} event${source.events === 1 ? "" : "s"}`];
+			if (source.threats > 1) parts.push(`${source.threats} threats`);
+			parts.push(this.formatTime(source.lastSeen));
+			detail.textContent = parts.join(" • ");
+			el.appendChild(detail);
+
+			if (source.muted) {
+				const icon = document.createElement("i");
+				icon.className = "fa fa-bell-slash dimmed";
+				el.appendChild(icon);
+			}
+
+			section.appendChild(el);
+		});
+
+		return section;
+	},
+
 	formatEventType: function (event) {
 		switch (event.type) {
 			case "threat_blocked":
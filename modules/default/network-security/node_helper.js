@@ -1,5 +1,17 @@
+/**
+ * Network Security Node Helper
+ *
+ * Polls LogAnalysis (AegisSIEM) and listens to ecosystem events. Events are
+ * tracked as threats (see threats.js), which are shared as
+ * app.get("networkThreats") for the REST API. New threats are relayed to the
+ * ecosystem as security.threat_detected, acknowledgements as
+ * security.threat_acknowledged.
+ */
+
+const path = require("node:path");
 const NodeHelper = require("node_helper");
 const Log = require("logger");
+const { ThreatTracker } = require("./threats");
 
 let EcosystemClient;
 try {
@@ -14,6 +26,12 @@ module.exports = NodeHelper.create({
 		this.config = null;
 		this._ecoClient = null;
 		this._pollTimer = null;
+		this._seeded = false; // The first poll only seeds the threats, without alerts
+
+		this.threats = new ThreatTracker({ file: path.join(__dirname, "..", "..", "..", "config", "network_threats.json") });
+		this.threats.on("change", () => this.sendThreats());
+		this.threats.on("acknowledged", (threat) => this.publish("security.threat_acknowledged", threat));
+		this.expressApp.set("networkThreats", this.threats);
 	},
 
 	socketNotificationReceived: function (notification, payload) {
@@ -24,11 +42,28 @@ module.exports = NodeHelper.create({
 			case "NETSEC_REFRESH":
 				this.fetchData();
 				break;
+			case "NETSEC_ACKNOWLEDGE":
+				this.threats.acknowledge(payload.id);
+				break;
+			case "NETSEC_MUTE":
+				try {
+					this.threats.mute(payload.ip, payload.duration);
+				} catch (error) {
+					Log.warn(`[${this.name}] Could not mute ${payload.ip}: ${error.message}`);
+				}
+				break;
 		}
 	},
 
 	initialize: async function (config) {
 		this.config = config;
+		if (config.muteDuration) {
+			this.threats.muteDuration = config.muteDuration;
+		}
+		if (config.groupWindow) {
+			this.threats.groupWindow = config.groupWindow;
+		}
+		this.sendThreats();
 
 		// Try ecosystem discovery first, fall back to config host
 		let resolvedHost = config.loganalysisHost;
@@ -56,7 +91,8 @@ module.exports = NodeHelper.create({
 			// Subscribe to ecosystem events
 			if (this._ecoClient) {
 				this._ecoClient.on("security.threat_blocked", async (envelope) => {
-					this.sendSocketNotification("NETSEC_THREAT_EVENT", {
+					this.recordEvents([{
+						id: envelope.id,
 						type: "threat_blocked",
 						ip: envelope.data.ip,
 						reason: envelope.data.reason,
@@ -64,29 +100,31 @@ module.exports = NodeHelper.create({
 						blocked_by: envelope.data.blocked_by,
 						timestamp: envelope.timestamp,
 						source: "ecosystem",
-					});
+					}]);
 				});
 
 				this._ecoClient.on("network.anomaly", async (envelope) => {
-					this.sendSocketNotification("NETSEC_THREAT_EVENT", {
+					this.recordEvents([{
+						id: envelope.id,
 						type: "network_anomaly",
 						anomaly_type: envelope.data.type,
 						severity: envelope.data.severity,
 						details: envelope.data.details,
 						timestamp: envelope.timestamp,
 						source: "ecosystem",
-					});
+					}]);
 				});
 
 				this._ecoClient.on("security.alert", async (envelope) => {
-					this.sendSocketNotification("NETSEC_THREAT_EVENT", {
+					this.recordEvents([{
+						id: envelope.id,
 						type: "security_alert",
 						ip: envelope.data.ip,
 						threat_type: envelope.data.threat_type,
 						severity: envelope.data.severity,
 						timestamp: envelope.timestamp,
 						source: "ecosystem",
-					});
+					}]);
 				});
 			}
 
@@ -128,14 +166,72 @@ module.exports = NodeHelper.create({
 			const response = await fetch(`${this.config.host}/api/honeypot/events`);
 			if (response.ok) {
 				const events = await response.json();
-				this.sendSocketNotification("NETSEC_EVENTS", { events: events.slice(0, 20) });
+				this.recordEvents(events, !this._seeded);
+				this._seeded = true;
 			}
 		} catch (error) {
 			Log.debug(`[${this.name}] Failed to fetch events: ${error.message}`);
 		}
 	},
 
+	/**
+	 * Track events; alert the mirror about new threats and relay those of
+	 * LogAnalysis to the ecosystem
+	 * @param {object[]} events - LogAnalysis or ecosystem events
+	 * @param {boolean} [silent] - Track without alerting
+	 */
+	recordEvents: function (events, silent = false) {
+		const results = events.map((event) => this.threats.record(event)).filter(Boolean);
+		if (results.length === 0) {
+			return;
+		}
+
+		this.sendThreats();
+		for (const { threat, alert } of results) {
+			if (alert && !silent) {
+				this.sendSocketNotification("NETSEC_THREAT_EVENT", threat);
+				if (threat.source !== "ecosystem") {
+					this.publish("security.threat_detected", threat);
+				}
+			}
+		}
+	},
+
+	/**
+	 * Send the threats and the summary per source IP to the mirror
+	 */
+	sendThreats: function () {
+		this.sendSocketNotification("NETSEC_THREATS", {
+			threats: this.threats.list({ limit: 50 }),
+			sources: this.threats.sources()
+		});
+	},
+
+	/**
+	 * Publish a threat to the ecosystem
+	 * @param {string} eventType - Ecosystem event type
+	 * @param {object} threat - Threat view
+	 */
+	publish: function (eventType, threat) {
+		if (!this._ecoClient) {
+			return;
+		}
+
+		this._ecoClient.publish(eventType, {
+			id: threat.id,
+			ip: threat.ip,
+			type: threat.type,
+			threat_type: threat.threat_type || threat.reason || threat.anomaly_type || null,
+			severity: threat.severity,
+			count: threat.count,
+			first_seen: threat.firstSeen,
+			last_seen: threat.lastSeen,
+			acknowledged: threat.acknowledged
+		}).catch((error) => Log.debug(`[${this.name}] Could not publish ${eventType}: ${error.message}`));
+	},
+
 	stop: async function () {
+		await this.threats.stop();
 		if (this._pollTimer) {
 			clearInterval(this._pollTimer);
 			this._pollTimer = null;
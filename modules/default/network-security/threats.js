@@ -0,0 +1,358 @@
+/**
+ * Network Security Module - Threat Tracker
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Turns the events of LogAnalysis and the ecosystem into threats. Events seen
+ * before (the honeypot list is fetched on every poll) are dropped, and events
+ * of the same source IP, type and kind within the grouping window are merged
+ * into one threat with a count, so one scanner is one threat instead of a
+ * flood. Threats can be acknowledged and source IPs muted for a while.
+ *
+ * Threats, mutes and the keys of the seen events are kept for maxAge in
+ * config/network_threats.json.
+ *
+ * Emits "change" when a threat was acknowledged or a source IP (un)muted, and
+ * "acknowledged" with the threat when one was acknowledged.
+ */
+
+const crypto = require("node:crypto");
+const EventEmitter = require("node:events");
+const fs = require("node:fs");
+const Log = require("logger");
+const { writeStateFile } = require("../../../js/file-writer");
+
+const HOUR = 60 * 60 * 1000;
+
+const SEVERITIES = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+// Changes are written together, a scan of the honeypot comes in bursts
+const SAVE_DELAY = 5000;
+
+class ThreatTracker extends EventEmitter {
+
+	/**
+	 * @param {object} [options] - Tracker options
+	 * @param {string} [options.file] - JSON file for threats and mutes (in-memory if omitted)
+	 * @param {number} [options.groupWindow] - Time in ms after the last event of a threat in which new events are merged into it
+	 * @param {number} [options.maxAge] - Time in ms threats and seen events are kept
+	 * @param {number} [options.muteDuration] - Default time in ms a source IP is muted
+	 */
+	constructor (options = {}) {
+		super();
+		this.file = options.file || null;
+		this.groupWindow = options.groupWindow || HOUR;
+		this.maxAge = options.maxAge || 24 * HOUR;
+		this.muteDuration = options.muteDuration || HOUR;
+		this.threats = [];
+		this.seen = new Map(); // Event key -> time
+		this.mutes = new Map(); // IP -> muted until
+		this.saving = Promise.resolve();
+		this.saveTimer = null;
+
+		this.load();
+	}
+
+	/**
+	 * Read threats and mutes from disk.
+	 */
+	load () {
+		if (!this.file) {
+			return;
+		}
+
+		try {
+			const data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+			this.threats = data.threats || [];
+			this.seen = new Map(data.seen || []);
+			this.mutes = new Map(Object.entries(data.mutes || {}));
+			this.prune();
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				Log.error(`[network-security] Could not read ${this.file}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Write the changes after a short delay.
+	 */
+	scheduleSave () {
+		if (!this.file || this.saveTimer) {
+			return;
+		}
+
+		this.saveTimer = setTimeout(() => {
+			this.saveTimer = null;
+			this.save();
+		}, SAVE_DELAY);
+	}
+
+	/**
+	 * Write threats and mutes.
+	 * @returns {Promise<void>} Resolves when the file is written
+	 */
+	save () {
+		if (!this.file) {
+			return Promise.resolve();
+		}
+
+		clearTimeout(this.saveTimer);
+		this.saveTimer = null;
+
+		const data = JSON.stringify({
+			threats: this.threats,
+			seen: Array.from(this.seen),
+			mutes: Object.fromEntries(this.mutes)
+		});
+		this.saving = writeStateFile(this.file, data)
+			.catch((error) => Log.error(`[network-security] Could not write ${this.file}: ${error.message}`));
+
+		return this.saving;
+	}
+
+	/**
+	 * Add an event of LogAnalysis or the ecosystem.
+	 * @param {object} event - Event with type, ip, severity, timestamp (ISO date, ms or s) and optionally id, reason, threat_type, anomaly_type, details, blocked_by, source
+	 * @returns {object|null} { threat, alert }, alert is true for a new threat or a raised severity of a source that is not muted; null if the event was seen before or is too old
+	 */
+	record (event) {
+		const time = parseTime(event.timestamp);
+		if (time < Date.now() - this.maxAge) {
+			return null;
+		}
+
+		const type = event.type || "event";
+		const ip = event.ip || null;
+		const kind = event.threat_type || event.reason || event.anomaly_type || null;
+		const key = event.id !== undefined && event.id !== null
+			? `${type}:${event.id}`
+			: `${type}:${ip}:${kind}:${event.timestamp ?? JSON.stringify(event)}`;
+		if (this.seen.has(key)) {
+			return null;
+		}
+		this.seen.set(key, time);
+
+		const severity = normalizeSeverity(event.severity);
+		const group = `${ip}|${type}|${kind}`;
+		let threat = this.threats.find((entry) => entry.group === group && time >= entry.lastSeen - this.groupWindow && time <= entry.lastSeen + this.groupWindow);
+		let alert;
+
+		if (threat) {
+			const raised = SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(threat.severity);
+			threat.count++;
+			threat.firstSeen = Math.min(threat.firstSeen, time);
+			threat.lastSeen = Math.max(threat.lastSeen, time);
+			if (raised) {
+				threat.severity = severity;
+				threat.acknowledged = false;
+				threat.acknowledgedAt = null;
+			}
+			alert = raised;
+		} else {
+			threat = {
+				id: crypto.randomUUID(),
+				group,
+				type,
+				ip,
+				severity,
+				count: 1,
+				firstSeen: time,
+				lastSeen: time,
+				acknowledged: false,
+				acknowledgedAt: null,
+				source: event.source || "loganalysis"
+			};
+			this.threats.push(threat);
+			alert = true;
+		}
+		for (const field of ["reason", "threat_type", "anomaly_type", "details", "blocked_by"]) {
+			if (event[field] !== undefined && event[field] !== null) {
+				threat[field] = event[field];
+			}
+		}
+
+		this.prune();
+		this.scheduleSave();
+		return { threat: this.view(threat), alert: alert && !this.isMuted(ip) };
+	}
+
+	/**
+	 * Drop threats and seen events older than maxAge and mutes that ran out.
+	 */
+	prune () {
+		const since = Date.now() - this.maxAge;
+		this.threats = this.threats.filter((threat) => threat.lastSeen >= since);
+		for (const [key, time] of this.seen) {
+			if (time < since) {
+				this.seen.delete(key);
+			}
+		}
+		for (const [ip, until] of this.mutes) {
+			if (until <= Date.now()) {
+				this.mutes.delete(ip);
+			}
+		}
+	}
+
+	/**
+	 * @param {string|null} ip - Source IP
+	 * @returns {boolean} True if the IP is muted
+	 */
+	isMuted (ip) {
+		return ip !== null && (this.mutes.get(ip) || 0) > Date.now();
+	}
+
+	/**
+	 * A threat as shown on the mirror and by the REST API.
+	 * @param {object} threat - Stored threat
+	 * @returns {object} The threat with times as ISO dates and the muted state of its source
+	 */
+	view (threat) {
+		const { group, ...rest } = threat;
+		return {
+			...rest,
+			firstSeen: new Date(threat.firstSeen).toISOString(),
+			lastSeen: new Date(threat.lastSeen).toISOString(),
+			acknowledgedAt: threat.acknowledgedAt ? new Date(threat.acknowledgedAt).toISOString() : null,
+			muted: this.isMuted(threat.ip)
+		};
+	}
+
+	/**
+	 * Threats, last seen first.
+	 * @param {object} [filter] - Query
+	 * @param {boolean} [filter.acknowledged] - Include acknowledged threats (true by default)
+	 * @param {boolean} [filter.muted] - Include threats of muted sources (true by default)
+	 * @param {number} [filter.limit] - Maximum number of threats
+	 * @returns {object[]} Views of the threats
+	 */
+	list (filter = {}) {
+		return this.threats
+			.filter((threat) => (filter.acknowledged !== false || !threat.acknowledged) && (filter.muted !== false || !this.isMuted(threat.ip)))
+			.sort((a, b) => b.lastSeen - a.lastSeen)
+			.slice(0, filter.limit ?? Infinity)
+			.map((threat) => this.view(threat));
+	}
+
+	/**
+	 * Threats and events per source IP, most events first.
+	 * @returns {object[]} { ip, threats, events, severity, types, firstSeen, lastSeen, muted, mutedUntil }
+	 */
+	sources () {
+		const sources = new Map();
+		for (const threat of this.threats) {
+			if (threat.ip === null) {
+				continue;
+			}
+			const source = sources.get(threat.ip) || { ip: threat.ip, threats: 0, events: 0, severity: "LOW", types: [], firstSeen: threat.firstSeen, lastSeen: threat.lastSeen };
+			source.threats++;
+			source.events += threat.count;
+			if (SEVERITIES.indexOf(threat.severity) > SEVERITIES.indexOf(source.severity)) {
+				source.severity = threat.severity;
+			}
+			if (!source.types.includes(threat.type)) {
+				source.types.push(threat.type);
+			}
+			source.firstSeen = Math.min(source.firstSeen, threat.firstSeen);
+			source.lastSeen = Math.max(source.lastSeen, threat.lastSeen);
+			sources.set(threat.ip, source);
+		}
+
+		return Array.from(sources.values())
+			.sort((a, b) => b.events - a.events || b.lastSeen - a.lastSeen)
+			.map((source) => ({
+				...source,
+				firstSeen: new Date(source.firstSeen).toISOString(),
+				lastSeen: new Date(source.lastSeen).toISOString(),
+				muted: this.isMuted(source.ip),
+				mutedUntil: this.isMuted(source.ip) ? new Date(this.mutes.get(source.ip)).toISOString() : null
+			}));
+	}
+
+	/**
+	 * @param {string} id - Threat ID
+	 * @returns {object|null} The acknowledged threat, null if unknown
+	 */
+	acknowledge (id) {
+		const threat = this.threats.find((entry) => entry.id === id);
+		if (!threat) {
+			return null;
+		}
+
+		if (!threat.acknowledged) {
+			threat.acknowledged = true;
+			threat.acknowledgedAt = Date.now();
+			this.scheduleSave();
+			this.emit("acknowledged", this.view(threat));
+			this.emit("change");
+		}
+		return this.view(threat);
+	}
+
+	/**
+	 * Mute a source IP: its threats are still tracked but raise no alerts.
+	 * @param {string} ip - Source IP
+	 * @param {number} [duration] - Time in ms, muteDuration by default
+	 * @returns {object} { ip, until }
+	 */
+	mute (ip, duration = this.muteDuration) {
+		if (typeof ip !== "string" || !/^[0-9a-f.:]{2,45}$/i.test(ip)) {
+			throw new Error("ip must be an IPv4 or IPv6 address");
+		}
+		if (!Number.isInteger(duration) || duration < 60000 || duration > 30 * 24 * HOUR) {
+			throw new Error("duration must be between 60000 ms (1 minute) and 30 days");
+		}
+
+		const until = Date.now() + duration;
+		this.mutes.set(ip, until);
+		this.scheduleSave();
+		this.emit("change");
+		return { ip, until: new Date(until).toISOString() };
+	}
+
+	/**
+	 * @param {string} ip - Source IP
+	 * @returns {boolean} True if the IP was muted
+	 */
+	unmute (ip) {
+		const muted = this.isMuted(ip);
+		if (this.mutes.delete(ip)) {
+			this.scheduleSave();
+			this.emit("change");
+		}
+		return muted;
+	}
+
+	/**
+	 * Write pending changes.
+	 * @returns {Promise<void>} Resolves when the file is written
+	 */
+	stop () {
+		return this.saveTimer ? this.save() : this.saving;
+	}
+}
+
+/**
+ * @param {string|number|undefined} timestamp - ISO date, time in ms or in s (ecosystem envelopes)
+ * @returns {number} The time in ms, now if missing or invalid
+ */
+function parseTime (timestamp) {
+	if (typeof timestamp === "number") {
+		return timestamp < 1e12 ? Math.round(timestamp * 1000) : timestamp;
+	}
+	const time = new Date(timestamp).getTime();
+	return Number.isNaN(time) ? Date.now() : time;
+}
+
+/**
+ * @param {string} severity - Severity in any case
+ * @returns {string} One of SEVERITIES, MEDIUM if unknown
+ */
+function normalizeSeverity (severity) {
+	const value = String(severity || "").toUpperCase();
+	return SEVERITIES.includes(value) ? value : "MEDIUM";
+}
+
+module.exports = { ThreatTracker };
@@ -0,0 +1,100 @@
+/**
+ * Network Module - Device Types
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Guesses the type of a network device from its vendor, hostname and open
+ * ports (found by the built-in scanner, see scanner.js). Loaded
+ * by the module in the browser and required by the node helper, so the
+ * display and the REST API agree on the type of unnamed devices.
+ */
+
+const NetworkDeviceTypes = {
+	// Types with an icon in the deviceIcons config of the module
+	TYPES: ["router", "computer", "laptop", "phone", "tablet", "tv", "speaker", "camera", "iot", "printer", "gaming", "unknown"],
+
+	/**
+	 * Guess device type from vendor/hostname/open ports
+	 * @param {object} device - Device with vendor, hostname, isGateway and ports
+	 * @returns {string} Guessed device type
+	 */
+	guess (device) {
+		const vendor = (device.vendor || "").toLowerCase();
+		const hostname = (device.hostname || "").toLowerCase();
+		const ports = new Set(device.ports || []);
+
+		// Router/Gateway detection
+		if (device.isGateway) return "router";
+
+		// Common vendor patterns
+		if (vendor.includes("apple")) {
+			if (hostname.includes("iphone")) return "phone";
+			if (hostname.includes("ipad")) return "tablet";
+			if (hostname.includes("macbook")) return "laptop";
+			if (hostname.includes("appletv")) return "tv";
+			if (ports.has(62078)) return "phone"; // iOS sync service
+			return "computer";
+		}
+
+		if (vendor.includes("samsung")) {
+			if (hostname.includes("galaxy")) return "phone";
+			if (hostname.includes("tv") || hostname.includes("smart")) return "tv";
+			return "phone";
+		}
+
+		if (vendor.includes("google")) {
+			if (hostname.includes("home") || hostname.includes("nest")) return "speaker";
+			if (hostname.includes("chromecast")) return "tv";
+			return "iot";
+		}
+
+		if (vendor.includes("amazon")) {
+			if (hostname.includes("echo") || hostname.includes("alexa")) return "speaker";
+			if (hostname.includes("fire")) return "tv";
+			return "iot";
+		}
+
+		if (vendor.includes("ring") || vendor.includes("wyze") || vendor.includes("arlo")) {
+			return "camera";
+		}
+
+		if (vendor.includes("hp") || vendor.includes("epson") || vendor.includes("canon") || vendor.includes("brother")) {
+			return "printer";
+		}
+
+		if (vendor.includes("sony") || vendor.includes("microsoft") || vendor.includes("nintendo")) {
+			return "gaming";
+		}
+
+		if (vendor.includes("intel") || vendor.includes("dell") || vendor.includes("lenovo") || vendor.includes("asus")) {
+			return "computer";
+		}
+
+		// Open ports
+		if (ports.has(9100) || (ports.has(631) && !ports.has(22))) return "printer"; // Raw printing, IPP without SSH (not a CUPS server)
+		if (ports.has(554)) return "camera"; // RTSP
+		if (ports.has(62078)) return "phone";
+		if (ports.has(8008) || ports.has(8009)) return "tv"; // Cast
+		if (ports.has(3389) || ports.has(5357) || ports.has(445)) return "computer"; // Remote desktop, Windows discovery, file sharing
+		if (ports.has(1883)) return "iot"; // MQTT
+
+		// Hostname patterns
+		if (hostname.includes("phone") || hostname.includes("android")) return "phone";
+		if (hostname.includes("laptop") || hostname.includes("notebook")) return "laptop";
+		if (hostname.includes("desktop") || hostname.includes("pc")) return "computer";
+		if (hostname.includes("tv") || hostname.includes("roku")) return "tv";
+		if (hostname.includes("printer")) return "printer";
+		if (hostname.includes("camera") || hostname.includes("cam")) return "camera";
+
+		return "unknown";
+	}
+};
+
+if (typeof module !== "undefined") {
+	module.exports = NetworkDeviceTypes;
+}
+
+if (typeof window !== "undefined") {
+	window.NetworkDeviceTypes = NetworkDeviceTypes;
+}
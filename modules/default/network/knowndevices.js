@@ -0,0 +1,220 @@
+/**
+ * Network Module - Known Devices
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Devices named in config.js (knownDevices) and those saved from the mirror
+ * (the module, Settings, the REST API) in .known_devices.json. A saved entry
+ * replaces the configured one of the same MAC address. Views of a device
+ * combine its entry with the latest scan and the type guessed from vendor
+ * and hostname.
+ *
+ * Emits "change" with the view of a device when it was saved or forgotten.
+ */
+
+const EventEmitter = require("node:events");
+const fs = require("node:fs");
+const Log = require("logger");
+const { writeStateFile } = require("../../../js/file-writer");
+const NetworkDeviceTypes = require("./devicetypes");
+
+const MAC_PATTERN = /^([0-9a-f]{2}:){5}[0-9a-f]{2}$/;
+
+class KnownDeviceStore extends EventEmitter {
+
+	/**
+	 * @param {object} [options] - Store options
+	 * @param {string} [options.file] - JSON file for the saved devices (in-memory if omitted)
+	 * @param {Map<string, object>} [options.scanned] - Devices found by the scans, per MAC address (lower case)
+	 */
+	constructor (options = {}) {
+		super();
+		this.file = options.file || null;
+		this.scanned = options.scanned || new Map();
+		this.types = NetworkDeviceTypes.TYPES;
+		this.configured = new Map();
+		this.saved = new Map();
+
+		this.load();
+	}
+
+	/**
+	 * Read the saved devices from disk.
+	 */
+	load () {
+		if (!this.file) {
+			return;
+		}
+
+		try {
+			for (const device of JSON.parse(fs.readFileSync(this.file, "utf8"))) {
+				this.saved.set(device.mac.toLowerCase(), { ...device, mac: device.mac.toLowerCase() });
+			}
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				Log.error(`[Network] Could not read ${this.file}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Write the saved devices.
+	 * @returns {Promise<void>} Resolves when the file is written
+	 */
+	save () {
+		if (!this.file) {
+			return Promise.resolve();
+		}
+
+		const data = JSON.stringify(Array.from(this.saved.values()), null, 2);
+		return writeStateFile(this.file, data)
+			.catch((error) => Log.error(`[Network] Could not write ${this.file}: ${error.message}`));
+	}
+
+	/**
+	 * Set the devices from config.js.
+	 * @param {object[]} devices - knownDevices of the module config
+	 */
+	configure (devices) {
+		this.configured = new Map(devices.map((device) => [device.mac.toLowerCase(), { ...device, mac: device.mac.toLowerCase() }]));
+	}
+
+	/**
+	 * @param {string} mac - MAC address
+	 * @returns {object|null} The saved or configured entry of the device
+	 */
+	get (mac) {
+		const key = normalizeMac(mac);
+		return this.saved.get(key) || this.configured.get(key) || null;
+	}
+
+	/**
+	 * @returns {object[]} The entries of all known devices
+	 */
+	known () {
+		return Array.from(new Set([...this.configured.keys(), ...this.saved.keys()]), (mac) => this.get(mac));
+	}
+
+	/**
+	 * @returns {Map<string, string>} Owner per MAC address of the known devices with an owner
+	 */
+	owners () {
+		return new Map(this.known().filter((device) => device.owner).map((device) => [device.mac, device.owner]));
+	}
+
+	/**
+	 * A device as shown by the Settings panel and the REST API.
+	 * @param {string} mac - MAC address
+	 * @returns {object|null} { mac, name, type, guessedType, owner, alertOffline, blocked, known, configured, online, ip, hostname, vendor, randomMac }, null if neither known nor seen
+	 */
+	view (mac) {
+		const key = normalizeMac(mac);
+		const entry = this.get(key);
+		const scan = this.scanned.get(key);
+		if (!entry && !scan) {
+			return null;
+		}
+
+		const guessedType = scan ? NetworkDeviceTypes.guess(scan) : "unknown";
+		return {
+			mac: key,
+			name: entry?.name || null,
+			type: entry?.type || guessedType,
+			guessedType,
+			owner: entry?.owner || null,
+			alertOffline: entry?.alertOffline === true,
+			blocked: entry?.blocked === true,
+			known: !!entry,
+			configured: this.configured.has(key),
+			online: scan?.online === true,
+			ip: scan?.ip || null,
+			hostname: scan?.hostname || null,
+			vendor: scan?.vendor || null,
+			randomMac: scan?.randomMac === true
+		};
+	}
+
+	/**
+	 * @returns {object[]} Views of the known and the scanned devices, known devices first
+	 */
+	list () {
+		const macs = new Set([...this.configured.keys(), ...this.saved.keys(), ...this.scanned.keys()]);
+		return Array.from(macs, (mac) => this.view(mac))
+			.sort((a, b) => b.known - a.known || (a.name || a.hostname || a.mac).localeCompare(b.name || b.hostname || b.mac));
+	}
+
+	/**
+	 * Save a device, keeping the fields that are not changed.
+	 * @param {string} mac - MAC address
+	 * @param {object} changes - Any of name, type, owner (null to clear; without a type the guessed one is used), alertOffline, blocked
+	 * @returns {object} The view of the device
+	 */
+	set (mac, changes) {
+		const key = normalizeMac(mac);
+		if (!MAC_PATTERN.test(key)) {
+			throw new Error(`Invalid MAC address: ${mac}`);
+		}
+
+		const unknown = Object.keys(changes).filter((field) => !["name", "type", "owner", "alertOffline", "blocked", "mac"].includes(field));
+		if (unknown.length > 0) {
+			throw new Error(`Unknown field(s): ${unknown.join(", ")}`);
+		}
+		for (const field of ["name", "owner"]) {
+			const value = changes[field];
+			if (value !== undefined && value !== null && (typeof value !== "string" || value.trim() === "" || value.length > 64)) {
+				throw new Error(`${field} must be a text of at most 64 characters`);
+			}
+		}
+		if (changes.type !== undefined && changes.type !== null && !NetworkDeviceTypes.TYPES.includes(changes.type)) {
+			throw new Error(`type must be one of: ${NetworkDeviceTypes.TYPES.join(", ")}`);
+		}
+		for (const field of ["alertOffline", "blocked"]) {
+			if (changes[field] !== undefined && typeof changes[field] !== "boolean") {
+				throw new Error(`${field} must be true or false`);
+			}
+		}
+
+		const scan = this.scanned.get(key);
+		const device = { ...this.get(key), mac: key };
+		for (const field of ["name", "type", "owner", "alertOffline", "blocked"]) {
+			if (changes[field] !== undefined) {
+				device[field] = typeof changes[field] === "string" ? changes[field].trim() : changes[field];
+			}
+		}
+		device.name = device.name || scan?.hostname || scan?.ip || key;
+
+		this.saved.set(key, device);
+		this.save();
+
+		const view = this.view(key);
+		this.emit("change", view);
+		return view;
+	}
+
+	/**
+	 * Forget a saved device. Devices from config.js fall back to their configured entry.
+	 * @param {string} mac - MAC address
+	 * @returns {boolean} True if a saved entry was removed
+	 */
+	remove (mac) {
+		const key = normalizeMac(mac);
+		if (!this.saved.delete(key)) {
+			return false;
+		}
+
+		this.save();
+		this.emit("change", this.view(key) || { mac: key, known: false });
+		return true;
+	}
+}
+
+/**
+ * @param {string} mac - MAC address, with colons or dashes
+ * @returns {string} The address in lower case with colons
+ */
+function normalizeMac (mac) {
+	return String(mac).trim().toLowerCase().replace(/-/g, ":");
+}
+
+module.exports = { KnownDeviceStore };
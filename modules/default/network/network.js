@@ -10,6 +10,7 @@
  * - Internet speed tests
  * - Network status notifications
  * - Bandwidth monitoring
+ * - Who is home, from the devices of known owners
  *
  * Follows Apple HIG principles adapted for mirror display:
  * - Clear device status indicators
@@ -17,7 +18,7 @@
  * - Organized device lists
  */
 
-/* global Log, Module */
+/* global Log, Module, NetworkDeviceTypes */
 
 Module.register("network", {
 	/**
@@ -31,6 +32,8 @@ Module.register("network", {
 		scanInterval: 60000, // Scan every 60 seconds
 		networkInterface: "auto", // Auto-detect or specify (e.g., "eth0", "wlan0")
 		networkCIDR: "auto", // Auto-detect or specify (e.g., "192.168.1.0/24")
+		scanMethod: "auto", // "auto": OpenEye, Fing, arp-scan, nmap, then the built-in scanner; "builtin": built-in scanner only
+		vendorLookupOnline: false, // Ask api.macvendors.com for vendors missing in the bundled IEEE database
 
 		// Speed test options
 		speedTestEnabled: true,
@@ -38,6 +41,9 @@ Module.register("network", {
 		speedTestServer: "auto", // Auto-select or specify server ID
 		minDownloadSpeed: 10, // Mbps - alert if below
 		minUploadSpeed: 5, // Mbps - alert if below
+		speedHistoryDays: 90, // Days speed test results are kept
+		slowSpeedWindow: 86400000, // SLA window: the last 24 hours
+		slowSpeedPercent: 25, // Alert when this share (%) of the tests in the window is too slow, 0 to disable
 
 		// Connectivity check
 		connectivityCheckEnabled: true,
@@ -53,6 +59,7 @@ Module.register("network", {
 		showKnownDevices: true,
 		showOfflineDevices: false,
 		showSpeedTest: false,  // Disabled by default - takes space
+		showSpeedHistory: true, // Trend of the last 24 hours and daily ranges below the speed test
 		showConnectivityStatus: true,
 		maxDevicesDisplay: 10,
 		compactMode: false,
@@ -69,10 +76,15 @@ Module.register("network", {
 		// Show device type breakdown in summary mode (phones, computers, etc.)
 		showTypeBreakdown: true,
 
+		// Presence - owners of known devices are home while one of their devices is online
+		showPresence: true,
+		presenceTimeout: 600000, // Time a device must be gone before its owner counts as away
+
 		// Notifications
 		notifyOnNewDevice: true,
 		notifyOnNetworkDown: true,
 		notifyOnSlowSpeed: true,
+		notifyOnDeviceAlerts: true, // Devices marked "alert when offline" or "blocked" in Settings
 
 		// Device icons by type
 		deviceIcons: {
@@ -92,8 +104,9 @@ Module.register("network", {
 
 		// Known devices configuration
 		// Users can mark devices as known with custom names and types
+		// Devices named in Settings or through the REST API are added to these
 		knownDevices: [
-			// { mac: "00:11:22:33:44:55", name: "My Phone", type: "phone", owner: "Dad" }
+			// { mac: "00:11:22:33:44:55", name: "My Phone", type: "phone", owner: "Dad", alertOffline: false, blocked: false }
 		]
 	},
 
@@ -102,7 +115,7 @@ Module.register("network", {
 	 * @returns {string[]} Array of script paths
 	 */
 	getScripts: function () {
-		return [];
+		return [this.file("devicetypes.js")];
 	},
 
 	/**
@@ -126,7 +139,9 @@ Module.register("network", {
 		this.isOnline = true;
 		this.lastScan = null;
 		this.lastSpeedTest = null;
+		this.speedHistory = null;
 		this.error = null;
+		this.people = [];
 
 		// Build known devices map from config
 		this.config.knownDevices.forEach((device) => {
@@ -137,11 +152,20 @@ Module.register("network", {
 		this.sendSocketNotification("NETWORK_INIT", {
 			networkInterface: this.config.networkInterface,
 			networkCIDR: this.config.networkCIDR,
+			scanMethod: this.config.scanMethod,
+			vendorLookupOnline: this.config.vendorLookupOnline,
 			scanInterval: this.config.scanInterval,
 			speedTestInterval: this.config.speedTestInterval,
 			connectivityCheckInterval: this.config.connectivityCheckInterval,
 			connectivityHosts: this.config.connectivityHosts,
-			speedTestServer: this.config.speedTestServer
+			speedTestServer: this.config.speedTestServer,
+			knownDevices: this.config.knownDevices,
+			presenceTimeout: this.config.presenceTimeout,
+			minDownloadSpeed: this.config.minDownloadSpeed,
+			minUploadSpeed: this.config.minUploadSpeed,
+			speedHistoryDays: this.config.speedHistoryDays,
+			slowSpeedWindow: this.config.slowSpeedWindow,
+			slowSpeedPercent: this.config.slowSpeedPercent
 		});
 	},
 
@@ -162,10 +186,21 @@ Module.register("network", {
 			case "NETWORK_SPEED_TEST":
 				this.speedTestResult = payload;
 				this.lastSpeedTest = new Date();
-				this.checkSpeedThresholds(payload);
 				this.updateDom(300);
 				break;
 
+			case "NETWORK_SPEED_HISTORY":
+				this.speedHistory = payload;
+				if (!this.speedTestResult && payload.results.length > 0) {
+					this.speedTestResult = payload.results[payload.results.length - 1];
+				}
+				this.updateDom(300);
+				break;
+
+			case "NETWORK_SPEED_SLA":
+				this.showSlaAlert(payload);
+				break;
+
 			case "NETWORK_STATUS":
 				const wasOnline = this.isOnline;
 				this.isOnline = payload.online;
@@ -206,6 +241,34 @@ Module.register("network", {
 				this.error = payload.message;
 				this.updateDom(300);
 				break;
+
+			case "NETWORK_KNOWN_DEVICES":
+				// Config devices plus those saved in Settings or through the REST API
+				this.knownDevicesMap = new Map(payload.devices.map((device) => [device.mac, device]));
+				this.processDevices(this.devices);
+				this.updateDom(300);
+				break;
+
+			case "NETWORK_DEVICE_ALERT":
+				this.showDeviceAlert(payload);
+				break;
+
+			case "PRESENCE_ARRIVED":
+			case "PRESENCE_DEPARTED":
+				// Let other modules react to who is home
+				this.sendNotification(notification, payload);
+				break;
+
+			case "PRESENCE_STATE": {
+				const home = (people) => people.filter((p) => p.home).map((p) => p.person).join();
+				const changed = home(payload.people) !== home(this.people) || this.people.length === 0;
+				this.people = payload.people;
+				if (changed) {
+					this.sendNotification("PRESENCE_STATE", payload);
+				}
+				this.updateDom(300);
+				break;
+			}
 		}
 	},
 
@@ -223,7 +286,8 @@ Module.register("network", {
 				isKnown: !!knownDevice,
 				customName: knownDevice?.name || null,
 				customType: knownDevice?.type || this.guessDeviceType(device),
-				owner: knownDevice?.owner || null
+				owner: knownDevice?.owner || null,
+				blocked: knownDevice?.blocked === true
 			};
 		});
 	},
@@ -234,91 +298,49 @@ Module.register("network", {
 	 * @returns {string} Guessed device type
 	 */
 	guessDeviceType: function (device) {
-		const vendor = (device.vendor || "").toLowerCase();
-		const hostname = (device.hostname || "").toLowerCase();
-
-		// Router/Gateway detection
-		if (device.isGateway) return "router";
-
-		// Common vendor patterns
-		if (vendor.includes("apple")) {
-			if (hostname.includes("iphone")) return "phone";
-			if (hostname.includes("ipad")) return "tablet";
-			if (hostname.includes("macbook")) return "laptop";
-			if (hostname.includes("appletv")) return "tv";
-			return "computer";
-		}
-
-		if (vendor.includes("samsung")) {
-			if (hostname.includes("galaxy")) return "phone";
-			if (hostname.includes("tv") || hostname.includes("smart")) return "tv";
-			return "phone";
-		}
-
-		if (vendor.includes("google")) {
-			if (hostname.includes("home") || hostname.includes("nest")) return "speaker";
-			if (hostname.includes("chromecast")) return "tv";
-			return "iot";
-		}
-
-		if (vendor.includes("amazon")) {
-			if (hostname.includes("echo") || hostname.includes("alexa")) return "speaker";
-			if (hostname.includes("fire")) return "tv";
-			return "iot";
-		}
-
-		if (vendor.includes("ring") || vendor.includes("wyze") || vendor.includes("arlo")) {
-			return "camera";
-		}
-
-		if (vendor.includes("hp") || vendor.includes("epson") || vendor.includes("canon") || vendor.includes("brother")) {
-			return "printer";
-		}
-
-		if (vendor.includes("sony") || vendor.includes("microsoft") || vendor.includes("nintendo")) {
-			return "gaming";
-		}
-
-		if (vendor.includes("intel") || vendor.includes("dell") || vendor.includes("lenovo") || vendor.includes("asus")) {
-			return "computer";
-		}
-
-		// Hostname patterns
-		if (hostname.includes("phone") || hostname.includes("android")) return "phone";
-		if (hostname.includes("laptop") || hostname.includes("notebook")) return "laptop";
-		if (hostname.includes("desktop") || hostname.includes("pc")) return "computer";
-		if (hostname.includes("tv") || hostname.includes("roku")) return "tv";
-		if (hostname.includes("printer")) return "printer";
-		if (hostname.includes("camera") || hostname.includes("cam")) return "camera";
-
-		return "unknown";
+		return NetworkDeviceTypes.guess(device);
 	},
 
 	/**
-	 * Check if speed is below thresholds
-	 * @param {object} result - Speed test result
+	 * Alert when a blocked device joins the network or a device to watch goes offline
+	 * @param {object} alert - { reason, device, lastSeen }
 	 */
-	checkSpeedThresholds: function (result) {
-		if (!this.config.notifyOnSlowSpeed) return;
-
-		const issues = [];
+	showDeviceAlert: function (alert) {
+		// Let other modules (e.g. the rules engine) react to the device
+		this.sendNotification("NETWORK_DEVICE_ALERT", alert);
+
+		if (!this.config.notifyOnDeviceAlerts) return;
+
+		const name = alert.device.name || alert.device.hostname || alert.device.mac;
+		this.sendNotification("SHOW_ALERT", {
+			type: "notification",
+			title: alert.reason === "blocked" ? "Blocked Device Detected" : "Device Offline",
+			message: alert.reason === "blocked"
+				? `${name} (${alert.device.ip || alert.device.mac}) joined the network`
+				: `${name} has not been seen for ${this.formatDuration(alert.lastSeen)}`,
+			timer: 15000,
+			priority: alert.reason === "blocked" ? "high" : "normal"
+		});
+	},
 
-		if (result.download && result.download < this.config.minDownloadSpeed) {
-			issues.push(`Download: ${result.download.toFixed(1)} Mbps (expected: ${this.config.minDownloadSpeed}+)`);
-		}
+	/**
+	 * Alert when too many speed tests of the SLA window were below the minimum speeds
+	 * @param {object} sla - { tests, slow, percent, minDownload, minUpload, window }
+	 */
+	showSlaAlert: function (sla) {
+		// Let other modules (e.g. the rules engine) react to a slow connection
+		this.sendNotification("NETWORK_SPEED_SLA", sla);
 
-		if (result.upload && result.upload < this.config.minUploadSpeed) {
-			issues.push(`Upload: ${result.upload.toFixed(1)} Mbps (expected: ${this.config.minUploadSpeed}+)`);
-		}
+		if (!this.config.notifyOnSlowSpeed) return;
 
-		if (issues.length > 0) {
-			this.sendNotification("SHOW_ALERT", {
-				type: "notification",
-				title: "Slow Network Speed",
-				message: issues.join(", "),
-				timer: 15000
-			});
-		}
+		const hours = Math.round(sla.window / 3600000);
+		this.sendNotification("SHOW_ALERT", {
+			type: "notification",
+			title: "Slow Network Speed",
+			message: `${sla.slow} of ${sla.tests} speed tests in the last ${hours} hours were below ${sla.minDownload} Mbps down / ${sla.minUpload} Mbps up`,
+			timer: 15000,
+			priority: "low"
+		});
 	},
 
 	/**
@@ -395,6 +417,11 @@ Module.register("network", {
 			wrapper.appendChild(statusDiv);
 		}
 
+		// Who is home
+		if (this.config.showPresence && this.people.length > 0) {
+			wrapper.appendChild(this.renderPresence());
+		}
+
 		// Speed test results
 		if (this.config.showSpeedTest && this.speedTestResult) {
 			wrapper.appendChild(this.renderSpeedTest());
@@ -595,6 +622,59 @@ Module.register("network", {
 		return section;
 	},
 
+	/**
+	 * Render who is home
+	 * @returns {HTMLElement} Presence element
+	 */
+	renderPresence: function () {
+		const section = document.createElement("div");
+		section.className = "presence-section";
+
+		const header = document.createElement("div");
+		header.className = "section-header small";
+		header.textContent = "Home";
+		section.appendChild(header);
+
+		this.people.forEach((entry) => {
+			const row = document.createElement("div");
+			row.className = `presence-person ${entry.home ? "home" : "away"}`;
+
+			const status = document.createElement("span");
+			status.className = `device-status ${entry.home ? "online" : "offline"}`;
+			row.appendChild(status);
+
+			const name = document.createElement("span");
+			name.className = "presence-name";
+			name.textContent = entry.person;
+			row.appendChild(name);
+
+			const since = document.createElement("span");
+			since.className = "presence-since dimmed xsmall";
+			if (entry.home) {
+				since.textContent = entry.since ? `home for ${this.formatDuration(entry.since)}` : "home";
+			} else {
+				since.textContent = entry.lastSeen ? `away for ${this.formatDuration(entry.since || entry.lastSeen)}` : "away";
+			}
+			row.appendChild(since);
+
+			section.appendChild(row);
+		});
+
+		return section;
+	},
+
+	/**
+	 * Format the time since a moment, e.g. "5m", "3h", "2d"
+	 * @param {string} timestamp - ISO timestamp
+	 * @returns {string} Duration
+	 */
+	formatDuration: function (timestamp) {
+		const minutes = Math.max(0, Math.floor((Date.now() - new Date(timestamp)) / 60000));
+		if (minutes < 60) return `${minutes}m`;
+		if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h`;
+		return `${Math.floor(minutes / (24 * 60))}d`;
+	},
+
 	/**
 	 * Render speed test section
 	 * @returns {HTMLElement} Speed test element
@@ -679,9 +759,90 @@ Module.register("network", {
 
 		section.appendChild(results);
 
+		if (this.config.showSpeedHistory && this.speedHistory) {
+			if (this.speedHistory.results.length > 1) {
+				section.appendChild(this.renderSpeedTrend(this.speedHistory.results));
+			}
+			if (this.speedHistory.daily.length > 0) {
+				section.appendChild(this.renderSpeedRanges(this.speedHistory.daily));
+			}
+		}
+
 		return section;
 	},
 
+	/**
+	 * Render a sparkline of the download and upload speeds
+	 * @param {object[]} results - Speed test results, oldest first
+	 * @returns {HTMLElement} Trend element
+	 */
+	renderSpeedTrend: function (results) {
+		const width = 200;
+		const height = 40;
+		const svgNS = "http://www.w3.org/2000/svg";
+		const max = Math.max(this.config.minDownloadSpeed, ...results.map((r) => Math.max(r.download || 0, r.upload || 0)));
+		const y = (value) => (height - (value / max) * height).toFixed(1);
+
+		const svg = document.createElementNS(svgNS, "svg");
+		svg.setAttribute("class", "speed-trend");
+		svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+		svg.setAttribute("preserveAspectRatio", "none");
+
+		// Minimum download speed
+		const limit = document.createElementNS(svgNS, "line");
+		limit.setAttribute("class", "speed-trend-limit");
+		limit.setAttribute("x1", 0);
+		limit.setAttribute("x2", width);
+		limit.setAttribute("y1", y(this.config.minDownloadSpeed));
+		limit.setAttribute("y2", y(this.config.minDownloadSpeed));
+		svg.appendChild(limit);
+
+		["download", "upload"].forEach((key) => {
+			const points = results
+				.map((r, i) => (r[key] === null ? null : `${((i / (results.length - 1)) * width).toFixed(1)},${y(r[key])}`))
+				.filter(Boolean);
+			if (points.length < 2) return;
+
+			const line = document.createElementNS(svgNS, "polyline");
+			line.setAttribute("class", `speed-trend-${key}`);
+			line.setAttribute("points", points.join(" "));
+			svg.appendChild(line);
+		});
+
+		return svg;
+	},
+
+	/**
+	 * Render the download range (min / avg / max) of the last days
+	 * @param {object[]} daily - Daily aggregates, oldest first
+	 * @returns {HTMLElement} Ranges element
+	 */
+	renderSpeedRanges: function (daily) {
+		const table = document.createElement("table");
+		table.className = "speed-ranges xsmall";
+
+		daily.filter((day) => day.download).slice(-7).reverse().forEach((day) => {
+			const row = document.createElement("tr");
+
+			const date = document.createElement("td");
+			date.className = "dimmed";
+			date.textContent = new Date(day.from).toLocaleDateString(undefined, { weekday: "short" });
+			row.appendChild(date);
+
+			const range = document.createElement("td");
+			range.className = "speed-range";
+			if (day.download.min < this.config.minDownloadSpeed) {
+				range.classList.add("slow");
+			}
+			range.textContent = `${day.download.min.toFixed(0)} / ${day.download.avg.toFixed(0)} / ${day.download.max.toFixed(0)} Mbps`;
+			row.appendChild(range);
+
+			table.appendChild(row);
+		});
+
+		return table;
+	},
+
 	/**
 	 * Render device section
 	 * @param {string} title - Section title
@@ -734,7 +895,7 @@ Module.register("network", {
 	 */
 	renderDevice: function (device) {
 		const el = document.createElement("div");
-		el.className = `device-item ${device.online !== false ? "online" : "offline"}`;
+		el.className = `device-item ${device.online !== false ? "online" : "offline"}${device.blocked ? " blocked" : ""}`;
 		el.dataset.mac = device.mac;
 
 		// Icon
@@ -770,10 +931,10 @@ Module.register("network", {
 		ipSpan.textContent = device.ip;
 		detailsDiv.appendChild(ipSpan);
 
-		if (device.vendor && !device.isKnown) {
+		if ((device.vendor || device.randomMac) && !device.isKnown) {
 			detailsDiv.appendChild(document.createTextNode(" • "));
 			const vendorSpan = document.createElement("span");
-			vendorSpan.textContent = device.vendor;
+			vendorSpan.textContent = device.vendor || "Private address";
 			detailsDiv.appendChild(vendorSpan);
 		}
 
@@ -5,18 +5,31 @@
  * Licensed under the MIT License
  *
  * Handles server-side network operations:
- * - ARP scanning for device discovery
- * - Speed tests
+ * - ARP scanning for device discovery, with a built-in scanner when no
+ *   scan tool is installed (see scanner.js)
+ * - Speed tests, kept for trends and SLA checks (see speedhistory.js)
  * - Connectivity monitoring
- * - MAC vendor lookup
+ * - MAC vendor lookup in the bundled IEEE database (see ouidb.js)
+ * - Known devices with alerts for flagged devices (see knowndevices.js)
+ * - Presence of the owners of known devices (see presence.js)
+ *
+ * The known devices, the presence tracker and the speed test history are
+ * shared as app.get("knownDevices"), app.get("presence") and
+ * app.get("speedTests") for the REST API and the Settings panel.
  */
 
 const NodeHelper = require("node_helper");
 const Log = require("logger");
 const path = require("path");
-const fs = require("fs");
 const { exec, spawn } = require("child_process");
 const os = require("os");
+const { KnownDeviceStore } = require("./knowndevices");
+const { PresenceTracker } = require("./presence");
+const { OuiDatabase } = require("./ouidb");
+const { NetworkScanner } = require("./scanner");
+const { SpeedTestHistory } = require("./speedhistory");
+
+const DAY = 24 * 60 * 60 * 1000;
 
 module.exports = NodeHelper.create({
 	/**
@@ -30,8 +43,21 @@ module.exports = NodeHelper.create({
 		this.scanInterval = null;
 		this.speedTestInterval = null;
 		this.connectivityInterval = null;
-		this.knownDevicesPath = path.join(__dirname, ".known_devices.json");
 		this.macVendorCache = new Map();
+		this.ouiDatabase = new OuiDatabase();
+		this.scanner = new NetworkScanner();
+		this.offlineDevices = null; // MACs of the alertOffline devices that are offline
+
+		this.knownDevices = new KnownDeviceStore({ file: path.join(__dirname, ".known_devices.json"), scanned: this.devices });
+		this.knownDevices.on("change", () => this.sendKnownDevices());
+		this.expressApp.set("knownDevices", this.knownDevices);
+
+		this.presence = new PresenceTracker({ file: path.join(__dirname, "..", "..", "..", "config", "presence.json") });
+		this.expressApp.set("presence", this.presence);
+
+		this.speedTests = new SpeedTestHistory({ file: path.join(__dirname, "..", "..", "..", "config", "speedtests.json") });
+		this.expressApp.set("speedTests", this.speedTests);
+		this.slaBreached = false;
 
 		// Fing/OpenEye integration
 		this.fingAvailable = false;
@@ -71,6 +97,14 @@ module.exports = NodeHelper.create({
 	 */
 	initialize: async function (config) {
 		this.config = config;
+		if (config.presenceTimeout) {
+			this.presence.departureDelay = config.presenceTimeout;
+		}
+		if (config.speedHistoryDays) {
+			this.speedTests.maxAge = config.speedHistoryDays * DAY;
+			this.speedTests.prune();
+		}
+		this.sendSpeedHistory();
 
 		// Try to initialize OpenEye integration first
 		await this.initOpenEyeIntegration(config);
@@ -91,7 +125,7 @@ module.exports = NodeHelper.create({
 			}
 		}
 
-		const scanSource = this.useOpenEyeNetwork ? "OpenEye" : (this.fingAvailable ? "Fing" : "ARP");
+		const scanSource = config.scanMethod === "builtin" ? "Built-in" : (this.useOpenEyeNetwork ? "OpenEye" : (this.fingAvailable ? "Fing" : "ARP"));
 		Log.info(`[${this.name}] Network: ${this.config.networkInterface} (${this.config.networkCIDR}) - Scan source: ${scanSource}`);
 
 		// Send integration status to frontend
@@ -186,10 +220,11 @@ module.exports = NodeHelper.create({
 
 		try {
 			let devices = [];
+			const builtinOnly = this.config.scanMethod === "builtin";
 
-			// Priority: OpenEye > Fing > ARP/nmap
+			// Priority: OpenEye > Fing > ARP/nmap > built-in scanner
 			// 1. Try OpenEye network API first
-			if (this.useOpenEyeNetwork) {
+			if (!builtinOnly && this.useOpenEyeNetwork) {
 				devices = await this.scanWithOpenEye();
 				if (devices && devices.length > 0) {
 					Log.debug(`[${this.name}] Got ${devices.length} devices from OpenEye`);
@@ -197,7 +232,7 @@ module.exports = NodeHelper.create({
 			}
 
 			// 2. Try local Fing agent
-			if ((!devices || devices.length === 0) && this.fingAvailable) {
+			if (!builtinOnly && (!devices || devices.length === 0) && this.fingAvailable) {
 				devices = await this.scanWithFing();
 				if (devices && devices.length > 0) {
 					Log.debug(`[${this.name}] Got ${devices.length} devices from Fing`);
@@ -205,7 +240,7 @@ module.exports = NodeHelper.create({
 			}
 
 			// 3. Fallback to local ARP/nmap scanning
-			if (!devices || devices.length === 0) {
+			if (!builtinOnly && (!devices || devices.length === 0)) {
 				if (process.platform === "linux") {
 					devices = await this.scanWithArpScan(cidr);
 					if (devices.length === 0) {
@@ -218,14 +253,24 @@ module.exports = NodeHelper.create({
 				}
 			}
 
+			// 4. Built-in scanner, needs no tools or root rights
+			if (!devices || devices.length === 0) {
+				devices = await this.scanWithNode(cidr);
+			}
+
 			// Enrich with vendor info
 			for (const device of devices) {
 				device.vendor = await this.lookupMacVendor(device.mac);
+				device.randomMac = this.ouiDatabase.isRandomized(device.mac);
 				device.online = true;
 
 				// Check if new device
 				if (!this.previousDevices.has(device.mac.toLowerCase())) {
 					this.sendSocketNotification("NETWORK_NEW_DEVICE", { device });
+
+					if (this.knownDevices.get(device.mac)?.blocked) {
+						this.sendDeviceAlert(device.mac, "blocked");
+					}
 				}
 			}
 
@@ -247,6 +292,12 @@ module.exports = NodeHelper.create({
 			// Update previous devices set
 			this.previousDevices = currentMacs;
 
+			// An empty scan means scanning failed, not that everyone left
+			if (devices.length > 0) {
+				this.updatePresence(currentMacs);
+				this.checkOfflineDevices();
+			}
+
 			// Detect gateway
 			const gatewayIp = this.detectGateway();
 			for (const device of this.devices.values()) {
@@ -381,6 +432,22 @@ module.exports = NodeHelper.create({
 		});
 	},
 
+	/**
+	 * Scan with the built-in scanner
+	 * @param {string} cidr - Network CIDR
+	 * @returns {Promise<Array>} Devices
+	 */
+	scanWithNode: async function (cidr) {
+		try {
+			const devices = await this.scanner.scan(cidr);
+			// Without an ARP table (e.g. macOS, Windows) only the IP address is known
+			return devices.map((device) => ({ ...device, mac: device.mac || this.generateLocalMac(device.ip) }));
+		} catch (error) {
+			Log.warn(`[${this.name}] Built-in scan failed: ${error.message}`);
+			return [];
+		}
+	},
+
 	/**
 	 * Generate pseudo MAC for local device
 	 * @param {string} ip - IP address
@@ -421,15 +488,20 @@ module.exports = NodeHelper.create({
 	},
 
 	/**
-	 * Lookup MAC vendor from OUI database
+	 * Lookup MAC vendor in the bundled IEEE database (see ouidb.js), and
+	 * online only if vendorLookupOnline is set
 	 * @param {string} mac - MAC address
 	 * @returns {Promise<string>} Vendor name
 	 */
 	lookupMacVendor: async function (mac) {
-		if (!mac || mac.startsWith("local:")) return null;
+		if (!mac || mac.startsWith("local:") || this.ouiDatabase.isRandomized(mac)) return null;
 
-		const macLower = mac.toLowerCase();
-		const oui = macLower.replace(/[:-]/g, "").substring(0, 6);
+		const vendor = this.ouiDatabase.lookup(mac);
+		if (vendor || !this.config?.vendorLookupOnline) {
+			return vendor;
+		}
+
+		const oui = mac.toLowerCase().replace(/[:-]/g, "").substring(0, 6);
 
 		// Check cache
 		if (this.macVendorCache.has(oui)) {
@@ -437,80 +509,16 @@ module.exports = NodeHelper.create({
 		}
 
 		try {
-			// Use local OUI lookup or API
-			const vendor = await this.lookupOuiLocal(oui) || await this.lookupOuiApi(oui);
-			this.macVendorCache.set(oui, vendor);
-			return vendor;
+			const apiVendor = await this.lookupOuiApi(oui);
+			this.macVendorCache.set(oui, apiVendor);
+			return apiVendor;
 		} catch {
 			return null;
 		}
 	},
 
 	/**
-	 * Local OUI lookup
-	 * @param {string} oui - OUI prefix
-	 * @returns {Promise<string>} Vendor
-	 */
-	lookupOuiLocal: function (oui) {
-		return new Promise((resolve) => {
-			// Check common vendors first
-			const commonVendors = {
-				"000c29": "VMware",
-				"001c42": "Parallels",
-				"0050c2": "IEEE",
-				"080027": "VirtualBox",
-				"00155d": "Microsoft Hyper-V",
-				"001e68": "Quanta",
-				"0021e9": "Apple",
-				"002332": "Apple",
-				"002436": "Apple",
-				"002500": "Apple",
-				"0025bc": "Apple",
-				"002608": "Apple",
-				"0026b0": "Apple",
-				"0026bb": "Apple",
-				"003065": "Apple",
-				"00c610": "Apple",
-				"041552": "Apple",
-				"04f7e4": "Apple",
-				"086d41": "Apple",
-				"10417f": "Apple",
-				"109add": "Apple",
-				"14109f": "Apple",
-				"18af8f": "Apple",
-				"1c1ac0": "Apple",
-				"208486": "Samsung",
-				"2c4401": "Samsung",
-				"304a26": "Samsung",
-				"3c5a37": "Samsung",
-				"40b0fa": "Samsung",
-				"5ce8eb": "Samsung",
-				"3c2eff": "Google",
-				"54600a": "Google",
-				"f4f5d8": "Google",
-				"fcecda": "Amazon",
-				"40b4cd": "Amazon",
-				"747548": "Amazon"
-			};
-
-			if (commonVendors[oui]) {
-				resolve(commonVendors[oui]);
-				return;
-			}
-
-			// Try /usr/share/nmap/nmap-mac-prefixes if available
-			exec(`grep -i "^${oui}" /usr/share/nmap/nmap-mac-prefixes 2>/dev/null | cut -d' ' -f2-`, (error, stdout) => {
-				if (!error && stdout.trim()) {
-					resolve(stdout.trim());
-				} else {
-					resolve(null);
-				}
-			});
-		});
-	},
-
-	/**
-	 * API-based OUI lookup (fallback)
+	 * API-based OUI lookup, sends the OUI to api.macvendors.com (opt-in fallback)
 	 * @param {string} oui - OUI prefix
 	 * @returns {Promise<string>} Vendor
 	 */
@@ -535,14 +543,14 @@ module.exports = NodeHelper.create({
 		try {
 			// Try speedtest-cli first
 			const result = await this.runSpeedTestCli();
-			this.sendSocketNotification("NETWORK_SPEED_TEST", result);
+			this.recordSpeedTest(result);
 		} catch (error) {
 			Log.error(`[${this.name}] Speed test error: ${error.message}`);
 
 			// Fall back to simple download test
 			try {
 				const result = await this.runSimpleSpeedTest();
-				this.sendSocketNotification("NETWORK_SPEED_TEST", result);
+				this.recordSpeedTest(result);
 			} catch (fallbackError) {
 				this.sendSocketNotification("NETWORK_ERROR", {
 					message: `Speed test failed: ${fallbackError.message}`
@@ -551,6 +559,57 @@ module.exports = NodeHelper.create({
 		}
 	},
 
+	/**
+	 * Store a speed test result, send it with the updated history and check the SLA
+	 * @param {object} result - Speed test result
+	 */
+	recordSpeedTest: function (result) {
+		this.speedTests.add(result);
+		this.speedTests.save();
+
+		this.sendSocketNotification("NETWORK_SPEED_TEST", result);
+		this.sendSpeedHistory();
+		this.checkSpeedSla();
+	},
+
+	/**
+	 * Send the recent results and the daily aggregates of the last week
+	 */
+	sendSpeedHistory: function () {
+		this.sendSocketNotification("NETWORK_SPEED_HISTORY", {
+			results: this.speedTests.list({ since: Date.now() - DAY }),
+			daily: this.speedTests.aggregate("day", { since: Date.now() - 7 * DAY })
+		});
+	},
+
+	/**
+	 * Announce when too many tests of the SLA window were slower than the minimum speeds.
+	 * Sent once when the SLA is breached, again only after it was met in between.
+	 */
+	checkSpeedSla: function () {
+		if (!this.config || !this.config.slowSpeedPercent) {
+			return;
+		}
+
+		const sla = this.speedTests.checkSla({
+			window: this.config.slowSpeedWindow,
+			minDownload: this.config.minDownloadSpeed,
+			minUpload: this.config.minUploadSpeed,
+			percent: this.config.slowSpeedPercent
+		});
+
+		if (sla.breached && !this.slaBreached) {
+			Log.warn(`[${this.name}] ${sla.slow} of ${sla.tests} speed tests below the minimum speeds`);
+			this.sendSocketNotification("NETWORK_SPEED_SLA", {
+				...sla,
+				minDownload: this.config.minDownloadSpeed,
+				minUpload: this.config.minUploadSpeed,
+				window: this.config.slowSpeedWindow
+			});
+		}
+		this.slaBreached = sla.breached;
+	},
+
 	/**
 	 * Run speedtest-cli
 	 * @returns {Promise<object>} Speed test results
@@ -648,18 +707,77 @@ module.exports = NodeHelper.create({
 	},
 
 	/**
-	 * Load known devices from file
+	 * Load known devices from config and file
 	 */
 	loadKnownDevices: function () {
-		try {
-			if (fs.existsSync(this.knownDevicesPath)) {
-				const data = fs.readFileSync(this.knownDevicesPath, "utf8");
-				const devices = JSON.parse(data);
-				Log.info(`[${this.name}] Loaded ${devices.length} known devices`);
+		// Devices from config.js, overridden by those saved from the mirror
+		this.knownDevices.configure(this.config.knownDevices || []);
+		Log.info(`[${this.name}] Loaded ${this.knownDevices.known().length} known devices`);
+		this.sendKnownDevices();
+	},
+
+	/**
+	 * Send the known devices to the frontend
+	 */
+	sendKnownDevices: function () {
+		this.sendSocketNotification("NETWORK_KNOWN_DEVICES", { devices: this.knownDevices.known() });
+	},
+
+	/**
+	 * Announce a flagged device
+	 * @param {string} mac - MAC address
+	 * @param {string} reason - "blocked" (seen on the network) or "offline"
+	 */
+	sendDeviceAlert: function (mac, reason) {
+		const device = this.knownDevices.view(mac);
+		Log.info(`[${this.name}] ${reason === "blocked" ? "Blocked device on the network" : "Device offline"}: ${device.name || device.mac}`);
+		this.sendSocketNotification("NETWORK_DEVICE_ALERT", {
+			reason,
+			device,
+			lastSeen: this.presence.history(device.mac)?.lastSeen || null
+		});
+	},
+
+	/**
+	 * Alert when a device flagged with alertOffline is gone for the presence timeout
+	 */
+	checkOfflineDevices: function () {
+		const now = Date.now();
+		const offline = new Set(this.knownDevices.known()
+			.filter((device) => device.alertOffline)
+			.map((device) => device.mac)
+			.filter((mac) => this.presence.devices[mac] && !this.presence.isPresent(this.presence.devices[mac], now)));
+
+		// Devices already offline when the mirror started are not announced
+		if (this.offlineDevices) {
+			for (const mac of offline) {
+				if (!this.offlineDevices.has(mac)) {
+					this.sendDeviceAlert(mac, "offline");
+				}
 			}
-		} catch (error) {
-			Log.warn(`[${this.name}] Could not load known devices: ${error.message}`);
 		}
+		this.offlineDevices = offline;
+	},
+
+	/**
+	 * Update presence after a scan and announce arrivals and departures
+	 * @param {Set<string>} macs - MAC addresses found by the scan (lower case)
+	 */
+	updatePresence: function (macs) {
+		const changes = this.presence.update(macs, this.knownDevices.owners());
+		this.presence.save();
+
+		for (const change of changes) {
+			Log.info(`[${this.name}] ${change.person} ${change.type}`);
+			this.sendSocketNotification(change.type === "arrived" ? "PRESENCE_ARRIVED" : "PRESENCE_DEPARTED", {
+				person: change.person,
+				devices: change.devices.map((mac) => ({ mac, name: this.knownDevices.get(mac)?.name || mac })),
+				time: change.time
+			});
+		}
+
+		// Sent after every scan so new listeners (a reloaded display, the rules engine) know who is home
+		this.sendSocketNotification("PRESENCE_STATE", { people: this.presence.whoIsHome() });
 	},
 
 	/**
@@ -668,23 +786,8 @@ module.exports = NodeHelper.create({
 	 */
 	saveKnownDevice: function (device) {
 		try {
-			let devices = [];
-
-			if (fs.existsSync(this.knownDevicesPath)) {
-				const data = fs.readFileSync(this.knownDevicesPath, "utf8");
-				devices = JSON.parse(data);
-			}
-
-			// Update or add device
-			const index = devices.findIndex((d) => d.mac.toLowerCase() === device.mac.toLowerCase());
-			if (index !== -1) {
-				devices[index] = device;
-			} else {
-				devices.push(device);
-			}
-
-			fs.writeFileSync(this.knownDevicesPath, JSON.stringify(devices, null, 2));
-			Log.info(`[${this.name}] Saved known device: ${device.name} (${device.mac})`);
+			const saved = this.knownDevices.set(device.mac, device);
+			Log.info(`[${this.name}] Saved known device: ${saved.name} (${saved.mac})`);
 		} catch (error) {
 			Log.error(`[${this.name}] Could not save known device: ${error.message}`);
 		}
@@ -0,0 +1,42 @@
+/*
+ * OUI Database Import
+ * Refreshes oui.txt.gz from the CSV files of the IEEE registries, which are
+ * published at https://standards-oui.ieee.org/ (oui/oui.csv, oui28/mam.csv,
+ * oui36/oui36.csv and iab/iab.csv). Registries not given keep their entries.
+ *
+ * Usage: node --run oui:import -- oui.csv mam.csv oui36.csv
+ */
+// Alias modules mentioned in package.js under _moduleAliases.
+require("module-alias/register");
+
+const fs = require("node:fs");
+const Log = require("logger");
+const { OuiDatabase } = require("./ouidb");
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+	Log.error("Usage: node --run oui:import -- <oui.csv> [mam.csv] [oui36.csv] [iab.csv]");
+	process.exit(1);
+}
+
+const database = new OuiDatabase();
+Log.info(`Current database: ${database.size} assignments${database.updated ? `, updated ${database.updated}` : ""}`);
+
+try {
+	for (const file of files) {
+		const count = database.import(fs.readFileSync(file, "utf8"));
+		Log.info(`${file}: ${count} assignments`);
+	}
+} catch (error) {
+	Log.error(`Import failed, the database is unchanged: ${error.message}`);
+	process.exit(1);
+}
+
+database.save()
+	.then(() => {
+		Log.info(`Saved ${database.size} assignments to ${database.file}`);
+	})
+	.catch((error) => {
+		Log.error(`Could not write ${database.file}: ${error.message}`);
+		process.exitCode = 1;
+	});
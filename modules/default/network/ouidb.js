@@ -0,0 +1,222 @@
+/**
+ * Network Module - OUI Database
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Offline lookup of the vendor of a MAC address in the IEEE registries:
+ * MA-L (24 bit prefixes), MA-M (28 bit) and MA-S/IAB (36 bit). The longest
+ * matching prefix wins, as the smaller blocks are carved out of MA-L
+ * assignments of the IEEE itself.
+ *
+ * The database ships as oui.txt.gz, one "PREFIX<TAB>Organization" line per
+ * assignment below a "# Registry: <name>" line. Refresh it from the CSV
+ * files published by the IEEE with
+ * `node --run oui:import -- oui.csv mam.csv oui36.csv` (see oui_import.js).
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const zlib = require("node:zlib");
+const Log = require("logger");
+const { writeStateFile } = require("../../../js/file-writer");
+
+// Prefix length in hex digits per registry, longest first
+const REGISTRIES = new Map([["MA-S", 9], ["IAB", 9], ["MA-M", 7], ["MA-L", 6]]);
+
+class OuiDatabase {
+
+	/**
+	 * @param {object} [options] - Database options
+	 * @param {string} [options.file] - Gzipped database file, the bundled oui.txt.gz if omitted (null for an empty database)
+	 */
+	constructor (options = {}) {
+		this.file = options.file === undefined ? path.join(__dirname, "oui.txt.gz") : options.file;
+		this.registries = new Map(Array.from(REGISTRIES.keys(), (registry) => [registry, new Map()]));
+		this.updated = null;
+
+		this.load();
+	}
+
+	/**
+	 * Read the database from disk.
+	 */
+	load () {
+		if (!this.file) {
+			return;
+		}
+
+		try {
+			const lines = zlib.gunzipSync(fs.readFileSync(this.file)).toString("utf8").split("\n");
+			let entries = null;
+			for (const line of lines) {
+				if (line.startsWith("# Updated: ")) {
+					this.updated = line.slice(11).trim() || null;
+				} else if (line.startsWith("# Registry: ")) {
+					entries = this.registries.get(line.slice(12).trim()) || null;
+				} else if (entries && line.length > 0 && !line.startsWith("#")) {
+					const tab = line.indexOf("\t");
+					entries.set(line.slice(0, tab), line.slice(tab + 1));
+				}
+			}
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				Log.error(`[Network] Could not read ${this.file}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Write the database.
+	 * @returns {Promise<void>} Resolves when the file is written, rejects if it could not be written
+	 */
+	save () {
+		if (!this.file) {
+			return Promise.resolve();
+		}
+
+		const lines = [`# IEEE OUI database, ${this.size} assignments`, `# Updated: ${this.updated || ""}`];
+		for (const [registry, entries] of this.registries) {
+			lines.push(`# Registry: ${registry}`);
+			for (const prefix of Array.from(entries.keys()).sort()) {
+				lines.push(`${prefix}\t${entries.get(prefix)}`);
+			}
+		}
+		return writeStateFile(this.file, zlib.gzipSync(`${lines.join("\n")}\n`, { level: 9 }));
+	}
+
+	/**
+	 * @returns {number} Number of assignments in the database
+	 */
+	get size () {
+		return Array.from(this.registries.values()).reduce((size, entries) => size + entries.size, 0);
+	}
+
+	/**
+	 * @param {string} mac - MAC address, with colons, dashes or without separators
+	 * @returns {string|null} The organization the address is assigned to, null if unknown or not a MAC address
+	 */
+	lookup (mac) {
+		const hex = String(mac).replace(/[:.-]/g, "").toUpperCase();
+		if (!/^[0-9A-F]{12}$/.test(hex)) {
+			return null;
+		}
+
+		for (const [registry, entries] of this.registries) {
+			const vendor = entries.get(hex.slice(0, REGISTRIES.get(registry)));
+			if (vendor) {
+				return vendor;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Whether a MAC address is locally administered (the U/L bit is set) and
+	 * thus not in any registry. Phones and laptops use such random addresses
+	 * for privacy, a different one per network or even per connection.
+	 * @param {string} mac - MAC address
+	 * @returns {boolean} True for a locally administered unicast address
+	 */
+	isRandomized (mac) {
+		const match = (/^([0-9a-f]{2})[:-]?(?:[0-9a-f]{2}[:-]?){4}[0-9a-f]{2}$/i).exec(String(mac));
+		if (!match) {
+			return false;
+		}
+		const octet = parseInt(match[1], 16);
+		return (octet & 0x02) !== 0 && (octet & 0x01) === 0;
+	}
+
+	/**
+	 * Replace the assignments of the registries in a CSV file of the IEEE
+	 * ("Registry,Assignment,Organization Name,Organization Address").
+	 * Registries that are not in the file are kept.
+	 * @param {string} csv - Content of oui.csv, mam.csv, oui36.csv or iab.csv
+	 * @returns {number} Number of imported assignments
+	 */
+	import (csv) {
+		const rows = parseCsv(csv);
+		const header = (rows.shift() || []).map((column) => column.trim().toLowerCase());
+		const registryColumn = header.indexOf("registry");
+		const assignmentColumn = header.indexOf("assignment");
+		const nameColumn = header.indexOf("organization name");
+		if (registryColumn < 0 || assignmentColumn < 0 || nameColumn < 0) {
+			throw new Error("Not an IEEE registry file: expected the columns Registry, Assignment and Organization Name");
+		}
+
+		const imported = new Map();
+		for (const row of rows) {
+			const registry = (row[registryColumn] || "").trim().toUpperCase();
+			const prefix = (row[assignmentColumn] || "").trim().toUpperCase();
+			const vendor = (row[nameColumn] || "").replace(/\s+/g, " ").trim();
+			if (prefix.length === REGISTRIES.get(registry) && /^[0-9A-F]+$/.test(prefix) && vendor) {
+				if (!imported.has(registry)) {
+					imported.set(registry, new Map());
+				}
+				imported.get(registry).set(prefix, vendor);
+			}
+		}
+
+		let count = 0;
+		for (const [registry, entries] of imported) {
+			this.registries.set(registry, entries);
+			count += entries.size;
+		}
+		if (count === 0) {
+			throw new Error("No assignments found in the file");
+		}
+		this.updated = new Date().toISOString().slice(0, 10);
+		return count;
+	}
+}
+
+/**
+ * Split CSV text into rows of fields. Quoted fields may contain commas,
+ * doubled quotes and line breaks.
+ * @param {string} text - CSV text
+ * @returns {string[][]} The rows, without empty lines
+ */
+function parseCsv (text) {
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === "\"" && text[i + 1] === "\"") {
+				field += "\"";
+				i++;
+			} else if (char === "\"") {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === "\"") {
+			quoted = true;
+		} else if (char === ",") {
+			row.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[i + 1] === "\n") {
+				i++;
+			}
+			row.push(field);
+			if (row.length > 1 || row[0] !== "") {
+				rows.push(row);
+			}
+			row = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+	row.push(field);
+	if (row.length > 1 || row[0] !== "") {
+		rows.push(row);
+	}
+	return rows;
+}
+
+module.exports = { OuiDatabase };
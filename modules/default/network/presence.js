@@ -0,0 +1,183 @@
+/**
+ * Network Module - Presence Tracker
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Turns network scans into presence: when each device was first and last
+ * seen, the sessions it was connected, and which people (owners of known
+ * devices) are home. Phones drop off the network while they sleep, so a
+ * device only counts as gone after it has not been seen for the departure
+ * delay; shorter gaps neither end a session nor make its owner leave.
+ *
+ * State is kept in config/presence.json.
+ */
+
+const fs = require("node:fs");
+const Log = require("logger");
+const { writeStateFile } = require("../../../js/file-writer");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Unknown devices (e.g. visitors, randomized MACs) are forgotten after this
+const UNKNOWN_DEVICE_MAX_AGE = 30 * DAY;
+
+class PresenceTracker {
+
+	/**
+	 * @param {object} [options] - Tracker options
+	 * @param {string} [options.file] - JSON file for the state (in-memory if omitted)
+	 * @param {number} [options.departureDelay] - Time in ms a device must be gone before it counts as away
+	 * @param {number} [options.maxSessions] - Sessions kept per device
+	 */
+	constructor (options = {}) {
+		this.file = options.file || null;
+		this.departureDelay = options.departureDelay || 10 * 60 * 1000;
+		this.maxSessions = options.maxSessions || 50;
+		this.devices = {};
+		this.people = {};
+		this.owners = new Map();
+
+		this.load();
+	}
+
+	/**
+	 * Read the state from disk.
+	 */
+	load () {
+		if (!this.file) {
+			return;
+		}
+
+		try {
+			const data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+			this.devices = data.devices || {};
+			this.people = data.people || {};
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				Log.error(`[Network] Could not read ${this.file}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Write the state.
+	 * @returns {Promise<void>} Resolves when the file is written
+	 */
+	save () {
+		if (!this.file) {
+			return Promise.resolve();
+		}
+
+		const data = JSON.stringify({ devices: this.devices, people: this.people }, null, 2);
+		return writeStateFile(this.file, data)
+			.catch((error) => Log.error(`[Network] Could not write ${this.file}: ${error.message}`));
+	}
+
+	/**
+	 * Record a network scan.
+	 * @param {Set<string>|string[]} macs - MAC addresses found by the scan
+	 * @param {Map<string, string>} owners - Owner per MAC address of the known devices
+	 * @param {number} [now] - Time of the scan
+	 * @returns {object[]} Presence changes: { type: "arrived" | "departed", person, devices, time }
+	 */
+	update (macs, owners, now = Date.now()) {
+		const time = new Date(now).toISOString();
+		this.owners = owners;
+
+		for (const mac of macs) {
+			const device = this.devices[mac] || (this.devices[mac] = { firstSeen: time, lastSeen: time, sessions: [] });
+			const session = device.sessions[device.sessions.length - 1];
+
+			if (!session || session.end) {
+				device.sessions.push({ start: time, end: null });
+				device.sessions = device.sessions.slice(-this.maxSessions);
+			}
+			device.lastSeen = time;
+		}
+
+		for (const [mac, device] of Object.entries(this.devices)) {
+			const session = device.sessions[device.sessions.length - 1];
+			if (session && !session.end && !this.isPresent(device, now)) {
+				session.end = device.lastSeen;
+			}
+			if (!owners.has(mac) && now - Date.parse(device.lastSeen) > UNKNOWN_DEVICE_MAX_AGE) {
+				delete this.devices[mac];
+			}
+		}
+
+		const changes = [];
+		for (const [person, devices] of this.devicesByOwner(owners)) {
+			const previous = this.people[person] || { home: false, since: null };
+			const present = devices.filter((mac) => this.devices[mac] && this.isPresent(this.devices[mac], now));
+			const home = present.length > 0;
+
+			if (home !== previous.home) {
+				// A departure happened when the last device was last seen, not when the delay ran out
+				const since = home ? time : this.lastSeen(devices);
+				this.people[person] = { home, since };
+				changes.push({ type: home ? "arrived" : "departed", person, devices: home ? present : devices, time: since });
+			}
+		}
+
+		return changes;
+	}
+
+	/**
+	 * @param {object} device - Device record
+	 * @param {number} now - Current time
+	 * @returns {boolean} True if the device was seen within the departure delay
+	 */
+	isPresent (device, now) {
+		return now - Date.parse(device.lastSeen) <= this.departureDelay;
+	}
+
+	/**
+	 * @param {Map<string, string>} owners - Owner per MAC address
+	 * @returns {Map<string, string[]>} MAC addresses per owner
+	 */
+	devicesByOwner (owners) {
+		const result = new Map();
+		for (const [mac, owner] of owners) {
+			if (owner) {
+				result.set(owner, [...result.get(owner) || [], mac]);
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * @param {string[]} macs - MAC addresses
+	 * @returns {string|null} The latest time one of the devices was seen
+	 */
+	lastSeen (macs) {
+		const times = macs.map((mac) => this.devices[mac]?.lastSeen).filter(Boolean).sort();
+		return times[times.length - 1] || null;
+	}
+
+	/**
+	 * Who is home.
+	 * @param {Map<string, string>} [owners] - Owner per MAC address, those of the latest scan by default
+	 * @returns {object[]} { person, home, since, lastSeen, devices } per owner, people at home first
+	 */
+	whoIsHome (owners = this.owners) {
+		return Array.from(this.devicesByOwner(owners), ([person, devices]) => ({
+			person,
+			home: this.people[person]?.home || false,
+			since: this.people[person]?.since || null,
+			lastSeen: this.lastSeen(devices),
+			devices
+		})).sort((a, b) => b.home - a.home || a.person.localeCompare(b.person));
+	}
+
+	/**
+	 * @param {string} mac - MAC address
+	 * @returns {object|null} { mac, firstSeen, lastSeen, sessions } of the device
+	 */
+	history (mac) {
+		const device = this.devices[mac];
+		return device ? { mac, ...device } : null;
+	}
+}
+
+module.exports = { PresenceTracker };
@@ -0,0 +1,424 @@
+/**
+ * Network Module - Built-in Scanner
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Finds devices without arp-scan, nmap or root rights:
+ * - A TCP connection attempt to every address of the network. An accepted
+ *   or refused connection means the host is up, and either way the kernel
+ *   resolves its MAC address, which is then read from /proc/net/arp.
+ * - Hosts that are up are probed on common ports to tell what they are, and
+ *   their names are asked from DNS (reverse lookup), mDNS and NetBIOS.
+ *
+ * Ports and names are refreshed hourly, not on every scan.
+ */
+
+const dgram = require("node:dgram");
+const dns = require("node:dns");
+const fs = require("node:fs");
+const net = require("node:net");
+const os = require("node:os");
+const Log = require("logger");
+
+// Probed on every address of the network
+const DISCOVERY_PORTS = [80, 443];
+
+// Probed on hosts that are up, to guess their type (see devicetypes.js)
+const FINGERPRINT_PORTS = [22, 80, 139, 443, 445, 554, 631, 1883, 3389, 5357, 7000, 8008, 8009, 8080, 8123, 9100, 32400, 62078];
+
+// Ports and hostnames are kept this long per device
+const DETAILS_MAX_AGE = 60 * 60 * 1000;
+
+// Largest network scanned, a /22
+const MAX_HOSTS = 1022;
+
+class NetworkScanner {
+
+	/**
+	 * @param {object} [options] - Scanner options
+	 * @param {number} [options.timeout] - Time in ms to wait for a probe
+	 * @param {number} [options.concurrency] - Addresses probed at the same time
+	 * @param {number[]} [options.discoveryPorts] - Ports that tell whether a host is up
+	 * @param {number[]} [options.fingerprintPorts] - Ports checked on hosts that are up
+	 * @param {string} [options.arpFile] - Kernel ARP table
+	 */
+	constructor (options = {}) {
+		this.timeout = options.timeout || 400;
+		this.concurrency = options.concurrency || 64;
+		this.discoveryPorts = options.discoveryPorts || DISCOVERY_PORTS;
+		this.fingerprintPorts = options.fingerprintPorts || FINGERPRINT_PORTS;
+		this.arpFile = options.arpFile || "/proc/net/arp";
+		this.details = new Map();
+		this.running = null;
+	}
+
+	/**
+	 * Find the devices of a network. A scan of the network that is still running is shared.
+	 * @param {string} cidr - Network, e.g. "192.168.1.0/24"
+	 * @returns {Promise<object[]>} { ip, mac, hostname, ports } per device, mac is null if unknown
+	 */
+	scan (cidr) {
+		if (this.running?.cidr !== cidr) {
+			const running = { cidr, promise: null };
+			running.promise = this.run(cidr).finally(() => {
+				if (this.running === running) {
+					this.running = null;
+				}
+			});
+			this.running = running;
+		}
+		return this.running.promise;
+	}
+
+	/**
+	 * @param {string} cidr - Network
+	 * @returns {Promise<object[]>} Devices, by IP address
+	 */
+	async run (cidr) {
+		const own = new Set(Object.values(os.networkInterfaces()).flat().filter((addr) => !addr.internal).map((addr) => addr.address));
+		const hosts = hostsOf(cidr).filter((ip) => !own.has(ip));
+		const up = new Set();
+
+		await runPool(hosts, this.concurrency, async (ip) => {
+			const states = await Promise.all(this.discoveryPorts.map((port) => this.probe(ip, port)));
+			if (states.some((state) => state !== "down")) {
+				up.add(ip);
+			}
+		});
+
+		// Hosts that drop connection attempts still answer ARP
+		const macs = this.readArpTable();
+		const found = hosts.filter((ip) => up.has(ip) || macs.has(ip));
+		this.pruneDetails();
+
+		const devices = [];
+		await runPool(found, Math.max(1, Math.floor(this.concurrency / 8)), async (ip) => {
+			const mac = macs.get(ip) || null;
+			const details = await this.getDetails(ip, mac);
+			devices.push({ ip, mac, hostname: details.hostname, ports: details.ports });
+		});
+
+		Log.debug(`[Network] Built-in scan of ${cidr}: ${devices.length} devices`);
+		return devices.sort((a, b) => ipToInt(a.ip) - ipToInt(b.ip));
+	}
+
+	/**
+	 * Try to open a TCP connection.
+	 * @param {string} ip - Address
+	 * @param {number} port - Port
+	 * @returns {Promise<string>} "open", "closed" (refused, but the host is up) or "down"
+	 */
+	probe (ip, port) {
+		return new Promise((resolve) => {
+			const socket = net.connect({ host: ip, port });
+			const done = (state) => {
+				socket.destroy();
+				resolve(state);
+			};
+
+			socket.setTimeout(this.timeout, () => done("down"));
+			socket.once("connect", () => done("open"));
+			socket.once("error", (error) => done(error.code === "ECONNREFUSED" ? "closed" : "down"));
+		});
+	}
+
+	/**
+	 * @returns {Map<string, string>} MAC address per IP address of the kernel ARP table, empty where there is none
+	 */
+	readArpTable () {
+		const macs = new Map();
+
+		try {
+			// IP address  HW type  Flags  HW address  Mask  Device
+			for (const line of fs.readFileSync(this.arpFile, "utf8").split("\n").slice(1)) {
+				const [ip, , flags, mac] = line.trim().split(/\s+/);
+				// 0x2: the entry is complete
+				if (mac && (parseInt(flags, 16) & 0x2) && mac !== "00:00:00:00:00:00") {
+					macs.set(ip, mac.toLowerCase());
+				}
+			}
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				Log.warn(`[Network] Could not read ${this.arpFile}: ${error.message}`);
+			}
+		}
+
+		return macs;
+	}
+
+	/**
+	 * Open ports and hostname of a device, from the cache while they are fresh.
+	 * @param {string} ip - Address
+	 * @param {string|null} mac - MAC address
+	 * @returns {Promise<object>} { hostname, ports }
+	 */
+	async getDetails (ip, mac) {
+		const key = `${mac}/${ip}`;
+		const cached = this.details.get(key);
+		if (cached && Date.now() - cached.time < DETAILS_MAX_AGE) {
+			return cached;
+		}
+
+		const [states, hostname] = await Promise.all([
+			Promise.all(this.fingerprintPorts.map((port) => this.probe(ip, port))),
+			this.resolveHostname(ip)
+		]);
+		const details = {
+			time: Date.now(),
+			hostname,
+			ports: this.fingerprintPorts.filter((port, i) => states[i] === "open")
+		};
+
+		this.details.set(key, details);
+		return details;
+	}
+
+	/**
+	 * Forget details older than DETAILS_MAX_AGE, e.g. of devices that left or changed their address.
+	 */
+	pruneDetails () {
+		const now = Date.now();
+		for (const [key, details] of this.details) {
+			if (now - details.time >= DETAILS_MAX_AGE) {
+				this.details.delete(key);
+			}
+		}
+	}
+
+	/**
+	 * Name of a device, from reverse DNS, mDNS or NetBIOS (in that order).
+	 * @param {string} ip - Address
+	 * @returns {Promise<string|null>} Hostname without domain
+	 */
+	async resolveHostname (ip) {
+		const names = await Promise.all([
+			this.reverseDns(ip),
+			this.queryMdns(ip),
+			this.queryNetbios(ip)
+		]);
+		const name = names.find(Boolean);
+		return name ? name.replace(/\.(local|lan|home|fritz\.box)\.?$/i, "").replace(/\.$/, "") : null;
+	}
+
+	/**
+	 * @param {string} ip - Address
+	 * @returns {Promise<string|null>} Name from the DNS server of the network (usually the router)
+	 */
+	async reverseDns (ip) {
+		const resolver = new dns.promises.Resolver({ timeout: this.timeout * 2, tries: 1 });
+		try {
+			const [name] = await resolver.reverse(ip);
+			return name || null;
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * Ask the device itself for its name, as Bonjour/Avahi devices answer unicast mDNS queries.
+	 * @param {string} ip - Address
+	 * @returns {Promise<string|null>} Name, e.g. "Alexs-iPhone.local"
+	 */
+	async queryMdns (ip) {
+		const name = `${ip.split(".").reverse().join(".")}.in-addr.arpa`;
+		const query = Buffer.concat([
+			Buffer.from([0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0]), // One question
+			encodeName(name),
+			Buffer.from([0, 12, 0, 1]) // PTR, IN
+		]);
+
+		const response = await this.queryUdp(ip, 5353, query);
+		return response ? parsePtrAnswer(response) : null;
+	}
+
+	/**
+	 * Ask a Windows or Samba host for its NetBIOS name (node status request).
+	 * @param {string} ip - Address
+	 * @returns {Promise<string|null>} Name, e.g. "DESKTOP-1234"
+	 */
+	async queryNetbios (ip) {
+		const query = Buffer.concat([
+			Buffer.from([0x13, 0x37, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0]), // One question
+			// Wildcard name "*", first-level encoded
+			Buffer.from([0x20]),
+			Buffer.from(`CK${"A".repeat(30)}`),
+			Buffer.from([0]),
+			Buffer.from([0, 0x21, 0, 1]) // NBSTAT, IN
+		]);
+
+		const response = await this.queryUdp(ip, 137, query);
+		return response ? parseNetbiosName(response) : null;
+	}
+
+	/**
+	 * Send a UDP packet and wait for the answer of that host.
+	 * @param {string} ip - Address
+	 * @param {number} port - Port
+	 * @param {Buffer} packet - Request
+	 * @returns {Promise<Buffer|null>} Response, null on timeout
+	 */
+	queryUdp (ip, port, packet) {
+		return new Promise((resolve) => {
+			const socket = dgram.createSocket("udp4");
+			let finished = false;
+			const done = (response) => {
+				if (finished) return;
+				finished = true;
+				clearTimeout(timer);
+				socket.close();
+				resolve(response);
+			};
+			const timer = setTimeout(() => done(null), this.timeout * 2);
+
+			socket.on("error", () => done(null));
+			socket.on("message", (message, remote) => {
+				if (remote.address === ip) {
+					done(message);
+				}
+			});
+			socket.send(packet, port, ip);
+		});
+	}
+}
+
+/**
+ * @param {string} cidr - Network, e.g. "192.168.1.0/24"
+ * @returns {string[]} Host addresses of the network
+ */
+function hostsOf (cidr) {
+	const match = /^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/.exec(cidr || "");
+	const bits = match ? Number(match[2]) : NaN;
+	if (!match || bits > 32 || match[1].split(".").some((part) => Number(part) > 255)) {
+		throw new Error(`Invalid network: ${cidr}`);
+	}
+
+	const size = 2 ** (32 - bits);
+	if (size - 2 > MAX_HOSTS) {
+		throw new Error(`${cidr} is too large to scan, use a /22 or smaller network`);
+	}
+
+	const network = ipToInt(match[1]) & (bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0);
+	const first = size > 2 ? 1 : 0;
+	const last = size > 2 ? size - 2 : size - 1;
+	const hosts = [];
+	for (let i = first; i <= last; i++) {
+		const ip = (network + i) >>> 0;
+		hosts.push([ip >>> 24, (ip >>> 16) & 255, (ip >>> 8) & 255, ip & 255].join("."));
+	}
+	return hosts;
+}
+
+/**
+ * @param {string} ip - IPv4 address
+ * @returns {number} The address as unsigned integer
+ */
+function ipToInt (ip) {
+	return ip.split(".").reduce((result, part) => ((result << 8) | Number(part)) >>> 0, 0);
+}
+
+/**
+ * Run a worker for each item, a limited number at a time.
+ * @param {Array} items - Items
+ * @param {number} concurrency - Workers running at the same time
+ * @param {Function} worker - async (item) => void
+ * @returns {Promise<void>} Resolves when all items are done
+ */
+async function runPool (items, concurrency, worker) {
+	const queue = [...items];
+	const next = async () => {
+		while (queue.length > 0) {
+			await worker(queue.shift());
+		}
+	};
+	await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, next));
+}
+
+/**
+ * @param {string} name - Domain name
+ * @returns {Buffer} The name in DNS wire format
+ */
+function encodeName (name) {
+	const labels = name.split(".").map((label) => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]));
+	return Buffer.concat([...labels, Buffer.from([0])]);
+}
+
+/**
+ * Read a (possibly compressed) name from a DNS message.
+ * @param {Buffer} buffer - Message
+ * @param {number} start - Start of the name
+ * @returns {object} { name, offset } with the offset after the name
+ */
+function readName (buffer, start) {
+	const labels = [];
+	let offset = start;
+	let end = null;
+
+	for (let jumps = 0; jumps < 16;) {
+		const length = buffer.readUInt8(offset);
+		if (length === 0) {
+			offset++;
+			break;
+		}
+		if ((length & 0xc0) === 0xc0) {
+			end = end ?? offset + 2;
+			offset = buffer.readUInt16BE(offset) & 0x3fff;
+			jumps++;
+			continue;
+		}
+		labels.push(buffer.toString("utf8", offset + 1, offset + 1 + length));
+		offset += length + 1;
+	}
+
+	return { name: labels.join("."), offset: end ?? offset };
+}
+
+/**
+ * @param {Buffer} buffer - DNS response
+ * @returns {string|null} The name of the first PTR answer
+ */
+function parsePtrAnswer (buffer) {
+	try {
+		let offset = 12;
+		for (let i = buffer.readUInt16BE(4); i > 0; i--) {
+			offset = readName(buffer, offset).offset + 4;
+		}
+		for (let i = buffer.readUInt16BE(6); i > 0; i--) {
+			offset = readName(buffer, offset).offset;
+			const type = buffer.readUInt16BE(offset);
+			const length = buffer.readUInt16BE(offset + 8);
+			if (type === 12) {
+				return readName(buffer, offset + 10).name || null;
+			}
+			offset += 10 + length;
+		}
+	} catch {
+		// Truncated or malformed response
+	}
+	return null;
+}
+
+/**
+ * @param {Buffer} buffer - NetBIOS node status response
+ * @returns {string|null} The workstation name (unique name with suffix 0x00)
+ */
+function parseNetbiosName (buffer) {
+	try {
+		// Header, question name, type, class, TTL and data length
+		const offset = readName(buffer, 12).offset + 10;
+		const count = buffer.readUInt8(offset);
+		for (let i = 0; i < count; i++) {
+			const entry = offset + 1 + i * 18;
+			const suffix = buffer.readUInt8(entry + 15);
+			const group = buffer.readUInt16BE(entry + 16) & 0x8000;
+			if (suffix === 0 && !group) {
+				return buffer.toString("latin1", entry, entry + 15).trim() || null;
+			}
+		}
+	} catch {
+		// Truncated or malformed response
+	}
+	return null;
+}
+
+module.exports = { NetworkScanner };
@@ -0,0 +1,214 @@
+/**
+ * Network Module - Speed Test History
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Keeps speed test results in config/speedtests.json for trends, daily and
+ * weekly aggregates and SLA checks: is the connection slower than promised
+ * in too many tests of a time window?
+ */
+
+const fs = require("node:fs");
+const Log = require("logger");
+const { writeStateFile } = require("../../../js/file-writer");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class SpeedTestHistory {
+
+	/**
+	 * @param {object} [options] - History options
+	 * @param {string} [options.file] - JSON file for the results (in-memory if omitted)
+	 * @param {number} [options.maxAge] - Time in ms results are kept
+	 */
+	constructor (options = {}) {
+		this.file = options.file || null;
+		this.maxAge = options.maxAge || 90 * DAY;
+		this.results = [];
+
+		this.load();
+	}
+
+	/**
+	 * Read the results from disk.
+	 */
+	load () {
+		if (!this.file) {
+			return;
+		}
+
+		try {
+			this.results = JSON.parse(fs.readFileSync(this.file, "utf8")).results || [];
+			this.prune();
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				Log.error(`[Network] Could not read ${this.file}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Write the results.
+	 * @returns {Promise<void>} Resolves when the file is written
+	 */
+	save () {
+		if (!this.file) {
+			return Promise.resolve();
+		}
+
+		const data = JSON.stringify({ results: this.results });
+		return writeStateFile(this.file, data)
+			.catch((error) => Log.error(`[Network] Could not write ${this.file}: ${error.message}`));
+	}
+
+	/**
+	 * Add a speed test result.
+	 * @param {object} result - { download, upload, ping, server, timestamp }, speeds in Mbps
+	 * @returns {object} The stored result
+	 */
+	add (result) {
+		const entry = {
+			timestamp: new Date(result.timestamp || Date.now()).toISOString(),
+			download: typeof result.download === "number" ? round(result.download) : null,
+			upload: typeof result.upload === "number" ? round(result.upload) : null,
+			ping: typeof result.ping === "number" ? round(result.ping) : null,
+			server: result.server || null
+		};
+
+		this.results.push(entry);
+		this.results.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+		this.prune();
+		return entry;
+	}
+
+	/**
+	 * Drop results older than the maximum age.
+	 */
+	prune () {
+		const since = new Date(Date.now() - this.maxAge).toISOString();
+		const index = this.results.findIndex((result) => result.timestamp >= since);
+		this.results = index === -1 ? [] : this.results.slice(index);
+	}
+
+	/**
+	 * @param {object} [range] - Time range
+	 * @param {Date|string|number} [range.since] - Start
+	 * @param {Date|string|number} [range.until] - End
+	 * @returns {object[]} Results in the range, oldest first
+	 */
+	list (range = {}) {
+		const since = range.since ? new Date(range.since).toISOString() : null;
+		const until = range.until ? new Date(range.until).toISOString() : null;
+		return this.results.filter((result) => (!since || result.timestamp >= since) && (!until || result.timestamp <= until));
+	}
+
+	/**
+	 * Minimum, average and maximum per day or week (local time, weeks start on Monday).
+	 * @param {string} period - "day" or "week"
+	 * @param {object} [range] - Time range, see list()
+	 * @returns {object[]} { period, from, count, download, upload, ping } with { min, avg, max } each, oldest first
+	 */
+	aggregate (period, range = {}) {
+		const groups = new Map();
+
+		for (const result of this.list(range)) {
+			const from = new Date(result.timestamp);
+			from.setHours(0, 0, 0, 0);
+			if (period === "week") {
+				from.setDate(from.getDate() - ((from.getDay() + 6) % 7));
+			}
+
+			const key = localDate(from);
+			if (!groups.has(key)) {
+				groups.set(key, { period: key, from: from.toISOString(), results: [] });
+			}
+			groups.get(key).results.push(result);
+		}
+
+		return Array.from(groups.values(), ({ results, ...group }) => ({
+			...group,
+			count: results.length,
+			download: stats(results.map((r) => r.download)),
+			upload: stats(results.map((r) => r.upload)),
+			ping: stats(results.map((r) => r.ping))
+		}));
+	}
+
+	/**
+	 * Share of the tests in a window that were slower than the limits.
+	 * @param {object} sla - Limits
+	 * @param {number} sla.window - Time window in ms, counted back from now
+	 * @param {number} [sla.minDownload] - Minimum download speed in Mbps
+	 * @param {number} [sla.minUpload] - Minimum upload speed in Mbps
+	 * @param {number} sla.percent - Share of slow tests (0-100) that breaches the SLA
+	 * @returns {object} { tests, slow, percent, breached }
+	 */
+	checkSla (sla) {
+		const results = this.list({ since: Date.now() - sla.window });
+		const slow = results.filter((r) => (sla.minDownload && r.download !== null && r.download < sla.minDownload)
+			|| (sla.minUpload && r.upload !== null && r.upload < sla.minUpload));
+		const percent = results.length > 0 ? Math.round((slow.length / results.length) * 100) : 0;
+
+		return {
+			tests: results.length,
+			slow: slow.length,
+			percent,
+			breached: results.length > 0 && percent >= sla.percent
+		};
+	}
+
+	/**
+	 * @param {object[]} results - Results, see list()
+	 * @returns {string} The results as CSV
+	 */
+	toCSV (results) {
+		const rows = results.map((r) => [r.timestamp, r.download ?? "", r.upload ?? "", r.ping ?? "", csvField(r.server)].join(","));
+		return ["timestamp,download_mbps,upload_mbps,ping_ms,server", ...rows, ""].join("\n");
+	}
+}
+
+/**
+ * @param {number} value - Number
+ * @returns {number} The number with two decimals
+ */
+function round (value) {
+	return Math.round(value * 100) / 100;
+}
+
+/**
+ * @param {Array<number|null>} values - Values, null if not measured
+ * @returns {object|null} { min, avg, max } of the measured values
+ */
+function stats (values) {
+	const measured = values.filter((value) => value !== null);
+	if (measured.length === 0) {
+		return null;
+	}
+	return {
+		min: Math.min(...measured),
+		avg: round(measured.reduce((sum, value) => sum + value, 0) / measured.length),
+		max: Math.max(...measured)
+	};
+}
+
+/**
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD in local time
+ */
+function localDate (date) {
+	return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * @param {string|null} value - Field value
+ * @returns {string} The value, quoted if needed
+ */
+function csvField (value) {
+	if (!value) {
+		return "";
+	}
+	return /[",\n]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value;
+}
+
+module.exports = { SpeedTestHistory };
@@ -563,6 +563,50 @@ Module.register("packages", {
 		});
 	},
 
+	/**
+	 * Tools for the AI assistant
+	 * @returns {object[]} Tool definitions
+	 */
+	getAiTools: function () {
+		return [
+			{
+				name: "list_packages",
+				description: "List the tracked packages with their delivery status",
+				handler: () => ({
+					packages: this.packages.map((pkg) => ({
+						title: pkg.title,
+						trackingNumber: pkg.trackingNumber,
+						carrier: pkg.carrierName,
+						status: pkg.statusText,
+						estimatedDelivery: pkg.estimatedDelivery || undefined,
+						deliveredAt: pkg.deliveredAt || undefined
+					}))
+				})
+			},
+			{
+				name: "add_package",
+				description: "Start tracking a package by its tracking number",
+				parameters: {
+					type: "object",
+					properties: {
+						tracking_number: { type: "string" },
+						carrier: { type: "string", description: "Carrier slug like ups, fedex or usps, detected if omitted" },
+						title: { type: "string", description: "Short description of the package" }
+					},
+					required: ["tracking_number"]
+				},
+				handler: ({ tracking_number, carrier, title }) => {
+					const trackingNumber = tracking_number.replace(/\s+/g, "").toUpperCase();
+					if (!(/^[A-Z0-9]{8,40}$/).test(trackingNumber)) {
+						throw new Error(`${tracking_number} is not a valid tracking number`);
+					}
+					this.addPackage(trackingNumber, carrier || null, title || null);
+					return { success: true, trackingNumber };
+				}
+			}
+		];
+	},
+
 	/**
 	 * Handle notifications from other modules
 	 * @param {string} notification - Notification name
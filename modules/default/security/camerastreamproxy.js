@@ -0,0 +1,214 @@
+/**
+ * Security Module - Camera Stream Proxy
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Relays OpenEye MJPEG streams and JPEG snapshots through the MagicMirror
+ * server, so browsers never talk to OpenEye themselves. All viewers of a
+ * camera share one upstream connection: it is opened for the first viewer
+ * and closed when the last one leaves. Viewers that join a running stream
+ * start at the next frame.
+ */
+
+const http = require("node:http");
+const https = require("node:https");
+const Log = require("logger");
+
+// Snapshots requested within this time share one upstream request
+const SNAPSHOT_MAX_AGE = 1000;
+
+// A viewer with more unsent data than this skips frames until it catches up
+const MAX_VIEWER_BUFFER = 2 * 1024 * 1024;
+
+class CameraStreamProxy {
+
+	/**
+	 * @param {object} options - Proxy options
+	 * @param {Function} options.upstream - (cameraId, kind) => { url, headers } of the OpenEye endpoint, kind is "stream" or "snapshot"
+	 * @param {number} [options.timeout] - Time in ms without data before an upstream request is given up
+	 */
+	constructor (options) {
+		this.upstream = options.upstream;
+		this.timeout = options.timeout || 10000;
+		this.streams = new Map();
+		this.snapshots = new Map();
+	}
+
+	/**
+	 * Send the live stream of a camera to a viewer.
+	 * @param {string} cameraId - Camera
+	 * @param {object} res - HTTP response of the viewer
+	 */
+	addViewer (cameraId, res) {
+		const stream = this.streams.get(cameraId) || this.open(cameraId);
+		const viewer = { res, synced: !stream.started };
+
+		stream.viewers.add(viewer);
+		if (stream.headers) {
+			res.writeHead(200, stream.headers);
+		}
+
+		res.on("close", () => {
+			stream.viewers.delete(viewer);
+			if (stream.viewers.size === 0) {
+				this.close(cameraId, stream);
+			}
+		});
+	}
+
+	/**
+	 * Open the upstream connection of a camera.
+	 * @param {string} cameraId - Camera
+	 * @returns {object} The shared stream
+	 */
+	open (cameraId) {
+		const { url, headers } = this.upstream(cameraId, "stream");
+		const stream = { viewers: new Set(), headers: null, boundary: null, started: false, request: null };
+		this.streams.set(cameraId, stream);
+
+		Log.info(`[Security] Opening stream of camera ${cameraId}`);
+		const protocol = url.startsWith("https:") ? https : http;
+
+		stream.request = protocol.get(url, { headers }, (upstream) => {
+			if (upstream.statusCode !== 200) {
+				upstream.resume();
+				this.fail(cameraId, stream, `Camera stream returned ${upstream.statusCode}`);
+				return;
+			}
+
+			// Frames are separated by the multipart boundary
+			const contentType = upstream.headers["content-type"] || "multipart/x-mixed-replace";
+			const boundary = contentType.match(/boundary="?([^";]+)"?/i);
+			stream.boundary = boundary ? Buffer.from(`--${boundary[1].replace(/^--/, "")}`) : null;
+			stream.headers = {
+				"Content-Type": contentType,
+				"Cache-Control": "no-cache, no-store, must-revalidate",
+				Pragma: "no-cache"
+			};
+
+			for (const viewer of stream.viewers) {
+				viewer.res.writeHead(200, stream.headers);
+			}
+
+			upstream.on("data", (chunk) => this.relay(stream, chunk));
+			upstream.on("end", () => this.fail(cameraId, stream, "Camera stream ended"));
+			upstream.on("error", (error) => this.fail(cameraId, stream, `Camera stream failed: ${error.message}`));
+		});
+
+		stream.request.setTimeout(this.timeout, () => {
+			stream.request.destroy(new Error("no data"));
+		});
+		stream.request.on("error", (error) => this.fail(cameraId, stream, `Camera stream failed: ${error.message}`));
+
+		return stream;
+	}
+
+	/**
+	 * Pass a chunk of the upstream stream on to the viewers.
+	 * @param {object} stream - Shared stream
+	 * @param {Buffer} chunk - Data from OpenEye
+	 */
+	relay (stream, chunk) {
+		stream.started = true;
+
+		for (const viewer of stream.viewers) {
+			if (viewer.res.writableLength > MAX_VIEWER_BUFFER) {
+				viewer.synced = false;
+				continue;
+			}
+
+			if (viewer.synced) {
+				viewer.res.write(chunk);
+				continue;
+			}
+
+			// Joined mid-frame: wait for the start of the next one
+			const index = stream.boundary ? chunk.indexOf(stream.boundary) : 0;
+			if (index !== -1) {
+				viewer.synced = true;
+				viewer.res.write(chunk.subarray(index));
+			}
+		}
+	}
+
+	/**
+	 * End a stream for all its viewers.
+	 * @param {string} cameraId - Camera
+	 * @param {object} stream - Shared stream
+	 * @param {string} reason - Why the stream ended
+	 */
+	fail (cameraId, stream, reason) {
+		if (stream.closed) {
+			return;
+		}
+
+		Log.warn(`[Security] ${reason} (camera ${cameraId})`);
+		for (const viewer of stream.viewers) {
+			if (viewer.res.headersSent) {
+				viewer.res.end();
+			} else {
+				viewer.res.writeHead(502, { "Content-Type": "text/plain" });
+				viewer.res.end(reason);
+			}
+		}
+		this.close(cameraId, stream);
+	}
+
+	/**
+	 * Close the upstream connection of a stream.
+	 * @param {string} cameraId - Camera
+	 * @param {object} stream - Shared stream
+	 */
+	close (cameraId, stream) {
+		if (stream.closed) {
+			return;
+		}
+
+		stream.closed = true;
+		stream.request.destroy();
+		if (this.streams.get(cameraId) === stream) {
+			this.streams.delete(cameraId);
+		}
+	}
+
+	/**
+	 * Fetch a still image of a camera.
+	 * @param {string} cameraId - Camera
+	 * @returns {Promise<object>} { contentType, body }
+	 */
+	snapshot (cameraId) {
+		const cached = this.snapshots.get(cameraId);
+		if (cached && Date.now() - cached.time < SNAPSHOT_MAX_AGE) {
+			return cached.promise;
+		}
+
+		const { url, headers } = this.upstream(cameraId, "snapshot");
+		const promise = fetch(url, { headers, signal: AbortSignal.timeout(this.timeout) })
+			.then(async (response) => {
+				if (!response.ok) {
+					throw new Error(`Camera snapshot returned ${response.status}`);
+				}
+				return {
+					contentType: response.headers.get("content-type") || "image/jpeg",
+					body: Buffer.from(await response.arrayBuffer())
+				};
+			});
+
+		this.snapshots.set(cameraId, { time: Date.now(), promise });
+		promise.catch(() => this.snapshots.delete(cameraId));
+		return promise;
+	}
+
+	/**
+	 * Close all streams.
+	 */
+	stop () {
+		for (const [cameraId, stream] of this.streams) {
+			this.fail(cameraId, stream, "Stopping");
+		}
+		this.snapshots.clear();
+	}
+}
+
+module.exports = { CameraStreamProxy };
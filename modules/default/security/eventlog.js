@@ -0,0 +1,291 @@
+/**
+ * Security Module - Event Log
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * This file is part of MagicMirror-Custom.
+ *
+ * Keeps the security events the mirror has seen (motion, faces, recordings,
+ * cameras going on- or offline) in config/security_events.json, so they
+ * survive restarts and can be queried without asking OpenEye again.
+ *
+ * The log is capped by number of events and by age; the oldest events are
+ * dropped first. Events from the OpenEye API and the WebSocket may overlap
+ * and are stored once: an event is known by its OpenEye id and by its
+ * camera and time, as live events do not always carry the id.
+ */
+
+const fs = require("node:fs");
+const Log = require("logger");
+const { writeStateFile } = require("../../../js/file-writer");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Changes are written together, motion events can come in bursts
+const SAVE_DELAY = 5000;
+
+/**
+ * @param {string} type - Event type
+ * @returns {string} The type, faces as "face" whether they were recognized or not
+ */
+const kind = (type) => (type === "face_detected" || type === "unknown_face" ? "face" : type);
+
+/**
+ * @param {object} event - Logged event
+ * @returns {string} Key of the event by camera and time
+ */
+const timeKey = (event) => `${kind(event.event_type)}:${event.camera_id}:${event.timestamp}`;
+
+class SecurityEventLog {
+
+	/**
+	 * @param {object} [options] - Log options
+	 * @param {string} [options.file] - JSON file for the events (in-memory if omitted)
+	 * @param {number} [options.maxEvents] - Maximum number of events kept
+	 * @param {number} [options.maxAge] - Time in ms events are kept
+	 */
+	constructor (options = {}) {
+		this.file = options.file || null;
+		this.maxEvents = options.maxEvents || 5000;
+		this.maxAge = options.maxAge || 30 * DAY;
+		this.events = [];
+		this.keys = new Set();
+		this.saving = Promise.resolve();
+		this.saveTimer = null;
+
+		this.load();
+	}
+
+	/**
+	 * Read the events from disk.
+	 */
+	load () {
+		if (!this.file) {
+			return;
+		}
+
+		try {
+			this.events = JSON.parse(fs.readFileSync(this.file, "utf8")).events || [];
+			this.keys = new Set(this.events.flatMap((event) => [event.key, timeKey(event)]));
+			this.prune();
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				Log.error(`[Security] Could not read ${this.file}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Write the events after a short delay.
+	 */
+	scheduleSave () {
+		if (!this.file || this.saveTimer) {
+			return;
+		}
+
+		this.saveTimer = setTimeout(() => {
+			this.saveTimer = null;
+			this.save();
+		}, SAVE_DELAY);
+	}
+
+	/**
+	 * Write the events.
+	 * @returns {Promise<void>} Resolves when the file is written
+	 */
+	save () {
+		if (!this.file) {
+			return Promise.resolve();
+		}
+
+		clearTimeout(this.saveTimer);
+		this.saveTimer = null;
+
+		const data = JSON.stringify({ events: this.events });
+		this.saving = writeStateFile(this.file, data)
+			.catch((error) => Log.error(`[Security] Could not write ${this.file}: ${error.message}`));
+
+		return this.saving;
+	}
+
+	/**
+	 * Add an event to the log.
+	 * @param {object} event - Event with event_type, camera_id, timestamp and optionally id, person_name, confidence
+	 * @returns {object|null} The stored event, null if it was already logged or is too old
+	 */
+	add (event) {
+		const time = new Date(event.timestamp || Date.now());
+		if (Number.isNaN(time.getTime()) || time.getTime() < Date.now() - this.maxAge) {
+			return null;
+		}
+
+		const entry = {
+			key: null,
+			event_type: event.event_type,
+			camera_id: event.camera_id ?? null,
+			timestamp: time.toISOString()
+		};
+		const byTime = timeKey(entry);
+		entry.key = event.id !== undefined && event.id !== null
+			? `${kind(event.event_type)}:${event.id}`
+			: byTime;
+		if (this.keys.has(entry.key) || this.keys.has(byTime)) {
+			return null;
+		}
+
+		if (event.person_name) {
+			entry.person_name = event.person_name;
+		}
+		if (typeof event.confidence === "number") {
+			entry.confidence = event.confidence;
+		}
+
+		// Events mostly arrive in order, fetched ones may be older than live ones
+		let index = this.events.length;
+		while (index > 0 && this.events[index - 1].timestamp > entry.timestamp) {
+			index--;
+		}
+		this.events.splice(index, 0, entry);
+		this.keys.add(entry.key);
+		this.keys.add(byTime);
+
+		this.prune();
+		this.scheduleSave();
+		return entry;
+	}
+
+	/**
+	 * Drop events beyond the size and age limits.
+	 */
+	prune () {
+		const since = new Date(Date.now() - this.maxAge).toISOString();
+		let drop = Math.max(0, this.events.length - this.maxEvents);
+		while (drop < this.events.length && this.events[drop].timestamp < since) {
+			drop++;
+		}
+
+		for (const event of this.events.splice(0, drop)) {
+			this.keys.delete(event.key);
+			this.keys.delete(timeKey(event));
+		}
+	}
+
+	/**
+	 * Find events, newest first.
+	 * @param {object} [filter] - Query
+	 * @param {string} [filter.camera] - Camera ID
+	 * @param {string|string[]} [filter.type] - Event type(s)
+	 * @param {Date|string|number} [filter.since] - Start of the time range
+	 * @param {Date|string|number} [filter.until] - End of the time range
+	 * @param {number} [filter.limit] - Maximum number of events, 100 by default
+	 * @returns {object[]} Matching events
+	 */
+	query (filter = {}) {
+		const types = filter.type ? [].concat(filter.type) : null;
+		const since = filter.since ? new Date(filter.since).toISOString() : null;
+		const until = filter.until ? new Date(filter.until).toISOString() : null;
+		const limit = filter.limit ?? 100;
+		const result = [];
+
+		for (let i = this.events.length - 1; i >= 0 && result.length < limit; i--) {
+			const event = this.events[i];
+			if (since && event.timestamp < since) {
+				break;
+			}
+			if ((until && event.timestamp > until)
+				|| (filter.camera && event.camera_id !== filter.camera)
+				|| (types && !types.includes(event.event_type))) {
+				continue;
+			}
+
+			const { key, ...rest } = event;
+			result.push(rest);
+		}
+		return result;
+	}
+
+	/**
+	 * Count the events of a time range.
+	 * @param {Date|string|number} since - Start of the time range
+	 * @param {Date|string|number} [until] - End of the time range, now by default
+	 * @returns {object} { total, byType, cameras: [{ camera_id, motion, faces, unknownFaces, recordings }], people }
+	 */
+	summarize (since, until = Date.now()) {
+		const events = this.query({ since, until, limit: Infinity });
+		const byType = {};
+		const cameras = new Map();
+		const people = new Set();
+
+		for (const event of events) {
+			byType[event.event_type] = (byType[event.event_type] || 0) + 1;
+			if (event.person_name && event.event_type === "face_detected") {
+				people.add(event.person_name);
+			}
+
+			if (!cameras.has(event.camera_id)) {
+				cameras.set(event.camera_id, { camera_id: event.camera_id, motion: 0, faces: 0, unknownFaces: 0, recordings: 0 });
+			}
+			const counts = cameras.get(event.camera_id);
+			switch (event.event_type) {
+				case "motion":
+				case "person_detected":
+					counts.motion++;
+					break;
+				case "face_detected":
+					counts.faces++;
+					break;
+				case "unknown_face":
+					counts.faces++;
+					counts.unknownFaces++;
+					break;
+				case "recording_started":
+					counts.recordings++;
+					break;
+			}
+		}
+
+		const list = Array.from(cameras.values()).filter((c) => c.camera_id !== null);
+		return {
+			total: {
+				events: events.length,
+				motion: list.reduce((sum, c) => sum + c.motion, 0),
+				faces: list.reduce((sum, c) => sum + c.faces, 0),
+				unknownFaces: list.reduce((sum, c) => sum + c.unknownFaces, 0),
+				recordings: list.reduce((sum, c) => sum + c.recordings, 0)
+			},
+			byType,
+			cameras: list.sort((a, b) => b.motion + b.faces - (a.motion + a.faces)),
+			people: Array.from(people).sort()
+		};
+	}
+
+	/**
+	 * Summary of one calendar day (local time).
+	 * @param {Date} [date] - Any time of the day, yesterday by default
+	 * @returns {object} The summary with date, from and until
+	 */
+	digest (date = new Date(Date.now() - DAY)) {
+		const from = new Date(date);
+		from.setHours(0, 0, 0, 0);
+		const until = new Date(from);
+		until.setDate(until.getDate() + 1);
+		until.setMilliseconds(-1);
+
+		const day = `${from.getFullYear()}-${String(from.getMonth() + 1).padStart(2, "0")}-${String(from.getDate()).padStart(2, "0")}`;
+		return {
+			date: day,
+			from: from.toISOString(),
+			until: until.toISOString(),
+			...this.summarize(from, until)
+		};
+	}
+
+	/**
+	 * Write pending changes.
+	 * @returns {Promise<void>} Resolves when the file is written
+	 */
+	stop () {
+		return this.saveTimer ? this.save() : this.saving;
+	}
+}
+
+module.exports = { SecurityEventLog };
@@ -7,12 +7,26 @@
  * Handles server-side integration with OpenEye surveillance system:
  * - REST API communication
  * - WebSocket connection for real-time events
- * - Camera feed proxying
+ * - Camera feed proxying (see camerastreamproxy.js)
+ * - Local event history and daily digest (see eventlog.js)
+ *
+ * Camera routes on the MagicMirror server:
+ *   GET /security/cameras/:id/stream    MJPEG live stream
+ *   GET /security/cameras/:id/snapshot  JPEG still image
+ * Displays authenticate with the stream key they get over Socket.IO
+ * (?key=...), API clients with a token that has the read scope.
+ *
+ * The event log is shared as app.get("securityEvents") for the REST API
+ * and the openeye-events module.
  */
 
+const crypto = require("node:crypto");
+const path = require("node:path");
 const NodeHelper = require("node_helper");
 const Log = require("logger");
 const WebSocket = require("ws");
+const { CameraStreamProxy } = require("./camerastreamproxy");
+const { SecurityEventLog } = require("./eventlog");
 
 let EcosystemClient;
 try {
@@ -33,6 +47,74 @@ module.exports = NodeHelper.create({
 		this.reconnectAttempts = 0;
 		this.maxReconnectAttempts = 5;
 		this.reconnectDelay = 5000;
+
+		// Camera feeds are relayed so browsers never connect to OpenEye
+		this.cameraIds = new Set();
+		this.streamKey = crypto.randomBytes(24).toString("hex");
+		this.streams = new CameraStreamProxy({
+			upstream: (cameraId, kind) => ({
+				url: `${this.config.host}/api/cameras/${encodeURIComponent(cameraId)}/${kind}`,
+				headers: this.token ? { Authorization: `Bearer ${this.token}` } : {}
+			})
+		});
+		this.registerRoutes();
+
+		this.cameraStates = new Map();
+		this.digestTimer = null;
+		this.eventLog = new SecurityEventLog({ file: path.join(__dirname, "..", "..", "..", "config", "security_events.json") });
+		this.expressApp.set("securityEvents", this.eventLog);
+	},
+
+	/**
+	 * Register the camera routes on the MagicMirror server
+	 */
+	registerRoutes: function () {
+		const authorize = (req, res, next) => {
+			if (!this.config) {
+				return res.status(503).json({ success: false, error: "Security module not connected" });
+			}
+			if (!this.isAuthorized(req)) {
+				return res.status(401).json({ success: false, error: "Missing or invalid stream key" });
+			}
+			if (!this.cameraIds.has(req.params.id)) {
+				return res.status(404).json({ success: false, error: `Camera ${req.params.id} not found` });
+			}
+			next();
+		};
+
+		this.expressApp.get("/security/cameras/:id/stream", authorize, (req, res) => {
+			this.streams.addViewer(req.params.id, res);
+		});
+
+		this.expressApp.get("/security/cameras/:id/snapshot", authorize, async (req, res) => {
+			try {
+				const snapshot = await this.streams.snapshot(req.params.id);
+				res.set("Cache-Control", "no-cache, no-store, must-revalidate");
+				res.type(snapshot.contentType).send(snapshot.body);
+			} catch (error) {
+				Log.warn(`[${this.name}] ${error.message} (camera ${req.params.id})`);
+				res.status(502).json({ success: false, error: error.message });
+			}
+		});
+	},
+
+	/**
+	 * @param {object} req - Express request
+	 * @returns {boolean} True if the request carries the stream key or an API token with the read scope
+	 */
+	isAuthorized: function (req) {
+		const key = typeof req.query.key === "string" ? req.query.key : "";
+		if (key.length === this.streamKey.length && crypto.timingSafeEqual(Buffer.from(key), Buffer.from(this.streamKey))) {
+			return true;
+		}
+
+		const tokenStore = this.expressApp.get("tokenStore");
+		const authHeader = req.headers.authorization || "";
+		if (tokenStore && authHeader.startsWith("Bearer ")) {
+			const token = tokenStore.verify(authHeader.substring(7));
+			return Boolean(token && !token.expired && tokenStore.hasScope(token, "read"));
+		}
+		return false;
 	},
 
 	/**
@@ -49,7 +131,44 @@ module.exports = NodeHelper.create({
 			case "SECURITY_REFRESH":
 				this.refreshData(payload);
 				break;
+
+			case "SECURITY_GET_HISTORY":
+				this.sendSocketNotification("SECURITY_HISTORY", {
+					events: this.eventLog.query(payload || {})
+				});
+				break;
+		}
+	},
+
+	/**
+	 * Add an event to the local history
+	 * @param {object} event - Event with event_type, camera_id, timestamp and the OpenEye id, if known
+	 * @returns {object|null} The logged event, null if it was known already
+	 */
+	recordEvent: function (event) {
+		return this.eventLog.add(event);
+	},
+
+	/**
+	 * Send yesterday's summary every day at config.digestTime ("HH:MM")
+	 */
+	scheduleDigest: function () {
+		clearTimeout(this.digestTimer);
+		if (!this.config.dailyDigest) {
+			return;
 		}
+
+		const [hours, minutes] = String(this.config.digestTime || "08:00").split(":").map(Number);
+		const next = new Date();
+		next.setHours(hours || 0, minutes || 0, 0, 0);
+		if (next <= new Date()) {
+			next.setDate(next.getDate() + 1);
+		}
+
+		this.digestTimer = setTimeout(() => {
+			this.sendSocketNotification("SECURITY_DIGEST", this.eventLog.digest());
+			this.scheduleDigest();
+		}, next - Date.now());
 	},
 
 	/**
@@ -60,6 +179,15 @@ module.exports = NodeHelper.create({
 		this.config = config;
 		this.token = config.token;
 
+		if (config.eventLogSize) {
+			this.eventLog.maxEvents = config.eventLogSize;
+		}
+		if (config.eventLogDays) {
+			this.eventLog.maxAge = config.eventLogDays * 24 * 60 * 60 * 1000;
+		}
+		this.eventLog.prune();
+		this.scheduleDigest();
+
 		// Try ecosystem discovery first, fall back to config host
 		let resolvedHost = config.host;
 		if (EcosystemClient && !this._ecoClient) {
@@ -95,11 +223,12 @@ module.exports = NodeHelper.create({
 				this.connectWebSocket();
 			}
 
-			this.sendSocketNotification("SECURITY_CONNECTED", { host: this.config.host });
+			this.sendSocketNotification("SECURITY_CONNECTED", { streamKey: this.streamKey });
 
 			// Subscribe to ecosystem security events (complementary to WebSocket)
 			if (this._ecoClient) {
 				this._ecoClient.on("security.motion_detected", async (envelope) => {
+					this.recordEvent({ id: envelope.data.event_id, event_type: "motion", camera_id: envelope.data.camera_id, timestamp: envelope.timestamp });
 					this.sendSocketNotification("SECURITY_MOTION_EVENT", {
 						camera_id: envelope.data.camera_id,
 						motion_areas: envelope.data.motion_areas,
@@ -109,6 +238,14 @@ module.exports = NodeHelper.create({
 				});
 
 				this._ecoClient.on("security.person_detected", async (envelope) => {
+					this.recordEvent({
+						id: envelope.data.event_id,
+						event_type: "face_detected",
+						camera_id: envelope.data.camera_id,
+						timestamp: envelope.timestamp,
+						person_name: envelope.data.person_name,
+						confidence: envelope.data.confidence
+					});
 					this.sendSocketNotification("SECURITY_FACE_EVENT", {
 						camera_id: envelope.data.camera_id,
 						person_name: envelope.data.person_name,
@@ -119,6 +256,7 @@ module.exports = NodeHelper.create({
 				});
 
 				this._ecoClient.on("security.alert", async (envelope) => {
+					this.recordEvent({ id: envelope.data.event_id, event_type: "unknown_face", camera_id: envelope.data.camera_id, timestamp: envelope.timestamp });
 					this.sendSocketNotification("SECURITY_FACE_EVENT", {
 						camera_id: envelope.data.camera_id,
 						person_name: "Unknown",
@@ -203,6 +341,18 @@ module.exports = NodeHelper.create({
 				? cameras.filter((c) => this.config.cameras.includes(c.camera_id))
 				: cameras;
 
+			// Only these cameras can be streamed
+			this.cameraIds = new Set(filteredCameras.map((c) => c.camera_id));
+
+			// Log cameras going on- or offline, not the state found at startup
+			for (const camera of filteredCameras) {
+				const wasActive = this.cameraStates.get(camera.camera_id);
+				if (wasActive !== undefined && wasActive !== Boolean(camera.is_active)) {
+					this.recordEvent({ event_type: camera.is_active ? "camera_online" : "camera_offline", camera_id: camera.camera_id });
+				}
+				this.cameraStates.set(camera.camera_id, Boolean(camera.is_active));
+			}
+
 			this.sendSocketNotification("SECURITY_CAMERAS", { cameras: filteredCameras });
 		} catch (error) {
 			Log.error(`[${this.name}] Failed to fetch cameras: ${error.message}`);
@@ -231,7 +381,7 @@ module.exports = NodeHelper.create({
 
 				const faceEvents = (faceData.items || []).map((face) => ({
 					id: face.id,
-					event_type: face.person_name ? "face_detected" : "unknown_face",
+					event_type: face.person_name && face.person_name !== "Unknown" ? "face_detected" : "unknown_face",
 					camera_id: face.camera_id,
 					timestamp: face.detected_at,
 					person_name: face.person_name,
@@ -246,6 +396,7 @@ module.exports = NodeHelper.create({
 
 			// Sort by timestamp
 			events.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+			events.forEach((event) => this.recordEvent(event));
 
 			this.sendSocketNotification("SECURITY_EVENTS", { events: events.slice(0, 20) });
 		} catch (error) {
@@ -329,6 +480,7 @@ module.exports = NodeHelper.create({
 
 			case "camera_event":
 				if (message.event === "motion_detected") {
+					this.recordEvent({ id: message.event_id, event_type: "motion", camera_id: message.camera_id, timestamp: message.timestamp });
 					this.sendSocketNotification("SECURITY_MOTION_EVENT", {
 						camera_id: message.camera_id,
 						timestamp: message.timestamp,
@@ -338,6 +490,14 @@ module.exports = NodeHelper.create({
 				break;
 
 			case "face_detected":
+				this.recordEvent({
+					id: message.event_id,
+					event_type: message.person_name && message.person_name !== "Unknown" ? "face_detected" : "unknown_face",
+					camera_id: message.camera_id,
+					timestamp: message.timestamp,
+					person_name: message.person_name,
+					confidence: message.confidence
+				});
 				this.sendSocketNotification("SECURITY_FACE_EVENT", {
 					camera_id: message.camera_id,
 					person_name: message.person_name,
@@ -348,7 +508,7 @@ module.exports = NodeHelper.create({
 
 			case "recording_started":
 			case "recording_stopped":
-				// Could notify about recording status changes
+				this.recordEvent({ id: message.event_id, event_type: message.type, camera_id: message.camera_id, timestamp: message.timestamp });
 				break;
 
 			case "connection_status":
@@ -392,6 +552,9 @@ module.exports = NodeHelper.create({
 	 * Stop the helper
 	 */
 	stop: async function () {
+		this.streams.stop();
+		clearTimeout(this.digestTimer);
+		await this.eventLog.stop();
 		if (this.ws) {
 			this.ws.close();
 			this.ws = null;
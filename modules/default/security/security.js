@@ -10,6 +10,7 @@
  * - Face recognition alerts
  * - Recording status
  * - Recent events timeline
+ * - Fullscreen camera view and camera carousel
  *
  * Requires OpenEye to be running and accessible
  * @see https://github.com/M1K31/OpenEye-OpenCV_Home_Security
@@ -27,7 +28,7 @@ Module.register("security", {
 		// JWT token for authentication (set in config or via node_helper from env)
 		token: "",
 
-		// Display mode: "cameras", "events", "combined"
+		// Display mode: "cameras", "events", "combined", "carousel" (one camera at a time)
 		displayMode: "combined",
 
 		// Camera options
@@ -36,6 +37,14 @@ Module.register("security", {
 		cameraSize: 200, // pixels
 		showCameraNames: true,
 		refreshInterval: 1000, // MJPEG refresh interval
+		carouselInterval: 10000, // Time each camera is shown in the carousel
+
+		// Fullscreen view (SECURITY_SHOW_CAMERA, REST or voice)
+		fullscreenDuration: 0, // ms until a requested camera closes, 0 = until SECURITY_CLOSE_CAMERA
+		autoFullscreen: [], // Event types that show their camera fullscreen, e.g. ["motion", "unknown_face"]
+		autoFullscreenDuration: 15000,
+		showTimeline: true, // Event strip under the fullscreen feed
+		timelineRange: 60 * 60 * 1000, // Time span of the strip
 
 		// Events options
 		showEvents: true,
@@ -48,6 +57,12 @@ Module.register("security", {
 		notifyOnUnknownFace: true,
 		notifyOnRecording: false,
 
+		// Local event history (config/security_events.json)
+		eventLogSize: 5000, // Maximum number of events kept
+		eventLogDays: 30, // Days events are kept
+		dailyDigest: true, // Summary of the previous day as a notification
+		digestTime: "08:00",
+
 		// Real-time updates via WebSocket
 		useWebSocket: true,
 
@@ -90,6 +105,19 @@ Module.register("security", {
 		this.statistics = null;
 		this.connected = false;
 		this.error = null;
+		this.streamKey = null;
+		this.timeline = [];
+
+		// Fullscreen view: { cameraId, carousel, auto } while shown
+		this.overlay = null;
+		this.overlayElement = null;
+		this.overlayTimer = null;
+		this.carouselTimer = null;
+		this.carouselIndex = 0;
+
+		if (this.config.displayMode === "carousel") {
+			this.startCarousel();
+		}
 
 		// Initialize connection to OpenEye
 		this.sendSocketNotification("SECURITY_INIT", {
@@ -97,7 +125,11 @@ Module.register("security", {
 			token: this.config.token,
 			cameras: this.config.cameras,
 			useWebSocket: this.config.useWebSocket,
-			eventTypes: this.config.eventTypes
+			eventTypes: this.config.eventTypes,
+			eventLogSize: this.config.eventLogSize,
+			eventLogDays: this.config.eventLogDays,
+			dailyDigest: this.config.dailyDigest,
+			digestTime: this.config.digestTime
 		});
 
 		// Schedule updates if not using WebSocket
@@ -128,12 +160,28 @@ Module.register("security", {
 			case "SECURITY_CONNECTED":
 				this.connected = true;
 				this.error = null;
+				this.streamKey = payload.streamKey;
 				this.updateDom(300);
+				this.sendSocketNotification("SECURITY_GET_HISTORY", {
+					since: Date.now() - this.config.timelineRange,
+					limit: 500
+				});
+				break;
+
+			case "SECURITY_HISTORY":
+				payload.events.forEach((e) => this.addToTimeline(e));
+				break;
+
+			case "SECURITY_DIGEST":
+				this.showDigest(payload);
 				break;
 
 			case "SECURITY_CAMERAS":
 				this.cameras = payload.cameras || [];
 				this.updateDom(300);
+				if (this.overlay) {
+					this.renderOverlay();
+				}
 				break;
 
 			case "SECURITY_EVENTS":
@@ -172,9 +220,31 @@ Module.register("security", {
 	 * @param {object[]} events - Array of events
 	 */
 	processEvents: function (events) {
-		this.events = events
-			.filter((e) => this.config.eventTypes.includes(e.event_type))
-			.slice(0, this.config.maxEvents);
+		const filtered = events.filter((e) => this.config.eventTypes.includes(e.event_type));
+		this.events = filtered.slice(0, this.config.maxEvents);
+		filtered.forEach((e) => this.addToTimeline(e));
+	},
+
+	/**
+	 * Remember an event for the timeline strip of its camera
+	 * @param {object} event - Event with event_type, camera_id and timestamp
+	 */
+	addToTimeline: function (event) {
+		const time = new Date(event.timestamp);
+		if (Number.isNaN(time.getTime())) {
+			return;
+		}
+		const since = Date.now() - this.config.timelineRange;
+		const key = `${event.event_type}:${event.camera_id}:${time.toISOString()}`;
+
+		this.timeline = this.timeline.filter((e) => e.key !== key && new Date(e.timestamp).getTime() >= since);
+		if (time.getTime() >= since) {
+			this.timeline.push({ key, event_type: event.event_type, camera_id: event.camera_id, timestamp: event.timestamp, person_name: event.person_name });
+		}
+
+		if (this.overlay) {
+			this.renderOverlay();
+		}
 	},
 
 	/**
@@ -182,15 +252,22 @@ Module.register("security", {
 	 * @param {object} event - Motion event
 	 */
 	handleMotionEvent: function (event) {
-		// Add to events list
-		this.events.unshift({
+		const entry = {
 			event_type: "motion",
 			camera_id: event.camera_id,
 			timestamp: new Date().toISOString(),
 			details: event
-		});
+		};
+
+		// Add to events list
+		this.events.unshift(entry);
 		this.events = this.events.slice(0, this.config.maxEvents);
 		this.updateDom(300);
+		this.addToTimeline(entry);
+
+		if (this.config.autoFullscreen.includes("motion")) {
+			this.showCamera(event.camera_id, this.config.autoFullscreenDuration, true);
+		}
 
 		// Notify if enabled
 		if (this.config.notifyOnMotion) {
@@ -210,17 +287,24 @@ Module.register("security", {
 	handleFaceEvent: function (event) {
 		const isKnown = event.person_name && event.person_name !== "Unknown";
 
-		// Add to events list
-		this.events.unshift({
+		const entry = {
 			event_type: isKnown ? "face_detected" : "unknown_face",
 			camera_id: event.camera_id,
 			timestamp: new Date().toISOString(),
 			person_name: event.person_name,
 			confidence: event.confidence,
 			details: event
-		});
+		};
+
+		// Add to events list
+		this.events.unshift(entry);
 		this.events = this.events.slice(0, this.config.maxEvents);
 		this.updateDom(300);
+		this.addToTimeline(entry);
+
+		if (this.config.autoFullscreen.includes(entry.event_type)) {
+			this.showCamera(event.camera_id, this.config.autoFullscreenDuration, true);
+		}
 
 		// Notify
 		if (isKnown && this.config.notifyOnFace) {
@@ -235,11 +319,47 @@ Module.register("security", {
 				type: "notification",
 				title: "Unknown Face Detected",
 				message: `Camera: ${event.camera_id}`,
-				timer: 8000
+				timer: 8000,
+				priority: "high"
 			});
 		}
 	},
 
+	/**
+	 * Show the daily summary of the event log
+	 * @param {object} digest - Summary from the node helper
+	 */
+	showDigest: function (digest) {
+		const parts = [
+			`${digest.total.motion} motion event${digest.total.motion === 1 ? "" : "s"}`,
+			`${digest.total.faces} face${digest.total.faces === 1 ? "" : "s"}`
+		];
+		if (digest.total.unknownFaces > 0) {
+			parts.push(`${digest.total.unknownFaces} unknown`);
+		}
+		if (digest.total.recordings > 0) {
+			parts.push(`${digest.total.recordings} recording${digest.total.recordings === 1 ? "" : "s"}`);
+		}
+
+		let message = `${parts.join(", ")}.`;
+		if (digest.people.length > 0) {
+			message += ` Seen: ${digest.people.join(", ")}.`;
+		}
+		if (digest.cameras.length > 0) {
+			const busiest = digest.cameras[0];
+			const camera = this.cameras.find((c) => c.camera_id === busiest.camera_id);
+			message += ` Busiest camera: ${camera?.name || busiest.camera_id}.`;
+		}
+
+		this.sendNotification("SHOW_ALERT", {
+			type: "notification",
+			title: `Security Digest ${digest.date}`,
+			message,
+			timer: 15000,
+			priority: "low"
+		});
+	},
+
 	/**
 	 * Get DOM content
 	 * @returns {HTMLElement} Module DOM element
@@ -280,7 +400,7 @@ Module.register("security", {
 		}
 
 		// Cameras section
-		if (this.config.displayMode === "cameras" || this.config.displayMode === "combined") {
+		if (["cameras", "combined", "carousel"].includes(this.config.displayMode)) {
 			wrapper.appendChild(this.renderCameras());
 		}
 
@@ -316,7 +436,9 @@ Module.register("security", {
 		const grid = document.createElement("div");
 		grid.className = "cameras-grid";
 
-		const displayCameras = this.cameras.slice(0, this.config.maxCameras);
+		const displayCameras = this.config.displayMode === "carousel"
+			? [this.carouselCamera()].filter(Boolean)
+			: this.cameras.slice(0, this.config.maxCameras);
 
 		displayCameras.forEach((camera) => {
 			const cameraEl = document.createElement("div");
@@ -330,7 +452,7 @@ Module.register("security", {
 
 			if (camera.is_active) {
 				const img = document.createElement("img");
-				img.src = `${this.config.openeyeHost}/api/cameras/${camera.camera_id}/stream`;
+				img.src = this.cameraUrl(camera.camera_id, "stream");
 				img.alt = camera.camera_id;
 				img.onerror = function () {
 					this.style.display = "none";
@@ -481,6 +603,263 @@ Module.register("security", {
 		return date.toLocaleDateString();
 	},
 
+	/**
+	 * Camera feeds are proxied by the node helper, see camerastreamproxy.js
+	 * @param {string} cameraId - Camera
+	 * @param {string} kind - "stream" or "snapshot"
+	 * @returns {string} URL of the feed on the MagicMirror server
+	 */
+	cameraUrl: function (cameraId, kind) {
+		return `security/cameras/${encodeURIComponent(cameraId)}/${kind}?key=${this.streamKey}`;
+	},
+
+	/**
+	 * Find a camera by ID or name, e.g. "front door" for "Front Door Cam"
+	 * @param {string} query - Camera ID or (part of) its name
+	 * @returns {object|null} The camera
+	 */
+	findCamera: function (query) {
+		const needle = String(query).toLowerCase().trim();
+		const name = (camera) => (camera.name || "").toLowerCase();
+
+		return this.cameras.find((c) => String(c.camera_id).toLowerCase() === needle)
+			|| this.cameras.find((c) => name(c) === needle)
+			|| this.cameras.find((c) => name(c).includes(needle) || String(c.camera_id).toLowerCase().includes(needle))
+			|| null;
+	},
+
+	/**
+	 * Show one camera fullscreen
+	 * @param {string} query - Camera ID or name
+	 * @param {number} duration - ms until the view closes, 0 = until closed
+	 * @param {boolean} [auto] - Opened by an event; never replaces a view someone asked for
+	 */
+	showCamera: function (query, duration, auto = false) {
+		const camera = this.findCamera(query);
+		if (!camera) {
+			Log.warn(`[${this.name}] Unknown camera: ${query}`);
+			return;
+		}
+		if (auto && this.overlay && !this.overlay.auto) {
+			return;
+		}
+
+		if (this.overlay?.carousel && this.config.displayMode !== "carousel") {
+			this.stopCarousel();
+		}
+		this.overlay = { cameraId: camera.camera_id, carousel: false, auto };
+		this.setOverlayTimeout(duration);
+		this.renderOverlay();
+	},
+
+	/**
+	 * Show all cameras fullscreen, one after another
+	 * @param {number} duration - ms until the view closes, 0 = until closed
+	 */
+	showCarousel: function (duration) {
+		this.overlay = { cameraId: null, carousel: true, auto: false };
+		this.startCarousel();
+		this.setOverlayTimeout(duration);
+		this.renderOverlay();
+	},
+
+	/**
+	 * Close the fullscreen view
+	 */
+	closeOverlay: function () {
+		if (!this.overlay) {
+			return;
+		}
+
+		clearTimeout(this.overlayTimer);
+		if (this.config.displayMode !== "carousel") {
+			this.stopCarousel();
+		}
+		this.overlay = null;
+
+		const element = this.overlayElement;
+		element.classList.remove("visible");
+		element.classList.add("leaving");
+		setTimeout(() => {
+			// Ends the stream unless the view was opened again meanwhile
+			if (!this.overlay) {
+				element.classList.remove("leaving");
+				element.querySelector(".camera-fullscreen-feed").removeAttribute("src");
+			}
+		}, 400);
+	},
+
+	/**
+	 * @param {number} duration - ms until the fullscreen view closes, 0 = until closed
+	 */
+	setOverlayTimeout: function (duration) {
+		clearTimeout(this.overlayTimer);
+		if (duration > 0) {
+			this.overlayTimer = setTimeout(() => this.closeOverlay(), duration);
+		}
+	},
+
+	/**
+	 * Rotate through the cameras, both inline ("carousel" display mode) and fullscreen
+	 */
+	startCarousel: function () {
+		if (this.carouselTimer) {
+			return;
+		}
+
+		this.carouselTimer = setInterval(() => {
+			this.carouselIndex++;
+			if (this.config.displayMode === "carousel") {
+				this.updateDom(300);
+			}
+			if (this.overlay?.carousel) {
+				this.renderOverlay();
+			}
+		}, this.config.carouselInterval);
+	},
+
+	/**
+	 * Stop rotating through the cameras
+	 */
+	stopCarousel: function () {
+		clearInterval(this.carouselTimer);
+		this.carouselTimer = null;
+	},
+
+	/**
+	 * @returns {object|undefined} The camera the carousel is on, online cameras only
+	 */
+	carouselCamera: function () {
+		const cameras = this.cameras.filter((c) => c.is_active);
+		return cameras[this.carouselIndex % cameras.length];
+	},
+
+	/**
+	 * Create or update the fullscreen view. It lives outside the module DOM,
+	 * so the stream keeps running while the module is updated.
+	 */
+	renderOverlay: function () {
+		const camera = this.overlay.carousel
+			? this.carouselCamera()
+			: this.cameras.find((c) => c.camera_id === this.overlay.cameraId);
+
+		if (!this.overlayElement) {
+			this.overlayElement = this.createOverlay();
+			document.body.appendChild(this.overlayElement);
+		}
+
+		const element = this.overlayElement;
+		const title = element.querySelector(".camera-fullscreen-name");
+		const feed = element.querySelector(".camera-fullscreen-feed");
+
+		title.textContent = camera ? camera.name || camera.camera_id : "No cameras available";
+		if (camera) {
+			const src = this.cameraUrl(camera.camera_id, "stream");
+			if (feed.getAttribute("src") !== src) {
+				feed.src = src;
+			}
+			feed.alt = camera.camera_id;
+		} else {
+			feed.removeAttribute("src");
+		}
+
+		const timeline = element.querySelector(".camera-timeline");
+		if (timeline) {
+			timeline.replaceWith(this.renderTimeline(camera?.camera_id));
+		}
+
+		element.classList.remove("leaving");
+		element.classList.add("visible");
+	},
+
+	/**
+	 * @returns {HTMLElement} Empty fullscreen view
+	 */
+	createOverlay: function () {
+		const overlay = document.createElement("div");
+		overlay.className = "camera-fullscreen-overlay";
+
+		const header = document.createElement("div");
+		header.className = "camera-fullscreen-header";
+
+		const title = document.createElement("div");
+		title.className = "camera-fullscreen-title";
+		const icon = document.createElement("i");
+		icon.className = "fa fa-video";
+		title.appendChild(icon);
+		const name = document.createElement("span");
+		name.className = "camera-fullscreen-name";
+		title.appendChild(name);
+		header.appendChild(title);
+
+		const close = document.createElement("button");
+		close.className = "camera-fullscreen-close";
+		const closeIcon = document.createElement("i");
+		closeIcon.className = "fa fa-times";
+		close.appendChild(closeIcon);
+		close.addEventListener("click", () => this.closeOverlay());
+		header.appendChild(close);
+
+		overlay.appendChild(header);
+
+		const feed = document.createElement("img");
+		feed.className = "camera-fullscreen-feed";
+		overlay.appendChild(feed);
+
+		if (this.config.showTimeline) {
+			const timeline = document.createElement("div");
+			timeline.className = "camera-timeline";
+			overlay.appendChild(timeline);
+		}
+
+		return overlay;
+	},
+
+	/**
+	 * Strip with the events of a camera over the timeline range
+	 * @param {string} [cameraId] - Camera
+	 * @returns {HTMLElement} Timeline element
+	 */
+	renderTimeline: function (cameraId) {
+		const strip = document.createElement("div");
+		strip.className = "camera-timeline";
+
+		const end = Date.now();
+		const start = end - this.config.timelineRange;
+
+		const track = document.createElement("div");
+		track.className = "camera-timeline-track";
+
+		this.timeline
+			.filter((e) => e.camera_id === cameraId)
+			.forEach((event) => {
+				const time = new Date(event.timestamp).getTime();
+				if (time < start || time > end) {
+					return;
+				}
+
+				const marker = document.createElement("span");
+				marker.className = `camera-timeline-marker ${event.event_type}`;
+				marker.style.left = `${((time - start) / this.config.timelineRange) * 100}%`;
+				marker.title = `${this.formatEventType(event)} • ${this.formatTime(event.timestamp)}`;
+				track.appendChild(marker);
+			});
+
+		strip.appendChild(track);
+
+		const labels = document.createElement("div");
+		labels.className = "camera-timeline-labels dimmed xsmall";
+		const from = document.createElement("span");
+		from.textContent = new Date(start).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+		labels.appendChild(from);
+		const to = document.createElement("span");
+		to.textContent = "Now";
+		labels.appendChild(to);
+		strip.appendChild(labels);
+
+		return strip;
+	},
+
 	/**
 	 * Handle notifications from other modules
 	 * @param {string} notification - Notification name
@@ -496,7 +875,19 @@ Module.register("security", {
 				break;
 
 			case "SECURITY_SHOW_CAMERA":
-				// TODO: Show specific camera fullscreen
+				if (payload?.camera) {
+					this.showCamera(payload.camera, payload.duration ?? this.config.fullscreenDuration);
+				} else {
+					this.showCarousel(payload?.duration ?? this.config.fullscreenDuration);
+				}
+				break;
+
+			case "SECURITY_SHOW_ALL_CAMERAS":
+				this.showCarousel(payload?.duration ?? this.config.fullscreenDuration);
+				break;
+
+			case "SECURITY_CLOSE_CAMERA":
+				this.closeOverlay();
 				break;
 		}
 	}
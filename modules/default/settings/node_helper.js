@@ -18,6 +18,15 @@ const https = require("https");
 const http = require("http");
 const { exec } = require("child_process");
 const Log = require("logger");
+const { ApiTokenStore } = require("../../../js/api-tokens");
+const Utils = require("../../../js/utils");
+
+// API token requests and the notification answering each of them
+const API_TOKEN_REQUESTS = {
+	SETTINGS_GET_API_TOKENS: "SETTINGS_API_TOKENS",
+	SETTINGS_CREATE_API_TOKEN: "SETTINGS_API_TOKEN_CREATED",
+	SETTINGS_REVOKE_API_TOKEN: "SETTINGS_API_TOKEN_REVOKED"
+};
 
 // OAuth configurations for services
 const OAUTH_CONFIGS = {
@@ -55,10 +64,71 @@ module.exports = NodeHelper.create({
 		this.secretsPath = path.join(__dirname, "..", "..", "..", "config", "secrets.json");
 		this.serviceConfigs = {};
 
+		// Same token file as the REST API, which picks up changes on the next request
+		this.tokenStore = new ApiTokenStore({
+			file: path.join(__dirname, "..", "..", "..", "config", ".api_tokens.json")
+		});
+
 		// Load secrets if exists
 		this.loadSecrets();
 	},
 
+	/**
+	 * Bind the socket notifications. API token requests are answered to the
+	 * requesting socket only, so new tokens never reach other displays.
+	 * @param {object} io - Socket.IO server
+	 */
+	setSocketIO: function (io) {
+		this.io = io;
+
+		Log.log(`Connecting socket for: ${this.name}`);
+
+		io.of(this.name).on("connection", (socket) => {
+			socket.onAny((notification, payload) => {
+				if (API_TOKEN_REQUESTS[notification]) {
+					this.handleApiTokenRequest(socket, notification, payload);
+				} else {
+					this.socketNotificationReceived(notification, payload);
+				}
+			});
+		});
+	},
+
+	/**
+	 * Handle an API token request of a display running on the mirror
+	 * @param {object} socket - Socket of the requesting display
+	 * @param {string} notification - Request notification
+	 * @param {object} payload - Request payload
+	 */
+	handleApiTokenRequest: function (socket, notification, payload) {
+		const reply = (data) => socket.emit(API_TOKEN_REQUESTS[notification], data);
+
+		// API tokens are only managed from the mirror itself, other clients use the REST API with an admin token
+		if (!Utils.isLocalSocket(socket)) {
+			Log.warn(`[${this.name}] Refused ${notification} from ${socket.handshake.address}`);
+			reply({
+				success: false,
+				tokens: [],
+				error: "API tokens can only be managed on the mirror itself or through the REST API"
+			});
+			return;
+		}
+
+		switch (notification) {
+			case "SETTINGS_GET_API_TOKENS":
+				reply({ tokens: this.tokenStore.list() });
+				break;
+
+			case "SETTINGS_CREATE_API_TOKEN":
+				reply(this.createApiToken(payload));
+				break;
+
+			case "SETTINGS_REVOKE_API_TOKEN":
+				reply(this.revokeApiToken(payload.id));
+				break;
+		}
+	},
+
 	/**
 	 * Load secrets from file
 	 */
@@ -167,6 +237,19 @@ module.exports = NodeHelper.create({
 			case "SETTINGS_REMOVE_NEWS_SOURCE":
 				this.removeNewsSource(payload.index);
 				break;
+
+			// Network devices
+			case "SETTINGS_GET_NETWORK_DEVICES":
+				this.sendNetworkDevices();
+				break;
+
+			case "SETTINGS_SAVE_NETWORK_DEVICE":
+				this.saveNetworkDevice(payload);
+				break;
+
+			case "SETTINGS_FORGET_NETWORK_DEVICE":
+				this.forgetNetworkDevice(payload.mac);
+				break;
 		}
 	},
 
@@ -493,6 +576,81 @@ module.exports = NodeHelper.create({
 		}
 	},
 
+	/**
+	 * Mint a scoped API token
+	 * @param {object} options - Token options from the settings panel
+	 * @param {string} options.name - Display name
+	 * @param {string[]} options.scopes - Granted scopes
+	 * @param {number} [options.expiresInDays] - Days until the token expires, never if omitted
+	 * @returns {object} Result with the new token, including its plain value
+	 */
+	createApiToken: function ({ name, scopes, expiresInDays }) {
+		try {
+			const expiresAt = expiresInDays
+				? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+				: null;
+			return { success: true, token: this.tokenStore.create({ name, scopes, expiresAt }) };
+		} catch (error) {
+			return { success: false, error: error.message };
+		}
+	},
+
+	/**
+	 * Revoke an API token
+	 * @param {string} id - Token id
+	 * @returns {object} Result
+	 */
+	revokeApiToken: function (id) {
+		const success = this.tokenStore.revoke(id);
+		return {
+			success,
+			error: success ? undefined : "Token not found"
+		};
+	},
+
+	/**
+	 * Send the known and scanned network devices (shared by the network module as app.get("knownDevices"))
+	 */
+	sendNetworkDevices: function () {
+		const store = this.expressApp.get("knownDevices");
+		this.sendSocketNotification("SETTINGS_NETWORK_DEVICES", {
+			available: !!store,
+			devices: store ? store.list() : [],
+			types: store ? store.types : []
+		});
+	},
+
+	/**
+	 * Name, classify or flag a network device
+	 */
+	saveNetworkDevice: function ({ mac, changes }) {
+		const store = this.expressApp.get("knownDevices");
+		try {
+			if (!store) {
+				throw new Error("Network module is not running");
+			}
+			const device = store.set(mac, changes);
+			this.sendSocketNotification("SETTINGS_NETWORK_DEVICE_SAVED", { success: true, device });
+		} catch (error) {
+			this.sendSocketNotification("SETTINGS_NETWORK_DEVICE_SAVED", {
+				success: false,
+				error: error.message
+			});
+		}
+	},
+
+	/**
+	 * Forget a network device saved from the mirror
+	 */
+	forgetNetworkDevice: function (mac) {
+		const store = this.expressApp.get("knownDevices");
+		const success = !!store && store.remove(mac);
+		this.sendSocketNotification("SETTINGS_NETWORK_DEVICE_FORGOTTEN", {
+			success,
+			error: success ? undefined : "Only devices saved on the mirror can be forgotten"
+		});
+	},
+
 	/**
 	 * Get and send system information
 	 */
@@ -504,18 +662,15 @@ module.exports = NodeHelper.create({
 			memory: this.formatMemory(process.memoryUsage().heapUsed)
 		};
 
-		// Read API token for companion app setup
+		// Read the API address for companion app setup, tokens are never stored in plain text
 		try {
 			const tokenPath = path.join(__dirname, "..", "..", "..", "config", ".api_token");
-			const tokenData = await fs.readFile(tokenPath, "utf8");
-			const parsed = JSON.parse(tokenData);
-			info.apiToken = parsed.token;
+			const parsed = JSON.parse(await fs.readFile(tokenPath, "utf8"));
 			info.apiHost = parsed.host;
 			info.apiPrefix = parsed.prefix;
 		} catch (err) {
-			// API token file doesn't exist or couldn't be read
-			Log.warn(`[${this.name}] Could not read API token: ${err.message}`);
-			info.apiToken = null;
+			// API address file doesn't exist or couldn't be read
+			Log.warn(`[${this.name}] Could not read API address: ${err.message}`);
 		}
 
 		// Update UI with system info
@@ -8,6 +8,7 @@
  * - Service connections (OpenEye, Home Assistant, Spotify, etc.)
  * - Module enable/disable
  * - API key management
+ * - Scoped REST API tokens
  * - OAuth authentication flows
  *
  * @see https://github.com/M1K31/MagicMirror-Custom
@@ -135,6 +136,8 @@ Module.register("settings", {
 		this.weatherLocations = [];
 		this.newsLocations = [];
 		this.newsSources = [];
+		this.apiTokens = [];
+		this.networkDevices = null;
 
 		// Request current configuration from node_helper
 		this.sendSocketNotification("SETTINGS_GET_CONFIG", {});
@@ -268,6 +271,60 @@ Module.register("settings", {
 					this.updateSystemInfoDisplay();
 				}
 				break;
+
+			case "SETTINGS_API_TOKENS":
+				this.apiTokens = payload.tokens || [];
+				if (payload.error) {
+					this.showNotification(payload.error, "error");
+				}
+				if (this.panelVisible && this.currentSection === "access") {
+					this.updateApiTokensList();
+				}
+				break;
+
+			case "SETTINGS_API_TOKEN_CREATED":
+				if (payload.success) {
+					this.showNewApiToken(payload.token);
+					this.showNotification(`Token created: ${this.escapeHtml(payload.token.name)}`, "success");
+					this.loadApiTokens();
+				} else {
+					this.showNotification(payload.error || "Failed to create token", "error");
+				}
+				break;
+
+			case "SETTINGS_NETWORK_DEVICES":
+				this.networkDevices = payload;
+				if (this.panelVisible && this.currentSection === "devices") {
+					this.updateNetworkDevicesList();
+				}
+				break;
+
+			case "SETTINGS_NETWORK_DEVICE_SAVED":
+				if (payload.success) {
+					this.showNotification(`Device saved: ${payload.device.name}`, "success");
+					this.loadNetworkDevices();
+				} else {
+					this.showNotification(payload.error || "Failed to save device", "error");
+				}
+				break;
+
+			case "SETTINGS_NETWORK_DEVICE_FORGOTTEN":
+				if (payload.success) {
+					this.showNotification("Device forgotten", "success");
+					this.loadNetworkDevices();
+				} else {
+					this.showNotification(payload.error || "Failed to forget device", "error");
+				}
+				break;
+
+			case "SETTINGS_API_TOKEN_REVOKED":
+				if (payload.success) {
+					this.showNotification("Token revoked", "success");
+					this.loadApiTokens();
+				} else {
+					this.showNotification(payload.error || "Failed to revoke token", "error");
+				}
+				break;
 		}
 	},
 
@@ -341,9 +398,15 @@ Module.register("settings", {
 			<button class="nav-btn ${this.currentSection === "modules" ? "active" : ""}" data-section="modules">
 				<i class="fas fa-cubes"></i> Modules
 			</button>
+			<button class="nav-btn ${this.currentSection === "devices" ? "active" : ""}" data-section="devices">
+				<i class="fas fa-house-laptop"></i> Devices
+			</button>
 			<button class="nav-btn ${this.currentSection === "display" ? "active" : ""}" data-section="display">
 				<i class="fas fa-display"></i> Display
 			</button>
+			<button class="nav-btn ${this.currentSection === "access" ? "active" : ""}" data-section="access">
+				<i class="fas fa-key"></i> API Access
+			</button>
 			<button class="nav-btn ${this.currentSection === "about" ? "active" : ""}" data-section="about">
 				<i class="fas fa-info-circle"></i> About
 			</button>
@@ -370,9 +433,15 @@ Module.register("settings", {
 			case "modules":
 				content.appendChild(this.createModulesSection());
 				break;
+			case "devices":
+				content.appendChild(this.createDevicesSection());
+				break;
 			case "display":
 				content.appendChild(this.createDisplaySection());
 				break;
+			case "access":
+				content.appendChild(this.createAccessSection());
+				break;
 			case "about":
 				content.appendChild(this.createAboutSection());
 				break;
@@ -1161,6 +1230,285 @@ Module.register("settings", {
 		return section;
 	},
 
+	/**
+	 * Create API access section (scoped REST API tokens)
+	 */
+	createAccessSection: function () {
+		const section = document.createElement("div");
+		section.className = "access-section";
+
+		const scopes = {
+			read: "Read-only",
+			display: "Display",
+			modules: "Modules",
+			services: "Services",
+			system: "System",
+			admin: "Admin"
+		};
+		section.innerHTML = `
+			<div class="access-header">
+				<h3><i class="fas fa-key"></i> API Tokens</h3>
+				<p class="section-description">Give each app or script its own token with only the scopes it needs. Revoked or expired tokens stop working immediately.</p>
+			</div>
+
+			<div id="new-token-container"></div>
+
+			<div class="add-token-form">
+				<h4>New Token</h4>
+				<div class="form-row">
+					<div class="form-group">
+						<label for="token-name">Name</label>
+						<input type="text" id="token-name" placeholder="e.g., Home Assistant" maxlength="64">
+					</div>
+					<div class="form-group">
+						<label for="token-expiry">Expires</label>
+						<select id="token-expiry">
+							<option value="">Never</option>
+							<option value="1">In 1 day</option>
+							<option value="30">In 30 days</option>
+							<option value="90">In 90 days</option>
+							<option value="365">In 1 year</option>
+						</select>
+					</div>
+				</div>
+				<div class="form-row">
+					<div class="token-scopes">
+						${Object.entries(scopes).map(([scope, label]) => `
+							<label class="token-scope">
+								<input type="checkbox" data-scope="${scope}" ${scope === "read" ? "checked" : ""}> ${label}
+							</label>
+						`).join("")}
+					</div>
+					<button class="btn btn-primary" id="create-token-btn">
+						<i class="fas fa-plus"></i> Create Token
+					</button>
+				</div>
+			</div>
+
+			<div class="api-tokens">
+				<h4>Active Tokens</h4>
+				<div class="tokens-list" id="tokens-list">
+					${this.renderApiTokens()}
+				</div>
+			</div>
+		`;
+
+		// Load tokens
+		setTimeout(() => {
+			this.loadApiTokens();
+		}, 100);
+
+		return section;
+	},
+
+	/**
+	 * Render the API token cards
+	 */
+	renderApiTokens: function () {
+		const tokens = this.apiTokens || [];
+
+		if (tokens.length === 0) {
+			return `
+				<div class="empty-state">
+					<i class="fas fa-key"></i>
+					<p>No API tokens</p>
+					<p class="hint">Tokens set as api.token in config.js are not listed here.</p>
+				</div>
+			`;
+		}
+
+		return tokens.map((token) => `
+			<div class="token-card ${token.expired ? "expired" : ""}" data-token="${token.id}">
+				<div class="token-info">
+					<span class="token-name">${this.escapeHtml(token.name)}${token.primary ? " (companion app)" : ""}</span>
+					<code class="token-preview">${token.preview}...</code>
+					<span class="token-scopes-list">${token.scopes.join(", ")}</span>
+					<span class="token-dates">
+						Created ${new Date(token.createdAt).toLocaleDateString()}
+						${token.expiresAt ? ` · ${token.expired ? "Expired" : "Expires"} ${new Date(token.expiresAt).toLocaleDateString()}` : ""}
+						${token.lastUsedAt ? ` · Last used ${new Date(token.lastUsedAt).toLocaleString()}` : ""}
+					</span>
+				</div>
+				<div class="token-actions">
+					<button class="btn btn-sm btn-danger revoke-token-btn" data-token="${token.id}" title="Revoke token">
+						<i class="fas fa-ban"></i>
+					</button>
+				</div>
+			</div>
+		`).join("");
+	},
+
+	/**
+	 * Load API tokens
+	 */
+	loadApiTokens: function () {
+		this.sendSocketNotification("SETTINGS_GET_API_TOKENS", {});
+	},
+
+	/**
+	 * Update API tokens display
+	 */
+	updateApiTokensList: function () {
+		const list = document.getElementById("tokens-list");
+		if (!list) return;
+
+		list.innerHTML = this.renderApiTokens();
+
+		// Reattach listeners
+		this.attachPanelListeners();
+	},
+
+	/**
+	 * Show a newly created token (the only time it is available in plain text)
+	 */
+	showNewApiToken: function (token) {
+		const container = document.getElementById("new-token-container");
+		if (!container) return;
+
+		container.innerHTML = `
+			<div class="new-token">
+				<p><i class="fas fa-triangle-exclamation"></i> Copy the token for "${this.escapeHtml(token.name)}" now, it will not be shown again.</p>
+				<div class="credential-value">
+					<code>${token.token}</code>
+					<button class="copy-btn" data-copy="${token.token}" title="Copy to clipboard">
+						<i class="fas fa-copy"></i>
+					</button>
+				</div>
+				<div class="qr-section">
+					<p class="qr-label">Scan with the companion app:</p>
+					<div class="qr-code" id="qr-code"></div>
+				</div>
+			</div>
+		`;
+
+		this.generateQRCode(this.systemInfo.apiHost || "localhost:8080", token.token, this.systemInfo.apiPrefix || "/api/v1");
+
+		const nameInput = document.getElementById("token-name");
+		if (nameInput) nameInput.value = "";
+	},
+
+	/**
+	 * Create network devices section
+	 */
+	createDevicesSection: function () {
+		const section = document.createElement("div");
+		section.className = "devices-section";
+
+		section.innerHTML = `
+			<div class="devices-header">
+				<h3><i class="fas fa-house-laptop"></i> Network Devices</h3>
+				<p class="section-description">Name the devices on your network and assign their owners for presence. Get an alert when a device goes offline or a blocked device joins the network.</p>
+			</div>
+
+			<div class="network-devices-list" id="network-devices-list">
+				${this.renderNetworkDevices()}
+			</div>
+		`;
+
+		// Load devices
+		setTimeout(() => {
+			this.loadNetworkDevices();
+		}, 100);
+
+		return section;
+	},
+
+	/**
+	 * Render the network device cards
+	 */
+	renderNetworkDevices: function () {
+		const { available = true, devices = [], types = [] } = this.networkDevices || {};
+
+		if (!available || devices.length === 0) {
+			return `
+				<div class="empty-state">
+					<i class="fas fa-house-laptop"></i>
+					<p>${available ? "No devices found yet" : "Network module is not running"}</p>
+				</div>
+			`;
+		}
+
+		const escape = (text) => this.escapeHtml(text);
+		return devices.map((device) => `
+			<div class="network-device-card ${device.online ? "online" : "offline"}" data-mac="${device.mac}">
+				<div class="network-device-info">
+					<span class="network-device-name">
+						<span class="status-dot"></span>
+						${escape(device.name || device.hostname || device.ip || device.mac)}
+					</span>
+					<span class="network-device-meta">
+						${device.mac}${device.ip ? ` · ${escape(device.ip)}` : ""}${device.vendor ? ` · ${escape(device.vendor)}` : ""}${device.randomMac ? " · Private address" : ""}
+						${device.configured ? " · from config.js" : ""}
+					</span>
+				</div>
+				<div class="form-row">
+					<div class="form-group">
+						<label>Name</label>
+						<input type="text" class="device-name" value="${escape(device.name || "")}" placeholder="${escape(device.hostname || "Device name")}" maxlength="64">
+					</div>
+					<div class="form-group">
+						<label>Type</label>
+						<select class="device-type">
+							<option value="">Automatic (${device.guessedType})</option>
+							${types.map((type) => `<option value="${type}" ${device.known && device.type === type && type !== device.guessedType ? "selected" : ""}>${type}</option>`).join("")}
+						</select>
+					</div>
+					<div class="form-group">
+						<label>Owner</label>
+						<input type="text" class="device-owner" value="${escape(device.owner || "")}" placeholder="e.g., Alex" maxlength="64">
+					</div>
+				</div>
+				<div class="form-row">
+					<label class="device-flag">
+						<input type="checkbox" class="device-alert-offline" ${device.alertOffline ? "checked" : ""}> Alert when offline
+					</label>
+					<label class="device-flag">
+						<input type="checkbox" class="device-blocked" ${device.blocked ? "checked" : ""}> Blocked
+					</label>
+					<div class="network-device-actions">
+						${device.known && !device.configured ? `
+							<button class="btn btn-sm btn-danger forget-device-btn" data-mac="${device.mac}" title="Forget device">
+								<i class="fas fa-trash"></i>
+							</button>
+						` : ""}
+						<button class="btn btn-sm btn-primary save-device-btn" data-mac="${device.mac}">
+							<i class="fas fa-check"></i> Save
+						</button>
+					</div>
+				</div>
+			</div>
+		`).join("");
+	},
+
+	/**
+	 * Load network devices
+	 */
+	loadNetworkDevices: function () {
+		this.sendSocketNotification("SETTINGS_GET_NETWORK_DEVICES", {});
+	},
+
+	/**
+	 * Update network devices display
+	 */
+	updateNetworkDevicesList: function () {
+		const list = document.getElementById("network-devices-list");
+		if (!list) return;
+
+		list.innerHTML = this.renderNetworkDevices();
+
+		// Reattach listeners
+		this.attachPanelListeners();
+	},
+
+	/**
+	 * Escape text for use in HTML
+	 * @param {string} text - Text, e.g. a hostname reported by a device
+	 * @returns {string} Escaped text
+	 */
+	escapeHtml: function (text) {
+		return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+	},
+
 	/**
 	 * Create about section
 	 */
@@ -1168,10 +1516,8 @@ Module.register("settings", {
 		const section = document.createElement("div");
 		section.className = "about-section";
 
-		const apiToken = this.systemInfo.apiToken || "Loading...";
 		const apiHost = this.systemInfo.apiHost || "localhost:8080";
 		const apiPrefix = this.systemInfo.apiPrefix || "/api/v1";
-		const tokenMasked = apiToken !== "Loading..." ? apiToken.substring(0, 8) + "..." + apiToken.substring(apiToken.length - 4) : apiToken;
 
 		section.innerHTML = `
 			<div class="about-header">
@@ -1181,7 +1527,7 @@ Module.register("settings", {
 			
 			<div class="companion-app-section">
 				<h4><i class="fas fa-mobile-screen-button"></i> Companion App Setup</h4>
-				<p class="companion-desc">Use these credentials to connect the iOS or Android companion app.</p>
+				<p class="companion-desc">Use these credentials to connect the iOS or Android companion app. The setup token is only shown in the log when the mirror first starts; create a token under API Tokens and scan its QR code to connect another device.</p>
 				
 				<div class="api-credentials">
 					<div class="credential-row">
@@ -1194,19 +1540,6 @@ Module.register("settings", {
 						</div>
 					</div>
 					
-					<div class="credential-row">
-						<label>API Token:</label>
-						<div class="credential-value">
-							<code id="api-token-display">${tokenMasked}</code>
-							<button class="toggle-token-btn" id="toggle-token" title="Show/hide full token">
-								<i class="fas fa-eye"></i>
-							</button>
-							<button class="copy-btn" id="copy-token" data-copy="${apiToken}" title="Copy to clipboard">
-								<i class="fas fa-copy"></i>
-							</button>
-						</div>
-					</div>
-					
 					<div class="credential-row">
 						<label>API Endpoint:</label>
 						<div class="credential-value">
@@ -1217,11 +1550,6 @@ Module.register("settings", {
 						</div>
 					</div>
 				</div>
-				
-				<div class="qr-section" id="qr-container">
-					<p class="qr-label">Scan to connect:</p>
-					<div class="qr-code" id="qr-code"></div>
-				</div>
 			</div>
 			
 			<div class="about-links">
@@ -1256,11 +1584,6 @@ Module.register("settings", {
 		// Add voice hints
 		section.appendChild(this.createVoiceHints("about"));
 
-		// Generate QR code after DOM is ready
-		if (apiToken !== "Loading...") {
-			setTimeout(() => this.generateQRCode(apiHost, apiToken, apiPrefix), 100);
-		}
-
 		return section;
 	},
 
@@ -1280,24 +1603,12 @@ Module.register("settings", {
 
 		// Update API credentials
 		const apiHost = this.systemInfo.apiHost || "localhost:8080";
-		const apiToken = this.systemInfo.apiToken;
 		const apiPrefix = this.systemInfo.apiPrefix || "/api/v1";
+		const hostEl = document.getElementById("api-host");
+		const endpointEl = document.getElementById("api-endpoint");
 
-		if (apiToken) {
-			const tokenMasked = apiToken.substring(0, 8) + "..." + apiToken.substring(apiToken.length - 4);
-			const tokenDisplay = document.getElementById("api-token-display");
-			const copyBtn = document.getElementById("copy-token");
-			const hostEl = document.getElementById("api-host");
-			const endpointEl = document.getElementById("api-endpoint");
-
-			if (tokenDisplay) tokenDisplay.textContent = tokenMasked;
-			if (copyBtn) copyBtn.dataset.copy = apiToken;
-			if (hostEl) hostEl.textContent = apiHost;
-			if (endpointEl) endpointEl.textContent = `http://${apiHost}${apiPrefix}`;
-
-			// Generate QR code
-			this.generateQRCode(apiHost, apiToken, apiPrefix);
-		}
+		if (hostEl) hostEl.textContent = apiHost;
+		if (endpointEl) endpointEl.textContent = `http://${apiHost}${apiPrefix}`;
 	},
 
 	/**
@@ -1452,28 +1763,6 @@ Module.register("settings", {
 			});
 		});
 
-		// Toggle token visibility
-		const toggleTokenBtn = document.getElementById("toggle-token");
-		if (toggleTokenBtn) {
-			toggleTokenBtn.addEventListener("click", () => {
-				const tokenDisplay = document.getElementById("api-token-display");
-				const apiToken = this.systemInfo.apiToken;
-				if (tokenDisplay && apiToken) {
-					const isHidden = tokenDisplay.dataset.hidden !== "false";
-					if (isHidden) {
-						tokenDisplay.textContent = apiToken;
-						tokenDisplay.dataset.hidden = "false";
-						toggleTokenBtn.innerHTML = '<i class="fas fa-eye-slash"></i>';
-					} else {
-						const tokenMasked = apiToken.substring(0, 8) + "..." + apiToken.substring(apiToken.length - 4);
-						tokenDisplay.textContent = tokenMasked;
-						tokenDisplay.dataset.hidden = "true";
-						toggleTokenBtn.innerHTML = '<i class="fas fa-eye"></i>';
-					}
-				}
-			});
-		}
-
 		// Package tracking listeners
 		const addPackageBtn = document.getElementById("add-package-btn");
 		if (addPackageBtn) {
@@ -1586,6 +1875,61 @@ Module.register("settings", {
 				this.sendSocketNotification("SETTINGS_REMOVE_NEWS_SOURCE", { index });
 			});
 		});
+
+		// Create API token
+		const createTokenBtn = document.getElementById("create-token-btn");
+		if (createTokenBtn && !createTokenBtn.dataset.listenerAttached) {
+			createTokenBtn.dataset.listenerAttached = "true";
+			createTokenBtn.addEventListener("click", () => {
+				const name = document.getElementById("token-name")?.value?.trim();
+				const expiresInDays = document.getElementById("token-expiry")?.value;
+				const scopes = Array.from(document.querySelectorAll(".token-scope input:checked"))
+					.map((input) => input.dataset.scope);
+
+				if (!name) {
+					this.showNotification("Enter a token name", "error");
+					return;
+				}
+
+				this.sendSocketNotification("SETTINGS_CREATE_API_TOKEN", {
+					name,
+					scopes,
+					expiresInDays: expiresInDays ? parseInt(expiresInDays, 10) : null
+				});
+			});
+		}
+
+		// Revoke API token
+		document.querySelectorAll(".revoke-token-btn").forEach((btn) => {
+			btn.addEventListener("click", (e) => {
+				const id = e.currentTarget.dataset.token;
+				this.sendSocketNotification("SETTINGS_REVOKE_API_TOKEN", { id });
+			});
+		});
+
+		// Save network device
+		document.querySelectorAll(".save-device-btn").forEach((btn) => {
+			btn.addEventListener("click", (e) => {
+				const card = e.currentTarget.closest(".network-device-card");
+				this.sendSocketNotification("SETTINGS_SAVE_NETWORK_DEVICE", {
+					mac: e.currentTarget.dataset.mac,
+					changes: {
+						name: card.querySelector(".device-name").value.trim() || null,
+						type: card.querySelector(".device-type").value || null,
+						owner: card.querySelector(".device-owner").value.trim() || null,
+						alertOffline: card.querySelector(".device-alert-offline").checked,
+						blocked: card.querySelector(".device-blocked").checked
+					}
+				});
+			});
+		});
+
+		// Forget network device
+		document.querySelectorAll(".forget-device-btn").forEach((btn) => {
+			btn.addEventListener("click", (e) => {
+				this.sendSocketNotification("SETTINGS_FORGET_NETWORK_DEVICE", { mac: e.currentTarget.dataset.mac });
+			});
+		});
 	},
 
 	/**
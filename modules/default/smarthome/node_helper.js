@@ -90,6 +90,9 @@ module.exports = NodeHelper.create({
 			case "SMARTHOME_ACTIVATE_SCENE":
 				this.activateScene(payload);
 				break;
+			case "SMARTHOME_CALL_SERVICE":
+				this.callService(payload);
+				break;
 		}
 	},
 
@@ -846,6 +849,26 @@ module.exports = NodeHelper.create({
 		}
 	},
 
+	/**
+	 * Call a provider service, e.g. from an automation rule
+	 * @param {object} payload - { provider, domain, service, data }
+	 */
+	callService: async function (payload) {
+		try {
+			if (payload.provider !== "homeassistant") {
+				throw new Error(`service calls are not supported by ${payload.provider}`);
+			}
+
+			await this.callHomeAssistantService(payload.domain, payload.service, payload.data || {});
+			Log.info(`[${this.name}] Called service: ${payload.domain}.${payload.service}`);
+		} catch (error) {
+			Log.error(`[${this.name}] Failed to call service:`, error.message);
+			this.sendSocketNotification("SMARTHOME_ERROR", {
+				error: `Failed to call ${payload.domain}.${payload.service}: ${error.message}`
+			});
+		}
+	},
+
 	/**
 	 * Cleanup on stop
 	 */
@@ -407,6 +407,71 @@ Module.register("smarthome", {
 		});
 	},
 
+	/**
+	 * Tools for the AI assistant. Only lights, switches and fans can be
+	 * controlled, locks, garage doors and alarms stay manual.
+	 * @returns {object[]} Tool definitions
+	 */
+	getAiTools: function () {
+		const controllable = ["light", "switch", "fan"];
+
+		const tools = [{
+			name: "list_smarthome_devices",
+			description: "List the smart home devices with their room and state",
+			handler: () => ({
+				devices: this.devices.map((device) => ({
+					id: device.id,
+					name: device.name,
+					type: device.type,
+					room: device.room,
+					on: device.state.on,
+					value: device.state.value,
+					unit: device.state.unit || undefined,
+					available: device.available
+				}))
+			})
+		}];
+
+		if (this.config.mode === "display" || !this.config.showControls) {
+			return tools;
+		}
+
+		tools.push({
+			name: "control_smarthome_device",
+			description: `Turn a smart home device on or off, or dim a light. Works for these device types: ${controllable.join(", ")}`,
+			parameters: {
+				type: "object",
+				properties: {
+					device: { type: "string", description: "Device id or name from list_smarthome_devices" },
+					action: { type: "string", enum: ["turn_on", "turn_off", "toggle"] },
+					brightness: { type: "integer", minimum: 0, maximum: 100, description: "Brightness in percent, lights only" }
+				},
+				required: ["device", "action"]
+			},
+			handler: ({ device: query, action, brightness }) => {
+				const needle = query.toLowerCase();
+				const device = this.devices.find((d) => d.id === query)
+					|| this.devices.find((d) => d.name.toLowerCase() === needle);
+				if (!device) {
+					throw new Error(`Device ${query} not found`);
+				}
+				if (!controllable.includes(device.type)) {
+					throw new Error(`${device.name} is a ${device.type} and cannot be controlled by the assistant`);
+				}
+
+				if (brightness !== undefined && device.type === "light" && action !== "turn_off") {
+					this.setBrightness(device.id, Math.round(Math.max(0, Math.min(100, brightness)) * 2.55));
+				} else if (action === "toggle" || (action === "turn_on") !== device.state.on) {
+					this.toggleDevice(device.id);
+				}
+
+				return { success: true, device: device.name };
+			}
+		});
+
+		return tools;
+	},
+
 	/**
 	 * Get DOM content
 	 * @returns {HTMLElement} Module DOM element
@@ -768,6 +833,15 @@ Module.register("smarthome", {
 			case "SMARTHOME_ACTIVATE_SCENE":
 				this.activateScene(payload.sceneId);
 				break;
+			case "SMARTHOME_CALL_SERVICE":
+				this.sendSocketNotification("SMARTHOME_CALL_SERVICE", {
+					provider: this.config.provider,
+					config: this.getProviderConfig(),
+					domain: payload.domain,
+					service: payload.service,
+					data: payload.data
+				});
+				break;
 			case "SMARTHOME_REFRESH":
 				this.sendSocketNotification("SMARTHOME_GET_DEVICES", {
 					provider: this.config.provider,
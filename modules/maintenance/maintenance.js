@@ -154,11 +154,6 @@ Module.register("maintenance", {
 	 * Clear expired caches
 	 */
 	clearExpiredCaches: function () {
-		// Clear old notification history
-		if (window.notificationHistory && window.notificationHistory.length > 100) {
-			window.notificationHistory = window.notificationHistory.slice(-50);
-		}
-
 		// Clear old module data caches
 		this.sendNotification("MAINTENANCE_CLEAR_CACHES");
 	},
@@ -0,0 +1,102 @@
+/**
+ * OpenEye Events Node Helper
+ *
+ * Copyright (c) 2025 Mikel Smart
+ * Licensed under the MIT License
+ *
+ * Counts surveillance events for the dashboard:
+ * - From the local event history of the security module, when it runs
+ *   (shared as app.get("securityEvents"), see security/eventlog.js)
+ * - Otherwise from the OpenEye statistics API, requested here so the
+ *   browser never needs OpenEye or its token
+ */
+
+const NodeHelper = require("node_helper");
+const Log = require("logger");
+
+module.exports = NodeHelper.create({
+	/**
+	 * Node helper start
+	 */
+	start: function () {
+		Log.log(`[${this.name}] Node helper started`);
+	},
+
+	/**
+	 * Handle socket notifications from frontend
+	 * @param {string} notification - Notification name
+	 * @param {object} payload - Notification payload
+	 */
+	socketNotificationReceived: function (notification, payload) {
+		if (notification === "OPENEYE_GET_EVENTS") {
+			this.getEventData(payload);
+		}
+	},
+
+	/**
+	 * Send the event counts of the last hours to one module instance
+	 * @param {object} payload - { identifier, hoursBack, openeyeHost, ecosystemToken }
+	 */
+	getEventData: async function (payload) {
+		try {
+			const eventLog = this.expressApp.get("securityEvents");
+			const data = eventLog
+				? this.summarizeLog(eventLog, payload.hoursBack)
+				: await this.fetchStatistics(payload);
+
+			this.sendSocketNotification("OPENEYE_EVENTS", { identifier: payload.identifier, data });
+		} catch (error) {
+			Log.error(`[${this.name}] Error fetching event data: ${error.message}`);
+			this.sendSocketNotification("OPENEYE_EVENTS_ERROR", { identifier: payload.identifier, message: error.message });
+		}
+	},
+
+	/**
+	 * Count the events of the local history, in the format of the OpenEye statistics API
+	 * @param {object} eventLog - SecurityEventLog of the security module
+	 * @param {number} hoursBack - Time range in hours
+	 * @returns {object} { motion_events, face_events, recordings, cameras, source }
+	 */
+	summarizeLog: function (eventLog, hoursBack) {
+		const summary = eventLog.summarize(Date.now() - hoursBack * 60 * 60 * 1000);
+
+		return {
+			motion_events: summary.total.motion,
+			face_events: summary.total.faces,
+			recordings: summary.total.recordings,
+			cameras: summary.cameras.map((camera) => ({
+				camera_id: camera.camera_id,
+				motion_events: camera.motion,
+				face_events: camera.faces,
+				recordings: camera.recordings
+			})),
+			source: "local"
+		};
+	},
+
+	/**
+	 * Ask OpenEye for its statistics
+	 * @param {object} payload - { hoursBack, openeyeHost, ecosystemToken }
+	 * @returns {Promise<object>} Statistics as returned by OpenEye
+	 */
+	fetchStatistics: async function (payload) {
+		const headers = {
+			"Content-Type": "application/json"
+		};
+
+		if (payload.ecosystemToken) {
+			headers.Authorization = `Bearer ${payload.ecosystemToken}`;
+		}
+
+		const response = await fetch(
+			`${payload.openeyeHost}/api/ecosystem/statistics?hours=${payload.hoursBack}`,
+			{ headers, signal: AbortSignal.timeout(15000) }
+		);
+
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+		}
+
+		return { ...(await response.json()), source: "openeye" };
+	}
+});
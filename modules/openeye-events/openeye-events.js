@@ -10,6 +10,9 @@
  * - Recording counts per camera
  * - Last 24 hours summary
  *
+ * Counts come from the node helper: the local event history of the
+ * security module when it runs, the OpenEye statistics API otherwise.
+ *
  * Follows Apple HIG principles adapted for mirror display:
  * - Clear visual hierarchy
  * - Minimal cognitive load
@@ -90,54 +93,63 @@ Module.register("openeye-events", {
 	},
 
 	/**
-	 * Fetch event data from OpenEye
+	 * Request event data from the node helper
 	 */
-	fetchEventData: async function () {
-		try {
-			const headers = {
-				"Content-Type": "application/json"
-			};
-
-			if (this.config.ecosystemToken) {
-				headers["Authorization"] = `Bearer ${this.config.ecosystemToken}`;
-			}
+	fetchEventData: function () {
+		this.sendSocketNotification("OPENEYE_GET_EVENTS", {
+			identifier: this.identifier,
+			hoursBack: this.config.hoursBack,
+			openeyeHost: this.config.openeyeHost,
+			ecosystemToken: this.config.ecosystemToken
+		});
+	},
 
-			// Fetch ecosystem statistics
-			const response = await fetch(
-				`${this.config.openeyeHost}/api/ecosystem/statistics?hours=${this.config.hoursBack}`,
-				{ headers }
-			);
+	/**
+	 * Handle socket notifications from node_helper
+	 * @param {string} notification - Notification name
+	 * @param {*} payload - Notification payload
+	 */
+	socketNotificationReceived: function (notification, payload) {
+		if (payload.identifier !== this.identifier) {
+			return;
+		}
 
-			if (!response.ok) {
-				throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-			}
+		switch (notification) {
+			case "OPENEYE_EVENTS":
+				this.updateEventData(payload.data);
+				break;
 
-			const data = await response.json();
-
-			// Store previous data for animations
-			this.previousData = JSON.parse(JSON.stringify(this.eventData));
-
-			// Update event data
-			this.eventData = {
-				total: {
-					motion: data.motion_events || 0,
-					faces: data.face_events || 0,
-					recordings: data.recordings || 0
-				},
-				cameras: data.cameras || [],
-				lastUpdate: new Date(),
-				error: null
-			};
-
-			this.updateDom(300);
-
-		} catch (error) {
-			Log.error(`[${this.name}] Error fetching event data: ${error.message}`);
-			this.eventData.error = error.message;
-			this.updateDom(300);
+			case "OPENEYE_EVENTS_ERROR":
+				Log.error(`[${this.name}] Error fetching event data: ${payload.message}`);
+				this.eventData.error = payload.message;
+				this.updateDom(300);
+				break;
 		}
 	},
 
+	/**
+	 * Show new event counts
+	 * @param {object} data - Counts in the format of the OpenEye statistics API
+	 */
+	updateEventData: function (data) {
+		// Store previous data for animations
+		this.previousData = JSON.parse(JSON.stringify(this.eventData));
+
+		// Update event data
+		this.eventData = {
+			total: {
+				motion: data.motion_events || 0,
+				faces: data.face_events || 0,
+				recordings: data.recordings || 0
+			},
+			cameras: data.cameras || [],
+			lastUpdate: new Date(),
+			error: null
+		};
+
+		this.updateDom(300);
+	},
+
 	/**
 	 * Get DOM content
 	 * @returns {HTMLElement} Module DOM element
@@ -0,0 +1,72 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { ApiTokenStore } = require("../../../js/api-tokens");
+
+describe("ApiTokenStore", () => {
+	let directory;
+	let file;
+	let store;
+
+	beforeEach(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), "mm-tokens-"));
+		file = path.join(directory, ".api_tokens.json");
+		store = new ApiTokenStore({ file });
+	});
+
+	afterEach(() => {
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	it("should only store the hash of a new token", () => {
+		const created = store.create({ name: "Phone", scopes: ["display"] });
+
+		const stored = fs.readFileSync(file, "utf8");
+		expect(stored).not.toContain(created.token);
+		expect(store.verify(created.token)).toMatchObject({ id: created.id, name: "Phone", scopes: ["display"] });
+	});
+
+	it("should check scopes with read implied and admin granting everything", () => {
+		const display = store.verify(store.create({ name: "Kiosk", scopes: ["display"] }).token);
+		const admin = store.verify(store.create({ name: "Owner", scopes: ["admin"] }).token);
+
+		expect(store.hasScope(display, "read")).toBe(true);
+		expect(store.hasScope(display, "display")).toBe(true);
+		expect(store.hasScope(display, "system")).toBe(false);
+		expect(store.hasScope(admin, "system")).toBe(true);
+	});
+
+	it("should stop accepting a revoked token, also in other store instances", () => {
+		const created = store.create({ name: "Script", scopes: ["modules"] });
+		const other = new ApiTokenStore({ file });
+
+		expect(other.verify(created.token)).not.toBeNull();
+		expect(store.revoke(created.id)).toBe(true);
+		fs.utimesSync(file, new Date(), new Date(Date.now() + 1000));
+
+		expect(other.verify(created.token)).toBeNull();
+	});
+
+	it("should flag expired tokens", () => {
+		const created = store.create({ name: "Guest", scopes: ["read"], expiresAt: new Date(Date.now() + 60000).toISOString() });
+		const tokens = JSON.parse(fs.readFileSync(file, "utf8"));
+		tokens.tokens[0].expiresAt = new Date(Date.now() - 1000).toISOString();
+		fs.writeFileSync(file, JSON.stringify(tokens));
+		fs.utimesSync(file, new Date(), new Date(Date.now() + 1000));
+
+		expect(store.verify(created.token).expired).toBe(true);
+	});
+
+	it("should reject unknown scopes", () => {
+		expect(() => store.create({ name: "Bad", scopes: ["root"] })).toThrow("Unknown scope(s): root");
+	});
+
+	it("should accept the config.js token as admin and not mint a primary token then", () => {
+		const withConfigToken = new ApiTokenStore({ file, configToken: "secret" });
+
+		expect(withConfigToken.verify("secret")).toMatchObject({ id: "config", scopes: ["admin"] });
+		expect(withConfigToken.ensurePrimaryToken()).toBeNull();
+		expect(store.ensurePrimaryToken()).toEqual(expect.any(String));
+		expect(store.ensurePrimaryToken()).toBeNull();
+	});
+});
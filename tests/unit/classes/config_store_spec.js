@@ -0,0 +1,114 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { ConfigStore } = require("../../../js/config-store");
+const { applyConfigOverlay } = require("../../../js/config-overlay");
+
+describe("ConfigStore", () => {
+	let directory;
+	let config;
+	let store;
+
+	beforeEach(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), "mm-config-"));
+		config = {
+			modules: [
+				{ module: "clock", position: "top_left", config: { timeFormat: 24 } },
+				{ module: "calendar", position: "top_right", config: { maximumEntries: 10 } }
+			]
+		};
+		store = new ConfigStore({ enabled: true, directory, maxRevisions: 2 });
+		store.attach(config);
+	});
+
+	afterEach(() => {
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	it("should save changes as a revision and merge them into the config", async () => {
+		const revision = await store.saveModuleConfig("calendar", { maximumEntries: 5 }, { source: "api" });
+
+		expect(revision.id).toBe(1);
+		expect(revision.current).toBe(true);
+		expect(config.modules[1].config).toEqual({ maximumEntries: 5 });
+		expect(JSON.parse(fs.readFileSync(path.join(directory, "config.overlay.json"), "utf8")).revision).toBe(1);
+	});
+
+	it("should apply the overlay when attached again after a restart", async () => {
+		await store.saveModuleConfig("clock", { timeFormat: 12 });
+
+		const restarted = { modules: [{ module: "clock", config: { timeFormat: 24, showWeek: true } }] };
+		new ConfigStore({ enabled: true, directory }).attach(restarted);
+
+		expect(restarted.modules[0].config).toEqual({ timeFormat: 12, showWeek: true });
+	});
+
+	it("should restore an earlier revision as a new revision", async () => {
+		await store.saveModuleConfig("clock", { timeFormat: 12 });
+		await store.saveModuleConfig("clock", { showWeek: true });
+
+		const revision = await store.restoreRevision(1);
+
+		expect(revision.id).toBe(3);
+		expect(revision.restoredFrom).toBe(1);
+		expect(config.modules[0].config).toEqual({ timeFormat: 12 });
+	});
+
+	it("should keep both changes when saved at the same time", async () => {
+		const revisions = await Promise.all([
+			store.saveModuleConfig("clock", { timeFormat: 12 }),
+			store.saveModuleConfig("calendar", { maximumEntries: 5 })
+		]);
+
+		expect(revisions.map((revision) => revision.id)).toEqual([1, 2]);
+		expect(config.modules[0].config).toEqual({ timeFormat: 12 });
+		expect(config.modules[1].config).toEqual({ maximumEntries: 5 });
+		expect(Object.keys(store.overlay.modules)).toHaveLength(2);
+	});
+
+	it("should not save a revision when nothing changes", async () => {
+		await expect(store.saveModuleConfig("clock", { timeFormat: 24 })).resolves.toEqual({ id: 0, current: true, unchanged: true });
+
+		await store.saveModuleConfig("clock", { timeFormat: 12, showWeek: true });
+		const revision = await store.saveModuleConfig("clock", { showWeek: true });
+
+		expect(revision).toMatchObject({ id: 1, current: true, unchanged: true });
+		expect((await store.listRevisions()).map(({ id }) => id)).toEqual([1]);
+	});
+
+	it("should keep only maxRevisions revisions", async () => {
+		await store.saveModuleConfig("clock", { timeFormat: 12 });
+		await store.saveModuleConfig("clock", { timeFormat: 24 });
+		await store.saveModuleConfig("clock", { timeFormat: 12 });
+
+		const revisions = await store.listRevisions();
+
+		expect(revisions.map((revision) => revision.id)).toEqual([3, 2]);
+	});
+
+	it("should reject a restore of an unknown revision", async () => {
+		await expect(store.restoreRevision(42)).rejects.toMatchObject({ code: "NOT_FOUND" });
+	});
+
+	it("should not load the overlay when persistence is disabled", async () => {
+		await store.saveModuleConfig("clock", { timeFormat: 12 });
+
+		const restarted = { modules: [{ module: "clock", config: { timeFormat: 24 } }] };
+		new ConfigStore({ directory }).attach(restarted);
+
+		expect(restarted.modules[0].config).toEqual({ timeFormat: 24 });
+	});
+});
+
+describe("applyConfigOverlay", () => {
+	it("should fall back to the first instance when the index moved", () => {
+		const config = { modules: [{ module: "alert" }, { module: "clock", config: { timeFormat: 24 } }] };
+
+		applyConfigOverlay(config, {
+			modules: { module_0_clock: { module: "clock", index: 0, config: { timeFormat: 12 } } }
+		});
+
+		expect(config.modules[1].config).toEqual({ timeFormat: 12 });
+		expect(config.modules[0].config).toBeUndefined();
+	});
+});
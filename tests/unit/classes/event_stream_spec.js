@@ -0,0 +1,62 @@
+const { EventEmitter } = require("node:events");
+const { EventStream, matchesTopics, parseTopics } = require("../../../js/event-stream");
+
+describe("EventStream", () => {
+	let io;
+	let stream;
+
+	beforeEach(() => {
+		io = new EventEmitter();
+		io.of = () => {
+			const namespace = new EventEmitter();
+			namespace.use = jest.fn();
+			return namespace;
+		};
+		stream = new EventStream(io);
+	});
+
+	it("should match topics by prefix", () => {
+		expect(matchesTopics("module.shown", ["module"])).toBe(true);
+		expect(matchesTopics("module.shown", ["alert"])).toBe(false);
+		expect(matchesTopics("ecosystem.security.motion", ["ecosystem.security"])).toBe(true);
+		expect(matchesTopics("notification", ["*"])).toBe(true);
+		expect(parseTopics(" module, alert ")).toEqual(["module", "alert"]);
+		expect(parseTopics(undefined)).toEqual(["*"]);
+	});
+
+	it("should only deliver events matching a client's topics", () => {
+		const moduleEvents = [];
+		const allEvents = [];
+		stream.addClient({ topics: ["module"], send: (event) => moduleEvents.push(event.type) });
+		stream.addClient({ topics: ["*"], send: (event) => allEvents.push(event.type) });
+
+		stream.publish("module.hidden", { name: "clock" });
+		stream.publish("display.updated", { brightness: 50 });
+
+		expect(moduleEvents).toEqual(["module.hidden"]);
+		expect(allEvents).toEqual(["module.hidden", "display.updated"]);
+	});
+
+	it("should ask displays to forward notifications only while somebody listens", () => {
+		const states = [];
+		io.on("EVENT_STREAM_STATE", (state) => states.push(state.notifications));
+
+		const client = stream.addClient({ topics: ["module"], send: () => {} });
+		client.topics = ["notification"];
+		stream.updateForwarding();
+		stream.removeClient(client);
+
+		expect(states).toEqual([true, false]);
+	});
+
+	it("should publish alerts forwarded by a display", () => {
+		const socket = new EventEmitter();
+		const received = [];
+		io.emit("connection", socket);
+		stream.addClient({ topics: ["alert", "notification"], send: (event) => received.push(event.type) });
+
+		socket.emit("MM_NOTIFICATION", { notification: "SHOW_ALERT", payload: { message: "Hi" }, sender: "remote" });
+
+		expect(received).toEqual(["notification", "alert.shown"]);
+	});
+});
@@ -0,0 +1,80 @@
+const { EventEmitter } = require("node:events");
+const { ModuleStateRegistry } = require("../../../js/module-state");
+
+describe("ModuleStateRegistry", () => {
+	let io;
+	let socket;
+	let registry;
+
+	beforeEach(() => {
+		io = new EventEmitter();
+		socket = new EventEmitter();
+		socket.id = "display-1";
+		registry = new ModuleStateRegistry(io, { ackTimeout: 50 });
+		io.emit("connection", socket);
+	});
+
+	it("should store reported module states", () => {
+		socket.emit("MODULE_STATES", {
+			modules: [
+				{ identifier: "module_0_clock", name: "clock", position: "top_left", hidden: false, config: { timeFormat: 24 } },
+				{ identifier: "module_1_clock", name: "clock", position: "top_right", hidden: true }
+			]
+		});
+
+		expect(registry.hasDisplays()).toBe(true);
+		expect(registry.get("module_0_clock").config).toEqual({ timeFormat: 24 });
+		expect(registry.getByName("clock")).toHaveLength(2);
+		expect(registry.get("module_1_clock").hidden).toBe(true);
+	});
+
+	it("should ignore states without identifier", () => {
+		socket.emit("MODULE_STATE", { name: "clock" });
+
+		expect(registry.getAll()).toHaveLength(0);
+	});
+
+	it("should drop the states of a display when it disconnects", () => {
+		const other = new EventEmitter();
+		other.id = "display-2";
+		io.emit("connection", other);
+		socket.emit("MODULE_STATES", { modules: [{ identifier: "module_0_clock", name: "clock" }, { identifier: "module_1_weather", name: "weather" }] });
+		other.emit("MODULE_STATE", { identifier: "module_0_clock", name: "clock" });
+
+		socket.emit("disconnect");
+		expect(registry.getAll().map((state) => state.identifier)).toEqual(["module_0_clock"]);
+		expect(registry.hasDisplays()).toBe(true);
+
+		other.emit("disconnect");
+		expect(registry.getAll()).toEqual([]);
+		expect(registry.hasDisplays()).toBe(false);
+	});
+
+	it("should reject actions when no display is connected", async () => {
+		socket.emit("disconnect");
+
+		await expect(registry.dispatch("SHOW_MODULE", { module: "clock" })).rejects.toMatchObject({ code: "NO_DISPLAY" });
+	});
+
+	it("should resolve actions with the acknowledged state", async () => {
+		socket.emit("MODULE_STATES", { modules: [{ identifier: "module_0_clock", name: "clock", hidden: true }] });
+		io.on("REMOTE_ACTION", (data) => {
+			socket.emit("REMOTE_ACTION_ACK", {
+				requestId: data.requestId,
+				success: true,
+				modules: [{ identifier: "module_0_clock", name: "clock", hidden: false }]
+			});
+		});
+
+		const ack = await registry.dispatch("SHOW_MODULE", { module: "clock" });
+
+		expect(ack.success).toBe(true);
+		expect(registry.get("module_0_clock").hidden).toBe(false);
+	});
+
+	it("should time out when the display does not acknowledge", async () => {
+		socket.emit("MODULE_STATES", { modules: [{ identifier: "module_0_clock", name: "clock" }] });
+
+		await expect(registry.dispatch("HIDE_MODULE", { module: "clock" })).rejects.toMatchObject({ code: "ACK_TIMEOUT" });
+	});
+});
@@ -0,0 +1,114 @@
+const { EventEmitter } = require("node:events");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const Log = require("logger");
+const { NotificationCenter } = require("../../../js/notification-center");
+
+describe("NotificationCenter", () => {
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "notifications-"));
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+		jest.restoreAllMocks();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("should apply quiet hours across midnight and let the bypass priority through", () => {
+		const center = new NotificationCenter({ quietHours: { start: "22:00", end: "07:00" }, bypassPriority: "high" });
+
+		expect(center.isQuiet(new Date(2025, 0, 1, 23, 30))).toBe(true);
+		expect(center.isQuiet(new Date(2025, 0, 2, 6, 59))).toBe(true);
+		expect(center.isQuiet(new Date(2025, 0, 2, 7, 0))).toBe(false);
+		expect(center.isQuiet(new Date(2025, 0, 2, 12, 0))).toBe(false);
+
+		jest.useFakeTimers({ now: new Date(2025, 0, 1, 23, 0) });
+		expect(center.isSuppressed("normal")).toBe(true);
+		expect(center.isSuppressed("high")).toBe(false);
+		expect(center.policy()).toMatchObject({ quiet: true, doNotDisturb: false, quietHours: { start: "22:00", end: "07:00" } });
+		expect(new NotificationCenter({ quietHours: { start: "25:00", end: "07:00" } }).quietHours).toBeNull();
+	});
+
+	it("should turn do not disturb off after its duration", () => {
+		jest.useFakeTimers({ now: new Date(2025, 0, 1, 12, 0) });
+		const io = { emit: jest.fn() };
+		const center = new NotificationCenter({}, { io });
+
+		expect(center.setDoNotDisturb(true, 30 * 60 * 1000)).toMatchObject({ quiet: true, doNotDisturb: true, until: expect.any(String) });
+		expect(center.isSuppressed("high")).toBe(true);
+		expect(center.isSuppressed("critical")).toBe(false);
+		expect(() => center.setDoNotDisturb(true, 1000)).toThrow("duration must be");
+
+		jest.advanceTimersByTime(30 * 60 * 1000);
+		expect(center.policy()).toMatchObject({ quiet: false, doNotDisturb: false, until: null });
+		expect(io.emit).toHaveBeenLastCalledWith("NOTIFICATION_POLICY", expect.objectContaining({ quiet: false }));
+		center.stop();
+	});
+
+	it("should record notifications once for all displays and filter the history", () => {
+		const center = new NotificationCenter({ historySize: 3 });
+		const alert = { source: "network-security", priority: "critical", type: "alert", title: "Critical Network Threat", message: "Port scan\nfrom 10.0.0.5" };
+
+		expect(center.record(alert)).toMatchObject({ id: 1, priority: "critical", message: "Port scan from 10.0.0.5", suppressed: false });
+		expect(center.record(alert)).toBeNull();
+		expect(center.record({ source: "api", priority: "urgent", title: "Hello" })).toMatchObject({ priority: "normal", type: "notification" });
+		expect(center.record({ source: "api", title: " " })).toBeNull();
+		center.record({ source: "security", priority: "low", title: "Security Digest", suppressed: true });
+		center.record({ source: "security", priority: "high", title: "Unknown Face Detected" });
+
+		expect(center.list().map((item) => item.title)).toEqual(["Unknown Face Detected", "Security Digest", "Hello"]);
+		expect(center.list({ priority: "high" }).map((item) => item.id)).toEqual([4]);
+		expect(center.list({ source: "security", limit: 1 }).map((item) => item.id)).toEqual([4]);
+
+		expect(center.clear(3)).toBe(1);
+		expect(center.clear(3)).toBe(0);
+		expect(center.clear()).toBe(2);
+		expect(center.list()).toEqual([]);
+	});
+
+	it("should only let the mirror itself change do not disturb and clear the history", () => {
+		jest.spyOn(Log, "warn").mockImplementation(() => {});
+		const io = new EventEmitter();
+		const center = new NotificationCenter({}, { io });
+		center.start();
+		const connect = (address) => {
+			const socket = new EventEmitter();
+			socket.handshake = { address };
+			io.emit("connection", socket);
+			return socket;
+		};
+		const remote = connect("192.168.1.20");
+		const local = connect("::1");
+		center.record({ source: "api", title: "Hello" });
+
+		remote.emit("NOTIFICATION_DND", { enabled: true });
+		remote.emit("NOTIFICATION_CLEAR");
+		expect(center.policy().doNotDisturb).toBe(false);
+		expect(center.list()).toHaveLength(1);
+		expect(Log.warn).toHaveBeenCalledWith("[Notifications] Refused NOTIFICATION_CLEAR from 192.168.1.20");
+
+		local.emit("NOTIFICATION_DND", { enabled: true });
+		local.emit("NOTIFICATION_CLEAR");
+		expect(center.policy().doNotDisturb).toBe(true);
+		expect(center.list()).toEqual([]);
+		center.stop();
+	});
+
+	it("should persist the history and do not disturb", async () => {
+		const file = path.join(dir, "notifications.json");
+		const center = new NotificationCenter({}, { file });
+		center.record({ source: "api", title: "Saved" });
+		center.setDoNotDisturb(true);
+		await center.stop();
+
+		const reloaded = new NotificationCenter({}, { file });
+		expect(reloaded.list()).toEqual([expect.objectContaining({ id: 1, title: "Saved" })]);
+		expect(reloaded.policy()).toMatchObject({ doNotDisturb: true, until: null });
+		expect(reloaded.record({ source: "api", title: "Next" }).id).toBe(2);
+		await reloaded.stop();
+	});
+});
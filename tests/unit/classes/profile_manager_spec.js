@@ -0,0 +1,95 @@
+const { EventEmitter } = require("node:events");
+const Utils = require("../../../js/utils");
+const { ProfileManager } = require("../../../js/profile-manager");
+
+describe("ProfileManager", () => {
+	let io;
+	let emitted;
+	let manager;
+
+	const layout = {
+		defaultProfile: "morning",
+		pinned: ["alert"],
+		profiles: [
+			{ name: "morning", schedule: "06:30", modules: { clock: "top_left", weather: true, calendar: false } },
+			{ name: "night", schedule: { at: "22:30", days: ["fri", "sat"] }, modules: ["clock"] },
+			{ name: "broken", modules: { clock: "sideways" } },
+			{ name: "guest", modules: ["clock", "compliments"] }
+		]
+	};
+
+	beforeEach(() => {
+		jest.spyOn(Utils, "getAvailableModulePositions").mockReturnValue(["top_left", "middle_center"]);
+		emitted = [];
+		io = new EventEmitter();
+		io.emit = jest.fn(function (event, data) {
+			if (event === "REMOTE_ACTION") {
+				emitted.push(data);
+			} else {
+				EventEmitter.prototype.emit.call(this, event, data);
+			}
+		});
+		manager = new ProfileManager(layout, { io });
+		manager.start();
+	});
+
+	afterEach(() => {
+		manager.stop();
+		jest.restoreAllMocks();
+	});
+
+	it("should skip invalid profiles and activate the default one", () => {
+		expect(manager.list().map((profile) => profile.name)).toEqual(["morning", "night", "guest"]);
+		expect(emitted).toEqual([{
+			action: "ACTIVATE_PROFILE",
+			profile: expect.objectContaining({ name: "morning", modules: { clock: "top_left", weather: null }, pinned: ["alert"] })
+		}]);
+	});
+
+	it("should keep the first of two profiles with the same name", () => {
+		manager.stop();
+		manager = new ProfileManager({
+			profiles: [
+				{ name: "morning", modules: ["clock"] },
+				{ name: "morning", modules: ["weather"] }
+			]
+		}, { io });
+		manager.start();
+
+		expect(manager.list().map((profile) => profile.modules)).toEqual([{ clock: null }]);
+		expect(manager.find("morning").modules).toEqual({ clock: null });
+	});
+
+	it("should report the next scheduled switch", () => {
+		const [morning, night, guest] = manager.list();
+
+		expect(morning).toMatchObject({ active: true, schedule: ["30 6 * * *"] });
+		expect(new Date(morning.nextRun).getHours()).toBe(6);
+		expect(night.schedule).toEqual(["30 22 * * 5,6"]);
+		expect(guest.nextRun).toBeNull();
+	});
+
+	it("should step through profiles in config order", () => {
+		manager.step(-1);
+		expect(manager.active).toBe("guest");
+		manager.step(1);
+		manager.step(1);
+		expect(manager.active).toBe("night");
+		expect(() => manager.activate("broken")).toThrow("Profile broken not found");
+	});
+
+	it("should switch on requests from displays and send the profile to new displays", () => {
+		const display = new EventEmitter();
+		display.emit = jest.fn(EventEmitter.prototype.emit);
+		io.emit("connection", display);
+
+		display.emit("PROFILE_REQUEST", { name: "night" });
+		display.emit("PROFILE_REQUEST", { name: "unknown" });
+
+		expect(manager.active).toBe("night");
+		expect(display.emit).toHaveBeenCalledWith("REMOTE_ACTION", expect.objectContaining({
+			profile: expect.objectContaining({ name: "morning" })
+		}));
+		expect(emitted.at(-1).profile.name).toBe("night");
+	});
+});
@@ -0,0 +1,188 @@
+const { EventEmitter } = require("node:events");
+const NodeHelper = require("../../../js/node_helper");
+const { RulesEngine, matchesPayload, timeToCron } = require("../../../js/rules-engine");
+
+describe("RulesEngine", () => {
+	let io;
+	let display;
+	let actions;
+	let engine;
+
+	/**
+	 * Start an engine with the given rules and one connected display
+	 * @param {object[]} rules automation rules
+	 * @returns {RulesEngine} the engine
+	 */
+	const start = (rules) => {
+		engine = new RulesEngine({ latitude: 52.52, longitude: 13.4, rules }, { io });
+		engine.start();
+		io.emit("connection", display);
+		return engine;
+	};
+
+	/**
+	 * Emit a node helper socket notification
+	 * @param {string} notification notification name
+	 * @param {object} payload notification payload
+	 */
+	const helperSends = (notification, payload) => {
+		NodeHelper.events.emit("socketNotification", { module: "test", notification, payload });
+	};
+
+	beforeEach(() => {
+		actions = [];
+		io = new EventEmitter();
+		display = new EventEmitter();
+		display.emit = jest.fn((event, data) => actions.push(data));
+		io.emit = jest.fn(function (event, data) {
+			if (event === "REMOTE_ACTION") {
+				actions.push(data);
+			} else {
+				EventEmitter.prototype.emit.call(this, event, data);
+			}
+		});
+	});
+
+	afterEach(() => {
+		engine?.stop();
+		engine = null;
+	});
+
+	it("should match partial payloads and translate times to cron", () => {
+		expect(matchesPayload({ type: "rain", temp: 4 }, { type: "rain" })).toBe(true);
+		expect(matchesPayload({ type: "snow" }, { type: /rain|snow/ })).toBe(true);
+		expect(matchesPayload({ type: "sun" }, { type: "rain" })).toBe(false);
+		expect(timeToCron("22:30")).toBe("30 22 * * *");
+		expect(timeToCron("07:05", ["mon", "fri"])).toBe("5 7 * * 1,5");
+		expect(() => timeToCron("24:00")).toThrow("invalid time");
+	});
+
+	it("should skip invalid rules and report the next run", () => {
+		start([
+			{ name: "night", trigger: { type: "time", at: "22:30" }, actions: [{ type: "hide", modules: ["clock"] }] },
+			{ name: "broken", trigger: { type: "teleport" }, actions: [{ type: "hide", module: "clock" }] },
+			{ name: "late", trigger: { type: "time", at: "25:00" }, actions: [{ type: "hide", module: "clock" }] },
+			{
+				name: "evening",
+				trigger: { type: "presence" },
+				conditions: [{ type: "time", after: "7pm" }],
+				actions: [{ type: "show", module: "clock" }]
+			}
+		]);
+
+		const [night, ...others] = engine.list();
+		expect(others).toEqual([]);
+		expect(night).toMatchObject({ name: "night", actions: ["hide"], lastFired: null });
+		expect(new Date(night.nextRun).getMinutes()).toBe(30);
+	});
+
+	it("should reject rules with a duplicate name", () => {
+		start([
+			{ name: "welcome", trigger: { type: "security", event: "face" }, actions: [{ type: "speak", text: "Hello" }] },
+			{ name: "welcome", trigger: { type: "presence", event: "arrived" }, actions: [{ type: "show", module: "clock" }] }
+		]);
+
+		helperSends("PRESENCE_ARRIVED", { person: "Alex" });
+
+		expect(engine.list().map((rule) => rule.actions)).toEqual([["speak"]]);
+		expect(actions).toEqual([]);
+	});
+
+	it("should fire on security events and fill placeholders", () => {
+		start([{
+			name: "welcome",
+			trigger: { type: "security", event: "face" },
+			actions: [{ type: "speak", text: "Welcome home, {person}" }]
+		}]);
+
+		helperSends("SECURITY_FACE_EVENT", { camera_id: "door", person_name: "Unknown" });
+		helperSends("SECURITY_FACE_EVENT", { camera_id: "door", person_name: "Alex" });
+
+		expect(actions).toEqual([{ action: "CUSTOM_COMMAND", command: "AI_SPEAK", payload: { text: "Welcome home, Alex" } }]);
+		expect(engine.list()[0].fireCount).toBe(1);
+	});
+
+	it("should only fire device triggers when the state changes", () => {
+		start([{
+			name: "porch",
+			trigger: { type: "device", device: "binary_sensor.door", state: "on" },
+			actions: [{ type: "smarthome", service: "light.turn_on", data: { entity_id: "light.porch" } }]
+		}]);
+
+		helperSends("SMARTHOME_DEVICES", { devices: [{ entity_id: "binary_sensor.door", state: "on" }] });
+		helperSends("SMARTHOME_DEVICE_UPDATE", { id: "binary_sensor.door", state: "on" });
+		helperSends("SMARTHOME_DEVICE_UPDATE", { id: "binary_sensor.door", state: "off" });
+		helperSends("SMARTHOME_DEVICE_UPDATE", { id: "binary_sensor.door", state: "on" });
+
+		expect(actions).toEqual([{
+			action: "CUSTOM_COMMAND",
+			command: "SMARTHOME_CALL_SERVICE",
+			payload: { domain: "light", service: "turn_on", data: { entity_id: "light.porch" } }
+		}]);
+	});
+
+	it("should check conditions unless fired manually", () => {
+		start([{
+			name: "dim",
+			trigger: { type: "presence", event: "departed" },
+			conditions: [{ type: "presence", home: false }],
+			actions: [{ type: "brightness", value: 150 }, { type: "hide", modules: ["clock", "calendar"] }]
+		}]);
+
+		helperSends("PRESENCE_ARRIVED", { person: "Alex" });
+		helperSends("PRESENCE_ARRIVED", { person: "Sam" });
+		helperSends("PRESENCE_DEPARTED", { person: "Alex" });
+		expect(actions).toEqual([]);
+		expect(engine.fire("dim", {}, { manual: true, checkConditions: true })).toMatchObject({ fired: false, reason: "presence condition not met" });
+
+		helperSends("PRESENCE_DEPARTED", { person: "Sam" });
+		expect(actions).toEqual([
+			{ action: "UPDATE_DISPLAY", settings: { brightness: 100 } },
+			{ action: "HIDE_MODULE", module: "clock" },
+			{ action: "HIDE_MODULE", module: "calendar" }
+		]);
+
+		expect(() => engine.fire("missing", {}, { manual: true })).toThrow("Rule missing not found");
+	});
+
+	it("should not fire when a condition cannot be evaluated", () => {
+		start([{
+			name: "greet",
+			trigger: { type: "presence" },
+			conditions: [{ type: "presence", person: "Sam" }],
+			actions: [{ type: "show", module: "clock" }]
+		}]);
+		jest.spyOn(engine, "checkCondition").mockImplementation(() => {
+			throw new Error("no state");
+		});
+
+		expect(() => helperSends("PRESENCE_ARRIVED", { person: "Sam" })).not.toThrow();
+		expect(actions).toEqual([]);
+		expect(engine.fire("greet", {}, { manual: true, checkConditions: true })).toMatchObject({ fired: false, reason: "conditions failed: no state" });
+	});
+
+	it("should seed presence conditions without firing", () => {
+		start([{
+			name: "greet",
+			trigger: { type: "presence" },
+			conditions: [{ type: "presence", person: "Sam" }],
+			actions: [{ type: "show", module: "clock" }]
+		}]);
+
+		helperSends("PRESENCE_STATE", { people: [{ person: "Sam", home: true }, { person: "Alex", home: false }] });
+		expect(actions).toEqual([]);
+
+		helperSends("PRESENCE_ARRIVED", { person: "Alex" });
+		expect(actions).toEqual([{ action: "SHOW_MODULE", module: "clock" }]);
+	});
+
+	it("should evaluate time windows across midnight", () => {
+		start([{ name: "any", trigger: { type: "presence" }, actions: [{ type: "show", module: "clock" }] }]);
+		const night = { type: "time", after: "22:00", before: "06:00" };
+
+		expect(engine.checkCondition(night, new Date(2026, 0, 1, 23, 15))).toBe(true);
+		expect(engine.checkCondition(night, new Date(2026, 0, 2, 5, 59))).toBe(true);
+		expect(engine.checkCondition(night, new Date(2026, 0, 2, 12, 0))).toBe(false);
+		expect(engine.checkCondition({ type: "weekday", days: ["thu"] }, new Date(2026, 0, 1))).toBe(true);
+	});
+});
@@ -0,0 +1,56 @@
+const Utils = require("../../../js/utils");
+const { ScreenshotService } = require("../../../js/screenshot");
+
+/**
+ * Minimal PNG header with the given size
+ * @param {number} width image width
+ * @param {number} height image height
+ * @returns {Buffer} PNG header
+ */
+const fakePng = (width, height) => {
+	const image = Buffer.alloc(24);
+	image.writeUInt32BE(width, 16);
+	image.writeUInt32BE(height, 20);
+	return image;
+};
+
+describe("ScreenshotService", () => {
+	let service;
+	let capturer;
+
+	beforeEach(() => {
+		jest.spyOn(Utils, "getAvailableModulePositions").mockReturnValue(["top_left", "bottom_bar"]);
+		service = new ScreenshotService();
+		capturer = jest.fn(async (selector) => (selector === ".module.missing" ? null : fakePng(1080, 1920)));
+		service.setCapturer(capturer);
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it("should keep the latest capture with its size", async () => {
+		await service.capture();
+
+		expect(capturer).toHaveBeenCalledWith(null);
+		expect(service.getLatest()).toMatchObject({ source: "electron", width: 1080, height: 1920, region: null });
+	});
+
+	it("should crop to regions and modules", async () => {
+		await service.capture({ region: "top_left" });
+		await service.capture({ module: "calendar" });
+		await service.capture({ module: "module_2_calendar" });
+
+		expect(capturer.mock.calls.map(([selector]) => selector)).toEqual([".region.top.left", ".module.calendar", "#module_2_calendar"]);
+	});
+
+	it("should reject unknown regions and unsafe module names", () => {
+		expect(() => service.capture({ region: "sideways" })).toThrow("Invalid region: sideways");
+		expect(() => service.capture({ module: "a b" })).toThrow("Invalid module name: a b");
+	});
+
+	it("should report modules that are not visible", async () => {
+		await expect(service.capture({ module: "missing" })).rejects.toMatchObject({ code: "NOT_FOUND" });
+		expect(service.getLatest()).toBeNull();
+	});
+});
@@ -0,0 +1,98 @@
+const { EventEmitter } = require("node:events");
+const express = require("express");
+const Log = require("logger");
+const { createApiRouter } = require("../../../js/api");
+const { ApiTokenStore } = require("../../../js/api-tokens");
+
+describe("REST API camera routes", () => {
+	let server;
+	let baseUrl;
+	let actions;
+	let displayToken;
+	let readToken;
+
+	/**
+	 * Send a request to the API
+	 * @param {string} method HTTP method
+	 * @param {string} route route below the API prefix
+	 * @param {object} [body] JSON body
+	 * @param {string} [token] API token, the display token if omitted
+	 * @returns {Promise<object>} { status, body }
+	 */
+	const request = async (method, route, body, token = displayToken) => {
+		const response = await fetch(`${baseUrl}${route}`, {
+			method,
+			headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+			body: body === undefined ? undefined : JSON.stringify(body)
+		});
+		return { status: response.status, body: await response.json() };
+	};
+
+	beforeAll(async () => {
+		jest.spyOn(Log, "info").mockImplementation(() => {});
+
+		const tokenStore = new ApiTokenStore();
+		displayToken = tokenStore.create({ name: "Panel", scopes: ["display"] }).token;
+		readToken = tokenStore.create({ name: "Dashboard", scopes: ["read"] }).token;
+
+		const io = new EventEmitter();
+		io.emit = (event, data) => actions.push({ event, data });
+
+		const app = express();
+		app.use("/api/v1", createApiRouter({}, io, { tokenStore }));
+		server = app.listen(0, "127.0.0.1");
+		await new Promise((resolve) => server.once("listening", resolve));
+		baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+	});
+
+	afterAll(async () => {
+		await new Promise((resolve) => server.close(resolve));
+		jest.restoreAllMocks();
+	});
+
+	beforeEach(() => {
+		actions = [];
+	});
+
+	it("should show a camera fullscreen", async () => {
+		const { status, body } = await request("POST", "/cameras/front%20door/fullscreen", { duration: 30000 });
+
+		expect(status).toBe(200);
+		expect(body).toEqual({ success: true, message: "Showing camera front door" });
+		expect(actions).toEqual([{
+			event: "REMOTE_ACTION",
+			data: { action: "CUSTOM_COMMAND", command: "SECURITY_SHOW_CAMERA", payload: { camera: "front door", duration: 30000 } }
+		}]);
+	});
+
+	it("should start the carousel and close the view", async () => {
+		expect((await request("POST", "/cameras/carousel")).status).toBe(200);
+		expect((await request("DELETE", "/cameras/fullscreen")).status).toBe(200);
+
+		expect(actions.map(({ data }) => data)).toEqual([
+			{ action: "CUSTOM_COMMAND", command: "SECURITY_SHOW_ALL_CAMERAS", payload: { duration: undefined } },
+			{ action: "CUSTOM_COMMAND", command: "SECURITY_CLOSE_CAMERA" }
+		]);
+	});
+
+	it("should reject invalid durations", async () => {
+		for (const duration of [-1, "10s", null]) {
+			const { status, body } = await request("POST", "/cameras/cam1/fullscreen", { duration });
+
+			expect(status).toBe(400);
+			expect(body).toEqual({ success: false, error: "Duration must be a number of milliseconds (0 = until closed)" });
+		}
+		expect((await request("POST", "/cameras/carousel", { duration: -5 })).status).toBe(400);
+		expect((await request("POST", "/cameras/cam1/fullscreen", { duration: 0 })).status).toBe(200);
+
+		expect(actions).toHaveLength(1);
+	});
+
+	it("should require the display scope", async () => {
+		const { status, body } = await request("POST", "/cameras/cam1/fullscreen", {}, readToken);
+
+		expect(status).toBe(403);
+		expect(body.error).toBe("API token lacks the \"display\" scope");
+		expect(actions).toEqual([]);
+	});
+});
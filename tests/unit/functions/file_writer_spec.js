@@ -0,0 +1,47 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { writeStateFile, FILE_MODE } = require("../../../js/file-writer");
+
+describe("writeStateFile", () => {
+	let directory;
+
+	beforeEach(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), "mm-state-"));
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	it("should create missing directories and keep the file private", async () => {
+		const file = path.join(directory, "cache", "state.json");
+
+		await writeStateFile(file, "{}");
+
+		expect(fs.readFileSync(file, "utf8")).toBe("{}");
+		expect(fs.statSync(file).mode & 0o777).toBe(FILE_MODE);
+		expect(fs.readdirSync(path.dirname(file))).toEqual(["state.json"]);
+	});
+
+	it("should write in the order the writes were requested", async () => {
+		const file = path.join(directory, "state.json");
+
+		await Promise.all(["1", "2", Buffer.from("3")].map((data) => writeStateFile(file, data)));
+
+		expect(fs.readFileSync(file, "utf8")).toBe("3");
+	});
+
+	it("should reject a failed write and still run the next one", async () => {
+		const file = path.join(directory, "state.json");
+		jest.spyOn(fs.promises, "rename").mockRejectedValueOnce(new Error("No space left on device"));
+
+		const failed = writeStateFile(file, "1");
+		const next = writeStateFile(file, "2");
+
+		await expect(failed).rejects.toThrow("No space left on device");
+		await expect(next).resolves.toBeUndefined();
+		expect(fs.readFileSync(file, "utf8")).toBe("2");
+	});
+});
@@ -0,0 +1,88 @@
+global.Log = require("../../../../../js/logger");
+
+const AITools = require("../../../../../modules/default/ai/aitools");
+
+describe("AI tools", () => {
+	const weather = {
+		name: "weather",
+		getAiTools: () => [
+			{
+				name: "get_forecast",
+				description: "Weather forecast",
+				parameters: {
+					type: "object",
+					properties: {
+						days: { type: "integer" },
+						unit: { type: "string", enum: ["metric", "imperial"] }
+					},
+					required: ["days"]
+				},
+				handler: async ({ days }) => ({ days, forecast: "rain" })
+			},
+			{ name: "no handler" }
+		]
+	};
+	const clock = {
+		name: "clock",
+		getAiTools: () => [
+			{ name: "get_forecast", handler: () => "duplicate" },
+			{ name: "get_time", handler: () => undefined }
+		]
+	};
+
+	beforeEach(() => {
+		jest.spyOn(Log, "warn").mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it("should collect valid tools and skip invalid and duplicate ones", () => {
+		const tools = AITools.collect([weather, clock, { name: "legacy" }]);
+
+		expect(Array.from(tools.keys())).toEqual(["get_forecast", "get_time"]);
+		expect(tools.get("get_forecast").module).toBe("weather");
+		expect(Log.warn).toHaveBeenCalledTimes(2);
+		expect(AITools.describe(tools)[1]).toEqual({
+			name: "get_time",
+			description: "",
+			parameters: { type: "object", properties: {} }
+		});
+	});
+
+	it("should validate arguments against the schema", () => {
+		const { parameters } = weather.getAiTools()[0];
+
+		expect(AITools.validate(parameters, { days: 3, unit: "metric" })).toBeNull();
+		expect(AITools.validate(parameters, {})).toBe("days is required");
+		expect(AITools.validate(parameters, { days: 1.5 })).toBe("days must be of type integer");
+		expect(AITools.validate(parameters, { days: 1, unit: "kelvin" })).toBe("unit must be one of metric, imperial");
+		expect(AITools.validate(parameters, [])).toBe("arguments must be an object");
+	});
+
+	it("should run handlers and reject invalid arguments", async () => {
+		const tools = AITools.collect([weather, clock]);
+
+		await expect(AITools.run(tools.get("get_forecast"), { days: 2 })).resolves.toEqual({ days: 2, forecast: "rain" });
+		await expect(AITools.run(tools.get("get_time"), {})).resolves.toEqual({ success: true });
+		await expect(AITools.run(tools.get("get_forecast"), { days: "two" })).rejects.toThrow("Invalid arguments for get_forecast: days must be of type integer");
+	});
+
+	it("should convert definitions to the provider formats", () => {
+		const definitions = AITools.describe(AITools.collect([weather]));
+
+		expect(AITools.toOpenAI(definitions)[0]).toEqual({
+			type: "function",
+			function: { name: "get_forecast", description: "Weather forecast", parameters: definitions[0].parameters }
+		});
+		expect(AITools.toAnthropic(definitions)[0]).toEqual({
+			name: "get_forecast",
+			description: "Weather forecast",
+			input_schema: definitions[0].parameters
+		});
+		expect(AITools.parseArguments("{\"days\":2}")).toEqual({ days: 2 });
+		expect(AITools.parseArguments({ days: 2 })).toEqual({ days: 2 });
+		expect(AITools.parseArguments("not json")).toEqual({});
+	});
+});
@@ -0,0 +1,62 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { ConversationMemory, estimateTokens } = require("../../../../../modules/default/ai/memory");
+
+describe("AI conversation memory", () => {
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-memory-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("should keep one history per person", () => {
+		const memory = new ConversationMemory();
+		memory.append("Alex", "Remind me of the dentist", "Noted");
+		memory.append(null, "What time is it?", "Noon");
+
+		expect(memory.context("Alex", 10)).toEqual([
+			{ role: "user", content: "Remind me of the dentist" },
+			{ role: "assistant", content: "Noted" }
+		]);
+		expect(memory.context(null, 1)).toEqual([{ role: "assistant", content: "Noon" }]);
+		expect(memory.context("Sam", 10)).toEqual([]);
+
+		memory.forget("Alex");
+		expect(memory.context("Alex", 10)).toEqual([]);
+		expect(memory.get(null).messages).toHaveLength(2);
+	});
+
+	it("should replace older messages by a summary beyond the budget", () => {
+		const memory = new ConversationMemory();
+		for (let i = 0; i < 4; i++) {
+			memory.append("Alex", "x".repeat(40), "y".repeat(40));
+		}
+
+		expect(estimateTokens("x".repeat(40))).toBe(10);
+		expect(memory.needsSummary("Alex", 80)).toBe(false);
+		expect(memory.needsSummary("Alex", 79)).toBe(true);
+
+		const candidates = memory.summaryCandidates("Alex", 6);
+		expect(candidates).toHaveLength(2);
+
+		memory.compact("Alex", " Alex likes x. ", candidates.length);
+		expect(memory.get("Alex").summary).toBe("Alex likes x.");
+		expect(memory.get("Alex").messages).toHaveLength(6);
+		expect(memory.needsSummary("Alex", 79)).toBe(false);
+	});
+
+	it("should persist the histories", async () => {
+		const file = path.join(dir, "ai_memory.json");
+		const memory = new ConversationMemory({ file });
+		memory.append("Alex", "Hello", "Hi Alex");
+		await memory.save();
+
+		expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+		expect(new ConversationMemory({ file }).context("Alex", 10)).toHaveLength(2);
+	});
+});
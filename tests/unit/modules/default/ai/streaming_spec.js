@@ -0,0 +1,237 @@
+const http = require("node:http");
+
+jest.mock("node_helper", () => require("../../../../../js/node_helper"), { virtual: true });
+
+const AIHelper = require("../../../../../modules/default/ai/node_helper");
+
+describe("AI response streaming", () => {
+	let server;
+	let url;
+	let helper;
+	let respond;
+	let received;
+
+	/**
+	 * Answer requests with a stream written in pieces
+	 * @param {string[]} chunks pieces of the response body, written one by one
+	 * @param {object} [options] response options
+	 * @param {number} [options.status] status code
+	 * @param {boolean} [options.hold] keep the response open after the last piece
+	 */
+	const streams = (chunks, { status = 200, hold = false } = {}) => {
+		respond = async (req, res) => {
+			res.writeHead(status, { "Content-Type": "text/event-stream" });
+			for (const chunk of chunks) {
+				res.write(chunk);
+				await new Promise((resolve) => setTimeout(resolve, 10));
+			}
+			if (!hold) {
+				res.end();
+			}
+		};
+	};
+
+	const options = { label: "Test", timeout: 2000 };
+
+	beforeAll(async () => {
+		server = http.createServer((req, res) => {
+			let body = "";
+			req.on("data", (chunk) => {
+				body += chunk;
+			});
+			req.on("end", () => {
+				received.push({ body: JSON.parse(body), req });
+				respond(req, res);
+			});
+		});
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+		url = new URL(`http://127.0.0.1:${server.address().port}/v1/chat`);
+	});
+
+	afterAll(async () => {
+		server.closeAllConnections();
+		await new Promise((resolve) => server.close(resolve));
+	});
+
+	beforeEach(() => {
+		received = [];
+		helper = new AIHelper();
+		helper.setName("ai");
+		helper.activeRequests = new Map();
+		helper.requestCount = 0;
+		helper.sendSocketNotification = jest.fn();
+	});
+
+	describe("postStream", () => {
+		it("should parse server-sent events split across chunks", async () => {
+			streams([
+				": keep-alive\n\nevent: message\ndata: {\"n\":",
+				"1}\n\ndata: {\"n\":2}\n",
+				"\ndata: [DONE]\n\n"
+			]);
+			const events = [];
+
+			await helper.postStream(url, { prompt: "hi" }, options, (event) => events.push(event));
+
+			expect(events).toEqual([{ n: 1 }, { n: 2 }]);
+			expect(received[0].body).toEqual({ prompt: "hi" });
+		});
+
+		it("should parse newline delimited JSON without a trailing newline", async () => {
+			streams(["{\"n\":1}\n{\"n\"", ":2}\n{\"n\":3}"]);
+			const events = [];
+
+			await helper.postStream(url, {}, options, (event) => events.push(event));
+
+			expect(events).toEqual([{ n: 1 }, { n: 2 }, { n: 3 }]);
+		});
+
+		it("should reject with the error of a failed request", async () => {
+			streams(["{\"error\":{\"message\":\"Invalid API key\"}}"], { status: 401 });
+
+			await expect(helper.postStream(url, {}, options, () => {})).rejects.toThrow("Invalid API key");
+		});
+
+		it("should reject on malformed and refused events", async () => {
+			streams(["data: {\"n\":1}\n", "data: {broken\n"]);
+			await expect(helper.postStream(url, {}, options, () => {})).rejects.toThrow("Failed to parse Test stream");
+
+			streams(["data: {\"n\":1}\n", "data: {\"n\":2}\n"]);
+			const events = [];
+			await expect(helper.postStream(url, {}, options, (event) => {
+				events.push(event);
+				throw new Error("Stop");
+			})).rejects.toThrow("Stop");
+			expect(events).toEqual([{ n: 1 }]);
+		});
+	});
+
+	describe("streamChatCompletion", () => {
+		it("should collect text and tool call deltas", async () => {
+			const delta = (value) => `data: ${JSON.stringify({ choices: [{ delta: value }] })}\n\n`;
+			const body = [
+				delta({ role: "assistant", content: "" }),
+				delta({ content: "Let me " }),
+				delta({ content: "check." }),
+				delta({ tool_calls: [{ index: 0, id: "call_1", function: { name: "get_", arguments: "" } }] }),
+				delta({ tool_calls: [{ index: 0, function: { name: "forecast", arguments: "{\"days\":" } }] }),
+				delta({ tool_calls: [{ index: 1, id: "call_2", function: { name: "get_time", arguments: "{}" } }] }),
+				delta({ tool_calls: [{ index: 0, function: { arguments: "2}" } }] }),
+				"data: [DONE]\n\n"
+			].join("");
+			// Split in the middle of lines
+			streams([body.slice(0, 50), body.slice(50, 233), body.slice(233)]);
+			const chunks = [];
+
+			const reply = await helper.streamChatCompletion(url, { model: "test" }, options, (text) => chunks.push(text));
+
+			expect(chunks).toEqual(["Let me ", "check."]);
+			expect(reply).toEqual({
+				role: "assistant",
+				content: "Let me check.",
+				tool_calls: [
+					{ id: "call_1", type: "function", function: { name: "get_forecast", arguments: "{\"days\":2}" } },
+					{ id: "call_2", type: "function", function: { name: "get_time", arguments: "{}" } }
+				]
+			});
+			expect(received[0].body).toEqual({ model: "test", stream: true });
+		});
+
+		it("should reject on an error event", async () => {
+			streams(["data: {\"choices\":[{\"delta\":{\"content\":\"Hi\"}}]}\n\n", "data: {\"error\":{\"message\":\"Overloaded\"}}\n\n"]);
+
+			await expect(helper.streamChatCompletion(url, {}, options, () => {})).rejects.toThrow("Overloaded");
+		});
+	});
+
+	describe("streamAnthropic", () => {
+		it("should collect text blocks, tool input and the stop reason", async () => {
+			const event = (data) => `event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`;
+			const body = [
+				event({ type: "message_start", message: { id: "msg_1" } }),
+				event({ type: "content_block_start", index: 0, content_block: { type: "text", text: "" } }),
+				event({ type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "Turning " } }),
+				event({ type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "off." } }),
+				event({ type: "content_block_stop", index: 0 }),
+				event({ type: "content_block_start", index: 1, content_block: { type: "tool_use", id: "tool_1", name: "hide_module", input: {} } }),
+				event({ type: "content_block_delta", index: 1, delta: { type: "input_json_delta", partial_json: "{\"module\":" } }),
+				event({ type: "content_block_delta", index: 1, delta: { type: "input_json_delta", partial_json: "\"news\"}" } }),
+				event({ type: "message_delta", delta: { stop_reason: "tool_use" } }),
+				event({ type: "message_stop" })
+			].join("");
+			streams([body.slice(0, 120), body.slice(120, 700), body.slice(700)]);
+			const chunks = [];
+
+			const message = await helper.streamAnthropic(url, { model: "test" }, options, (text) => chunks.push(text));
+
+			expect(chunks).toEqual(["Turning ", "off."]);
+			expect(message).toEqual({
+				content: [
+					{ type: "text", text: "Turning off." },
+					{ type: "tool_use", id: "tool_1", name: "hide_module", input: { module: "news" } }
+				],
+				stop_reason: "tool_use"
+			});
+		});
+
+		it("should reject on an error event", async () => {
+			streams(["event: error\ndata: {\"type\":\"error\",\"error\":{\"message\":\"Overloaded\"}}\n\n"]);
+
+			await expect(helper.streamAnthropic(url, {}, options, () => {})).rejects.toThrow("Overloaded");
+		});
+	});
+
+	describe("streamOllama", () => {
+		it("should collect text and tool calls from newline delimited JSON", async () => {
+			streams([
+				"{\"message\":{\"role\":\"assistant\",\"content\":\"It is \"}}\n{\"message\":{\"con",
+				"tent\":\"sunny.\"}}\n",
+				"{\"message\":{\"content\":\"\",\"tool_calls\":[{\"function\":{\"name\":\"get_time\",\"arguments\":{}}}]}}\n{\"done\":true}\n"
+			]);
+			const chunks = [];
+
+			const reply = await helper.streamOllama(url, { model: "llama" }, options, (text) => chunks.push(text));
+
+			expect(chunks).toEqual(["It is ", "sunny."]);
+			expect(reply).toEqual({
+				role: "assistant",
+				content: "It is sunny.",
+				tool_calls: [{ function: { name: "get_time", arguments: {} } }]
+			});
+		});
+
+		it("should reject on an error line", async () => {
+			streams(["{\"error\":\"model not found\"}\n"]);
+
+			await expect(helper.streamOllama(url, {}, options, () => {})).rejects.toThrow("model not found");
+		});
+	});
+
+	describe("cancelRequest", () => {
+		it("should abort a running stream", async () => {
+			streams(["data: {\"choices\":[{\"delta\":{\"content\":\"Once upon\"}}]}\n\n"], { hold: true });
+			const request = helper.beginRequest({ requestId: "story", stream: true });
+			let firstChunk;
+			const chunkArrived = new Promise((resolve) => {
+				firstChunk = resolve;
+			});
+
+			const reply = helper.streamChatCompletion(url, {}, { ...options, signal: request.signal }, (text) => {
+				request.onText(text);
+				firstChunk();
+			});
+			await chunkArrived;
+			const closed = new Promise((resolve) => received[0].req.socket.once("close", resolve));
+			helper.cancelRequest("story");
+
+			await expect(reply).rejects.toThrow("Test request failed");
+			await closed;
+			expect(request.signal.aborted).toBe(true);
+			expect(helper.sendSocketNotification).toHaveBeenCalledWith("AI_RESPONSE_CHUNK", { requestId: "story", text: "Once upon" });
+		});
+
+		it("should ignore unknown requests", () => {
+			expect(() => helper.cancelRequest("missing")).not.toThrow();
+		});
+	});
+});
@@ -0,0 +1,237 @@
+const http = require("node:http");
+const { CalDavClient, toICalendar } = require("../../../../../modules/default/calendar/caldav");
+
+/**
+ * @param {string} uid - UID
+ * @param {string} title - Summary
+ * @returns {string} iCalendar event
+ */
+function event (uid, title) {
+	return `BEGIN:VCALENDAR\r\nVERSION:2.0\r\nBEGIN:VEVENT\r\nUID:${uid}\r\nSUMMARY:${title}\r\nDTSTART:20250101T100000Z\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n`;
+}
+
+/**
+ * @param {string[]} responses - response elements
+ * @param {string} [token] - sync-token of the answer
+ * @returns {string} multistatus document
+ */
+function multistatus (responses, token) {
+	return `<?xml version="1.0"?><d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">${responses.join("")}${token ? `<d:sync-token>${token}</d:sync-token>` : ""}</d:multistatus>`;
+}
+
+/**
+ * @param {string} href - href
+ * @param {string} props - prop elements
+ * @returns {string} response element
+ */
+function propResponse (href, props) {
+	return `<d:response><d:href>${href}</d:href><d:propstat><d:prop>${props}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`;
+}
+
+const CALENDARS = {
+	"/calendars/me/home/": "<d:displayname>Home</d:displayname><cal:supported-calendar-component-set><cal:comp name=\"VEVENT\"/><cal:comp name=\"VTODO\"/></cal:supported-calendar-component-set>",
+	"/calendars/me/work/": "<d:displayname>Work</d:displayname><cal:supported-calendar-component-set><cal:comp name=\"VEVENT\"/></cal:supported-calendar-component-set>"
+};
+
+describe("Calendar CalDAV client", () => {
+	let server;
+	let url;
+	let objects; // href -> { etag, data }
+	let changes; // [{ href, version }]
+	let version;
+	let expired; // sync tokens before this version are no longer valid
+	let requests;
+
+	const change = (href, data) => {
+		version++;
+		if (data === null) {
+			objects.delete(href);
+		} else {
+			objects.set(href, { etag: `"${version}"`, data });
+		}
+		changes.push({ href, version });
+	};
+
+	beforeEach(async () => {
+		objects = new Map();
+		changes = [];
+		version = 0;
+		expired = 0;
+		requests = [];
+
+		server = http.createServer((req, res) => {
+			let body = "";
+			req.on("data", (chunk) => (body += chunk));
+			req.on("end", () => {
+				requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+				const reply = (status, text = "", headers = {}) => {
+					res.writeHead(status, { "Content-Type": "application/xml; charset=utf-8", ...headers });
+					res.end(text);
+				};
+
+				if (req.headers.authorization !== `Basic ${Buffer.from("me:secret").toString("base64")}`) {
+					return reply(401);
+				}
+
+				if (req.method === "PROPFIND") {
+					if (req.url === "/") {
+						return reply(207, multistatus([propResponse("/", "<d:resourcetype><d:collection/></d:resourcetype><d:current-user-principal><d:href>/principals/me/</d:href></d:current-user-principal>")]));
+					}
+					if (req.url === "/principals/me/") {
+						return reply(207, multistatus([propResponse("/principals/me/", "<cal:calendar-home-set><d:href>/calendars/me/</d:href></cal:calendar-home-set>")]));
+					}
+					if (req.url === "/calendars/me/" && req.headers.depth === "1") {
+						return reply(207, multistatus([
+							propResponse("/calendars/me/", "<d:resourcetype><d:collection/></d:resourcetype>"),
+							...Object.entries(CALENDARS).map(([href, props]) => propResponse(href, `<d:resourcetype><d:collection/><cal:calendar/></d:resourcetype>${props}<d:sync-token>http://example.com/sync/${version}</d:sync-token>`))
+						]));
+					}
+					return reply(404);
+				}
+
+				if (req.method === "REPORT") {
+					if (!req.url.startsWith("/calendars/me/home/")) {
+						return reply(207, multistatus([], "http://example.com/sync/0"));
+					}
+					const token = (/<d:sync-token>([^<]*)<\/d:sync-token>/).exec(body)[1];
+					const since = token ? Number(token.split("/").pop()) : 0;
+					if (token && since < expired) {
+						return reply(403, "<d:error xmlns:d=\"DAV:\"><d:valid-sync-token/></d:error>");
+					}
+
+					const changed = token
+						? [...new Set(changes.filter((entry) => entry.version > since).map((entry) => entry.href))]
+						: Array.from(objects.keys());
+					return reply(207, multistatus(changed.map((href) => (objects.has(href)
+						? propResponse(href, `<d:getetag>${objects.get(href).etag}</d:getetag><cal:calendar-data>${objects.get(href).data}</cal:calendar-data>`)
+						: `<d:response><d:href>${href}</d:href><d:status>HTTP/1.1 404 Not Found</d:status></d:response>`)), `http://example.com/sync/${version}`));
+				}
+
+				const current = objects.get(req.url);
+				if (req.headers["if-none-match"] === "*" && current) {
+					return reply(412);
+				}
+				if (req.headers["if-match"] && req.headers["if-match"] !== current?.etag) {
+					return reply(412);
+				}
+				if (req.method === "PUT") {
+					change(req.url, body);
+					return reply(current ? 204 : 201, "", { ETag: objects.get(req.url).etag });
+				}
+				if (req.method === "DELETE") {
+					if (!current) {
+						return reply(404);
+					}
+					change(req.url, null);
+					return reply(204);
+				}
+				reply(405);
+			});
+		});
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+		url = `http://127.0.0.1:${server.address().port}/`;
+	});
+
+	afterEach(async () => {
+		await new Promise((resolve) => server.close(resolve));
+	});
+
+	it("should find the calendars through the principal and the calendar home", async () => {
+		const client = new CalDavClient({ url, auth: { user: "me", pass: "secret" } });
+		const calendars = await client.discover();
+
+		expect(calendars.map((calendar) => [calendar.name, calendar.components, calendar.supportsSync])).toEqual([
+			["Home", ["VEVENT", "VTODO"], true],
+			["Work", ["VEVENT"], true]
+		]);
+		expect(requests.map((request) => `${request.method} ${request.url} ${request.headers.depth}`)).toEqual([
+			"PROPFIND / 0",
+			"PROPFIND /principals/me/ 0",
+			"PROPFIND /calendars/me/ 1"
+		]);
+
+		expect((await new CalDavClient({ url, auth: { user: "me", pass: "secret" }, calendarName: "work" }).discover()).map((calendar) => calendar.href)).toEqual([`${url}calendars/me/work/`]);
+		await expect(new CalDavClient({ url, auth: { user: "me", pass: "secret" }, calendarName: "Holidays" }).discover()).rejects.toThrow("No calendar named Holidays");
+		await expect(new CalDavClient({ url, auth: { user: "me", pass: "wrong" } }).discover()).rejects.toMatchObject({ status: 401 });
+	});
+
+	it("should only fetch changes after the first sync", async () => {
+		change("/calendars/me/home/a.ics", event("a", "Dentist"));
+		change("/calendars/me/home/b.ics", event("b", "Lunch"));
+		const client = new CalDavClient({ url, auth: { user: "me", pass: "secret" }, calendarName: "Home" });
+
+		await expect(client.sync()).resolves.toBe(true);
+		expect(client.objects()).toEqual([event("a", "Dentist"), event("b", "Lunch")]);
+		await expect(client.sync()).resolves.toBe(false);
+
+		change("/calendars/me/home/a.ics", event("a", "Dentist moved"));
+		change("/calendars/me/home/b.ics", null);
+		requests = [];
+		await expect(client.sync()).resolves.toBe(true);
+		expect(requests[0].body).toContain("<d:sync-token>http://example.com/sync/2</d:sync-token>");
+		expect(client.objects()).toEqual([event("a", "Dentist moved")]);
+		expect(client.find("a")).toMatchObject({ href: `${url}calendars/me/home/a.ics`, object: { etag: "\"3\"" } });
+
+		// An expired token starts over
+		change("/calendars/me/home/c.ics", event("c", "Gym"));
+		expired = version;
+		await expect(client.sync()).resolves.toBe(true);
+		expect(client.objects()).toEqual([event("a", "Dentist moved"), event("c", "Gym")]);
+	});
+
+	it("should save and delete entries guarded by their ETags", async () => {
+		const client = new CalDavClient({ url, auth: { user: "me", pass: "secret" } });
+		const saved = await client.save({ title: "Call mom", start: "2025-03-01T18:00:00Z" });
+
+		expect(saved).toMatchObject({ uid: expect.any(String), href: `${url}calendars/me/home/${saved.uid}.ics`, calendar: "Home" });
+		const put = requests.find((request) => request.method === "PUT");
+		expect(put.headers).toMatchObject({ "if-none-match": "*", "content-type": "text/calendar; charset=utf-8" });
+		expect(put.body).toContain("DTSTART:20250301T180000Z\r\nDTEND:20250301T190000Z");
+
+		// Updates send the ETag of the last known version
+		await client.save({ uid: saved.uid, title: "Call mom and dad", start: "2025-03-01T18:00:00Z" });
+		expect(requests.filter((request) => request.method === "PUT")[1].headers["if-match"]).toBe("\"1\"");
+
+		// Changed elsewhere since our last sync
+		change(new URL(saved.href).pathname, event(saved.uid, "Call grandma"));
+		await expect(client.save({ uid: saved.uid, title: "Call everyone", start: "2025-03-01T18:00:00Z" })).rejects.toThrow("changed on the server");
+		await expect(client.remove(saved.uid)).rejects.toMatchObject({ status: 412 });
+
+		await client.sync();
+		await expect(client.remove(saved.uid)).resolves.toBe(true);
+		expect(objects.size).toBe(0);
+		await expect(client.remove(saved.uid)).resolves.toBe(false);
+	});
+
+	it("should complete tasks and single occurrences of recurring tasks", async () => {
+		change("/calendars/me/home/milk.ics", "BEGIN:VCALENDAR\r\nVERSION:2.0\r\nBEGIN:VTODO\r\nUID:milk\r\nSUMMARY:Buy milk\r\nSTATUS:NEEDS-ACTION\r\nCATEGORIES:Shopping\r\nEND:VTODO\r\nEND:VCALENDAR\r\n");
+		change("/calendars/me/home/trash.ics", "BEGIN:VCALENDAR\r\nVERSION:2.0\r\nBEGIN:VTODO\r\nUID:trash\r\nSUMMARY:Take out the trash\r\nDTSTART;VALUE=DATE:20250106\r\nRRULE:FREQ=WEEKLY\r\nEND:VTODO\r\nEND:VCALENDAR\r\n");
+		const client = new CalDavClient({ url, auth: { user: "me", pass: "secret" }, calendarName: "Home" });
+
+		await expect(client.complete("milk")).resolves.toBe(true);
+		const milk = objects.get("/calendars/me/home/milk.ics");
+		expect(milk.data).toMatch(/SUMMARY:Buy milk\r\nCATEGORIES:Shopping\r\nCOMPLETED:\d{8}T\d{6}Z\r\nPERCENT-COMPLETE:100\r\nSTATUS:COMPLETED\r\nEND:VTODO/);
+		expect(milk.data).not.toContain("NEEDS-ACTION");
+		expect(requests.at(-1).headers["if-match"]).toBe("\"1\"");
+
+		await expect(client.complete("trash", "20250113")).resolves.toBe(true);
+		expect(objects.get("/calendars/me/home/trash.ics").data).toMatch(/RRULE:FREQ=WEEKLY\r\nEND:VTODO\r\nBEGIN:VTODO\r\nUID:trash\r\nDTSTAMP:\S+\r\nRECURRENCE-ID;VALUE=DATE:20250113\r\nSUMMARY:Take out the trash\r\nCOMPLETED:\S+\r\nPERCENT-COMPLETE:100\r\nSTATUS:COMPLETED\r\nEND:VTODO\r\nEND:VCALENDAR\r\n$/);
+
+		await expect(client.complete("unknown")).resolves.toBe(false);
+		await expect(client.complete("trash", "next week")).rejects.toThrow("Invalid recurrence ID");
+	});
+
+	it("should build events and tasks", () => {
+		expect(toICalendar({ uid: "1", title: "Holiday; beach, sun", start: "2025-07-01", allDay: true })).toMatch(/SUMMARY:Holiday\\; beach\\, sun\r\nDTSTART;VALUE=DATE:20250701\r\nDTEND;VALUE=DATE:20250702\r\n/);
+
+		const task = toICalendar({ uid: "2", type: "task", title: "Buy milk", due: "2025-07-01T12:00:00Z", priority: 1, completed: true });
+		expect(task).toContain("BEGIN:VTODO");
+		expect(task).toMatch(/DUE:20250701T120000Z\r\nPRIORITY:1\r\nSTATUS:COMPLETED\r\nCOMPLETED:\d{8}T\d{6}Z/);
+
+		expect(toICalendar({ uid: "3", title: "x".repeat(100), start: 0 }).split("\r\n").every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+		expect(() => toICalendar({ uid: "4", title: " ", start: 0 })).toThrow("title is required");
+		expect(() => toICalendar({ uid: "5", title: "Meeting" })).toThrow("start is required");
+		expect(() => toICalendar({ uid: "6", title: "Meeting", start: "2025-01-02", end: "2025-01-01" })).toThrow("end must be after start");
+		expect(() => toICalendar({ uid: "7", type: "task", title: "Buy milk", priority: 12 })).toThrow("priority");
+	});
+});
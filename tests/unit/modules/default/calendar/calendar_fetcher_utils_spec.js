@@ -158,4 +158,140 @@ END:VEVENT`);
 			expect(julyFirst[0].toISOString(true)).toContain("09:00:00.000+02:00");
 		});
 	});
+
+	describe("filterTasks", () => {
+		const day = (offset) => moment().startOf("day").add(offset, "days").format("YYYYMMDD");
+
+		it("should return open tasks by due date and priority", () => {
+			const data = ical.parseICS(`BEGIN:VCALENDAR
+BEGIN:VTODO
+UID:milk
+SUMMARY:Buy milk
+DUE:${moment().add(2, "hours").utc().format("YYYYMMDD[T]HHmmss[Z]")}
+PRIORITY:5
+END:VTODO
+BEGIN:VTODO
+UID:taxes
+SUMMARY:Taxes
+DUE;VALUE=DATE:${day(-3)}
+PRIORITY:1
+END:VTODO
+BEGIN:VTODO
+UID:someday
+SUMMARY:Someday
+END:VTODO
+BEGIN:VTODO
+UID:urgent
+SUMMARY:Urgent someday
+PRIORITY:2
+END:VTODO
+BEGIN:VTODO
+UID:done
+SUMMARY:Done
+STATUS:COMPLETED
+END:VTODO
+BEGIN:VTODO
+UID:cancelled
+SUMMARY:Cancelled
+STATUS:CANCELLED
+END:VTODO
+BEGIN:VTODO
+UID:later
+SUMMARY:Later
+DUE;VALUE=DATE:${day(400)}
+END:VTODO
+BEGIN:VEVENT
+UID:event
+SUMMARY:Event
+DTSTART:${day(1)}T100000Z
+END:VEVENT
+END:VCALENDAR`);
+
+			const tasks = CalendarFetcherUtils.filterTasks(data, defaultConfig);
+
+			expect(tasks.map((task) => task.title)).toEqual(["Taxes", "Buy milk", "Urgent someday", "Someday"]);
+			expect(tasks[0]).toMatchObject({ uid: "taxes", fullDayEvent: true, priority: 1, recurringTask: false, recurrenceId: null });
+			expect(tasks[0].dueDate).toBe(moment().startOf("day").subtract(3, "days").format("x"));
+			expect(tasks[2]).toMatchObject({ dueDate: null, startDate: null });
+		});
+
+		it("should return the first occurrence of a recurring task that is not done", () => {
+			const data = ical.parseICS(`BEGIN:VCALENDAR
+BEGIN:VTODO
+UID:trash
+SUMMARY:Take out the trash
+DTSTART;VALUE=DATE:${day(-14)}
+DUE;VALUE=DATE:${day(-13)}
+RRULE:FREQ=WEEKLY
+END:VTODO
+BEGIN:VTODO
+UID:trash
+RECURRENCE-ID;VALUE=DATE:${day(-14)}
+SUMMARY:Take out the trash
+STATUS:COMPLETED
+END:VTODO
+END:VCALENDAR`);
+
+			const [task] = CalendarFetcherUtils.filterTasks(data, defaultConfig);
+
+			expect(task).toMatchObject({ uid: "trash", recurringTask: true, recurrenceId: day(-7), fullDayEvent: true });
+			expect(task.dueDate).toBe(moment().startOf("day").subtract(6, "days").format("x"));
+		});
+	});
+
+	describe("getAlarms", () => {
+		it("should return the alarms as minutes before the start", () => {
+			const data = ical.parseICS(`BEGIN:VCALENDAR
+BEGIN:VEVENT
+UID:dentist
+SUMMARY:Dentist
+DTSTART:20250306T150000Z
+DTEND:20250306T160000Z
+BEGIN:VALARM
+ACTION:DISPLAY
+TRIGGER:-PT15M
+END:VALARM
+BEGIN:VALARM
+ACTION:AUDIO
+TRIGGER;RELATED=END:-P1DT2H
+END:VALARM
+BEGIN:VALARM
+ACTION:DISPLAY
+TRIGGER;VALUE=DATE-TIME:20250306T120000Z
+END:VALARM
+BEGIN:VALARM
+ACTION:EMAIL
+TRIGGER:-P1D
+END:VALARM
+BEGIN:VALARM
+ACTION:DISPLAY
+TRIGGER:PT0S
+END:VALARM
+END:VEVENT
+END:VCALENDAR`);
+			const event = data.dentist;
+
+			expect(CalendarFetcherUtils.getAlarms(event, moment(event.start), moment(event.end))).toEqual([0, 15, 180, 1500]);
+			expect(CalendarFetcherUtils.getAlarms({ ...event, rrule: {} }, moment(event.start), moment(event.end))).toEqual([0, 15, 1500]);
+		});
+	});
+
+	describe("mergeEvents", () => {
+		it("should keep events on several calendars once", () => {
+			const event = (uid, title, start, end) => ({ uid, title, startDate: String(start), endDate: String(end) });
+
+			const events = CalendarFetcherUtils.mergeEvents([
+				{ name: "Work", events: [event("standup", "Standup", 3000, 4000), event("standup", "Standup", 1000, 2000), event("a", "Lunch", 5000, 6000)] },
+				{ name: "Family", events: [event("b", "lunch ", 5000, 6000), event("standup", "Daily standup", 1000, 2500), event("c", "Dinner", 7000, 8000)] },
+				{ name: "Shared", events: [event("b", "Lunch with Sam", 5000, 6500)] }
+			]);
+
+			expect(events.map((entry) => [entry.title, entry.startDate, entry.calendars])).toEqual([
+				["Standup", "1000", ["Work", "Family"]],
+				["Standup", "3000", ["Work"]],
+				["Lunch", "5000", ["Work", "Family", "Shared"]],
+				["Dinner", "7000", ["Family"]]
+			]);
+		});
+	});
 });
@@ -216,4 +216,35 @@ describe("Calendar utils tests", () => {
 			expect(transformedTitle).toBe(expectedResult);
 		});
 	});
+
+	describe("parseSpokenDate", () => {
+		// Wednesday
+		const now = moment("2025-03-05 10:00", "YYYY-MM-DD HH:mm");
+		const parse = (text) => {
+			const result = CalendarUtils.parseSpokenDate(text, now);
+			return result && `${result.start.format("YYYY-MM-DD HH:mm")}${result.allDay ? " all day" : ""}`;
+		};
+
+		it("should parse relative days and times", () => {
+			expect(parse("tomorrow at 3pm")).toBe("2025-03-06 15:00");
+			expect(parse("today at 12:30 a.m.")).toBe("2025-03-05 00:30");
+			expect(parse("at noon")).toBe("2025-03-05 12:00");
+			expect(parse("day after tomorrow")).toBe("2025-03-07 00:00 all day");
+			expect(parse("friday 18:00")).toBe("2025-03-07 18:00");
+			expect(parse("wednesday")).toBe("2025-03-05 00:00 all day");
+			expect(parse("next Wednesday")).toBe("2025-03-12 00:00 all day");
+		});
+
+		it("should parse dates and keep dates without a year ahead", () => {
+			expect(parse("March 10th at 9am")).toBe("2025-03-10 09:00");
+			expect(parse("the 1st of March")).toBe("2026-03-01 00:00 all day");
+			expect(parse("2025-01-01")).toBe("2025-01-01 00:00 all day");
+		});
+
+		it("should return null for anything else", () => {
+			expect(parse("")).toBeNull();
+			expect(parse("someday")).toBeNull();
+			expect(parse("tomorrow at 25:00")).toBeNull();
+		});
+	});
 });
@@ -0,0 +1,199 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+const moment = require("moment-timezone");
+
+describe("Calendar views", () => {
+	let window;
+	let definition;
+	let calendar;
+
+	/**
+	 * @param {number} hour hour of today
+	 * @param {number} [minute] minute
+	 * @returns {moment.Moment} the time
+	 */
+	const at = (hour, minute = 0) => moment().startOf("day").hour(hour).minute(minute);
+
+	/**
+	 * @param {string} title event title
+	 * @param {moment.Moment} start start time
+	 * @param {moment.Moment} end end time
+	 * @param {boolean} [fullDayEvent] all-day event
+	 * @returns {object} event as created by the node helper
+	 */
+	const event = (title, start, end, fullDayEvent = false) => ({ title, startDate: start.format("x"), endDate: end.format("x"), fullDayEvent });
+
+	/**
+	 * @param {string} title event title
+	 * @param {moment.Moment} start start time
+	 * @param {moment.Moment} end end time
+	 * @returns {object} entry as passed to layoutColumns
+	 */
+	const entry = (title, start, end) => ({ event: { title }, start, end });
+
+	beforeAll(() => {
+		window = new JSDOM("<body></body>", { runScripts: "outside-only" }).window;
+		window.moment = moment;
+		window.Module = {
+			register: (name, moduleDefinition) => {
+				definition = moduleDefinition;
+			}
+		};
+		window.eval(fs.readFileSync(path.join(__dirname, "../../../../../modules/default/calendar/calendar.js"), "utf8"));
+	});
+
+	afterAll(() => {
+		window.close();
+	});
+
+	beforeEach(() => {
+		jest.useFakeTimers({ now: new Date("2026-03-04T10:00:00Z"), doNotFake: ["nextTick", "setImmediate"] });
+
+		calendar = Object.create(definition);
+		calendar.config = { ...definition.defaults, gridStartHour: 8, gridEndHour: 18 };
+		calendar.events = [];
+		calendar.createEventList = () => calendar.events;
+		calendar.translate = (key) => key;
+		calendar.createEventBlock = (item, className) => {
+			const block = window.document.createElement("div");
+			block.className = className;
+			block.textContent = item.title;
+			return block;
+		};
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	describe("layoutColumns", () => {
+		it("should give events that do not overlap the full width", () => {
+			const entries = calendar.layoutColumns([
+				entry("Lunch", at(12), at(13)),
+				entry("Standup", at(9), at(10)),
+				entry("Review", at(10), at(11))
+			]);
+
+			expect(entries.map(({ event: item, column, columns }) => [item.title, column, columns])).toEqual([
+				["Standup", 0, 1],
+				["Review", 0, 1],
+				["Lunch", 0, 1]
+			]);
+		});
+
+		it("should place overlapping events side by side and reuse free columns", () => {
+			const entries = calendar.layoutColumns([
+				entry("Dentist", at(9, 30), at(11)),
+				entry("Standup", at(9), at(10)),
+				entry("Call", at(10), at(10, 30)),
+				entry("Lunch", at(11), at(12))
+			]);
+
+			expect(entries.map(({ event: item, column, columns }) => [item.title, column, columns])).toEqual([
+				["Standup", 0, 2],
+				["Dentist", 1, 2],
+				["Call", 0, 2],
+				["Lunch", 0, 1]
+			]);
+		});
+
+		it("should count the columns of a whole group", () => {
+			const entries = calendar.layoutColumns([
+				entry("Workshop", at(9), at(12)),
+				entry("Standup", at(9), at(9, 30)),
+				entry("Call", at(9, 15), at(9, 45)),
+				entry("Review", at(11), at(11, 30))
+			]);
+
+			// The longer event comes first when two start together
+			expect(entries.map(({ event: item, column, columns }) => [item.title, column, columns])).toEqual([
+				["Workshop", 0, 3],
+				["Standup", 1, 3],
+				["Call", 2, 3],
+				["Review", 1, 3]
+			]);
+		});
+	});
+
+	describe("getTimelineDom", () => {
+		/**
+		 * @returns {string[]} the rows of the timeline
+		 */
+		const rows = () => Array.from(calendar.getTimelineDom().children, (row) => `${row.className}: ${row.textContent}`);
+
+		it("should show the free time between events from now on", () => {
+			calendar.events = [
+				event("Holiday", at(0), at(0).add(1, "day"), true),
+				event("Standup", at(9), at(9, 30)),
+				event("Review", at(11), at(12)),
+				event("Lunch", at(12, 30), at(13, 30))
+			];
+
+			expect(rows()).toEqual([
+				"calendar-chip: Holiday",
+				"calendar-timeline-event past dimmed: Standup",
+				"calendar-timeline-gap dimmed: 10:00 AM – 11:00 AM · CALENDAR_FREE an hour",
+				"calendar-timeline-event: Review",
+				"calendar-timeline-gap dimmed: 12:00 PM – 12:30 PM · CALENDAR_FREE 30 minutes",
+				"calendar-timeline-event: Lunch",
+				"calendar-timeline-gap dimmed: 1:30 PM – 6:00 PM · CALENDAR_FREE 5 hours"
+			]);
+		});
+
+		it("should hide gaps shorter than minimumGap", () => {
+			calendar.config.minimumGap = 30;
+			calendar.events = [
+				event("Review", at(10, 20), at(11)),
+				event("Lunch", at(11, 30), at(17, 40))
+			];
+
+			expect(rows()).toEqual([
+				"calendar-timeline-event: Review",
+				"calendar-timeline-gap dimmed: 11:00 AM – 11:30 AM · CALENDAR_FREE 30 minutes",
+				"calendar-timeline-event: Lunch"
+			]);
+		});
+
+		it("should only show free time outside of overlapping events", () => {
+			calendar.events = [
+				event("Workshop", at(9, 30), at(13)),
+				event("Call", at(10, 30), at(11)),
+				event("Lunch", at(13, 15), at(14))
+			];
+
+			expect(rows()).toEqual([
+				"calendar-timeline-event now: Workshop",
+				"calendar-timeline-event: Call",
+				"calendar-timeline-gap dimmed: 1:00 PM – 1:15 PM · CALENDAR_FREE 15 minutes",
+				"calendar-timeline-event: Lunch",
+				"calendar-timeline-gap dimmed: 2:00 PM – 6:00 PM · CALENDAR_FREE 4 hours"
+			]);
+		});
+	});
+
+	describe("getWeekDom", () => {
+		it("should place the events of each day in the grid", () => {
+			calendar.events = [
+				event("Holiday", at(0).add(1, "day"), at(0).add(2, "day"), true),
+				event("Standup", at(9), at(10)),
+				event("Dentist", at(9, 30), at(11)),
+				event("Late", at(17), at(20))
+			];
+
+			const grid = calendar.getWeekDom();
+			const columns = grid.querySelectorAll(".calendar-week-column");
+			const blocks = Array.from(columns[0].querySelectorAll(".calendar-block"), (block) => [block.textContent, block.style.top, block.style.height, block.style.left, block.style.width]);
+
+			expect(grid.querySelectorAll(".calendar-week-day")).toHaveLength(7);
+			expect(columns[0].classList.contains("today")).toBe(true);
+			expect(blocks).toEqual([
+				["Standup", "10%", "10%", "0%", "50%"],
+				["Dentist", "15%", "15%", "50%", "50%"],
+				["Late", "90%", "10%", "0%", "100%"]
+			]);
+			expect(columns[0].querySelector(".calendar-now").style.top).toBe("20%");
+			expect(Array.from(grid.querySelector(".calendar-week-allday").children, (cell) => cell.textContent)).toEqual(["", "", "Holiday", "", "", "", "", ""]);
+		});
+	});
+});
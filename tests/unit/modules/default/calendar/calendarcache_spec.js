@@ -0,0 +1,55 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { CalendarCache } = require("../../../../../modules/default/calendar/calendarcache");
+
+describe("Calendar cache", () => {
+	const HOUR = 60 * 60 * 1000;
+	const ICS = "BEGIN:VCALENDAR\nEND:VCALENDAR";
+	let dir;
+	let file;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "calendars-"));
+		file = path.join(dir, "calendar_cache.json");
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("should keep the last download of each calendar on disk", async () => {
+		const cache = new CalendarCache({ file });
+		const fetchedAt = new Date();
+		await cache.set("https://example.com/a.ics", [ICS], fetchedAt);
+
+		const reloaded = new CalendarCache({ file });
+		expect(reloaded.get("https://example.com/a.ics")).toEqual({ data: [ICS], fetchedAt });
+		expect(reloaded.get("https://example.com/b.ics")).toBeNull();
+		expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+	});
+
+	it("should write unchanged calendars only once an hour", async () => {
+		const cache = new CalendarCache({ file });
+		const first = new Date(Date.now() - 2 * HOUR);
+		await cache.set("https://example.com/a.ics", [ICS], first);
+		const save = jest.spyOn(cache, "save");
+
+		await cache.set("https://example.com/a.ics", [ICS], new Date(first.getTime() + HOUR / 2));
+		expect(save).not.toHaveBeenCalled();
+		expect(cache.get("https://example.com/a.ics").fetchedAt).toEqual(new Date(first.getTime() + HOUR / 2));
+
+		await cache.set("https://example.com/a.ics", [ICS, ICS], new Date(first.getTime() + HOUR / 2));
+		await cache.set("https://example.com/a.ics", [ICS, ICS], new Date(first.getTime() + 2 * HOUR));
+		expect(save).toHaveBeenCalledTimes(2);
+	});
+
+	it("should drop calendars not downloaded for the maximum age", async () => {
+		const cache = new CalendarCache({ file, maxAge: 24 * HOUR });
+		await cache.set("https://example.com/old.ics", [ICS], new Date(Date.now() - 25 * HOUR));
+		await cache.set("https://example.com/new.ics", [ICS], new Date());
+
+		expect(cache.get("https://example.com/old.ics")).toBeNull();
+		expect(new CalendarCache({ file, maxAge: 24 * HOUR }).get("https://example.com/new.ics")).not.toBeNull();
+	});
+});
@@ -0,0 +1,71 @@
+const { CalendarReminders } = require("../../../../../modules/default/calendar/reminders");
+
+describe("Calendar reminders", () => {
+	const MINUTE = 60 * 1000;
+	const NOW = new Date(2025, 2, 6, 14, 0).getTime();
+	const event = (uid, title, start, alarms) => ({ uid, title, startDate: String(NOW + start * MINUTE), endDate: String(NOW + (start + 60) * MINUTE), alarms });
+	let due;
+	let cleared;
+	let reminders;
+
+	beforeEach(() => {
+		jest.useFakeTimers({ now: NOW });
+		due = [];
+		cleared = [];
+		reminders = new CalendarReminders({ onDue: (reminder) => due.push(reminder), onCleared: (reminder) => cleared.push(reminder) });
+	});
+
+	afterEach(() => {
+		reminders.stop();
+		jest.useRealTimers();
+	});
+
+	it("should fire at the configured minutes and the alarms once for all calendars", () => {
+		const events = [event("dentist", "Dentist", 30, [15]), event("lunch", "Lunch", 90)];
+		reminders.update("m1https://example.com/a.ics", { module: "m1", name: "Home", events, minutes: [10], alarms: true });
+		reminders.update("m2https://example.com/a.ics", { module: "m2", name: "Home", events, minutes: [10] });
+
+		expect(reminders.list().map((reminder) => [reminder.title, reminder.minutes, reminder.state])).toEqual([
+			["Dentist", 15, "upcoming"],
+			["Dentist", 10, "upcoming"],
+			["Lunch", 10, "upcoming"]
+		]);
+
+		jest.advanceTimersByTime(15 * MINUTE);
+		expect(due).toEqual([expect.objectContaining({ module: "m1", calendar: "Home", title: "Dentist", minutes: 15 })]);
+
+		jest.advanceTimersByTime(5 * MINUTE);
+		expect(due.map((reminder) => reminder.minutes)).toEqual([15, 10]);
+		expect(reminders.list()[0]).toMatchObject({ title: "Dentist", state: "active" });
+
+		// A new fetch does not fire them again
+		reminders.update("m1https://example.com/a.ics", { module: "m1", name: "Home", events, minutes: [10], alarms: true });
+		expect(due).toHaveLength(2);
+	});
+
+	it("should snooze and dismiss reminders", () => {
+		reminders.update("m1https://example.com/a.ics", { module: "m1", name: "Home", events: [event("dentist", "Dentist", 10)], minutes: [10, 0] });
+		jest.advanceTimersByTime(0);
+		const [first] = due;
+
+		expect(reminders.snooze(first.id, 3)).toMatchObject({ state: "snoozed", due: NOW + 3 * MINUTE });
+		expect(cleared).toEqual([first]);
+		jest.advanceTimersByTime(3 * MINUTE);
+		expect(due).toEqual([first, first]);
+
+		expect(reminders.dismiss(first.id)).toBe(true);
+		expect(reminders.dismiss(first.id)).toBe(false);
+		expect(reminders.snooze("unknown", 5)).toBeNull();
+		expect(reminders.list().map((reminder) => reminder.minutes)).toEqual([0]);
+
+		jest.advanceTimersByTime(7 * MINUTE);
+		expect(due.map((reminder) => reminder.minutes)).toEqual([10, 10, 0]);
+	});
+
+	it("should not fire reminders missed by more than a few minutes", () => {
+		reminders.update("m1https://example.com/a.ics", { module: "m1", name: "Home", events: [event("a", "Standup", 20), event("b", "Review", 8)], minutes: [30, 10] });
+
+		expect(due.map((reminder) => [reminder.title, reminder.minutes])).toEqual([["Review", 10]]);
+		expect(reminders.list().map((reminder) => [reminder.title, reminder.minutes, reminder.state])).toEqual([["Review", 10, "active"], ["Standup", 10, "upcoming"]]);
+	});
+});
@@ -0,0 +1,88 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { ThreatTracker } = require("../../../../../modules/default/network-security/threats");
+
+describe("Network security threat tracker", () => {
+	const MINUTE = 60 * 1000;
+	const ago = (minutes) => new Date(Date.now() - minutes * MINUTE).toISOString();
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "threats-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("should drop events seen before and merge repeated events into one threat", () => {
+		const tracker = new ThreatTracker();
+		const scan = { type: "security_alert", ip: "10.0.0.5", threat_type: "port_scan", severity: "medium" };
+
+		const first = tracker.record({ ...scan, id: 1, timestamp: ago(50) });
+		expect(first.alert).toBe(true);
+		expect(first.threat).toMatchObject({ ip: "10.0.0.5", severity: "MEDIUM", count: 1, acknowledged: false, muted: false });
+
+		// The next poll returns the same event again
+		expect(tracker.record({ ...scan, id: 1, timestamp: ago(50) })).toBeNull();
+
+		const repeated = tracker.record({ ...scan, id: 2, timestamp: ago(10) });
+		expect(repeated).toMatchObject({ alert: false, threat: { id: first.threat.id, count: 2 } });
+
+		// Outside of the grouping window, and another kind of threat
+		expect(tracker.record({ ...scan, id: 3, timestamp: ago(200), severity: "low" }).threat.id).not.toBe(first.threat.id);
+		expect(tracker.record({ ...scan, id: 4, threat_type: "brute_force", timestamp: ago(5) }).alert).toBe(true);
+		expect(tracker.record({ type: "network_anomaly", anomaly_type: "deauth_flood", timestamp: Date.now() / 1000 }).threat.ip).toBeNull();
+
+		expect(tracker.list().map((threat) => threat.count)).toEqual([1, 1, 2, 1]);
+		expect(tracker.sources()).toEqual([expect.objectContaining({ ip: "10.0.0.5", threats: 3, events: 4, severity: "MEDIUM", types: ["security_alert"], muted: false })]);
+	});
+
+	it("should reopen an acknowledged threat when its severity rises", () => {
+		const tracker = new ThreatTracker();
+		const acknowledged = [];
+		tracker.on("acknowledged", (threat) => acknowledged.push(threat.id));
+
+		const { threat } = tracker.record({ type: "threat_blocked", ip: "10.0.0.6", reason: "ssh", severity: "HIGH", id: "a" });
+		expect(tracker.acknowledge(threat.id)).toMatchObject({ acknowledged: true });
+		expect(tracker.acknowledge("unknown")).toBeNull();
+		expect(acknowledged).toEqual([threat.id]);
+		expect(tracker.list({ acknowledged: false })).toEqual([]);
+
+		expect(tracker.record({ type: "threat_blocked", ip: "10.0.0.6", reason: "ssh", severity: "HIGH", id: "b" }).alert).toBe(false);
+		expect(tracker.record({ type: "threat_blocked", ip: "10.0.0.6", reason: "ssh", severity: "CRITICAL", id: "c" })).toMatchObject({
+			alert: true,
+			threat: { id: threat.id, severity: "CRITICAL", count: 3, acknowledged: false }
+		});
+	});
+
+	it("should not alert about muted sources", () => {
+		const tracker = new ThreatTracker({ muteDuration: 10 * MINUTE });
+		expect(tracker.mute("10.0.0.7").ip).toBe("10.0.0.7");
+		expect(tracker.record({ type: "security_alert", ip: "10.0.0.7", threat_type: "scan", id: 1 })).toMatchObject({ alert: false, threat: { muted: true } });
+		expect(tracker.list({ muted: false })).toEqual([]);
+		expect(tracker.sources()[0].mutedUntil).not.toBeNull();
+
+		expect(() => tracker.mute("<script>")).toThrow("ip must be");
+		expect(() => tracker.mute("10.0.0.8", 1000)).toThrow("duration must be");
+
+		expect(tracker.unmute("10.0.0.7")).toBe(true);
+		expect(tracker.unmute("10.0.0.7")).toBe(false);
+		expect(tracker.record({ type: "security_alert", ip: "10.0.0.7", threat_type: "other", id: 2 }).alert).toBe(true);
+	});
+
+	it("should persist threats, mutes and seen events", async () => {
+		const file = path.join(dir, "network_threats.json");
+		const tracker = new ThreatTracker({ file });
+		tracker.record({ type: "security_alert", ip: "10.0.0.9", threat_type: "scan", id: 1, timestamp: ago(5) });
+		tracker.record({ type: "security_alert", ip: "10.0.0.9", threat_type: "old", id: 2, timestamp: ago(25 * 60) });
+		tracker.mute("10.0.0.9");
+		await tracker.stop();
+
+		const reloaded = new ThreatTracker({ file });
+		expect(reloaded.list()).toHaveLength(1);
+		expect(reloaded.isMuted("10.0.0.9")).toBe(true);
+		expect(reloaded.record({ type: "security_alert", ip: "10.0.0.9", threat_type: "scan", id: 1, timestamp: ago(5) })).toBeNull();
+	});
+});
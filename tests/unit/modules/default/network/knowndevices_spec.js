@@ -0,0 +1,83 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { KnownDeviceStore } = require("../../../../../modules/default/network/knowndevices");
+
+describe("Network known devices", () => {
+	const scanned = new Map([
+		["aa:aa:aa:aa:aa:01", { mac: "AA:AA:AA:AA:AA:01", ip: "192.168.1.10", hostname: "alex-iphone", vendor: "Apple, Inc.", online: true }],
+		["aa:aa:aa:aa:aa:02", { mac: "aa:aa:aa:aa:aa:02", ip: "192.168.1.11", hostname: null, vendor: "Brother Industries", online: true }]
+	]);
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "knowndevices-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("should merge configured, saved and scanned devices", () => {
+		const store = new KnownDeviceStore({ scanned });
+		store.configure([
+			{ mac: "AA:AA:AA:AA:AA:01", name: "Alex's Phone", owner: "Alex" },
+			{ mac: "aa:aa:aa:aa:aa:03", name: "TV", type: "tv" }
+		]);
+
+		expect(store.view("AA-AA-AA-AA-AA-01")).toEqual({
+			mac: "aa:aa:aa:aa:aa:01",
+			name: "Alex's Phone",
+			type: "phone",
+			guessedType: "phone",
+			owner: "Alex",
+			alertOffline: false,
+			blocked: false,
+			known: true,
+			configured: true,
+			online: true,
+			ip: "192.168.1.10",
+			hostname: "alex-iphone",
+			vendor: "Apple, Inc.",
+			randomMac: false
+		});
+		expect(store.view("aa:aa:aa:aa:aa:02")).toMatchObject({ name: null, type: "printer", known: false });
+		expect(store.view("aa:aa:aa:aa:aa:03")).toMatchObject({ type: "tv", online: false, ip: null });
+		expect(store.view("aa:aa:aa:aa:aa:04")).toBeNull();
+
+		expect(store.list().map((device) => device.mac)).toEqual(["aa:aa:aa:aa:aa:01", "aa:aa:aa:aa:aa:03", "aa:aa:aa:aa:aa:02"]);
+		expect(store.owners()).toEqual(new Map([["aa:aa:aa:aa:aa:01", "Alex"]]));
+	});
+
+	it("should save changes over the configured entry and announce them", () => {
+		const store = new KnownDeviceStore({ scanned });
+		store.configure([{ mac: "aa:aa:aa:aa:aa:01", name: "Alex's Phone", owner: "Alex" }]);
+		const changes = [];
+		store.on("change", (device) => changes.push(device.mac));
+
+		expect(store.set("aa:aa:aa:aa:aa:01", { alertOffline: true })).toMatchObject({ name: "Alex's Phone", owner: "Alex", alertOffline: true });
+		expect(store.set("aa:aa:aa:aa:aa:02", { blocked: true })).toMatchObject({ name: "192.168.1.11", type: "printer", blocked: true, known: true });
+		expect(store.set("aa:aa:aa:aa:aa:01", { owner: null }).owner).toBeNull();
+		expect(changes).toEqual(["aa:aa:aa:aa:aa:01", "aa:aa:aa:aa:aa:02", "aa:aa:aa:aa:aa:01"]);
+
+		expect(() => store.set("not-a-mac", { name: "X" })).toThrow("Invalid MAC address");
+		expect(() => store.set("aa:aa:aa:aa:aa:02", { type: "toaster" })).toThrow("type must be one of");
+		expect(() => store.set("aa:aa:aa:aa:aa:02", { blocked: "yes" })).toThrow("blocked must be true or false");
+		expect(() => store.set("aa:aa:aa:aa:aa:02", { color: "red" })).toThrow("Unknown field(s): color");
+
+		// Forgetting the saved entry falls back to config.js
+		expect(store.remove("aa:aa:aa:aa:aa:01")).toBe(true);
+		expect(store.view("aa:aa:aa:aa:aa:01")).toMatchObject({ owner: "Alex", alertOffline: false });
+		expect(store.remove("aa:aa:aa:aa:aa:01")).toBe(false);
+	});
+
+	it("should persist saved devices", async () => {
+		const file = path.join(dir, ".known_devices.json");
+		const store = new KnownDeviceStore({ file });
+		store.set("aa:aa:aa:aa:aa:05", { name: "Laptop", type: "laptop", owner: "Sam" });
+		await store.save();
+
+		const reloaded = new KnownDeviceStore({ file });
+		expect(reloaded.known()).toEqual([{ mac: "aa:aa:aa:aa:aa:05", name: "Laptop", type: "laptop", owner: "Sam" }]);
+	});
+});
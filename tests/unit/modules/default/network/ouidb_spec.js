@@ -0,0 +1,74 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { OuiDatabase } = require("../../../../../modules/default/network/ouidb");
+
+describe("Network OUI database", () => {
+	const header = "Registry,Assignment,Organization Name,Organization Address";
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "ouidb-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("should find the vendor of the longest matching prefix in the bundled database", () => {
+		const database = new OuiDatabase();
+		expect(database.size).toBeGreaterThan(40000);
+		expect(database.lookup("00:0C:29:12:34:56")).toBe("VMware, Inc.");
+		expect(database.lookup("00-1b-c5-00-00-11")).toBe("Converging Systems Inc.");
+		expect(database.lookup("001bc5fff000")).toBe("IEEE Registration Authority");
+		expect(database.lookup("da:a1:19:00:00:01")).toBeNull();
+		expect(database.lookup("local:192.168.1.2")).toBeNull();
+	});
+
+	it("should recognize randomized addresses", () => {
+		const database = new OuiDatabase({ file: null });
+		expect(database.isRandomized("da:a1:19:00:00:01")).toBe(true);
+		expect(database.isRandomized("3E-22-FB-11-22-33")).toBe(true);
+		expect(database.isRandomized("3c:22:fb:11:22:33")).toBe(false);
+		expect(database.isRandomized("ff:ff:ff:ff:ff:ff")).toBe(false);
+		expect(database.isRandomized("local:192.168.1.2")).toBe(false);
+	});
+
+	it("should import the CSV files of the IEEE and keep the other registries", async () => {
+		const file = path.join(dir, "oui.txt.gz");
+		const database = new OuiDatabase({ file });
+
+		expect(database.import([
+			header,
+			"MA-L,AABBCC,\"Example, Inc.\",\"1 Main St\nSpringfield\"",
+			"MA-L,AABBC,Too Short,",
+			"MA-L,001122,\"Old \"\"Quoted\"\" Corp\",",
+			""
+		].join("\r\n"))).toBe(2);
+		expect(database.import(`${header}\nMA-M,AABBCC1,Sub Block Ltd,\n`)).toBe(1);
+		expect(database.import(`${header}\nMA-L,AABBCC,Example Renamed,\n`)).toBe(1);
+		expect(() => database.import("Prefix,Vendor\nAABBCC,Example\n")).toThrow("Not an IEEE registry file");
+		expect(() => database.import(`${header}\n`)).toThrow("No assignments found");
+		await database.save();
+
+		const reloaded = new OuiDatabase({ file });
+		expect(reloaded.size).toBe(2);
+		expect(reloaded.updated).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+		expect(reloaded.lookup("aa:bb:cc:12:34:56")).toBe("Sub Block Ltd");
+		expect(reloaded.lookup("aa:bb:cc:f2:34:56")).toBe("Example Renamed");
+		expect(reloaded.lookup("00:11:22:33:44:55")).toBeNull();
+	});
+
+	it("should reject a failed write and still write later", async () => {
+		const blocker = path.join(dir, "blocker");
+		fs.writeFileSync(blocker, "");
+		const database = new OuiDatabase({ file: path.join(blocker, "oui.txt.gz") });
+		database.import(`${header}\nMA-L,AABBCC,Example,\n`);
+
+		await expect(database.save()).rejects.toThrow();
+
+		database.file = path.join(dir, "oui.txt.gz");
+		await database.save();
+		expect(new OuiDatabase({ file: database.file }).size).toBe(1);
+	});
+});
@@ -0,0 +1,71 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { PresenceTracker } = require("../../../../../modules/default/network/presence");
+
+describe("Network presence tracker", () => {
+	const MINUTE = 60 * 1000;
+	const start = Date.parse("2025-06-01T08:00:00Z");
+	const at = (minutes) => start + minutes * MINUTE;
+	const owners = new Map([["aa:aa", "Alex"], ["bb:bb", "Alex"], ["cc:cc", "Sam"]]);
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "presence-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("should announce arrivals and debounce departures", () => {
+		const presence = new PresenceTracker({ departureDelay: 10 * MINUTE });
+
+		expect(presence.update(["aa:aa", "cc:cc", "dd:dd"], owners, at(0)).map((c) => `${c.person} ${c.type}`)).toEqual(["Alex arrived", "Sam arrived"]);
+
+		// The phone sleeps for five minutes: nobody leaves
+		expect(presence.update(["cc:cc"], owners, at(5))).toEqual([]);
+		expect(presence.update(["aa:aa", "cc:cc"], owners, at(8))).toEqual([]);
+
+		// Alex switches to the laptop, Sam leaves
+		expect(presence.update(["bb:bb"], owners, at(12))).toEqual([]);
+		expect(presence.update(["bb:bb"], owners, at(20))).toEqual([
+			{ type: "departed", person: "Sam", devices: ["cc:cc"], time: new Date(at(8)).toISOString() }
+		]);
+
+		expect(presence.whoIsHome()).toEqual([
+			{ person: "Alex", home: true, since: new Date(at(0)).toISOString(), lastSeen: new Date(at(20)).toISOString(), devices: ["aa:aa", "bb:bb"] },
+			{ person: "Sam", home: false, since: new Date(at(8)).toISOString(), lastSeen: new Date(at(8)).toISOString(), devices: ["cc:cc"] }
+		]);
+	});
+
+	it("should keep sessions per device", () => {
+		const presence = new PresenceTracker({ departureDelay: 10 * MINUTE, maxSessions: 2 });
+
+		presence.update(["aa:aa"], owners, at(0));
+		presence.update(["aa:aa"], owners, at(5));
+		presence.update([], owners, at(30));
+		presence.update(["aa:aa"], owners, at(60));
+		presence.update([], owners, at(90));
+		presence.update(["aa:aa"], owners, at(120));
+
+		const history = presence.history("aa:aa");
+		expect(history.firstSeen).toBe(new Date(at(0)).toISOString());
+		expect(history.sessions).toEqual([
+			{ start: new Date(at(60)).toISOString(), end: new Date(at(60)).toISOString() },
+			{ start: new Date(at(120)).toISOString(), end: null }
+		]);
+		expect(presence.history("ee:ee")).toBeNull();
+	});
+
+	it("should persist who is home", async () => {
+		const file = path.join(dir, "presence.json");
+		const presence = new PresenceTracker({ file });
+		presence.update(["cc:cc"], owners, Date.now());
+		await presence.save();
+
+		const reloaded = new PresenceTracker({ file });
+		expect(reloaded.update(["cc:cc"], owners)).toEqual([]);
+		expect(reloaded.whoIsHome().find((entry) => entry.person === "Sam").home).toBe(true);
+	});
+});
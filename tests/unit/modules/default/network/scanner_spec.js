@@ -0,0 +1,70 @@
+const fs = require("node:fs");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+const { NetworkScanner } = require("../../../../../modules/default/network/scanner");
+
+describe("Network built-in scanner", () => {
+	let dir;
+	let server;
+	let port;
+
+	beforeEach(async () => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "scanner-"));
+		server = net.createServer((socket) => socket.destroy());
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+		port = server.address().port;
+	});
+
+	afterEach(async () => {
+		await new Promise((resolve) => server.close(resolve));
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("should read complete entries of the ARP table", () => {
+		const arpFile = path.join(dir, "arp");
+		fs.writeFileSync(arpFile, [
+			"IP address       HW type     Flags       HW address            Mask     Device",
+			"192.168.1.1      0x1         0x2         AA:BB:CC:DD:EE:01     *        wlan0",
+			"192.168.1.20     0x1         0x0         00:00:00:00:00:00     *        wlan0",
+			"192.168.1.30     0x1         0x6         aa:bb:cc:dd:ee:03     *        wlan0",
+			""
+		].join("\n"));
+
+		expect(new NetworkScanner({ arpFile }).readArpTable()).toEqual(new Map([
+			["192.168.1.1", "aa:bb:cc:dd:ee:01"],
+			["192.168.1.30", "aa:bb:cc:dd:ee:03"]
+		]));
+		expect(new NetworkScanner({ arpFile: path.join(dir, "missing") }).readArpTable()).toEqual(new Map());
+	});
+
+	it("should find hosts that accept or refuse connections and their open ports", async () => {
+		const arpFile = path.join(dir, "arp");
+		fs.writeFileSync(arpFile, "IP address HW type Flags HW address Mask Device\n127.0.0.1 0x1 0x2 aa:bb:cc:dd:ee:01 * lo\n");
+		const scanner = new NetworkScanner({ arpFile, timeout: 200, discoveryPorts: [port], fingerprintPorts: [port, 9] });
+
+		const devices = await scanner.scan("127.0.0.1/32");
+		expect(devices).toHaveLength(1);
+		expect(devices[0]).toMatchObject({ ip: "127.0.0.1", mac: "aa:bb:cc:dd:ee:01", ports: [port] });
+
+		// Ports and hostname are kept for the next scan
+		server.close();
+		expect((await scanner.scan("127.0.0.1/32"))[0].ports).toEqual([port]);
+	});
+
+	it("should forget details older than an hour", () => {
+		const scanner = new NetworkScanner();
+		scanner.details.set("aa:bb:cc:dd:ee:01/192.168.1.10", { time: Date.now() - 61 * 60 * 1000, hostname: "old", ports: [] });
+		scanner.details.set("aa:bb:cc:dd:ee:02/192.168.1.11", { time: Date.now() - 5 * 60 * 1000, hostname: "fresh", ports: [] });
+
+		scanner.pruneDetails();
+
+		expect([...scanner.details.keys()]).toEqual(["aa:bb:cc:dd:ee:02/192.168.1.11"]);
+	});
+
+	it("should refuse invalid and large networks", async () => {
+		const scanner = new NetworkScanner();
+		await expect(scanner.scan("192.168.1.300/24")).rejects.toThrow("Invalid network");
+		await expect(scanner.scan("10.0.0.0/16")).rejects.toThrow("too large");
+	});
+});
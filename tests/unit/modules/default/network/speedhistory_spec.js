@@ -0,0 +1,81 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { SpeedTestHistory } = require("../../../../../modules/default/network/speedhistory");
+
+describe("Network speed test history", () => {
+	const HOUR = 60 * 60 * 1000;
+	// A time of a recent day, local time
+	const daysAgo = (days, hours) => {
+		const time = new Date();
+		time.setHours(hours, 0, 0, 0);
+		time.setDate(time.getDate() - days);
+		return time;
+	};
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "speedtests-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("should aggregate results per day and week", () => {
+		const history = new SpeedTestHistory();
+		history.add({ download: 100, upload: 20, ping: 10, timestamp: daysAgo(2, 9) });
+		history.add({ download: 50.555, upload: null, ping: null, timestamp: daysAgo(2, 21) });
+		history.add({ download: 80, upload: 10, ping: 12, timestamp: daysAgo(1, 12) });
+
+		const daily = history.aggregate("day");
+		expect(daily.map((day) => day.count)).toEqual([2, 1]);
+		expect(new Date(daily[0].from)).toEqual(daysAgo(2, 0));
+		expect(daily[0].download).toEqual({ min: 50.56, avg: 75.28, max: 100 });
+		expect(daily[0].upload).toEqual({ min: 20, avg: 20, max: 20 });
+		expect(daily[1].ping).toEqual({ min: 12, avg: 12, max: 12 });
+
+		const weekly = history.aggregate("week", { since: daysAgo(2, 0), until: daysAgo(2, 23) });
+		expect(weekly).toHaveLength(1);
+		expect(weekly[0].count).toBe(2);
+		expect(new Date(weekly[0].from).getDay()).toBe(1);
+	});
+
+	it("should report an SLA breach when too many tests in the window are slow", () => {
+		const history = new SpeedTestHistory();
+		const now = Date.now();
+		history.add({ download: 5, upload: 10, timestamp: now - 30 * HOUR });
+		history.add({ download: 50, upload: 10, timestamp: now - 3 * HOUR });
+		history.add({ download: 50, upload: 2, timestamp: now - 2 * HOUR });
+		history.add({ download: 50, upload: 10, timestamp: now - HOUR });
+
+		const sla = { window: 24 * HOUR, minDownload: 10, minUpload: 5 };
+		expect(history.checkSla({ ...sla, percent: 25 })).toEqual({ tests: 3, slow: 1, percent: 33, breached: true });
+		expect(history.checkSla({ ...sla, percent: 50 }).breached).toBe(false);
+		expect(new SpeedTestHistory().checkSla({ ...sla, percent: 25 }).breached).toBe(false);
+	});
+
+	it("should export results as CSV", () => {
+		const history = new SpeedTestHistory();
+		const timestamp = new Date(Date.now() - HOUR).toISOString();
+		history.add({ download: 100, upload: null, ping: 9.5, server: "ISP, \"Main\"", timestamp });
+
+		expect(history.toCSV(history.list())).toBe([
+			"timestamp,download_mbps,upload_mbps,ping_ms,server",
+			`${timestamp},100,,9.5,"ISP, ""Main"""`,
+			""
+		].join("\n"));
+	});
+
+	it("should persist results and drop them after the maximum age", async () => {
+		const file = path.join(dir, "speedtests.json");
+		const history = new SpeedTestHistory({ file, maxAge: 7 * 24 * HOUR });
+		history.add({ download: 10, timestamp: Date.now() - 8 * 24 * HOUR });
+		history.add({ download: 20, timestamp: Date.now() - HOUR });
+		await history.save();
+
+		const reloaded = new SpeedTestHistory({ file });
+		expect(reloaded.list().map((result) => result.download)).toEqual([20]);
+		expect(reloaded.list({ until: Date.now() - 2 * HOUR })).toEqual([]);
+	});
+});
@@ -0,0 +1,98 @@
+const http = require("node:http");
+const { CameraStreamProxy } = require("../../../../../modules/default/security/camerastreamproxy");
+
+const listen = (handler) => new Promise((resolve) => {
+	const server = http.createServer(handler);
+	server.listen(0, "127.0.0.1", () => resolve(server));
+});
+
+const frame = (n) => `--frame\r\nContent-Type: image/jpeg\r\n\r\nimage-${n}\r\n`;
+
+describe("Security camera stream proxy", () => {
+	let camera;
+	let mirror;
+	let proxy;
+	let requests;
+
+	beforeEach(async () => {
+		requests = { stream: 0, snapshot: 0, open: 0 };
+
+		// Stands in for OpenEye: a frame every 20ms per stream
+		camera = await listen((req, res) => {
+			if (req.url.endsWith("/snapshot")) {
+				requests.snapshot++;
+				res.writeHead(200, { "Content-Type": "image/jpeg" });
+				res.end("still");
+				return;
+			}
+
+			requests.stream++;
+			requests.open++;
+			res.writeHead(200, { "Content-Type": "multipart/x-mixed-replace; boundary=frame" });
+			let n = 0;
+			const timer = setInterval(() => res.write(frame(n++)), 20);
+			res.on("close", () => {
+				clearInterval(timer);
+				requests.open--;
+			});
+		});
+
+		proxy = new CameraStreamProxy({
+			upstream: (cameraId, kind) => ({
+				url: `http://127.0.0.1:${camera.address().port}/api/cameras/${cameraId}/${kind}`,
+				headers: {}
+			})
+		});
+		mirror = await listen((req, res) => proxy.addViewer("front", res));
+	});
+
+	afterEach(async () => {
+		proxy.stop();
+		mirror.closeAllConnections();
+		camera.closeAllConnections();
+		await Promise.all([mirror, camera].map((server) => new Promise((resolve) => server.close(resolve))));
+	});
+
+	const watch = () => new Promise((resolve) => {
+		const req = http.get(`http://127.0.0.1:${mirror.address().port}/`, (res) => {
+			let data = "";
+			res.setEncoding("utf8");
+			res.on("data", (chunk) => {
+				data += chunk;
+			});
+			resolve({ res, req, received: () => data });
+		});
+	});
+
+	const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+	it("should share one upstream connection between viewers", async () => {
+		const first = await watch();
+		await wait(100);
+		const second = await watch();
+		await wait(100);
+
+		expect(requests.stream).toBe(1);
+		expect(first.res.headers["content-type"]).toBe("multipart/x-mixed-replace; boundary=frame");
+		expect(first.received()).toMatch(/^--frame\r\n/);
+		// The late viewer starts at a frame boundary
+		expect(second.received()).toMatch(/^--frame\r\nContent-Type: image\/jpeg\r\n\r\nimage-\d+\r\n/);
+
+		first.req.destroy();
+		await wait(50);
+		expect(requests.open).toBe(1);
+
+		second.req.destroy();
+		await wait(50);
+		expect(requests.open).toBe(0);
+		expect(proxy.streams.size).toBe(0);
+	});
+
+	it("should share snapshots requested at the same time", async () => {
+		const [a, b] = await Promise.all([proxy.snapshot("front"), proxy.snapshot("front")]);
+
+		expect(requests.snapshot).toBe(1);
+		expect(a.contentType).toBe("image/jpeg");
+		expect(b.body.toString()).toBe("still");
+	});
+});
@@ -0,0 +1,96 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { SecurityEventLog } = require("../../../../../modules/default/security/eventlog");
+
+describe("Security event log", () => {
+	const now = Date.now();
+	const minutesAgo = (minutes) => new Date(now - minutes * 60 * 1000).toISOString();
+	let dir;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), "security-events-"));
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it("should store events once and query them newest first", () => {
+		const log = new SecurityEventLog();
+		const motion = { id: 7, event_type: "motion", camera_id: "front", timestamp: minutesAgo(30) };
+
+		expect(log.add(motion)).not.toBeNull();
+		expect(log.add(motion)).toBeNull();
+		log.add({ event_type: "face_detected", camera_id: "front", timestamp: minutesAgo(10), person_name: "Alex", confidence: 0.9 });
+		log.add({ event_type: "motion", camera_id: "garage", timestamp: minutesAgo(50) });
+
+		expect(log.query().map((e) => e.timestamp)).toEqual([minutesAgo(10), minutesAgo(30), minutesAgo(50)]);
+		expect(log.query({ camera: "front" })).toHaveLength(2);
+		expect(log.query({ type: ["motion"], since: minutesAgo(40) })).toEqual([
+			{ event_type: "motion", camera_id: "front", timestamp: motion.timestamp }
+		]);
+		expect(log.query({ until: minutesAgo(40) })[0].camera_id).toBe("garage");
+		expect(log.query({ limit: 1 })[0].person_name).toBe("Alex");
+	});
+
+	it("should store events reported by the API and the WebSocket once", () => {
+		const log = new SecurityEventLog();
+		const timestamp = minutesAgo(5);
+
+		expect(log.add({ event_type: "motion", camera_id: "front", timestamp })).not.toBeNull();
+		expect(log.add({ id: 12, event_type: "motion", camera_id: "front", timestamp })).toBeNull();
+		expect(log.add({ id: 13, event_type: "unknown_face", camera_id: "front", timestamp: minutesAgo(4) })).not.toBeNull();
+		expect(log.add({ event_type: "unknown_face", camera_id: "front", timestamp: minutesAgo(4) })).toBeNull();
+		expect(log.add({ id: 13, event_type: "face_detected", camera_id: "front", timestamp: minutesAgo(3), person_name: "Sam" })).toBeNull();
+		expect(log.add({ id: 13, event_type: "motion", camera_id: "front", timestamp: minutesAgo(3) })).not.toBeNull();
+
+		expect(log.query().map((event) => event.event_type)).toEqual(["motion", "unknown_face", "motion"]);
+	});
+
+	it("should drop the oldest events beyond the limits", () => {
+		const log = new SecurityEventLog({ maxEvents: 2, maxAge: 60 * 60 * 1000 });
+
+		expect(log.add({ event_type: "motion", camera_id: "front", timestamp: minutesAgo(90) })).toBeNull();
+		log.add({ event_type: "motion", camera_id: "front", timestamp: minutesAgo(3) });
+		log.add({ event_type: "motion", camera_id: "front", timestamp: minutesAgo(1) });
+		log.add({ event_type: "motion", camera_id: "front", timestamp: minutesAgo(2) });
+
+		expect(log.query().map((e) => e.timestamp)).toEqual([minutesAgo(1), minutesAgo(2)]);
+		expect(log.events).toHaveLength(2);
+		expect(log.keys.size).toBe(2);
+	});
+
+	it("should summarize a day per camera", () => {
+		const log = new SecurityEventLog();
+		const yesterday = new Date();
+		yesterday.setDate(yesterday.getDate() - 1);
+		yesterday.setHours(12, 0, 0, 0);
+		const at = (hours) => new Date(yesterday.getTime() + hours * 60 * 60 * 1000).toISOString();
+
+		log.add({ event_type: "motion", camera_id: "front", timestamp: at(0) });
+		log.add({ event_type: "motion", camera_id: "front", timestamp: at(1) });
+		log.add({ event_type: "face_detected", camera_id: "front", timestamp: at(2), person_name: "Sam" });
+		log.add({ event_type: "unknown_face", camera_id: "garage", timestamp: at(3) });
+		log.add({ event_type: "recording_started", camera_id: "garage", timestamp: at(3) });
+		log.add({ event_type: "motion", camera_id: "garage", timestamp: new Date().toISOString() });
+
+		const digest = log.digest();
+		expect(digest.total).toEqual({ events: 5, motion: 2, faces: 2, unknownFaces: 1, recordings: 1 });
+		expect(digest.people).toEqual(["Sam"]);
+		expect(digest.cameras[0]).toEqual({ camera_id: "front", motion: 2, faces: 1, unknownFaces: 0, recordings: 0 });
+		expect(digest.date).toBe(`${yesterday.getFullYear()}-${String(yesterday.getMonth() + 1).padStart(2, "0")}-${String(yesterday.getDate()).padStart(2, "0")}`);
+	});
+
+	it("should persist the events", async () => {
+		const file = path.join(dir, "security_events.json");
+		const log = new SecurityEventLog({ file });
+		log.add({ id: 1, event_type: "motion", camera_id: "front", timestamp: minutesAgo(5) });
+		await log.stop();
+
+		const reloaded = new SecurityEventLog({ file });
+		expect(reloaded.query()).toHaveLength(1);
+		expect(reloaded.add({ id: 1, event_type: "motion", camera_id: "front", timestamp: minutesAgo(5) })).toBeNull();
+		expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+	});
+});
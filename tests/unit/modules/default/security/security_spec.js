@@ -0,0 +1,179 @@
+global.Log = require("../../../../../js/logger");
+
+let definition;
+global.Module = {
+	register: (name, moduleDefinition) => {
+		definition = moduleDefinition;
+	}
+};
+require("../../../../../modules/default/security/security");
+
+describe("Security module cameras", () => {
+	let security;
+
+	/**
+	 * Start a security module without display and node helper
+	 * @param {object} [config] module config
+	 * @returns {object} the module
+	 */
+	const start = (config = {}) => {
+		const module = Object.create(definition);
+		module.name = "security";
+		module.config = { ...definition.defaults, ...config };
+		module.sendSocketNotification = jest.fn();
+		module.sendNotification = jest.fn();
+		module.updateDom = jest.fn();
+		module.renderOverlay = jest.fn();
+		module.start();
+		module.cameras = [
+			{ camera_id: "cam1", name: "Front Door Cam", is_active: true },
+			{ camera_id: "cam2", name: "Garden", is_active: false },
+			{ camera_id: "garage", name: "Garage", is_active: true }
+		];
+		return module;
+	};
+
+	beforeEach(() => {
+		jest.useFakeTimers({ now: new Date("2026-03-01T12:00:00Z") });
+		jest.spyOn(Log, "info").mockImplementation(() => {});
+		jest.spyOn(Log, "warn").mockImplementation(() => {});
+		security = start();
+	});
+
+	afterEach(() => {
+		security.stopCarousel();
+		jest.useRealTimers();
+		jest.restoreAllMocks();
+	});
+
+	describe("findCamera", () => {
+		it("should find cameras by ID and by name", () => {
+			expect(security.findCamera("cam2").name).toBe("Garden");
+			expect(security.findCamera("CAM1").name).toBe("Front Door Cam");
+			expect(security.findCamera(" garage ").camera_id).toBe("garage");
+			expect(security.findCamera("front door").camera_id).toBe("cam1");
+			expect(security.findCamera("porch")).toBeNull();
+		});
+
+		it("should prefer exact matches over partial ones", () => {
+			security.cameras.push({ camera_id: "cam", name: "Garden Shed" });
+
+			expect(security.findCamera("cam").name).toBe("Garden Shed");
+			expect(security.findCamera("garden").camera_id).toBe("cam2");
+		});
+	});
+
+	describe("showCamera", () => {
+		it("should open the camera and close it after the duration", () => {
+			security.closeOverlay = jest.fn(() => {
+				security.overlay = null;
+			});
+
+			security.showCamera("front door", 5000);
+			expect(security.overlay).toEqual({ cameraId: "cam1", carousel: false, auto: false });
+			expect(security.renderOverlay).toHaveBeenCalled();
+
+			jest.advanceTimersByTime(5000);
+			expect(security.closeOverlay).toHaveBeenCalled();
+		});
+
+		it("should ignore unknown cameras", () => {
+			security.showCamera("porch", 0);
+
+			expect(security.overlay).toBeNull();
+			expect(Log.warn).toHaveBeenCalledWith("[security] Unknown camera: porch");
+		});
+
+		it("should never replace a requested view by an automatic one", () => {
+			security.showCamera("garden", 0);
+			security.showCamera("garage", 15000, true);
+			expect(security.overlay).toEqual({ cameraId: "cam2", carousel: false, auto: false });
+
+			security.showCamera("garage", 0);
+			expect(security.overlay.cameraId).toBe("garage");
+		});
+
+		it("should let an automatic view be replaced", () => {
+			security.showCamera("garden", 15000, true);
+			security.showCamera("garage", 15000, true);
+			expect(security.overlay).toEqual({ cameraId: "garage", carousel: false, auto: true });
+
+			security.showCamera("cam1", 0);
+			expect(security.overlay).toEqual({ cameraId: "cam1", carousel: false, auto: false });
+		});
+
+		it("should open the camera of configured events automatically", () => {
+			security = start({ autoFullscreen: ["unknown_face"], notifyOnMotion: false, notifyOnUnknownFace: false });
+
+			security.handleMotionEvent({ camera_id: "cam1" });
+			expect(security.overlay).toBeNull();
+
+			security.handleFaceEvent({ camera_id: "garage", person_name: "Unknown" });
+			expect(security.overlay).toEqual({ cameraId: "garage", carousel: false, auto: true });
+		});
+	});
+
+	describe("carouselCamera", () => {
+		it("should rotate through the online cameras", () => {
+			expect(security.carouselCamera().camera_id).toBe("cam1");
+
+			security.carouselIndex = 1;
+			expect(security.carouselCamera().camera_id).toBe("garage");
+
+			security.carouselIndex = 2;
+			expect(security.carouselCamera().camera_id).toBe("cam1");
+		});
+
+		it("should advance while the fullscreen carousel is shown", () => {
+			security.notificationReceived("SECURITY_SHOW_ALL_CAMERAS", {});
+			expect(security.overlay).toEqual({ cameraId: null, carousel: true, auto: false });
+
+			jest.advanceTimersByTime(security.config.carouselInterval);
+			expect(security.carouselCamera().camera_id).toBe("garage");
+			expect(security.renderOverlay).toHaveBeenCalledTimes(2);
+		});
+
+		it("should have no camera when all are offline", () => {
+			security.cameras.forEach((camera) => {
+				camera.is_active = false;
+			});
+
+			expect(security.carouselCamera()).toBeUndefined();
+		});
+	});
+
+	describe("addToTimeline", () => {
+		it("should keep each event once", () => {
+			const event = { event_type: "motion", camera_id: "cam1", timestamp: "2026-03-01T11:50:00Z" };
+
+			security.addToTimeline(event);
+			security.addToTimeline({ ...event });
+			security.addToTimeline({ ...event, camera_id: "garage" });
+
+			expect(security.timeline.map((entry) => entry.camera_id)).toEqual(["cam1", "garage"]);
+		});
+
+		it("should drop events older than the timeline range", () => {
+			security.addToTimeline({ event_type: "motion", camera_id: "cam1", timestamp: "2026-03-01T11:10:00Z" });
+			security.addToTimeline({ event_type: "motion", camera_id: "cam1", timestamp: "2026-03-01T10:30:00Z" });
+			security.addToTimeline({ event_type: "motion", camera_id: "cam1", timestamp: "invalid" });
+			expect(security.timeline).toHaveLength(1);
+
+			jest.advanceTimersByTime(30 * 60 * 1000);
+			security.addToTimeline({ event_type: "unknown_face", camera_id: "garage", timestamp: "2026-03-01T12:20:00Z" });
+
+			expect(security.timeline).toEqual([
+				{ key: "unknown_face:garage:2026-03-01T12:20:00.000Z", event_type: "unknown_face", camera_id: "garage", timestamp: "2026-03-01T12:20:00Z", person_name: undefined }
+			]);
+		});
+
+		it("should update a shown fullscreen view", () => {
+			security.showCamera("cam1", 0);
+			security.renderOverlay.mockClear();
+
+			security.addToTimeline({ event_type: "motion", camera_id: "cam1", timestamp: "2026-03-01T11:59:00Z" });
+
+			expect(security.renderOverlay).toHaveBeenCalledTimes(1);
+		});
+	});
+});